@@ -2,15 +2,48 @@
 
 import LMTaskerMCPServer from "./src/index.js";
 import dotenv from "dotenv";
+import { Command } from "commander";
 import logger from "./src/logger.js";
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Parse the command line of lm-tasker-mcp
+ * @param {string[]} argv - Command line arguments, as in process.argv
+ * @returns {{http: boolean, port: number, host: string, token: string|undefined}} Server options
+ */
+export function parseServerOptions(argv) {
+  const program = new Command()
+    .name("lm-tasker-mcp")
+    .description("Serve LM-Tasker over MCP, on stdio unless --http is given")
+    .option("--http", "Serve HTTP streaming so several clients can connect")
+    .option("--port <port>", "HTTP port", "7777")
+    .option("--host <host>", "HTTP host to listen on", "127.0.0.1")
+    .option(
+      "--token <token>",
+      "Bearer token HTTP clients must send (default: LMTASKER_MCP_TOKEN)",
+    )
+    .parse(argv);
+  const options = program.opts();
+
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    program.error(`Invalid port: ${options.port}`);
+  }
+  return {
+    http: Boolean(options.http),
+    port,
+    host: options.host,
+    token: options.token || process.env.LMTASKER_MCP_TOKEN || undefined,
+  };
+}
+
 /**
  * Start the LMTasker MCP server
  */
 async function startServer() {
+  const options = parseServerOptions(process.argv);
   const server = new LMTaskerMCPServer();
 
   // Handle graceful shutdown
@@ -25,7 +58,7 @@ async function startServer() {
   });
 
   try {
-    await server.start();
+    await server.start(options);
   } catch (error) {
     logger.error(`Failed to start LMTasker MCP server: ${error.message}`);
     process.exit(1);
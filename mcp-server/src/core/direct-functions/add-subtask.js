@@ -17,8 +17,9 @@ import {
  * @param {string} [args.title] - Title for new subtask (when creating a new subtask)
  * @param {string} [args.description] - Description for new subtask
  * @param {string} [args.details] - Implementation details for new subtask
- * @param {string} [args.status] - Status for new subtask (default: 'pending')
+ * @param {string} [args.status] - Status for new subtask (default: the first status of the workflow)
  * @param {string} [args.dependencies] - Comma-separated list of dependency IDs
+ * @param {number} [args.estimate] - Estimate for new subtask in story points or hours
  * @param {boolean} [args.skipGenerate] - Skip regenerating task files
  * @param {Object} log - Logger object
  * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
@@ -34,6 +35,7 @@ export async function addSubtaskDirect(args, log) {
     details,
     status,
     dependencies: dependenciesStr,
+    estimate,
     skipGenerate,
   } = args;
   try {
@@ -126,8 +128,9 @@ export async function addSubtaskDirect(args, log) {
         title: title,
         description: description || "",
         details: details || "",
-        status: status || "pending",
+        status,
         dependencies: dependencies,
+        estimate,
       };
 
       const result = await addSubtask(
@@ -20,6 +20,7 @@ import { createLogWrapper } from "../../tools/utils.js";
  * @param {string} [args.testStrategy] - Test strategy (optional)
  * @param {string} [args.dependencies] - Comma-separated list of task IDs this task depends on
  * @param {string} [args.priority='medium'] - Task priority (high, medium, low)
+ * @param {number} [args.estimate] - Estimate in story points or hours
  * @param {string} [args.tasksJsonPath] - Path to the tasks.json file (resolved by tool)
  * @param {string} [args.projectRoot] - Project root path
  * @param {Object} log - Logger object
@@ -92,6 +93,7 @@ export async function addTaskDirect(args, log, context = {}) {
       description: args.description,
       details: args.details || "",
       testStrategy: args.testStrategy || "",
+      ...(typeof args.estimate === "number" && { estimate: args.estimate }),
     };
 
     log.info(
@@ -0,0 +1,54 @@
+/**
+ * analyze-dependencies.js
+ * Direct function implementation for the dependency analysis
+ */
+
+import { analyzeTasks } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+
+/**
+ * Direct function wrapper for analyzeTasks with error handling.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.limit] - Number of unblocking tasks and chains to return
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function analyzeDependenciesDirect(args, log) {
+  const { tasksJsonPath, limit } = args;
+
+  if (!tasksJsonPath) {
+    log.error("analyzeDependenciesDirect called without tasksJsonPath");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath is required",
+      },
+    };
+  }
+
+  try {
+    log.info(`Analyzing dependencies in ${tasksJsonPath}`);
+
+    enableSilentMode();
+    let analysis;
+    try {
+      analysis = analyzeTasks(tasksJsonPath, { limit });
+    } finally {
+      disableSilentMode();
+    }
+
+    return { success: true, data: analysis };
+  } catch (error) {
+    log.error(`Error analyzing dependencies: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "ANALYZE_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * apply-task-batch.js
+ * Direct function implementation for applying a batch of task operations
+ */
+
+import { applyTaskBatch } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+
+/**
+ * Direct function wrapper for applyTaskBatch with error handling.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file (created if missing).
+ * @param {Array<Object>} args.operations - Operations to apply, in order (see applyTaskBatch)
+ * @param {boolean} [args.dryRun] - Check the batch without writing anything
+ * @param {string} [args.projectRoot] - Project root, used for the default priority
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function applyTaskBatchDirect(args, log) {
+  const { tasksJsonPath, operations, dryRun, projectRoot } = args;
+
+  if (!tasksJsonPath || !operations) {
+    log.error(
+      "applyTaskBatchDirect called without tasksJsonPath or operations",
+    );
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath and operations are required",
+      },
+    };
+  }
+
+  try {
+    log.info(
+      `Applying ${operations.length} operations to ${tasksJsonPath}${dryRun ? " (dry run)" : ""}`,
+    );
+
+    enableSilentMode();
+    let result;
+    try {
+      result = applyTaskBatch(tasksJsonPath, operations, {
+        dryRun,
+        projectRoot,
+      });
+    } finally {
+      disableSilentMode();
+    }
+
+    return {
+      success: true,
+      data: {
+        ...result,
+        message: `${dryRun ? "Would apply" : "Applied"} ${result.operations} operations: ${result.created.length} tasks and subtasks created, ${result.dependencies.length} dependencies added`,
+      },
+    };
+  } catch (error) {
+    log.error(`Error applying task batch: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "BATCH_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
@@ -6,6 +6,7 @@ import { clearSubtasks } from "#scripts/task-manager.js";
 import {
   enableSilentMode,
   disableSilentMode,
+  readJSON,
 } from "#scripts/utils.js";
 import fs from "fs";
 
@@ -67,7 +68,7 @@ export async function clearSubtasksDirect(args, log) {
     // If all is specified, get all task IDs
     if (all) {
       log.info("Clearing subtasks from all tasks");
-      const data = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+      const data = readJSON(tasksPath);
       if (!data || !data.tasks || data.tasks.length === 0) {
         return {
           success: false,
@@ -95,7 +96,7 @@ export async function clearSubtasksDirect(args, log) {
     disableSilentMode();
 
     // Read the updated data to provide a summary
-    const updatedData = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    const updatedData = readJSON(tasksPath);
     const taskIdArray = taskIds.split(",").map((id) => parseInt(id.trim(), 10));
 
     // Build a summary of what was done
@@ -0,0 +1,67 @@
+/**
+ * dependency-graph.js
+ * Direct function implementation for rendering the task dependency graph
+ */
+
+import { graphTasks } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+
+/**
+ * Direct function wrapper for graphTasks with error handling.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.format] - Graph format (mermaid, dot or ascii)
+ * @param {string} [args.root] - Task or subtask ID whose upstream and downstream closure to show
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function dependencyGraphDirect(args, log) {
+  const { tasksJsonPath, format, root } = args;
+
+  if (!tasksJsonPath) {
+    log.error("dependencyGraphDirect called without tasksJsonPath");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath is required",
+      },
+    };
+  }
+
+  try {
+    log.info(
+      `Rendering ${format || "mermaid"} dependency graph from ${tasksJsonPath}${root ? ` for task ${root}` : ""}`,
+    );
+
+    enableSilentMode();
+    let result;
+    try {
+      result = graphTasks(tasksJsonPath, format || "mermaid", { root });
+    } finally {
+      disableSilentMode();
+    }
+
+    return {
+      success: true,
+      data: {
+        format: result.format,
+        tag: result.tag,
+        root: result.root,
+        nodeCount: result.nodeCount,
+        edgeCount: result.edgeCount,
+        graph: result.content,
+      },
+    };
+  } catch (error) {
+    log.error(`Error rendering dependency graph: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "GRAPH_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
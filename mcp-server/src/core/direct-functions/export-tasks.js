@@ -0,0 +1,74 @@
+/**
+ * export-tasks.js
+ * Direct function implementation for exporting a project report
+ */
+
+import { exportTasks } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+
+/**
+ * Direct function wrapper for exportTasks with error handling.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.format] - Report format (md, csv, html or json)
+ * @param {string} [args.output] - Absolute path of a file to write the report to
+ * @param {string} [args.filter] - Filter expression selecting the tasks to include
+ * @param {string} [args.projectRoot] - Project root, used to look up the project name
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function exportTasksDirect(args, log) {
+  const { tasksJsonPath, format, output, filter, projectRoot } = args;
+
+  if (!tasksJsonPath) {
+    log.error("exportTasksDirect called without tasksJsonPath");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath is required",
+      },
+    };
+  }
+
+  try {
+    log.info(
+      `Exporting tasks from ${tasksJsonPath} as ${format || "md"}${output ? ` to ${output}` : ""}`,
+    );
+
+    enableSilentMode();
+    let result;
+    try {
+      result = exportTasks(tasksJsonPath, format || "md", {
+        output,
+        filter,
+        projectRoot,
+      });
+    } finally {
+      disableSilentMode();
+    }
+
+    // A report written to a file is not repeated in the response
+    return {
+      success: true,
+      data: result.outputPath
+        ? {
+            format: result.format,
+            outputPath: result.outputPath,
+            taskCount: result.taskCount,
+            message: `Exported ${result.taskCount} tasks to ${result.outputPath}`,
+          }
+        : result,
+    };
+  } catch (error) {
+    log.error(`Error exporting tasks: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: error.code === "INVALID_QUERY" ? error.code : "EXPORT_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
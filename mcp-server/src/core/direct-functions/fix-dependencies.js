@@ -7,6 +7,7 @@ import {
   enableSilentMode,
   disableSilentMode,
 } from "#scripts/utils.js";
+import { checkpoint } from "../utils/async-manager.js";
 import fs from "fs";
 
 /**
@@ -14,9 +15,10 @@ import fs from "fs";
  * @param {Object} args - Function arguments
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
  * @param {Object} log - Logger object
+ * @param {Object} [context] - Background operation context: {signal, reportProgress} (see AsyncOperationManager)
  * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
  */
-export async function fixDependenciesDirect(args, log) {
+export async function fixDependenciesDirect(args, log, context = {}) {
   // Destructure expected args
   const { tasksJsonPath } = args;
   try {
@@ -48,6 +50,13 @@ export async function fixDependenciesDirect(args, log) {
       };
     }
 
+    // Stop here if the background operation was cancelled
+    await checkpoint(context, {
+      progress: 0,
+      total: 1,
+      message: `Fixing dependencies in ${tasksPath}`,
+    });
+
     // Enable silent mode to prevent console logs from interfering with JSON response
     enableSilentMode();
 
@@ -8,17 +8,19 @@ import {
   enableSilentMode,
   disableSilentMode,
 } from "#scripts/utils.js";
+import { checkpoint } from "../utils/async-manager.js";
 
 /**
  * Direct function wrapper for generateTaskFiles with error handling.
  *
- * @param {Object} args - Command arguments containing tasksJsonPath and outputDir.
+ * @param {Object} args - Command arguments containing tasksJsonPath, outputDir and an optional format ("text" or "markdown", default: the taskFileFormat setting).
  * @param {Object} log - Logger object.
+ * @param {Object} [context] - Background operation context: {signal, reportProgress} (see AsyncOperationManager)
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
-export async function generateTaskFilesDirect(args, log) {
+export async function generateTaskFilesDirect(args, log, context = {}) {
   // Destructure expected args
-  const { tasksJsonPath, outputDir } = args;
+  const { tasksJsonPath, outputDir, format } = args;
   try {
     log.info(`Generating task files with args: ${JSON.stringify(args)}`);
 
@@ -48,13 +50,20 @@ export async function generateTaskFilesDirect(args, log) {
 
     log.info(`Generating task files from ${tasksPath} to ${resolvedOutputDir}`);
 
+    // Stop here if the background operation was cancelled
+    await checkpoint(context, {
+      progress: 0,
+      total: 1,
+      message: `Generating task files in ${resolvedOutputDir}`,
+    });
+
     // Execute core generateTaskFiles function in a separate try/catch
     try {
       // Enable silent mode to prevent logs from being written to stdout
       enableSilentMode();
 
       // The function is synchronous despite being awaited elsewhere
-      generateTaskFiles(tasksPath, resolvedOutputDir);
+      generateTaskFiles(tasksPath, resolvedOutputDir, { format });
 
       // Restore normal logging after task generation
       disableSilentMode();
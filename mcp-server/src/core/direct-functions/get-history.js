@@ -0,0 +1,51 @@
+/**
+ * Direct function wrapper for reading the tasks file operation history
+ */
+
+import { getJournalHistory } from "#scripts/journal.js";
+
+/**
+ * Get recent operations recorded in the tasks file journal
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.limit] - Number of operations to return (newest first)
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getHistoryDirect(args, log) {
+  const { tasksJsonPath, limit } = args;
+
+  if (!tasksJsonPath) {
+    log.error("getHistoryDirect called without tasksJsonPath");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath is required",
+      },
+    };
+  }
+
+  try {
+    log.info(`Reading operation history for ${tasksJsonPath}`);
+
+    const operations = getJournalHistory(tasksJsonPath, { limit });
+
+    return {
+      success: true,
+      data: {
+        operations,
+        count: operations.length,
+      },
+    };
+  } catch (error) {
+    log.error(`Error reading operation history: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "HISTORY_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * get-task-history.js
+ * Direct function implementation for the history of a task or subtask
+ */
+
+import { getTaskHistory } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+
+/**
+ * Direct function wrapper for getTaskHistory with error handling.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task ID or subtask ID (e.g. "5" or "5.2")
+ * @param {number} [args.limit] - Maximum number of entries to return
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getTaskHistoryDirect(args, log) {
+  const { tasksJsonPath, id, limit } = args;
+
+  if (!tasksJsonPath) {
+    log.error("getTaskHistoryDirect called without tasksJsonPath");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath is required",
+      },
+    };
+  }
+
+  if (!id) {
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "Task ID is required",
+      },
+    };
+  }
+
+  try {
+    log.info(`Getting history of task ${id} in ${tasksJsonPath}`);
+
+    enableSilentMode();
+    let history;
+    try {
+      history = getTaskHistory(tasksJsonPath, id, { limit });
+    } finally {
+      disableSilentMode();
+    }
+
+    return { success: true, data: history };
+  } catch (error) {
+    log.error(`Error getting task history: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "TASK_HISTORY_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
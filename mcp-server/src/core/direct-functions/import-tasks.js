@@ -0,0 +1,98 @@
+/**
+ * import-tasks.js
+ * Direct function implementation for importing tasks from another tracker
+ */
+
+import { importTasks } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+import { checkpoint } from "../utils/async-manager.js";
+
+/**
+ * Direct function wrapper for importTasks with error handling.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file (created if missing).
+ * @param {string} args.source - Absolute path of the file to import
+ * @param {string} [args.format] - csv, md or github (detected from the extension when omitted)
+ * @param {boolean} [args.dryRun] - Only report what would be imported
+ * @param {boolean} [args.allowDuplicates] - Import tasks whose title already exists
+ * @param {string} [args.projectRoot] - Project root, used for the default priority
+ * @param {Object} log - Logger object
+ * @param {Object} [context] - Background operation context: {signal, reportProgress} (see AsyncOperationManager)
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function importTasksDirect(args, log, context = {}) {
+  const {
+    tasksJsonPath,
+    source,
+    format,
+    dryRun,
+    allowDuplicates,
+    projectRoot,
+  } = args;
+
+  if (!tasksJsonPath || !source) {
+    log.error("importTasksDirect called without tasksJsonPath or source");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath and source are required",
+      },
+    };
+  }
+
+  try {
+    log.info(
+      `Importing tasks from ${source} into ${tasksJsonPath}${dryRun ? " (dry run)" : ""}`,
+    );
+
+    const runImport = (options) => {
+      enableSilentMode();
+      try {
+        return importTasks(tasksJsonPath, source, {
+          format,
+          allowDuplicates,
+          projectRoot,
+          ...options,
+        });
+      } finally {
+        disableSilentMode();
+      }
+    };
+
+    // Read and plan the import first, so that a cancelled background
+    // operation stops before it writes
+    await checkpoint(context, {
+      progress: 0,
+      total: 2,
+      message: `Reading ${source}`,
+    });
+    let result = runImport({ dryRun: true });
+    if (!dryRun) {
+      await checkpoint(context, {
+        progress: 1,
+        total: 2,
+        message: `Importing ${result.tasks.length} tasks`,
+      });
+      result = runImport({ dryRun: false });
+    }
+
+    return {
+      success: true,
+      data: {
+        ...result,
+        message: `${dryRun ? "Would import" : "Imported"} ${result.tasks.length} tasks from ${source}`,
+      },
+    };
+  } catch (error) {
+    log.error(`Error importing tasks: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "IMPORT_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
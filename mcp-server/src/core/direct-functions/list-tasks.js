@@ -18,7 +18,15 @@ import {
  */
 export async function listTasksDirect(args, log) {
   // Destructure the explicit tasksJsonPath from args
-  const { tasksJsonPath, reportPath, status, withSubtasks } = args;
+  const {
+    tasksJsonPath,
+    reportPath,
+    status,
+    withSubtasks,
+    filter,
+    sort,
+    fields,
+  } = args;
 
   if (!tasksJsonPath) {
     log.error("listTasksDirect called without tasksJsonPath");
@@ -51,6 +59,7 @@ export async function listTasksDirect(args, log) {
         statusFilter,
         withSubtasksFilter,
         "json",
+        { filter, sort, fields },
       );
 
       if (!resultData || !resultData.tasks) {
@@ -80,7 +89,10 @@ export async function listTasksDirect(args, log) {
       return {
         success: false,
         error: {
-          code: "LIST_TASKS_CORE_ERROR",
+          code:
+            error.code === "INVALID_QUERY"
+              ? error.code
+              : "LIST_TASKS_CORE_ERROR",
           message: error.message || "Failed to list tasks",
         },
       };
@@ -5,6 +5,7 @@
 
 import { findNextTask } from "#scripts/task-manager.js";
 import { readJSON } from "#scripts/utils.js";
+import { getTasksWorkflow } from "#scripts/workflow.js";
 import {
   enableSilentMode,
   disableSilentMode,
@@ -56,7 +57,10 @@ export async function nextTaskDirect(args, log) {
       }
 
       // Find the next task
-      const nextTask = findNextTask(data.tasks);
+      const nextTask = findNextTask(
+        data.tasks,
+        getTasksWorkflow(tasksJsonPath),
+      );
 
       if (!nextTask) {
         log.info(
@@ -70,7 +70,9 @@ export async function setTaskStatusDirect(args, log) {
     enableSilentMode(); // Enable silent mode before calling core function
     try {
       // Call the core function
-      await setTaskStatus(tasksPath, taskId, newStatus, { mcpLog: log });
+      const { rollup } = await setTaskStatus(tasksPath, taskId, newStatus, {
+        mcpLog: log,
+      });
 
       log.info(`Successfully set task ${taskId} status to ${newStatus}`);
 
@@ -81,6 +83,8 @@ export async function setTaskStatusDirect(args, log) {
           message: `Successfully updated task ${taskId} status to "${newStatus}"`,
           taskId,
           status: newStatus,
+          // Parents and subtasks moved by the workflow's roll-up rules
+          rollup,
           tasksPath: tasksPath, // Return the path used
         },
         fromCache: false, // This operation always modifies state and should never be cached
@@ -0,0 +1,74 @@
+/**
+ * Direct function wrapper for undoing the last tasks file operation
+ */
+
+import { applyJournalOperation } from "#scripts/task-manager.js";
+import { enableSilentMode, disableSilentMode } from "#scripts/utils.js";
+import fs from "fs";
+
+/**
+ * Revert the most recent operation recorded in the tasks file journal
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {boolean} [args.force] - Undo even if the affected tasks changed since
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function undoOperationDirect(args, log) {
+  const { tasksJsonPath, force } = args;
+
+  if (!tasksJsonPath) {
+    log.error("undoOperationDirect called without tasksJsonPath");
+    return {
+      success: false,
+      error: {
+        code: "MISSING_ARGUMENT",
+        message: "tasksJsonPath is required",
+      },
+    };
+  }
+
+  if (!fs.existsSync(tasksJsonPath)) {
+    return {
+      success: false,
+      error: {
+        code: "FILE_NOT_FOUND",
+        message: `Tasks file not found at ${tasksJsonPath}`,
+      },
+    };
+  }
+
+  try {
+    log.info(`Undoing last operation on ${tasksJsonPath}`);
+
+    // Enable silent mode to prevent console logs from interfering with JSON response
+    enableSilentMode();
+
+    const operation = applyJournalOperation(tasksJsonPath, "undo", {
+      force: !!force,
+    });
+
+    // Restore normal logging
+    disableSilentMode();
+
+    return {
+      success: true,
+      data: {
+        message: `Undid "${operation.label}" (${operation.id})`,
+        operation,
+      },
+    };
+  } catch (error) {
+    // Make sure to restore normal logging even if there's an error
+    disableSilentMode();
+
+    log.error(`Error undoing operation: ${error.message}`);
+    return {
+      success: false,
+      error: {
+        code: "UNDO_ERROR",
+        message: error.message,
+      },
+    };
+  }
+}
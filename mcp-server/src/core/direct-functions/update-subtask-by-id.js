@@ -3,7 +3,7 @@
  * Direct function implementation for updating a subtask by ID with additional information
  */
 
-import { updateSubtaskById } from "#scripts/task-manager.js";
+import { updateSubtaskById, setTaskEstimate } from "#scripts/task-manager.js";
 import {
   enableSilentMode,
   disableSilentMode,
@@ -18,6 +18,7 @@ import { createLogWrapper } from "../../tools/utils.js";
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
  * @param {string} args.id - Subtask ID in format "parentId.subtaskId" (e.g., "5.2").
  * @param {string} [args.details] - Additional details to append to the subtask.
+ * @param {number|null} [args.estimate] - New estimate; null clears it.
  * @param {string} [args.projectRoot] - Project root path.
  * @param {Object} log - Logger object.
  * @param {Object} context - Context object containing session data.
@@ -26,7 +27,7 @@ import { createLogWrapper } from "../../tools/utils.js";
 export async function updateSubtaskByIdDirect(args, log, context = {}) {
   const { session } = context;
   // Destructure expected args, including projectRoot and details
-  const { tasksJsonPath, id, details, projectRoot } = args;
+  const { tasksJsonPath, id, details, estimate, projectRoot } = args;
 
   const logWrapper = createLogWrapper(log);
 
@@ -80,6 +81,26 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
     }
 
     try {
+      const estimateResult =
+        estimate !== undefined
+          ? setTaskEstimate(tasksPath, id, estimate)
+          : undefined;
+      if (estimate !== undefined && !details) {
+        const message = `Successfully set the estimate of subtask ${id}`;
+        logWrapper.success(message);
+        return {
+          success: true,
+          data: {
+            message,
+            subtaskId: id,
+            tasksPath,
+            updated: true,
+            estimate: estimateResult,
+          },
+          fromCache: false,
+        };
+      }
+
       // Execute core updateSubtaskById function with proper parameters
       const coreResult = await updateSubtaskById(
         tasksPath,
@@ -106,6 +127,7 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
             message: message,
             subtaskId: id,
             updated: false,
+            estimate: estimateResult,
             telemetryData: coreResult?.telemetryData,
           },
           fromCache: false,
@@ -123,6 +145,7 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
           tasksPath: tasksPath,
           updated: true,
           updatedSubtask: coreResult.updatedSubtask,
+          estimate: estimateResult,
           telemetryData: coreResult.telemetryData,
         },
         fromCache: false,
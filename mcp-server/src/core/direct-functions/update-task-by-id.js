@@ -3,7 +3,7 @@
  * Direct function implementation for updating a single task by ID with new information
  */
 
-import { updateTaskById } from "#scripts/task-manager.js";
+import { updateTaskById, setTaskEstimate } from "#scripts/task-manager.js";
 import {
   enableSilentMode,
   disableSilentMode,
@@ -17,7 +17,8 @@ import { createLogWrapper } from "../../tools/utils.js";
  * @param {Object} args - Command arguments containing id, details, tasksJsonPath, and projectRoot.
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
  * @param {string} args.id - Task ID.
- * @param {string} args.details - Additional details to append to the task.
+ * @param {string} [args.details] - Additional details to append to the task.
+ * @param {number|null} [args.estimate] - New estimate; null clears it. Required if details are not given.
  * @param {string} [args.projectRoot] - Project root path.
  * @param {Object} log - Logger object.
  * @param {Object} context - Context object containing session data.
@@ -26,7 +27,7 @@ import { createLogWrapper } from "../../tools/utils.js";
 export async function updateTaskByIdDirect(args, log, context = {}) {
   const { session } = context;
   // Destructure expected args, including projectRoot
-  const { tasksJsonPath, id, details, projectRoot } = args;
+  const { tasksJsonPath, id, details, estimate, projectRoot } = args;
 
   const logWrapper = createLogWrapper(log);
 
@@ -58,8 +59,9 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
       };
     }
 
-    // Check required parameters (details)
-    if (!details || typeof details !== "string" || details.trim() === "") {
+    // Check required parameters (details, unless only the estimate changes)
+    const hasDetails = typeof details === "string" && details.trim() !== "";
+    if (!hasDetails && estimate === undefined) {
       const errorMessage =
         "Details parameter is required and cannot be empty.";
       logWrapper.error(errorMessage);
@@ -91,9 +93,11 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
     // Use the provided path
     const tasksPath = tasksJsonPath;
 
-    logWrapper.info(
-      `Updating task with ID ${taskId} with details: ${details.substring(0, 100)}${details.length > 100 ? "..." : ""}`,
-    );
+    if (hasDetails) {
+      logWrapper.info(
+        `Updating task with ID ${taskId} with details: ${details.substring(0, 100)}${details.length > 100 ? "..." : ""}`,
+      );
+    }
 
     const wasSilent = isSilentMode();
     if (!wasSilent) {
@@ -101,6 +105,26 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
     }
 
     try {
+      const estimateResult =
+        estimate !== undefined
+          ? setTaskEstimate(tasksPath, taskId, estimate)
+          : undefined;
+      if (!hasDetails) {
+        const message = `Successfully set the estimate of task ${taskId}`;
+        logWrapper.success(message);
+        return {
+          success: true,
+          data: {
+            message,
+            taskId,
+            tasksPath,
+            updated: true,
+            estimate: estimateResult,
+          },
+          fromCache: false,
+        };
+      }
+
       // Execute core updateTaskById function with proper parameters
       const coreResult = await updateTaskById(
         tasksPath,
@@ -128,6 +152,7 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
             message: message,
             taskId: taskId,
             updated: false,
+            estimate: estimateResult,
             telemetryData: coreResult?.telemetryData,
           },
           fromCache: false,
@@ -145,6 +170,7 @@ export async function updateTaskByIdDirect(args, log, context = {}) {
           tasksPath: tasksPath,
           updated: true,
           updatedTask: coreResult.updatedTask,
+          estimate: estimateResult,
           telemetryData: coreResult.telemetryData,
         },
         fromCache: false,
@@ -0,0 +1,82 @@
+/**
+ * prompts/close-task.js
+ * Prompt closing out a task with a summary of the work
+ */
+
+import { isCompleteStatus } from "#scripts/workflow.js";
+import {
+  readPromptTasks,
+  getPromptTask,
+  getOpenDependents,
+  formatPromptTask,
+  getWorkflowStatuses,
+  completeTaskId,
+  joinLines,
+} from "./utils.js";
+
+/**
+ * Register the close_task prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ */
+export function registerCloseTaskPrompt(server, getProject) {
+  server.addPrompt({
+    name: "close_task",
+    description:
+      "Close out a task or subtask: check the work against its test strategy, record a summary, mark it complete and see what it unblocks.",
+    arguments: [
+      {
+        name: "id",
+        description: "Task or subtask ID to close, e.g. '5' or '5.2'",
+        required: true,
+        complete: completeTaskId(getProject),
+      },
+      {
+        name: "summary",
+        description:
+          "What was done. Written from the work and the task if left out.",
+      },
+    ],
+    load: async ({ id, summary }, auth) => {
+      const context = readPromptTasks(getProject(auth).tasksJsonPath);
+      const { tasks, workflow } = context;
+      const { item, task, isSubtask } = getPromptTask(tasks, id);
+      const kind = isSubtask ? "subtask" : "task";
+      const update = isSubtask ? "update_subtask" : "update_task";
+      const statuses = getWorkflowStatuses(workflow);
+
+      const openSubtasks = isSubtask
+        ? []
+        : (task.subtasks || [])
+            .filter(
+              (subtask) =>
+                !isCompleteStatus(subtask.status || "pending", workflow),
+            )
+            .map(
+              (subtask) =>
+                `${task.id}.${subtask.id}: ${subtask.title} (${subtask.status || "pending"})`,
+            );
+      const dependents = getOpenDependents(tasks, String(id), workflow);
+
+      return joinLines([
+        `Close out ${kind} ${id}: ${item.title}.`,
+        "",
+        isSubtask && `It belongs to task ${task.id}:\n`,
+        formatPromptTask(task, context),
+        "",
+        summary && `Summary of the work:\n\n${summary}\n`,
+        "Steps:",
+        openSubtasks.length > 0 &&
+          `- Finish, or close as no longer needed, its open subtasks first: ${openSubtasks.join(", ")}.`,
+        `- Check the work against the ${isSubtask ? "subtask's details" : "test strategy and details"} above, and run the tests.`,
+        summary
+          ? `- Record the summary with ${update} (id "${id}").`
+          : `- Write a short summary of what was done, what changed and anything left for later, and record it with ${update} (id "${id}").`,
+        `- Set the status to "${statuses.done}" with set_task_status.`,
+        dependents.length > 0
+          ? `- Completing it unblocks ${dependents.join(", ")}. Say which of them are now ready to start.`
+          : "- Use next_task to find what to work on next.",
+      ]);
+    },
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * prompts/index.js
+ * Register the LMTasker MCP prompts: standard task workflows, filled in
+ * with the tasks they are about
+ */
+
+import logger from "../../logger.js";
+import { createProjectResolver } from "../../tools/utils.js";
+import { registerPlanFeaturePrompt } from "./plan-feature.js";
+import { registerStartNextTaskPrompt } from "./start-next-task.js";
+import { registerCloseTaskPrompt } from "./close-task.js";
+import { registerReviewBlockedWorkPrompt } from "./review-blocked-work.js";
+
+/**
+ * Register all LMTasker prompts with the MCP server
+ * @param {FastMCP} server - The MCP server instance, before it starts
+ */
+export function registerLMTaskerPrompts(server) {
+  const getProject = createProjectResolver(server, logger);
+
+  registerPlanFeaturePrompt(server, getProject);
+  registerStartNextTaskPrompt(server, getProject);
+  registerCloseTaskPrompt(server, getProject);
+  registerReviewBlockedWorkPrompt(server, getProject);
+}
@@ -0,0 +1,57 @@
+/**
+ * prompts/plan-feature.js
+ * Prompt breaking a feature down into tasks
+ */
+
+import { readPromptTasks, joinLines } from "./utils.js";
+
+/**
+ * Register the plan_feature prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ */
+export function registerPlanFeaturePrompt(server, getProject) {
+  server.addPrompt({
+    name: "plan_feature",
+    description:
+      "Plan a feature into LM-Tasker tasks with subtasks and dependencies, alongside the tasks the project already has.",
+    arguments: [
+      {
+        name: "feature",
+        description:
+          "The feature to plan: what it should do and any constraints",
+        required: true,
+      },
+    ],
+    load: async ({ feature }, auth) => {
+      let context = { tasks: [], tag: null };
+      try {
+        context = readPromptTasks(getProject(auth).tasksJsonPath);
+      } catch {
+        // No tasks yet; add_task sets the project up
+      }
+      const { tasks, tag } = context;
+
+      return joinLines([
+        `Plan the following feature as LM-Tasker tasks${tag ? ` (tag "${tag}")` : ""}:`,
+        "",
+        feature,
+        "",
+        "Existing tasks:",
+        ...(tasks.length > 0
+          ? tasks.map(
+              (task) =>
+                `- ${task.id}: ${task.title} (${task.status || "pending"})`,
+            )
+          : ["None yet."]),
+        "",
+        "Steps:",
+        "1. Break the feature into tasks that can each be finished and verified on their own. Extend existing tasks with update_task rather than duplicating them.",
+        "2. Create each task with add_task, with details, a testStrategy and dependencies on the tasks it builds on, existing or new.",
+        "3. Split tasks of several steps into subtasks with add_subtask.",
+        "4. Add the dependencies that are still missing with add_dependency, then check them with validate_dependencies.",
+        "5. Summarize the plan: the tasks created, in the order they can be worked on.",
+      ]);
+    },
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * prompts/review-blocked-work.js
+ * Prompt reviewing the work that cannot go ahead
+ */
+
+import { analyzeTaskGraph } from "#scripts/task-manager/analyze-tasks.js";
+import { isCompleteStatus } from "#scripts/workflow.js";
+import { readPromptTasks, getOpenDependencies, joinLines } from "./utils.js";
+
+/**
+ * Register the review_blocked_work prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ */
+export function registerReviewBlockedWorkPrompt(server, getProject) {
+  server.addPrompt({
+    name: "review_blocked_work",
+    description:
+      "Review the tasks that cannot go ahead: those waiting on dependencies, marked blocked, or stuck behind missing, cancelled or deferred work, with what would unblock the most.",
+    load: async (args, auth) => {
+      const { tasks, tag, workflow } = readPromptTasks(
+        getProject(auth).tasksJsonPath,
+      );
+      const analysis = analyzeTaskGraph(tasks, { limit: 3, workflow });
+
+      const waiting = [];
+      const markedBlocked = [];
+      for (const task of tasks) {
+        for (const item of [task, ...(task.subtasks || [])]) {
+          const status = item.status || "pending";
+          if (isCompleteStatus(status, workflow)) {
+            continue;
+          }
+          const id = item === task ? `${task.id}` : `${task.id}.${item.id}`;
+          const label = `${id}: ${item.title} (${status})`;
+          const openDependencies = getOpenDependencies(
+            item,
+            task,
+            tasks,
+            workflow,
+          );
+          if (openDependencies.length > 0) {
+            waiting.push(`- ${label} waits on ${openDependencies.join(", ")}`);
+          }
+          if (status === "blocked") {
+            markedBlocked.push(`- ${label}`);
+          }
+        }
+      }
+      const stuck = analysis.deadEnds.map(
+        (task) =>
+          `- ${task.id}: ${task.title} ← ${task.blockedBy.map((blocker) => `${blocker.id} ${blocker.reason}`).join(", ")}`,
+      );
+      const cycles = analysis.cycles.map(
+        (task) => `- ${task.id}: ${task.title}`,
+      );
+      const unblockers = analysis.unblockers.map(
+        (task) =>
+          `- ${task.id}: ${task.title} (${task.status}) unblocks ${task.unblocks} task(s)${task.ready ? ", ready to start" : ""}`,
+      );
+      const section = (title, lines) =>
+        lines.length > 0 && `${title}\n${lines.join("\n")}\n`;
+
+      const { summary } = analysis;
+      return joinLines([
+        `Review the blocked work in LM-Tasker (tag "${tag}"): ${summary.open} of ${summary.tasks} tasks are open, ${summary.ready} ready and ${summary.blocked} blocked.`,
+        "",
+        section("Waiting on dependencies:", waiting),
+        section("Marked blocked:", markedBlocked),
+        section("Stuck behind missing, cancelled or deferred work:", stuck),
+        section("On dependency cycles:", cycles),
+        section("Finishing these would unblock the most:", unblockers),
+        waiting.length + markedBlocked.length + stuck.length + cycles.length ===
+          0 && "Nothing is blocked.\n",
+        "Steps:",
+        "1. For each blocked task, explain what it waits on and whether that is still needed. Use get_task for the details.",
+        "2. Suggest the order to work through the blockers in, starting with those that unblock the most.",
+        "3. Propose fixes for dependencies that are wrong or stuck: remove_dependency, fix_dependencies for missing ones, and a decision on cancelled or deferred work.",
+        "4. Make no changes until they are agreed on.",
+      ]);
+    },
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * prompts/start-next-task.js
+ * Prompt starting work on the next task, or on a given one
+ */
+
+import { findNextTask } from "#scripts/task-manager.js";
+import { isCompleteStatus } from "#scripts/workflow.js";
+import {
+  readPromptTasks,
+  getPromptTask,
+  getOpenDependencies,
+  formatPromptTask,
+  getWorkflowStatuses,
+  completeTaskId,
+  joinLines,
+} from "./utils.js";
+
+/**
+ * Register the start_next_task prompt with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ */
+export function registerStartNextTaskPrompt(server, getProject) {
+  server.addPrompt({
+    name: "start_next_task",
+    description:
+      "Start working on the next task that is ready (as found by next_task), or on a given task or subtask, with its details, dependencies and subtasks filled in.",
+    arguments: [
+      {
+        name: "id",
+        description:
+          "Task or subtask ID to start, e.g. '5' or '5.2'. Defaults to the next task ready to work on.",
+        complete: completeTaskId(getProject),
+      },
+    ],
+    load: async ({ id } = {}, auth) => {
+      const context = readPromptTasks(getProject(auth).tasksJsonPath);
+      const { tasks, workflow } = context;
+
+      const itemId = id || findNextTask(tasks, workflow)?.id;
+      if (itemId === undefined) {
+        return "No task is ready to start: every open task waits on dependencies that are not complete. Use the review_blocked_work prompt to find out what blocks them.";
+      }
+      const { item, task, isSubtask } = getPromptTask(tasks, String(itemId));
+      const status = item.status || "pending";
+      if (isCompleteStatus(status, workflow)) {
+        throw new Error(`Task ${itemId} is already ${status}`);
+      }
+      const openDependencies = getOpenDependencies(item, task, tasks, workflow);
+      const statuses = getWorkflowStatuses(workflow);
+      const update = isSubtask ? "update_subtask" : "update_task";
+
+      return joinLines([
+        `Start working on ${isSubtask ? "subtask" : "task"} ${itemId}: ${item.title}${id ? "" : ", the next task ready to work on"}.`,
+        openDependencies.length > 0 &&
+          `Note that it still depends on work that is not complete: ${openDependencies.join(", ")}.`,
+        "",
+        isSubtask && `It belongs to task ${task.id}:\n`,
+        formatPromptTask(task, context),
+        "",
+        "Steps:",
+        statuses.start
+          ? `1. Set its status to "${statuses.start}" with set_task_status (id "${itemId}").`
+          : `1. Set its status with set_task_status (id "${itemId}") to the status of your workflow for work in progress.`,
+        isSubtask
+          ? "2. Use the parent task above for context, and implement what the subtask describes."
+          : item.subtasks?.length > 0
+            ? "2. Work through its subtasks in order, starting each one with set_task_status."
+            : "2. Implement what the details describe, following the test strategy.",
+        `3. Log progress, decisions and findings with ${update} as you go.`,
+        `4. When the work is done and verified, use the close_task prompt, or set the status to "${statuses.done}".`,
+      ]);
+    },
+  });
+}
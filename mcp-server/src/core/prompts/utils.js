@@ -0,0 +1,192 @@
+/**
+ * prompts/utils.js
+ * Utility functions for the LMTasker MCP prompts
+ */
+
+import { readJSON, findTaskById } from "#scripts/utils.js";
+import { getCurrentTag } from "#scripts/tag-manager.js";
+import { getTasksWorkflow, isCompleteStatus } from "#scripts/workflow.js";
+import { formatMarkdownTaskFile } from "#scripts/task-files.js";
+
+// Most values an argument completion may return
+const MAX_COMPLETIONS = 100;
+
+/**
+ * Read the tasks a prompt is filled in from
+ * @param {string} tasksJsonPath - Path to the tasks.json file
+ * @returns {{tasks: Array, tag: string, workflow: Object}} Tasks of the current tag and the project workflow
+ * @throws {Error} If the tasks file is missing or invalid
+ */
+function readPromptTasks(tasksJsonPath) {
+  const data = readJSON(tasksJsonPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksJsonPath}`);
+  }
+  return {
+    tasks: data.tasks,
+    tag: getCurrentTag(tasksJsonPath),
+    workflow: getTasksWorkflow(tasksJsonPath),
+  };
+}
+
+/**
+ * Find a task or subtask by ID
+ * @param {Array} tasks - Tasks of the tag
+ * @param {string} id - Task or subtask ID, e.g. "5" or "5.2"
+ * @returns {{item: Object, task: Object, isSubtask: boolean}} The task or subtask, and the task it is or belongs to
+ * @throws {Error} If there is no such task or subtask
+ */
+function getPromptTask(tasks, id) {
+  const { task: item } = findTaskById(tasks, String(id));
+  if (!item) {
+    throw new Error(`Task or subtask with ID ${id} not found`);
+  }
+  const task = tasks.find((other) => other.id === parseInt(id, 10));
+  return { item, task, isSubtask: item !== task };
+}
+
+/**
+ * Status of a task or subtask, e.g. "5" or "5.2"
+ * @param {Array} tasks - Tasks of the tag
+ * @param {string} id - Task or subtask ID
+ * @returns {string|null} The status, or null if there is no such task
+ */
+function getStatusOf(tasks, id) {
+  const [taskId, subtaskId] = String(id).split(".").map(Number);
+  const task = tasks.find((other) => other.id === taskId);
+  const item =
+    subtaskId === undefined
+      ? task
+      : task?.subtasks?.find((subtask) => subtask.id === subtaskId);
+  return item ? item.status || "pending" : null;
+}
+
+/**
+ * Dependencies of a task or subtask that are not complete yet
+ * @param {Object} item - Task or subtask
+ * @param {Object} task - The task, or the task the subtask belongs to
+ * @param {Array} tasks - Tasks of the tag
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {string[]} e.g. ["3 (in-progress)", "5.2 (not found)"]
+ */
+function getOpenDependencies(item, task, tasks, workflow) {
+  return (item.dependencies || [])
+    .map((dependency) =>
+      // Numeric subtask dependencies refer to siblings
+      item !== task && typeof dependency === "number"
+        ? `${task.id}.${dependency}`
+        : String(dependency),
+    )
+    .map((id) => ({ id, status: getStatusOf(tasks, id) }))
+    .filter(({ status }) => !status || !isCompleteStatus(status, workflow))
+    .map(({ id, status }) => `${id} (${status || "not found"})`);
+}
+
+/**
+ * Open tasks and subtasks that depend on a task or subtask
+ * @param {Array} tasks - Tasks of the tag
+ * @param {string} id - Task or subtask ID
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {string[]} e.g. ["4: Write the docs"]
+ */
+function getOpenDependents(tasks, id, workflow) {
+  const isOpen = (item) =>
+    !isCompleteStatus(item.status || "pending", workflow);
+  const dependents = [];
+  for (const task of tasks) {
+    if (isOpen(task) && (task.dependencies || []).map(String).includes(id)) {
+      dependents.push(`${task.id}: ${task.title}`);
+    }
+    for (const subtask of task.subtasks || []) {
+      const dependencies = (subtask.dependencies || []).map((dependency) =>
+        typeof dependency === "number"
+          ? `${task.id}.${dependency}`
+          : String(dependency),
+      );
+      if (isOpen(subtask) && dependencies.includes(id)) {
+        dependents.push(`${task.id}.${subtask.id}: ${subtask.title}`);
+      }
+    }
+  }
+  return dependents;
+}
+
+/**
+ * Format a task for a prompt, as in Markdown task files, with its
+ * dependencies linked to their lm-tasker://task/{id} resources
+ * @param {Object} task - Task
+ * @param {{tasks: Array, tag: string, workflow: Object}} context - From readPromptTasks
+ * @returns {string} Markdown
+ */
+function formatPromptTask(task, context) {
+  return formatMarkdownTaskFile(task, context.tasks, {
+    tag: context.tag,
+    workflow: context.workflow,
+    linkTarget: (target) => `lm-tasker://task/${target.id}`,
+  }).trimEnd();
+}
+
+/**
+ * Statuses the prompts tell the client to set, following the workflow's
+ * roll-up rules
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {{start: string|null, done: string}} Status for work in progress, if the workflow has one, and for finished work
+ */
+function getWorkflowStatuses(workflow) {
+  return {
+    start: workflow.rollup.onSubtaskStarted,
+    done:
+      workflow.rollup.onSubtasksComplete ||
+      workflow.statuses.find((status) => status.complete).name,
+  };
+}
+
+/**
+ * Create an argument completer offering the task and subtask IDs that start
+ * with what was typed
+ * @param {Function} getProject - Returns the tasksJsonPath a session reads
+ * @returns {Function} Completer for a prompt argument
+ */
+function completeTaskId(getProject) {
+  return async (value, auth) => {
+    let tasks;
+    try {
+      ({ tasks } = readPromptTasks(getProject(auth).tasksJsonPath));
+    } catch {
+      return { values: [] };
+    }
+    const ids = tasks
+      .flatMap((task) => [
+        String(task.id),
+        ...(task.subtasks || []).map((subtask) => `${task.id}.${subtask.id}`),
+      ])
+      .filter((id) => id.startsWith(value));
+    return {
+      values: ids.slice(0, MAX_COMPLETIONS),
+      total: ids.length,
+      hasMore: ids.length > MAX_COMPLETIONS,
+    };
+  };
+}
+
+/**
+ * Join the lines of a prompt, leaving out empty ones (null, undefined or false)
+ * @param {Array<string|null|undefined|false>} lines - Lines
+ * @returns {string} Prompt text
+ */
+function joinLines(lines) {
+  return lines
+    .filter((line) => line !== null && line !== undefined && line !== false)
+    .join("\n");
+}
+
+export {
+  readPromptTasks,
+  getPromptTask,
+  getOpenDependencies,
+  getOpenDependents,
+  formatPromptTask,
+  getWorkflowStatuses,
+  completeTaskId,
+  joinLines,
+};
@@ -0,0 +1,30 @@
+/**
+ * resources/dependency-graph.js
+ * Resource rendering the task dependency graph as Mermaid
+ */
+
+import { dependencyGraphDirect } from "../task-master-core.js";
+import { getResultData } from "./utils.js";
+
+/**
+ * Register the lm-tasker://graph resource with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ * @param {Object} log - Logger object
+ */
+export function registerDependencyGraphResource(server, getProject, log) {
+  server.addResource({
+    uri: "lm-tasker://graph",
+    name: "Dependency Graph",
+    description:
+      "The dependency graph of tasks and subtasks as a Mermaid flowchart in Markdown, as rendered by get_dependency_graph.",
+    mimeType: "text/markdown",
+    load: async (auth) => {
+      const { tasksJsonPath } = getProject(auth);
+      const { graph } = getResultData(
+        await dependencyGraphDirect({ tasksJsonPath, format: "mermaid" }, log),
+      );
+      return { text: `\`\`\`mermaid\n${graph.trimEnd()}\n\`\`\`\n` };
+    },
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * resources/index.js
+ * Register the LMTasker MCP resources: live views of the tasks that clients
+ * can read and subscribe to
+ */
+
+import logger from "../../logger.js";
+import {
+  createProjectResolver,
+  getRequestProjectRoot,
+} from "../../tools/utils.js";
+import { registerTasksResource } from "./tasks.js";
+import { registerTaskResource } from "./task.js";
+import { registerNextTaskResource } from "./next-task.js";
+import { registerDependencyGraphResource } from "./dependency-graph.js";
+import { enableResourceSubscriptions } from "./subscriptions.js";
+
+/**
+ * Register all LMTasker resources with the MCP server and let clients
+ * subscribe to them
+ * @param {FastMCP} server - The MCP server instance, before it starts
+ * @returns {{close: Function}} Resource subscriptions; close() stops watching the tasks file
+ */
+export function registerLMTaskerResources(server) {
+  const getProject = createProjectResolver(server, logger);
+
+  registerTasksResource(server, getProject, logger);
+  registerTaskResource(server, getProject, logger);
+  registerNextTaskResource(server, getProject, logger);
+  registerDependencyGraphResource(server, getProject, logger);
+
+  // The subscribe request of an HTTP session carries the project it reads;
+  // a stdio session has no requestInfo and reads the first session's root
+  return enableResourceSubscriptions(
+    server,
+    (extra) =>
+      getProject(
+        extra.requestInfo && {
+          projectRoot: getRequestProjectRoot(extra.requestInfo.headers),
+        },
+      ).tasksJsonPath,
+    logger,
+  );
+}
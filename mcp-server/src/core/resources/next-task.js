@@ -0,0 +1,28 @@
+/**
+ * resources/next-task.js
+ * Resource showing the next task to work on
+ */
+
+import { nextTaskDirect } from "../task-master-core.js";
+import { getResultData, jsonContent } from "./utils.js";
+
+/**
+ * Register the lm-tasker://next resource with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ * @param {Object} log - Logger object
+ */
+export function registerNextTaskResource(server, getProject, log) {
+  server.addResource({
+    uri: "lm-tasker://next",
+    name: "Next Task",
+    description:
+      "The next task or subtask to work on based on dependencies, status and priority, as returned by next_task. nextTask is null when nothing is ready.",
+    mimeType: "application/json",
+    load: async (auth) => {
+      const { tasksJsonPath } = getProject(auth);
+      const result = await nextTaskDirect({ tasksJsonPath }, log);
+      return jsonContent(getResultData(result));
+    },
+  });
+}
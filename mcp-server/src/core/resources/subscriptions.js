@@ -0,0 +1,140 @@
+/**
+ * resources/subscriptions.js
+ * Resource subscriptions, notifying clients when the tasks file changes
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { onSessionConnecting } from "../utils/session-hooks.js";
+
+// Wait this long after the last change before notifying, in milliseconds
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Let clients subscribe to resources, and send them a resources/updated
+ * notification for each resource they subscribed to whenever their tasks
+ * file changes, so they can read it again instead of polling. Sessions of an
+ * HTTP server may read different projects, so each tasks file is watched
+ * only while someone subscribed to its resources.
+ * @param {FastMCP} server - FastMCP server instance, before it starts
+ * @param {Function} getTasksPath - Called with the extra of a subscribe request (its requestInfo holds the HTTP headers), returns the path of the tasks file the session's resources read
+ * @param {Object} log - Logger object
+ * @param {Object} [options] - Options
+ * @param {number} [options.debounceMs=300] - Quiet period before notifying
+ * @returns {{close: Function}} Subscriptions; close() stops watching
+ */
+export function enableResourceSubscriptions(
+  server,
+  getTasksPath,
+  log,
+  options = {},
+) {
+  const { debounceMs = DEFAULT_DEBOUNCE_MS } = options;
+  // Tasks file and resource URIs each session subscribed to
+  const subscriptions = new Map();
+  // Watcher and pending notification of each tasks file
+  const watchers = new Map();
+
+  const notify = async (tasksPath) => {
+    watchers.get(tasksPath).timer = null;
+    for (const [session, subscription] of subscriptions) {
+      if (subscription.tasksPath !== tasksPath) {
+        continue;
+      }
+      for (const uri of subscription.uris) {
+        try {
+          await session.server.sendResourceUpdated({ uri });
+        } catch (error) {
+          log.warn(`Could not notify the update of ${uri}: ${error.message}`);
+        }
+      }
+    }
+  };
+
+  // Writes replace the tasks file (see writeJSON), which ends a watch on the
+  // file itself, so watch its directory instead
+  const watchTasksFile = (tasksPath) => {
+    if (watchers.has(tasksPath)) {
+      return;
+    }
+    const fileName = path.basename(tasksPath);
+    const watched = { timer: null };
+    watched.watcher = fs.watch(
+      path.dirname(tasksPath),
+      (eventType, changedFile) => {
+        if (changedFile && changedFile !== fileName) {
+          return;
+        }
+        clearTimeout(watched.timer);
+        watched.timer = setTimeout(() => notify(tasksPath), debounceMs);
+      },
+    );
+    watchers.set(tasksPath, watched);
+    log.info(`Watching ${tasksPath} for resource subscribers`);
+  };
+
+  const unwatchUnused = () => {
+    const used = new Set(
+      [...subscriptions.values()].map(({ tasksPath }) => tasksPath),
+    );
+    for (const [tasksPath, { watcher, timer }] of watchers) {
+      if (!used.has(tasksPath)) {
+        clearTimeout(timer);
+        watcher.close();
+        watchers.delete(tasksPath);
+      }
+    }
+  };
+
+  const unsubscribe = (session, uri) => {
+    const uris = subscriptions.get(session)?.uris;
+    uris?.delete(uri);
+    if (uris?.size === 0) {
+      subscriptions.delete(session);
+    }
+    unwatchUnused();
+  };
+
+  // FastMCP does not support resource subscriptions, so advertise and handle
+  // them on each session's MCP server before the session connects
+  const setUpSession = (session) => {
+    session.server.registerCapabilities({ resources: { subscribe: true } });
+    session.server.setRequestHandler(
+      SubscribeRequestSchema,
+      async (request, extra) => {
+        if (!subscriptions.has(session)) {
+          const tasksPath = path.resolve(getTasksPath(extra));
+          watchTasksFile(tasksPath);
+          subscriptions.set(session, { tasksPath, uris: new Set() });
+        }
+        subscriptions.get(session).uris.add(request.params.uri);
+        return {};
+      },
+    );
+    session.server.setRequestHandler(
+      UnsubscribeRequestSchema,
+      async (request) => {
+        unsubscribe(session, request.params.uri);
+        return {};
+      },
+    );
+  };
+  const removeSetUp = onSessionConnecting(setUpSession);
+
+  server.on("disconnect", ({ session }) => {
+    subscriptions.delete(session);
+    unwatchUnused();
+  });
+
+  return {
+    close() {
+      removeSetUp();
+      subscriptions.clear();
+      unwatchUnused();
+    },
+  };
+}
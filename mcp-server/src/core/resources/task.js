@@ -0,0 +1,51 @@
+/**
+ * resources/task.js
+ * Resource template for a single task or subtask
+ */
+
+import { showTaskDirect } from "../task-master-core.js";
+import { readJSON } from "#scripts/utils.js";
+import { getCurrentTag } from "#scripts/tag-manager.js";
+import { getTasksWorkflow } from "#scripts/workflow.js";
+import { formatMarkdownTaskFile } from "#scripts/task-files.js";
+import { getResultData, jsonContent } from "./utils.js";
+
+/**
+ * Register the lm-tasker://task/{id} resource template with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ * @param {Object} log - Logger object
+ */
+export function registerTaskResource(server, getProject, log) {
+  server.addResourceTemplate({
+    uriTemplate: "lm-tasker://task/{id}",
+    name: "Task",
+    description:
+      "A task or subtask by ID as JSON. Tasks also come as Markdown, in the format of Markdown task files, with their dependencies linked to their own resources.",
+    mimeType: "application/json",
+    arguments: [
+      {
+        name: "id",
+        description: "Task or subtask ID, e.g. '5' or '5.2'",
+        required: true,
+      },
+    ],
+    load: async ({ id }, auth) => {
+      const { projectRoot, tasksJsonPath } = getProject(auth);
+      const task = getResultData(
+        await showTaskDirect({ id, projectRoot, file: tasksJsonPath }, log),
+      );
+      if (String(id).includes(".")) {
+        return jsonContent(task);
+      }
+
+      const data = readJSON(tasksJsonPath);
+      const markdown = formatMarkdownTaskFile(task, data.tasks, {
+        tag: getCurrentTag(tasksJsonPath),
+        workflow: getTasksWorkflow(tasksJsonPath),
+        linkTarget: (target) => `lm-tasker://task/${target.id}`,
+      });
+      return [jsonContent(task), { mimeType: "text/markdown", text: markdown }];
+    },
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * resources/tasks.js
+ * Resource listing the tasks of the current tag
+ */
+
+import { listTasksDirect } from "../task-master-core.js";
+import { getResultData, jsonContent } from "./utils.js";
+
+/**
+ * Register the lm-tasker://tasks resource with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {Function} getProject - Returns the projectRoot and tasksJsonPath a session reads
+ * @param {Object} log - Logger object
+ */
+export function registerTasksResource(server, getProject, log) {
+  server.addResource({
+    uri: "lm-tasker://tasks",
+    name: "Tasks",
+    description:
+      "All tasks of the current tag with their subtasks and status counts, as returned by get_tasks. Subscribe to be notified when they change.",
+    mimeType: "application/json",
+    load: async (auth) => {
+      const { tasksJsonPath } = getProject(auth);
+      const result = await listTasksDirect(
+        { tasksJsonPath, withSubtasks: true },
+        log,
+      );
+      return jsonContent(getResultData(result));
+    },
+  });
+}
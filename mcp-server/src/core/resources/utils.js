@@ -0,0 +1,32 @@
+/**
+ * resources/utils.js
+ * Utility functions for the LMTasker MCP resources
+ */
+
+/**
+ * Get the data of a direct function result, throwing its error otherwise so
+ * the client receives it as the error of the resource read
+ * @param {Object} result - Result of a direct function
+ * @returns {*} The data of the result
+ * @throws {Error} If the direct function failed
+ */
+function getResultData(result) {
+  if (!result.success) {
+    throw new Error(result.error?.message || "Unknown error");
+  }
+  return result.data;
+}
+
+/**
+ * Create the contents of a JSON resource
+ * @param {*} value - Value to serialize
+ * @returns {{mimeType: string, text: string}} Resource contents
+ */
+function jsonContent(value) {
+  return {
+    mimeType: "application/json",
+    text: JSON.stringify(value, null, 2),
+  };
+}
+
+export { getResultData, jsonContent };
@@ -28,6 +28,14 @@ import { fixDependenciesDirect } from "./direct-functions/fix-dependencies.js";
 import { addDependencyDirect } from "./direct-functions/add-dependency.js";
 import { removeTaskDirect } from "./direct-functions/remove-task.js";
 import { moveTaskDirect } from "./direct-functions/move-task.js";
+import { undoOperationDirect } from "./direct-functions/undo-operation.js";
+import { getHistoryDirect } from "./direct-functions/get-history.js";
+import { getTaskHistoryDirect } from "./direct-functions/get-task-history.js";
+import { exportTasksDirect } from "./direct-functions/export-tasks.js";
+import { importTasksDirect } from "./direct-functions/import-tasks.js";
+import { applyTaskBatchDirect } from "./direct-functions/apply-task-batch.js";
+import { dependencyGraphDirect } from "./direct-functions/dependency-graph.js";
+import { analyzeDependenciesDirect } from "./direct-functions/analyze-dependencies.js";
 
 // Re-export utility functions
 export { findTasksJsonPath } from "./utils/path-utils.js";
@@ -57,6 +65,14 @@ export const directFunctions = new Map([
   ["addDependencyDirect", addDependencyDirect],
   ["removeTaskDirect", removeTaskDirect],
   ["moveTaskDirect", moveTaskDirect],
+  ["undoOperationDirect", undoOperationDirect],
+  ["getHistoryDirect", getHistoryDirect],
+  ["getTaskHistoryDirect", getTaskHistoryDirect],
+  ["exportTasksDirect", exportTasksDirect],
+  ["importTasksDirect", importTasksDirect],
+  ["applyTaskBatchDirect", applyTaskBatchDirect],
+  ["dependencyGraphDirect", dependencyGraphDirect],
+  ["analyzeDependenciesDirect", analyzeDependenciesDirect],
 ]);
 
 // Re-export all direct function implementations
@@ -80,4 +96,12 @@ export {
   addDependencyDirect,
   removeTaskDirect,
   moveTaskDirect,
+  undoOperationDirect,
+  getHistoryDirect,
+  getTaskHistoryDirect,
+  exportTasksDirect,
+  importTasksDirect,
+  applyTaskBatchDirect,
+  dependencyGraphDirect,
+  analyzeDependenciesDirect,
 };
@@ -0,0 +1,233 @@
+/**
+ * async-manager.js
+ * In-process manager for long-running MCP tool operations: tools start them
+ * in the background and return an operation ID, which clients poll with
+ * get_operation_status and can cancel with cancel_operation.
+ */
+
+import crypto from "crypto";
+import { AsyncResource } from "async_hooks";
+
+// Keep finished operations this long, in milliseconds, and at most this many
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_FINISHED = 100;
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * Runs operations one at a time, in the order they were added, so
+ * background writes to a tasks file do not race each other. Operations run
+ * in the async context they were added in, so their writes are journaled
+ * with the tool call that started them and apply to its tag.
+ */
+export class AsyncOperationManager {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.retentionMs=3600000] - How long finished operations can be looked up
+   * @param {number} [options.maxFinished=100] - How many finished operations are kept at most
+   */
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS;
+    this.maxFinished = options.maxFinished ?? DEFAULT_MAX_FINISHED;
+    this.operations = new Map();
+    this.queue = [];
+    this.running = null;
+  }
+
+  /**
+   * Add an operation, which starts once the operations added before it are
+   * finished. `operationFn` is called like a *Direct function, as
+   * `operationFn(args, log, { session, reportProgress, signal })`; a
+   * `{success: false, error}` result fails the operation, and the `data` of
+   * a successful one is its result. `signal` is aborted when the operation
+   * is cancelled while it runs; operations call checkpoint() before each
+   * write to report progress and stop there.
+   * @param {Function} operationFn - Async function to run
+   * @param {Object} args - Arguments for the function
+   * @param {Object} context - Context
+   * @param {string} context.name - What runs, e.g. the tool name
+   * @param {Object} context.log - Logger object
+   * @param {Object} [context.session] - MCP session
+   * @returns {string} Operation ID
+   */
+  addOperation(operationFn, args, context) {
+    const { name, log, session } = context;
+    const id = `op-${crypto.randomUUID()}`;
+    const controller = new AbortController();
+    const operation = {
+      id,
+      name,
+      status: "pending",
+      progress: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller,
+      run: AsyncResource.bind(() =>
+        operationFn(args, log, {
+          session,
+          signal: controller.signal,
+          reportProgress: (progress) => {
+            operation.progress = progress;
+          },
+        }),
+      ),
+      log,
+    };
+    this.operations.set(id, operation);
+    this.queue.push(operation);
+    log.info(`Operation ${id} (${name}) added`);
+    // After the tool call that added it has returned
+    setImmediate(() => this.#runNext());
+    return id;
+  }
+
+  /**
+   * Start the next pending operation, unless one is running
+   */
+  async #runNext() {
+    if (this.running || this.queue.length === 0) {
+      return;
+    }
+    const operation = this.queue.shift();
+    this.running = operation;
+    operation.status = "running";
+    operation.startedAt = new Date().toISOString();
+    try {
+      const result = await operation.run();
+      if (result?.success === false) {
+        this.#finish(
+          operation,
+          operation.controller.signal.aborted ? "cancelled" : "failed",
+          {
+            error: result.error || {
+              code: "OPERATION_FAILED",
+              message: "Unknown error",
+            },
+          },
+        );
+      } else {
+        this.#finish(operation, "completed", {
+          result: result?.success === true ? result.data : result,
+        });
+      }
+    } catch (error) {
+      this.#finish(
+        operation,
+        operation.controller.signal.aborted ? "cancelled" : "failed",
+        { error: { code: "OPERATION_FAILED", message: error.message } },
+      );
+    }
+    this.running = null;
+    this.#runNext();
+  }
+
+  /**
+   * Record how an operation finished and forget old finished operations
+   * @param {Object} operation - Operation
+   * @param {string} status - completed, failed or cancelled
+   * @param {Object} outcome - {result} or {error}
+   */
+  #finish(operation, status, { result = null, error = null }) {
+    Object.assign(operation, {
+      status,
+      result,
+      error,
+      finishedAt: new Date().toISOString(),
+    });
+    operation.log.info(
+      `Operation ${operation.id} (${operation.name}) ${status}`,
+    );
+    this.#prune();
+  }
+
+  /**
+   * Forget finished operations older than the retention period, and the
+   * oldest ones beyond the maximum
+   */
+  #prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    const finished = [...this.operations.values()].filter((operation) =>
+      FINISHED_STATUSES.includes(operation.status),
+    );
+    finished.forEach((operation, index) => {
+      if (
+        Date.parse(operation.finishedAt) < cutoff ||
+        index < finished.length - this.maxFinished
+      ) {
+        this.operations.delete(operation.id);
+      }
+    });
+  }
+
+  /**
+   * Get the status of an operation
+   * @param {string} operationId - Operation ID
+   * @returns {Object} The operation's id, name, status (pending, running, completed, failed, cancelled or not_found), progress, timestamps, and result or error
+   */
+  getStatus(operationId) {
+    this.#prune();
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      return {
+        id: operationId,
+        status: "not_found",
+        error: {
+          code: "OPERATION_NOT_FOUND",
+          message: `Operation ID not found: ${operationId}. Finished operations are kept for ${Math.round(this.retentionMs / 60000)} minutes.`,
+        },
+      };
+    }
+    const { controller, run, log, ...status } = operation;
+    return {
+      ...status,
+      ...(operation.status === "running" && controller.signal.aborted
+        ? { cancelRequested: true }
+        : {}),
+    };
+  }
+
+  /**
+   * Cancel an operation. A pending operation is cancelled right away; a
+   * running one has its signal aborted and is cancelled when it stops at its
+   * next checkpoint. What it already wrote stays written (see undo).
+   * @param {string} operationId - Operation ID
+   * @returns {Object} The operation's status after cancelling (see getStatus)
+   */
+  cancel(operationId) {
+    const operation = this.operations.get(operationId);
+    if (operation?.status === "pending") {
+      this.queue.splice(this.queue.indexOf(operation), 1);
+      operation.controller.abort();
+      this.#finish(operation, "cancelled", {});
+    } else if (operation?.status === "running") {
+      operation.controller.abort();
+    }
+    return this.getStatus(operationId);
+  }
+}
+
+/**
+ * Called by operations before each write: reports their progress, lets
+ * other requests (e.g. cancel_operation) run, and stops the operation if it
+ * was cancelled. Outside the manager, e.g. in a tool call made without
+ * background, there is no signal and it only reports progress.
+ * @param {Object} [context] - Third argument of the operation (see addOperation)
+ * @param {Object} [progress] - Progress to report: {progress, total, message}
+ * @throws {Error} If the operation was cancelled
+ */
+export async function checkpoint(context = {}, progress) {
+  const { signal, reportProgress } = context;
+  if (progress) {
+    reportProgress?.(progress);
+  }
+  if (!signal) {
+    return;
+  }
+  await new Promise((resolve) => setImmediate(resolve));
+  if (signal.aborted) {
+    throw new Error("Operation cancelled before writing");
+  }
+}
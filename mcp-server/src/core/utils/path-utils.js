@@ -12,6 +12,7 @@ import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import os from "os";
+import { getTasksFile } from "#scripts/config-manager.js";
 
 // Store last found project root to improve performance on subsequent calls (primarily for CLI)
 export let lastFoundProjectRoot = null;
@@ -180,7 +181,10 @@ function findTasksJsonInDirectory(dirPath, explicitFilePath, log) {
     possiblePaths.push(path.resolve(dirPath, explicitFilePath));
   }
 
-  // 2. Check the standard locations relative to dirPath
+  // 2. The location configured in .lmtaskerconfig / LMTASKER_TASKS_FILE
+  possiblePaths.push(getTasksFile(dirPath));
+
+  // 3. Check the standard locations relative to dirPath
   possiblePaths.push(
     path.join(dirPath, "tasks.json"),
     path.join(dirPath, "tasks", "tasks.json"),
@@ -357,8 +361,8 @@ export function resolveTasksOutputPath(projectRoot, explicitPath, log) {
     return outputPath;
   }
 
-  // Default output path: tasks/tasks.json in the project root
-  const defaultPath = path.resolve(projectRoot, "tasks", "tasks.json");
+  // Default output path: the configured tasks file (tasks/tasks.json unless overridden)
+  const defaultPath = getTasksFile(projectRoot);
   log.info(`Using default tasks output path: ${defaultPath}`);
 
   // Ensure the directory exists
@@ -0,0 +1,41 @@
+/**
+ * session-hooks.js
+ * Set-ups run on each FastMCP session before it connects
+ */
+
+import { FastMCPSession } from "fastmcp";
+
+// Set-ups run as each session connects
+const sessionSetUps = new Set();
+let connectSession = null;
+
+/**
+ * Run a set-up on each FastMCP session before it connects. FastMCP offers no
+ * hook before its `connect` event, which may come after the initialize
+ * handshake: too late to advertise capabilities, and after clients may have
+ * sent requests. So FastMCPSession#connect is wrapped while at least one
+ * set-up is registered, and restored once none is. The wrapper sees the
+ * sessions of every FastMCP server in the process, so only one server should
+ * register set-ups at a time.
+ * @param {Function} setUp - Called with each session and its transport before the session connects
+ * @returns {Function} Removes the set-up
+ */
+export function onSessionConnecting(setUp) {
+  if (sessionSetUps.size === 0) {
+    connectSession = FastMCPSession.prototype.connect;
+    FastMCPSession.prototype.connect = function connect(transport) {
+      for (const sessionSetUp of sessionSetUps) {
+        sessionSetUp(this, transport);
+      }
+      return connectSession.call(this, transport);
+    };
+  }
+  sessionSetUps.add(setUp);
+
+  return () => {
+    if (sessionSetUps.delete(setUp) && sessionSetUps.size === 0) {
+      FastMCPSession.prototype.connect = connectSession;
+      connectSession = null;
+    }
+  };
+}
@@ -3,8 +3,14 @@ import path from "path";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import crypto from "crypto";
 import logger from "./logger.js";
 import { registerLMTaskerTools } from "./tools/index.js";
+import { registerLMTaskerResources } from "./core/resources/index.js";
+import { registerLMTaskerPrompts } from "./core/prompts/index.js";
+import { getRequestProjectRoot, runWithRequestHeaders } from "./tools/utils.js";
+import { AsyncOperationManager } from "./core/utils/async-manager.js";
+import { onSessionConnecting } from "./core/utils/session-hooks.js";
 
 // Load environment variables
 dotenv.config();
@@ -12,6 +18,8 @@ dotenv.config();
 // Constants
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const DEFAULT_HTTP_PORT = 7777;
+const DEFAULT_HTTP_HOST = "127.0.0.1";
 
 /**
  * Main MCP server class that integrates with LMTasker
@@ -25,21 +33,18 @@ class LMTaskerMCPServer {
     this.options = {
       name: "LMTasker MCP Server",
       version: packageJson.version,
+      authenticate: (request) => this.authenticate(request),
+      // Served by the HTTP transport only
+      health: { enabled: true, path: "/health", message: "ok" },
     };
 
     this.server = new FastMCP(this.options);
+    this.asyncManager = new AsyncOperationManager();
     this.initialized = false;
 
-    // Add empty resources (these respond to resources/list)
-    this.server.addResource({});
-    this.server.addResourceTemplate({});
-    
-    // Store reference for adding tool-based resources after initialization
-    this.toolResourcesAdded = false;
-
     // Enhanced logging for debugging client requests
     logger.info(`[MCP INIT] Starting LM-Tasker MCP Server v${packageJson.version}`);
-    logger.info(`[MCP INIT] Server will expose tools via tools/list and resources via resources/list`);
+    logger.info(`[MCP INIT] Server will expose tools via tools/list, task resources via resources/list and workflow prompts via prompts/list`);
 
     // Bind methods
     this.init = this.init.bind(this);
@@ -50,39 +55,6 @@ class LMTaskerMCPServer {
     this.logger = logger;
   }
 
-  /**
-   * Workaround: Add tools as resources for clients that only check resources/list
-   */
-  addToolsAsResources() {
-    // Add a resource that lists all available tools
-    this.server.addResource({
-      uri: "lm-tasker://tools/available",
-      name: "Available LM-Tasker Tools",
-      description: "List of all available LM-Tasker MCP tools",
-      mimeType: "application/json"
-    });
-
-    // Add individual tool documentation as resources
-    const toolNames = [
-      "get_tasks", "get_task", "next_task", 
-      "set_task_status", "add_task", "add_subtask", "remove_task", "remove_subtask",
-      "clear_subtasks", "move_task", "update_task", "update_subtask",
-      "add_dependency", "remove_dependency", "validate_dependencies", "fix_dependencies",
-      "generate"
-    ];
-
-    toolNames.forEach(toolName => {
-      this.server.addResource({
-        uri: `lm-tasker://tool/${toolName}`,
-        name: `LM-Tasker Tool: ${toolName}`,
-        description: `Documentation and usage for the ${toolName} tool`,
-        mimeType: "text/plain"
-      });
-    });
-
-    logger.info(`[MCP WORKAROUND] Added ${toolNames.length} tools as resources for Warp compatibility`);
-  }
-
   /**
    * Initialize the MCP server with necessary tools and routes
    */
@@ -92,11 +64,11 @@ class LMTaskerMCPServer {
     // Register all LM-Tasker tools - this makes them available via tools/list
     registerLMTaskerTools(this.server, this.asyncManager);
 
-    // Workaround for Warp: Add tools as resources too
-    if (!this.toolResourcesAdded) {
-      this.addToolsAsResources();
-      this.toolResourcesAdded = true;
-    }
+    // Register the task resources and templates - available via resources/list
+    this.resourceSubscriptions = registerLMTaskerResources(this.server);
+
+    // Register the task workflow prompts - available via prompts/list
+    registerLMTaskerPrompts(this.server);
 
     // Log how many tools were registered
     logger.info(`[MCP INIT] Registered LM-Tasker tools successfully`);
@@ -106,14 +78,73 @@ class LMTaskerMCPServer {
     return this;
   }
 
+  /**
+   * Authenticate the connection of a session. Over HTTP, the client must
+   * send the bearer token the server was started with, if any, and selects
+   * the project its resources, prompts and tool calls without a projectRoot
+   * argument use with the X-Project-Root header. FastMCP authenticates once
+   * per session, so this keeps the header of the request opening it; later
+   * requests may select another project (see start).
+   * @param {http.IncomingMessage} [request] - The HTTP request opening the session; none over stdio
+   * @returns {Object|undefined} Session auth: {projectRoot} or {authenticated: false, error}
+   */
+  authenticate(request) {
+    if (!request) {
+      return undefined;
+    }
+    if (this.token) {
+      const expected = Buffer.from(`Bearer ${this.token}`);
+      const received = Buffer.from(request.headers.authorization || "");
+      if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+      ) {
+        return {
+          authenticated: false,
+          error: "Unauthorized: missing or invalid bearer token",
+        };
+      }
+    }
+    return { projectRoot: getRequestProjectRoot(request.headers) };
+  }
+
   /**
    * Start the MCP server
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.http=false] - Serve HTTP streaming instead of stdio
+   * @param {number} [options.port=7777] - HTTP port
+   * @param {string} [options.host="127.0.0.1"] - HTTP host to listen on
+   * @param {string} [options.token] - Bearer token HTTP clients must send
    */
-  async start() {
+  async start(options = {}) {
     if (!this.initialized) {
       await this.init();
     }
 
+    if (options.http) {
+      const { port = DEFAULT_HTTP_PORT, host = DEFAULT_HTTP_HOST } = options;
+      this.token = options.token;
+      // Each request may select its project with its own X-Project-Root
+      // header, so handle it with its headers at hand
+      this.removeSessionSetUp = onSessionConnecting((session, transport) => {
+        const handleRequest = transport.handleRequest?.bind(transport);
+        if (handleRequest) {
+          transport.handleRequest = (request, ...rest) =>
+            runWithRequestHeaders(request.headers, () =>
+              handleRequest(request, ...rest),
+            );
+        }
+      });
+      await this.server.start({
+        transportType: "httpStream",
+        httpStream: { port, host, endpoint: "/mcp" },
+      });
+      logger.info(
+        `[MCP INIT] Serving HTTP streaming at http://${host}:${port}/mcp${this.token ? " (bearer token required)" : ""}`,
+      );
+      return this;
+    }
+
     // Start the FastMCP server with increased timeout
     await this.server.start({
       transportType: "stdio",
@@ -127,6 +158,8 @@ class LMTaskerMCPServer {
    * Stop the MCP server
    */
   async stop() {
+    this.removeSessionSetUp?.();
+    this.resourceSubscriptions?.close();
     if (this.server) {
       await this.server.stop();
     }
@@ -32,9 +32,18 @@ export function registerAddDependencyTool(server) {
         .describe(
           "Absolute path to the tasks file (default: tasks/tasks.json)",
         ),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       try {
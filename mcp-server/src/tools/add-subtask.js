@@ -41,11 +41,18 @@ export function registerAddSubtaskTool(server) {
       status: z
         .string()
         .optional()
-        .describe("Status for the new subtask (default: 'pending')"),
+        .describe(
+          "Status for the new subtask. Defaults to the first status of the workflow.",
+        ),
       dependencies: z
         .string()
         .optional()
         .describe("Comma-separated list of dependency IDs for the new subtask"),
+      estimate: z
+        .number()
+        .nonnegative()
+        .optional()
+        .describe("Estimate for the new subtask in story points or hours"),
       file: z
         .string()
         .optional()
@@ -56,9 +63,18 @@ export function registerAddSubtaskTool(server) {
         .boolean()
         .optional()
         .describe("Skip regenerating task files"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       try {
@@ -88,6 +104,7 @@ export function registerAddSubtaskTool(server) {
             details: args.details,
             status: args.status,
             dependencies: args.dependencies,
+            estimate: args.estimate,
             skipGenerate: args.skipGenerate,
           },
           log,
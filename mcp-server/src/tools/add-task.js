@@ -14,6 +14,7 @@ import {
 import { addTaskDirect } from "../core/task-master-core.js";
 import { findTasksJsonPath } from "../core/utils/path-utils.js";
 import { createMinimalTasksJson, writeJSON } from "#scripts/utils.js";
+import { getTasksFile } from "#scripts/config-manager.js";
 
 /**
  * Register the addTask tool with the MCP server
@@ -46,13 +47,27 @@ export function registerAddTaskTool(server) {
         .string()
         .optional()
         .describe("Task priority (high, medium, low)"),
+      estimate: z
+        .number()
+        .nonnegative()
+        .optional()
+        .describe("Estimate in story points or hours"),
       file: z
         .string()
         .optional()
         .describe("Path to the tasks file (default: tasks/tasks.json)"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       try {
@@ -73,7 +88,7 @@ export function registerAddTaskTool(server) {
             log.info(`Tasks file not found, auto-initializing...`);
             
             // Determine the tasks.json path
-            const defaultTasksPath = path.join(args.projectRoot, "tasks", "tasks.json");
+            const defaultTasksPath = getTasksFile(args.projectRoot);
             tasksJsonPath = args.file ? path.resolve(args.projectRoot, args.file) : defaultTasksPath;
             
             // Create the tasks directory if it doesn't exist
@@ -108,6 +123,7 @@ export function registerAddTaskTool(server) {
             testStrategy: args.testStrategy,
             dependencies: args.dependencies,
             priority: args.priority,
+            estimate: args.estimate,
             projectRoot: args.projectRoot,
             wasAutoInitialized: wasAutoInitialized,
           },
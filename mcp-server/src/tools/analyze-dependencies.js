@@ -0,0 +1,84 @@
+/**
+ * tools/analyze-dependencies.js
+ * Tool to find the critical path, key blockers and dead ends in the task graph
+ */
+
+import { z } from "zod";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { analyzeDependenciesDirect } from "../core/task-master-core.js";
+import { findTasksJsonPath } from "../core/utils/path-utils.js";
+
+/**
+ * Register the analyze_dependencies tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAnalyzeDependenciesTool(server) {
+  server.addTool({
+    name: "analyze_dependencies",
+    description:
+      "Analyze the task dependency graph: the critical path (longest chain of open tasks), the tasks that unblock the most downstream work, the longest chains of open tasks, tasks not connected to any other task, tasks stuck behind missing, cancelled or deferred work, and dependency cycles. Use it to decide what to work on to unblock the most work.",
+    parameters: z.object({
+      limit: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe(
+          "Number of unblocking tasks and chains to return (default: 5)",
+        ),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(`Analyzing dependencies with args: ${JSON.stringify(args)}`);
+
+        // Use args.projectRoot directly (guaranteed by withNormalizedProjectRoot)
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          log.error(`Error finding tasks.json: ${error.message}`);
+          return createErrorResponse(
+            `Failed to find tasks.json: ${error.message}`,
+          );
+        }
+
+        const result = await analyzeDependenciesDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            limit: args.limit,
+          },
+          log,
+        );
+
+        if (!result.success) {
+          log.error(`Failed to analyze dependencies: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error analyzing dependencies");
+      } catch (error) {
+        log.error(`Error in analyze_dependencies tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
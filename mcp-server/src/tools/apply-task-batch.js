@@ -0,0 +1,149 @@
+/**
+ * tools/apply-task-batch.js
+ * Tool to apply a batch of task operations in one write, all or nothing
+ */
+
+import { z } from "zod";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { applyTaskBatchDirect } from "../core/task-master-core.js";
+import {
+  findTasksJsonPath,
+  resolveTasksOutputPath,
+} from "../core/utils/path-utils.js";
+
+// A task ID, a "parentId.subtaskId" subtask ID, or "$ref" for a task or
+// subtask created earlier in the batch
+const ReferenceSchema = z.union([z.number().int().positive(), z.string()]);
+
+const RefSchema = z
+  .string()
+  .optional()
+  .describe(
+    'Name for the created task or subtask; later operations refer to it as "$name"',
+  );
+
+const OperationSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("add_task"),
+    ref: RefSchema,
+    title: z.string().describe("Task title"),
+    description: z.string().optional().describe("Task description"),
+    details: z.string().optional().describe("Implementation details"),
+    testStrategy: z.string().optional().describe("Test strategy"),
+    priority: z
+      .enum(["high", "medium", "low"])
+      .optional()
+      .describe("Task priority (defaults to the project's default priority)"),
+    dependencies: z
+      .array(ReferenceSchema)
+      .optional()
+      .describe("Tasks or subtasks this task depends on"),
+  }),
+  z.object({
+    type: z.literal("add_subtask"),
+    ref: RefSchema,
+    parent: ReferenceSchema.describe("Parent task ID or $ref"),
+    title: z.string().describe("Subtask title"),
+    description: z.string().optional().describe("Subtask description"),
+    details: z.string().optional().describe("Implementation details"),
+    dependencies: z
+      .array(ReferenceSchema)
+      .optional()
+      .describe(
+        'Tasks or subtasks this subtask depends on; refer to siblings as "parentId.subtaskId" or $ref',
+      ),
+  }),
+  z.object({
+    type: z.literal("add_dependency"),
+    id: ReferenceSchema.describe("Task or subtask that gets the dependency"),
+    dependsOn: ReferenceSchema.describe("Task or subtask it depends on"),
+  }),
+]);
+
+/**
+ * Register the apply_task_batch tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerApplyTaskBatchTool(server) {
+  server.addTool({
+    name: "apply_task_batch",
+    description:
+      'Apply an ordered list of add_task, add_subtask and add_dependency operations in one write, all or nothing: if any operation is invalid, nothing changes. Give created tasks and subtasks a ref and refer to them in later operations as "$ref". Use it instead of many single calls when planning a feature.',
+    parameters: z.object({
+      operations: z
+        .array(OperationSchema)
+        .min(1)
+        .describe("Operations to apply, in order"),
+      dryRun: z
+        .boolean()
+        .optional()
+        .describe(
+          "Check the batch and report the IDs it would create without changing anything",
+        ),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log }) => {
+      try {
+        log.info(
+          `Applying a batch of ${args.operations.length} operations in ${args.projectRoot}`,
+        );
+
+        // A batch applied to a project without tasks.json creates it
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          if (error.code !== "TASKS_FILE_NOT_FOUND") {
+            log.error(`Error finding tasks.json: ${error.message}`);
+            return createErrorResponse(
+              `Failed to find tasks.json: ${error.message}`,
+            );
+          }
+          tasksJsonPath = resolveTasksOutputPath(
+            args.projectRoot,
+            args.file,
+            log,
+          );
+        }
+
+        const result = await applyTaskBatchDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            operations: args.operations,
+            dryRun: args.dryRun,
+            projectRoot: args.projectRoot,
+          },
+          log,
+        );
+
+        if (!result.success) {
+          log.error(`Failed to apply task batch: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error applying task batch");
+      } catch (error) {
+        log.error(`Error in apply_task_batch tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
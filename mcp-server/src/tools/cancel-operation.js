@@ -0,0 +1,49 @@
+/**
+ * tools/cancel-operation.js
+ * Tool to cancel a background operation
+ */
+
+import { z } from "zod";
+import { createErrorResponse, createContentResponse } from "./utils.js";
+
+/**
+ * Register the cancel_operation tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} asyncManager - The async operation manager
+ */
+export function registerCancelOperationTool(server, asyncManager) {
+  server.addTool({
+    name: "cancel_operation",
+    description:
+      "Cancel a background operation started by a tool called with background. A pending operation never runs; a running one stops before its next write, and changes it already made stay (use undo to revert them).",
+    parameters: z.object({
+      operationId: z.string().describe("The ID of the operation to cancel."),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        const { operationId } = args;
+        log.info(`Cancelling operation ID: ${operationId}`);
+
+        const status = asyncManager.cancel(operationId);
+
+        if (status.status === "not_found") {
+          log.warn(`Operation ID not found: ${operationId}`);
+          return createErrorResponse(status.error.message);
+        }
+        if (status.status !== "cancelled" && !status.cancelRequested) {
+          return createErrorResponse(
+            `Operation ${operationId} already ${status.status}`,
+          );
+        }
+
+        log.info(`Status for ${operationId}: ${status.status}`);
+        return createContentResponse(status);
+      } catch (error) {
+        log.error(`Error in cancel_operation tool: ${error.message}`);
+        return createErrorResponse(
+          `Failed to cancel operation: ${error.message}`,
+        );
+      }
+    },
+  });
+}
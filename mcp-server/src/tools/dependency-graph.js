@@ -0,0 +1,92 @@
+/**
+ * tools/dependency-graph.js
+ * Tool to render the task dependency graph as Mermaid, DOT or text
+ */
+
+import { z } from "zod";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { dependencyGraphDirect } from "../core/task-master-core.js";
+import { findTasksJsonPath } from "../core/utils/path-utils.js";
+import { GRAPH_FORMATS } from "#scripts/task-manager/graph-tasks.js";
+
+/**
+ * Register the get_dependency_graph tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerDependencyGraphTool(server) {
+  server.addTool({
+    name: "get_dependency_graph",
+    description:
+      "Render the dependency graph of tasks and subtasks, with nodes colored by status and an edge from each dependency to the task that depends on it. Returns Mermaid flowchart text by default, ready to embed in Markdown docs.",
+    parameters: z.object({
+      format: z
+        .enum(GRAPH_FORMATS)
+        .optional()
+        .describe("Graph format: mermaid (default), dot (Graphviz) or ascii"),
+      root: z
+        .string()
+        .optional()
+        .describe(
+          "Task or subtask ID (e.g. '5' or '5.2'). Only show what it depends on and what depends on it.",
+        ),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(
+          `Rendering dependency graph with args: ${JSON.stringify(args)}`,
+        );
+
+        // Use args.projectRoot directly (guaranteed by withNormalizedProjectRoot)
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          log.error(`Error finding tasks.json: ${error.message}`);
+          return createErrorResponse(
+            `Failed to find tasks.json: ${error.message}`,
+          );
+        }
+
+        const result = await dependencyGraphDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            format: args.format,
+            root: args.root,
+          },
+          log,
+        );
+
+        if (!result.success) {
+          log.error(
+            `Failed to render dependency graph: ${result.error.message}`,
+          );
+        }
+
+        return handleApiResult(result, log, "Error rendering dependency graph");
+      } catch (error) {
+        log.error(`Error in get_dependency_graph tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
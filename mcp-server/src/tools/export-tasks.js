@@ -0,0 +1,99 @@
+/**
+ * tools/export-tasks.js
+ * Tool to export a project report as Markdown, CSV, HTML or JSON
+ */
+
+import { z } from "zod";
+import path from "path";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { exportTasksDirect } from "../core/task-master-core.js";
+import { findTasksJsonPath } from "../core/utils/path-utils.js";
+import { EXPORT_FORMATS } from "#scripts/task-manager/export-tasks.js";
+
+/**
+ * Register the export_tasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerExportTasksTool(server) {
+  server.addTool({
+    name: "export_tasks",
+    description:
+      "Export a project report (progress, dependency status, subtasks, details and test strategy) as Markdown, CSV, HTML or JSON, e.g. for a PR description or status meeting. Returns the report, or writes it to a file when output is given.",
+    parameters: z.object({
+      format: z
+        .enum(EXPORT_FORMATS)
+        .optional()
+        .describe("Report format (default: md)"),
+      output: z
+        .string()
+        .optional()
+        .describe(
+          "File to write the report to (relative to project root or absolute). The report is returned in the response when omitted.",
+        ),
+      filter: z
+        .string()
+        .optional()
+        .describe(
+          "Only include tasks matching this filter expression (same syntax as get_tasks filter)",
+        ),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(`Exporting tasks with args: ${JSON.stringify(args)}`);
+
+        // Use args.projectRoot directly (guaranteed by withNormalizedProjectRoot)
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          log.error(`Error finding tasks.json: ${error.message}`);
+          return createErrorResponse(
+            `Failed to find tasks.json: ${error.message}`,
+          );
+        }
+
+        const result = await exportTasksDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            format: args.format,
+            output: args.output
+              ? path.resolve(args.projectRoot, args.output)
+              : undefined,
+            filter: args.filter,
+            projectRoot: args.projectRoot,
+          },
+          log,
+        );
+
+        if (!result.success) {
+          log.error(`Failed to export tasks: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error exporting tasks");
+      } catch (error) {
+        log.error(`Error in export_tasks tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
@@ -7,6 +7,7 @@ import { z } from "zod";
 import {
   handleApiResult,
   createErrorResponse,
+  createOperationResponse,
   withNormalizedProjectRoot,
 } from "./utils.js";
 import { fixDependenciesDirect } from "../core/task-master-core.js";
@@ -15,16 +16,32 @@ import { findTasksJsonPath } from "../core/utils/path-utils.js";
 /**
  * Register the fixDependencies tool with the MCP server
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} asyncManager - Runs background fixes
  */
-export function registerFixDependenciesTool(server) {
+export function registerFixDependenciesTool(server, asyncManager) {
   server.addTool({
     name: "fix_dependencies",
     description: "Fix invalid dependencies in tasks automatically",
     parameters: z.object({
       file: z.string().optional().describe("Absolute path to the tasks file"),
+      background: z
+        .boolean()
+        .optional()
+        .describe(
+          "Run in the background and return an operationId to poll with get_operation_status (or cancel with cancel_operation) instead of waiting for the result",
+        ),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       try {
@@ -44,6 +61,15 @@ export function registerFixDependenciesTool(server) {
           );
         }
 
+        if (args.background) {
+          const operationId = asyncManager.addOperation(
+            fixDependenciesDirect,
+            { tasksJsonPath: tasksJsonPath },
+            { name: "fix_dependencies", log, session },
+          );
+          return createOperationResponse(operationId, "fix_dependencies");
+        }
+
         const result = await fixDependenciesDirect(
           {
             tasksJsonPath: tasksJsonPath,
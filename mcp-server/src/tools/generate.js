@@ -7,6 +7,7 @@ import { z } from "zod";
 import {
   handleApiResult,
   createErrorResponse,
+  createOperationResponse,
   withNormalizedProjectRoot,
 } from "./utils.js";
 import { generateTaskFilesDirect } from "../core/task-master-core.js";
@@ -16,8 +17,9 @@ import path from "path";
 /**
  * Register the generate tool with the MCP server
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} asyncManager - Runs background generations
  */
-export function registerGenerateTool(server) {
+export function registerGenerateTool(server, asyncManager) {
   server.addTool({
     name: "generate",
     description:
@@ -28,9 +30,30 @@ export function registerGenerateTool(server) {
         .string()
         .optional()
         .describe("Output directory (default: same directory as tasks file)"),
+      format: z
+        .enum(["text", "markdown"])
+        .optional()
+        .describe(
+          "Task file format: text (task_001.txt) or markdown (task-001-<slug>.md with YAML front matter). Defaults to the taskFileFormat setting.",
+        ),
+      background: z
+        .boolean()
+        .optional()
+        .describe(
+          "Run in the background and return an operationId to poll with get_operation_status (or cancel with cancel_operation) instead of waiting for the result",
+        ),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       try {
@@ -54,13 +77,21 @@ export function registerGenerateTool(server) {
           ? path.resolve(args.projectRoot, args.output)
           : path.dirname(tasksJsonPath);
 
-        const result = await generateTaskFilesDirect(
-          {
-            tasksJsonPath: tasksJsonPath,
-            outputDir: outputDir,
-          },
-          log,
-        );
+        const directArgs = {
+          tasksJsonPath: tasksJsonPath,
+          outputDir: outputDir,
+          format: args.format,
+        };
+        if (args.background) {
+          const operationId = asyncManager.addOperation(
+            generateTaskFilesDirect,
+            directArgs,
+            { name: "generate", log, session },
+          );
+          return createOperationResponse(operationId, "generate");
+        }
+
+        const result = await generateTaskFilesDirect(directArgs, log);
 
         if (result.success) {
           log.info(`Successfully generated task files: ${result.data.message}`);
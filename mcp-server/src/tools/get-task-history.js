@@ -0,0 +1,84 @@
+/**
+ * tools/get-task-history.js
+ * Tool to show the recorded changes of a task or subtask
+ */
+
+import { z } from "zod";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { getTaskHistoryDirect } from "../core/task-master-core.js";
+import { findTasksJsonPath } from "../core/utils/path-utils.js";
+
+/**
+ * Register the get_task_history tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetTaskHistoryTool(server) {
+  server.addTool({
+    name: "get_task_history",
+    description:
+      "Get the recorded changes of a task or subtask, newest first: status changes, edits to its title, description, details, priority or estimate, dependency and subtask changes, each with when it happened, who made it (CLI user, MCP client or TUI) and which command or tool made it. A task's history includes its subtasks.",
+    parameters: z.object({
+      id: z.string().describe("Task ID or subtask ID (e.g. '5' or '5.2')"),
+      limit: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Maximum number of entries to return (default: all)"),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(`Getting task history with args: ${JSON.stringify(args)}`);
+
+        // Use args.projectRoot directly (guaranteed by withNormalizedProjectRoot)
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          log.error(`Error finding tasks.json: ${error.message}`);
+          return createErrorResponse(
+            `Failed to find tasks.json: ${error.message}`,
+          );
+        }
+
+        const result = await getTaskHistoryDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            id: args.id,
+            limit: args.limit,
+          },
+          log,
+        );
+
+        if (!result.success) {
+          log.error(`Failed to get task history: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error getting task history");
+      } catch (error) {
+        log.error(`Error in get_task_history tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
@@ -51,6 +51,12 @@ export function registerShowTaskTool(server) {
         .optional()
         .describe("Path to the tasks file relative to project root"),
 
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
         .optional()
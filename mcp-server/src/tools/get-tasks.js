@@ -20,12 +20,30 @@ export function registerListTasksTool(server) {
   server.addTool({
     name: "get_tasks",
     description:
-      "Get all tasks from LM-Tasker, optionally filtering by status and including subtasks.",
+      "Get all tasks from LM-Tasker, optionally filtering by status or a filter expression, sorting, and including subtasks.",
     parameters: z.object({
       status: z
         .string()
         .optional()
         .describe("Filter tasks by status (e.g., 'pending', 'done')"),
+      filter: z
+        .string()
+        .optional()
+        .describe(
+          "Filter expression. Space-separated terms must all match; commas separate alternatives and a leading '-' negates a term. Fields: status, priority, id (ID or range like 3-7), dep (depends on task), has (subtasks, deps, details, tests), ready (true/false), title, text. Bare words search title, description and details. Example: 'status:pending,in-progress priority:high -has:deps text:\"oauth\"'",
+        ),
+      sort: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated sort keys: id, priority, depth (dependency depth), status, title. Prefix a key with '-' to reverse it (e.g., 'priority,-id')",
+        ),
+      fields: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated task fields to return (e.g., 'id,title,status'); subtasks are projected to the same fields",
+        ),
       withSubtasks: z
         .boolean()
         .optional()
@@ -39,9 +57,18 @@ export function registerListTasksTool(server) {
           "Path to the tasks file (relative to project root or absolute)",
         ),
 
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       try {
@@ -66,6 +93,9 @@ export function registerListTasksTool(server) {
             tasksJsonPath: tasksJsonPath,
             status: args.status,
             withSubtasks: args.withSubtasks,
+            filter: args.filter,
+            sort: args.sort,
+            fields: args.fields,
           },
           log,
         );
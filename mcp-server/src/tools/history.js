@@ -0,0 +1,82 @@
+/**
+ * tools/history.js
+ * Tool for listing recent changes to the tasks file
+ */
+
+import { z } from "zod";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { getHistoryDirect } from "../core/task-master-core.js";
+import { findTasksJsonPath } from "../core/utils/path-utils.js";
+
+/**
+ * Register the history tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerHistoryTool(server) {
+  server.addTool({
+    name: "history",
+    description:
+      "List recent operations on the tasks file from the operation journal (newest first), with the task IDs each one added, removed or modified and whether it has been undone.",
+    parameters: z.object({
+      limit: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Maximum number of operations to return (default: 20)"),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(`Getting history with args: ${JSON.stringify(args)}`);
+
+        // Use args.projectRoot directly (guaranteed by withNormalizedProjectRoot)
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          log.error(`Error finding tasks.json: ${error.message}`);
+          return createErrorResponse(
+            `Failed to find tasks.json: ${error.message}`,
+          );
+        }
+
+        const result = await getHistoryDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            limit: args.limit ?? 20,
+          },
+          log,
+        );
+
+        if (!result.success) {
+          log.error(`Failed to get history: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error getting history");
+      } catch (error) {
+        log.error(`Error in history tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
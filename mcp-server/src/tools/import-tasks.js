@@ -0,0 +1,125 @@
+/**
+ * tools/import-tasks.js
+ * Tool to import tasks from a CSV file, a Markdown checklist or outline, or a
+ * GitHub issues JSON export
+ */
+
+import { z } from "zod";
+import path from "path";
+import {
+  handleApiResult,
+  createErrorResponse,
+  createOperationResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { importTasksDirect } from "../core/task-master-core.js";
+import {
+  findTasksJsonPath,
+  resolveTasksOutputPath,
+} from "../core/utils/path-utils.js";
+import { IMPORT_FORMATS } from "#scripts/task-importers.js";
+
+/**
+ * Register the import_tasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} asyncManager - Runs background imports
+ */
+export function registerImportTasksTool(server, asyncManager) {
+  server.addTool({
+    name: "import_tasks",
+    description:
+      "Import tasks from a CSV file, a Markdown checklist or outline, or a GitHub issues JSON export into the current tag. Dependencies between imported items are kept, and tasks whose title already exists are skipped. Use background for large imports.",
+    parameters: z.object({
+      source: z
+        .string()
+        .describe("File to import (relative to project root or absolute)"),
+      format: z
+        .enum(Object.keys(IMPORT_FORMATS))
+        .optional()
+        .describe(
+          "Source format; detected from the file extension when omitted (.csv, .md, .json)",
+        ),
+      dryRun: z
+        .boolean()
+        .optional()
+        .describe("Report what would be imported without changing anything"),
+      allowDuplicates: z
+        .boolean()
+        .optional()
+        .describe("Import tasks even when a task with the same title exists"),
+      background: z
+        .boolean()
+        .optional()
+        .describe(
+          "Run in the background and return an operationId to poll with get_operation_status (or cancel with cancel_operation) instead of waiting for the result",
+        ),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(`Importing tasks with args: ${JSON.stringify(args)}`);
+
+        // Importing into a project without tasks.json creates it
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          if (error.code !== "TASKS_FILE_NOT_FOUND") {
+            log.error(`Error finding tasks.json: ${error.message}`);
+            return createErrorResponse(
+              `Failed to find tasks.json: ${error.message}`,
+            );
+          }
+          tasksJsonPath = resolveTasksOutputPath(
+            args.projectRoot,
+            args.file,
+            log,
+          );
+        }
+
+        const directArgs = {
+          tasksJsonPath: tasksJsonPath,
+          source: path.resolve(args.projectRoot, args.source),
+          format: args.format,
+          dryRun: args.dryRun,
+          allowDuplicates: args.allowDuplicates,
+          projectRoot: args.projectRoot,
+        };
+        if (args.background) {
+          const operationId = asyncManager.addOperation(
+            importTasksDirect,
+            directArgs,
+            { name: "import_tasks", log, session },
+          );
+          return createOperationResponse(operationId, "import_tasks");
+        }
+
+        const result = await importTasksDirect(directArgs, log);
+
+        if (!result.success) {
+          log.error(`Failed to import tasks: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error importing tasks");
+      } catch (error) {
+        log.error(`Error in import_tasks tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
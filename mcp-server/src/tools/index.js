@@ -22,12 +22,72 @@ import { registerFixDependenciesTool } from "./fix-dependencies.js";
 import { registerAddDependencyTool } from "./add-dependency.js";
 import { registerRemoveTaskTool } from "./remove-task.js";
 import { registerMoveTaskTool } from "./move-task.js";
+import { registerUndoTool } from "./undo.js";
+import { registerHistoryTool } from "./history.js";
+import { registerGetTaskHistoryTool } from "./get-task-history.js";
+import { registerExportTasksTool } from "./export-tasks.js";
+import { registerDependencyGraphTool } from "./dependency-graph.js";
+import { registerAnalyzeDependenciesTool } from "./analyze-dependencies.js";
+import { registerImportTasksTool } from "./import-tasks.js";
+import { registerApplyTaskBatchTool } from "./apply-task-batch.js";
+import { registerGetOperationStatusTool } from "./get-operation-status.js";
+import { registerCancelOperationTool } from "./cancel-operation.js";
+import { AsyncOperationManager } from "../core/utils/async-manager.js";
+import { runJournalOperation } from "#scripts/journal.js";
+import { runWithTag, validateTagName } from "#scripts/tag-manager.js";
+import { createErrorResponse, getSelectedProjectRoot } from "./utils.js";
+
+/**
+ * Wrap the server so every tool call runs as one journal operation, labelled
+ * with the tool name and the connected client's name, and on the tag given
+ * in its `tag` parameter. `undo`
+ * then reverts everything a single call changed. Calls without a
+ * `projectRoot` use the project an HTTP client selected with the
+ * X-Project-Root header (see getSelectedProjectRoot).
+ * @param {FastMCP} server - The MCP server instance
+ * @returns {Object} Server whose addTool journals tool executions
+ */
+function withJournaledTools(server) {
+  const journaledServer = Object.create(server);
+  journaledServer.addTool = (tool) =>
+    server.addTool({
+      ...tool,
+      execute: (toolArgs, context) => {
+        const selectedRoot = getSelectedProjectRoot(context?.session);
+        const args =
+          toolArgs && !toolArgs.projectRoot && selectedRoot
+            ? { ...toolArgs, projectRoot: selectedRoot }
+            : toolArgs;
+        if (args?.tag) {
+          try {
+            validateTagName(args.tag);
+          } catch (error) {
+            return createErrorResponse(error.message);
+          }
+        }
+        return runJournalOperation(
+          {
+            label: tool.name,
+            source: "mcp",
+            actor: context?.client?.version?.name || "mcp-client",
+          },
+          () => runWithTag(args?.tag, () => tool.execute(args, context)),
+        );
+      },
+    });
+  return journaledServer;
+}
 
 /**
  * Register all LMTasker tools with the MCP server
  * @param {FastMCP} server - The MCP server instance
+ * @param {AsyncOperationManager} [asyncManager] - Runs the tool calls made with `background`
  */
-export function registerLMTaskerTools(server) {
+export function registerLMTaskerTools(
+  mcpServer,
+  asyncManager = new AsyncOperationManager(),
+) {
+  const server = withJournaledTools(mcpServer);
   try {
     // Register each tool in a logical workflow order
 
@@ -38,10 +98,11 @@ export function registerLMTaskerTools(server) {
     registerListTasksTool(server);
     registerShowTaskTool(server);
     registerNextTaskTool(server);
+    registerExportTasksTool(server);
 
     // Group 3: Task Status & Management
     registerSetTaskStatusTool(server);
-    registerGenerateTool(server);
+    registerGenerateTool(server, asyncManager);
 
     // Group 4: Task Creation & Modification
     registerAddTaskTool(server);
@@ -53,12 +114,25 @@ export function registerLMTaskerTools(server) {
     registerRemoveSubtaskTool(server);
     registerClearSubtasksTool(server);
     registerMoveTaskTool(server);
+    registerImportTasksTool(server, asyncManager);
+    registerApplyTaskBatchTool(server);
+
+    // Group 5: History
+    registerHistoryTool(server);
+    registerGetTaskHistoryTool(server);
+    registerUndoTool(server);
 
     // Group 6: Dependency Management
     registerAddDependencyTool(server);
     registerRemoveDependencyTool(server);
     registerValidateDependenciesTool(server);
-    registerFixDependenciesTool(server);
+    registerFixDependenciesTool(server, asyncManager);
+    registerDependencyGraphTool(server);
+    registerAnalyzeDependenciesTool(server);
+
+    // Group 7: Background Operations
+    registerGetOperationStatusTool(server, asyncManager);
+    registerCancelOperationTool(server, asyncManager);
   } catch (error) {
     logger.error(`Error registering LMTasker tools: ${error.message}`);
     throw error;
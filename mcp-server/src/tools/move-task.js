@@ -32,6 +32,12 @@ export function registerMoveTaskTool(server) {
           'ID of the destination (e.g., "7" or "7.3"). Must match the number of source IDs if comma-separated',
         ),
       file: z.string().optional().describe("Custom path to tasks.json file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
         .optional()
@@ -14,7 +14,6 @@ import {
   nextTaskDirect,
 } from "../core/task-master-core.js";
 import { findTasksJsonPath } from "../core/utils/path-utils.js";
-import { TASK_STATUS_OPTIONS } from "../../../src/constants/task-status.js";
 
 /**
  * Register the setTaskStatus tool with the MCP server
@@ -31,15 +30,24 @@ export function registerSetTaskStatusTool(server) {
           "Task ID or subtask ID (e.g., '15', '15.2'). Can be comma-separated to update multiple tasks/subtasks at once.",
         ),
       status: z
-        .enum(TASK_STATUS_OPTIONS)
+        .string()
         .describe(
-          "New status to set (e.g., 'pending', 'done', 'in-progress', 'review', 'deferred', 'cancelled'.",
+          "New status to set (e.g., 'pending', 'done', 'in-progress', 'review', 'deferred', 'cancelled'). Projects can define their own statuses and allowed transitions in the workflow section of .lmtaskerconfig; a change the workflow does not allow is rejected.",
         ),
       file: z.string().optional().describe("Absolute path to the tasks file"),
 
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log }) => {
       try {
@@ -0,0 +1,84 @@
+/**
+ * tools/undo.js
+ * Tool for reverting the most recent change to the tasks file
+ */
+
+import { z } from "zod";
+import {
+  handleApiResult,
+  createErrorResponse,
+  withNormalizedProjectRoot,
+} from "./utils.js";
+import { undoOperationDirect } from "../core/task-master-core.js";
+import { findTasksJsonPath } from "../core/utils/path-utils.js";
+
+/**
+ * Register the undo tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUndoTool(server) {
+  server.addTool({
+    name: "undo",
+    description:
+      "Revert the most recent operation on the tasks file (e.g. a bad clear_subtasks or move_task), as recorded in the operation journal. Use history to see what will be reverted.",
+    parameters: z.object({
+      force: z
+        .boolean()
+        .optional()
+        .describe(
+          "Undo even if the affected tasks were changed after the operation",
+        ),
+      file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
+      projectRoot: z
+        .string()
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
+    }),
+    execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+      try {
+        log.info(`Undoing last operation with args: ${JSON.stringify(args)}`);
+
+        // Use args.projectRoot directly (guaranteed by withNormalizedProjectRoot)
+        let tasksJsonPath;
+        try {
+          tasksJsonPath = findTasksJsonPath(
+            { projectRoot: args.projectRoot, file: args.file },
+            log,
+          );
+        } catch (error) {
+          log.error(`Error finding tasks.json: ${error.message}`);
+          return createErrorResponse(
+            `Failed to find tasks.json: ${error.message}`,
+          );
+        }
+
+        const result = await undoOperationDirect(
+          {
+            tasksJsonPath: tasksJsonPath,
+            force: args.force,
+          },
+          log,
+        );
+
+        if (result.success) {
+          log.info(result.data.message);
+        } else {
+          log.error(`Failed to undo operation: ${result.error.message}`);
+        }
+
+        return handleApiResult(result, log, "Error undoing operation");
+      } catch (error) {
+        log.error(`Error in undo tool: ${error.message}`);
+        return createErrorResponse(error.message);
+      }
+    }),
+  });
+}
@@ -20,7 +20,7 @@ export function registerUpdateSubtaskTool(server) {
   server.addTool({
     name: "update_subtask",
     description:
-      "Appends timestamped information to a specific subtask without replacing existing content",
+      "Appends timestamped information to a specific subtask without replacing existing content, and/or sets its estimate",
     parameters: z.object({
       id: z
         .string()
@@ -33,10 +33,27 @@ export function registerUpdateSubtaskTool(server) {
         .describe(
           "Additional details or information to append to the subtask. Will be timestamped and added to existing details.",
         ),
+      estimate: z
+        .number()
+        .nonnegative()
+        .nullable()
+        .optional()
+        .describe(
+          "New estimate in story points or hours; null clears it. Can be given instead of details.",
+        ),
       file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       const toolName = "update_subtask";
@@ -65,6 +82,7 @@ export function registerUpdateSubtaskTool(server) {
             tasksJsonPath: tasksJsonPath,
             id: args.id,
             details: args.details,
+            estimate: args.estimate,
             projectRoot: args.projectRoot,
           },
           log,
@@ -20,7 +20,7 @@ export function registerUpdateTaskTool(server) {
   server.addTool({
     name: "update_task",
     description:
-      "Updates a single task by ID by appending timestamped details.",
+      "Updates a single task by ID by appending timestamped details and/or setting its estimate.",
     parameters: z.object({
       id: z
         .string()
@@ -30,14 +30,32 @@ export function registerUpdateTaskTool(server) {
 
       details: z
         .string()
+        .optional()
         .describe(
           "Additional details or information to append to the task. Will be timestamped and added to existing details.",
         ),
+      estimate: z
+        .number()
+        .nonnegative()
+        .nullable()
+        .optional()
+        .describe(
+          "New estimate in story points or hours; null clears it. Can be given instead of details.",
+        ),
 
       file: z.string().optional().describe("Absolute path to the tasks file"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
-        .describe("The directory of the project. Must be an absolute path."),
+        .optional()
+        .describe(
+          "The directory of the project. Must be an absolute path. Defaults to the session's project: its X-Project-Root header over HTTP, or the client's roots.",
+        ),
     }),
     execute: withNormalizedProjectRoot(async (args, { log, session }) => {
       const toolName = "update_task";
@@ -66,6 +84,7 @@ export function registerUpdateTaskTool(server) {
             tasksJsonPath: tasksJsonPath,
             id: args.id,
             details: args.details,
+            estimate: args.estimate,
             projectRoot: args.projectRoot,
           },
           log,
@@ -32,6 +32,12 @@ export function registerUpdateTool(server) {
         .string()
         .optional()
         .describe("Path to the tasks file relative to project root"),
+      tag: z
+        .string()
+        .optional()
+        .describe(
+          "Tag (task list) to work on. Defaults to the current tag (see lm-tasker tags use).",
+        ),
       projectRoot: z
         .string()
         .optional()
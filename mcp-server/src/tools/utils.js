@@ -4,6 +4,7 @@
  */
 
 import { spawnSync } from "child_process";
+import { AsyncLocalStorage } from "async_hooks";
 import path from "path";
 import fs from "fs";
 import { contextManager } from "../core/context-manager.js"; // Import the singleton
@@ -12,8 +13,12 @@ import { contextManager } from "../core/context-manager.js"; // Import the singl
 import {
   lastFoundProjectRoot,
   PROJECT_MARKERS,
+  findTasksJsonPath,
 } from "../core/utils/path-utils.js";
 
+// Headers of the HTTP request being handled (see runWithRequestHeaders)
+const requestHeaders = new AsyncLocalStorage();
+
 /**
  * Get normalized project root path
  * @param {string|undefined} projectRootRaw - Raw project root from arguments
@@ -481,6 +486,20 @@ function createContentResponse(content) {
   };
 }
 
+/**
+ * Creates the response of a tool call that started a background operation
+ * @param {string} operationId - ID of the operation (see AsyncOperationManager)
+ * @param {string} name - What runs, e.g. the tool name
+ * @returns {Object} - Content response telling the client how to follow the operation
+ */
+function createOperationResponse(operationId, name) {
+  return createContentResponse({
+    operationId,
+    status: "pending",
+    message: `Started ${name} in the background. Poll get_operation_status with the operationId for its result, or stop it with cancel_operation.`,
+  });
+}
+
 /**
  * Creates error response for tools
  * @param {string} errorMessage - Error message to include in response
@@ -584,8 +603,13 @@ function normalizeProjectRoot(rawPath, log) {
  */
 function getRawProjectRootFromSession(session, log) {
   try {
+    // Project root an HTTP client selected (see getSelectedProjectRoot)
+    const selectedRoot = getSelectedProjectRoot(session);
+    if (selectedRoot) {
+      return selectedRoot;
+    }
     // Check primary location
-    if (session?.roots?.[0]?.uri) {
+    else if (session?.roots?.[0]?.uri) {
       return session.roots[0].uri;
     }
     // Check alternate location
@@ -659,6 +683,72 @@ function withNormalizedProjectRoot(executeFn) {
   };
 }
 
+/**
+ * Read the project root an HTTP client selected with the X-Project-Root
+ * header of its requests.
+ * @param {Object} [headers] - Headers of an HTTP request, with lowercase names
+ * @returns {string|null} The raw path string or null.
+ */
+function getRequestProjectRoot(headers) {
+  const projectRoot = headers?.["x-project-root"];
+  return (Array.isArray(projectRoot) ? projectRoot[0] : projectRoot) || null;
+}
+
+/**
+ * Handle an HTTP request with its headers at hand. FastMCP does not pass
+ * the request to tools, resources and prompts, so they find its headers
+ * through getSelectedProjectRoot instead.
+ * @param {Object} headers - Headers of the HTTP request
+ * @param {Function} fn - Handles the request
+ * @returns {*} The result of fn
+ */
+function runWithRequestHeaders(headers, fn) {
+  return requestHeaders.run(headers, fn);
+}
+
+/**
+ * Read the project root an HTTP client selected for the request being
+ * handled: the X-Project-Root header of the request, or else the one of the
+ * request that opened its session.
+ * @param {Object} [auth] - Auth of the session (see LMTaskerMCPServer#authenticate)
+ * @returns {string|null} The raw path string or null.
+ */
+function getSelectedProjectRoot(auth) {
+  return (
+    getRequestProjectRoot(requestHeaders.getStore()) ||
+    auth?.projectRoot ||
+    null
+  );
+}
+
+/**
+ * Create a function resolving the project of resource and prompt reads.
+ * Unlike tool calls, these carry no projectRoot argument; they are given the
+ * auth of their session instead. An HTTP session reads the project its
+ * client selected (see getSelectedProjectRoot). A stdio session has no auth
+ * and reads the root of the first session (a stdio server has one). Both
+ * fall back to TASK_MASTER_PROJECT_ROOT and the current directory as in
+ * getProjectRoot.
+ * @param {FastMCP} server - The MCP server instance
+ * @param {Object} log - Logger object
+ * @returns {Function} Called with the session auth, returns {projectRoot, tasksJsonPath}; throws if tasks.json cannot be found
+ */
+function createProjectResolver(server, log) {
+  return (auth) => {
+    const projectRoot = getProjectRoot(
+      normalizeProjectRoot(
+        getRawProjectRootFromSession(auth ?? server.sessions[0], log),
+        log,
+      ),
+      log,
+    );
+    return {
+      projectRoot,
+      tasksJsonPath: findTasksJsonPath({ projectRoot }, log),
+    };
+  };
+}
+
 // Ensure all functions are exported
 export {
   getProjectRoot,
@@ -668,9 +758,14 @@ export {
   getCachedOrExecute,
   processMCPResponseData,
   createContentResponse,
+  createOperationResponse,
   createErrorResponse,
   createLogWrapper,
   normalizeProjectRoot,
   getRawProjectRootFromSession,
   withNormalizedProjectRoot,
+  getRequestProjectRoot,
+  runWithRequestHeaders,
+  getSelectedProjectRoot,
+  createProjectResolver,
 };
@@ -13,7 +13,12 @@ import http from "http";
 import inquirer from "inquirer";
 import ora from "ora"; // Import ora
 
-import { log, readJSON } from "./utils.js";
+import {
+  log,
+  readJSON,
+  enableSilentMode,
+  disableSilentMode,
+} from "./utils.js";
 import {
   updateTasks,
   generateTaskFiles,
@@ -29,7 +34,57 @@ import {
   findTaskById,
   taskExists,
   moveTask,
+  applyJournalOperation,
+  addTag,
+  copyTag,
+  useTag,
+  listTags,
+  deleteTag,
+  checkTasksFile,
+  exportTasks,
+  importTasks,
+  applyTaskBatch,
+  graphTasks,
+  analyzeTasks,
+  startTaskTimer,
+  stopTaskTimer,
+  logTaskTime,
+  getTimeReport,
+  setTaskEstimate,
+  getBurndown,
+  getTaskHistory,
+  linkGitCommits,
+  createTaskBranch,
+  checkCommitMessage,
+  applyCommitKeywords,
+  watchTaskFiles,
+  syncTaskFiles,
 } from "./task-manager.js";
+import { beginJournalOperation, getJournalHistory } from "./journal.js";
+import {
+  TagNotFoundError,
+  beginTagContext,
+  getCurrentTag,
+  getTagNames,
+  readRawTasksFile,
+} from "./tag-manager.js";
+import { SORT_KEYS } from "./task-query.js";
+import { EXPORT_FORMATS } from "./task-manager/export-tasks.js";
+import { IMPORT_FORMATS } from "./task-importers.js";
+import { readTaskBatchFile } from "./task-manager/apply-task-batch.js";
+import { GRAPH_FORMATS } from "./task-manager/graph-tasks.js";
+import { TIME_REPORT_PERIODS, formatDuration } from "./time-tracking.js";
+import {
+  installGitHooks,
+  uninstallGitHooks,
+  readCommitMessage,
+} from "./git-hooks.js";
+import { parseEstimate, formatEstimate } from "./estimates.js";
+import {
+  getTasksWorkflow,
+  getStatusDefinition,
+  getStatusNames,
+} from "./workflow.js";
 
 import {
   addDependency,
@@ -44,6 +99,14 @@ import {
   writeConfig,
   ConfigurationError,
   isConfigFilePresent,
+  getTasksFile,
+  getConfigValue,
+  setConfigValue,
+  getConfigSources,
+  getGlobalConfigPath,
+  getProjectConfigPath,
+  DEFAULTS,
+  TASK_FILE_FORMATS,
 } from "./config-manager.js";
 
 import {
@@ -51,6 +114,17 @@ import {
   displayHelp,
   displayNextTask,
   displayTaskById,
+  displayConfigList,
+  displayHistory,
+  displayTags,
+  displayDoctorReport,
+  displayImportResult,
+  displayTaskBatchResult,
+  displayAnalysisReport,
+  displayTimeReport,
+  displayBurndown,
+  displayTaskHistory,
+  displayWorkflow,
   getStatusWithColor,
   confirmTaskOverwrite,
   startLoadingIndicator,
@@ -58,10 +132,6 @@ import {
 } from "./ui.js";
 
 import { findProjectRoot } from "./utils.js";
-import {
-  isValidTaskStatus,
-  TASK_STATUS_OPTIONS,
-} from "../../src/constants/task-status.js";
 import { getLmTaskerVersion } from "../../src/utils/getVersion.js";
 import { registerTUICommand } from "./tmui/src/index.js";
 /**
@@ -69,6 +139,44 @@ import { registerTUICommand } from "./tmui/src/index.js";
  * @param {Object} program - Commander program instance
  */
 function registerCommands(programInstance) {
+  // Default tasks file comes from the resolved configuration
+  // (.lmtaskerconfig / LMTASKER_TASKS_FILE). An invalid config is reported by
+  // the preAction hook below, so registration itself must not fail on it.
+  let tasksFileDefault;
+  try {
+    tasksFileDefault = getTasksFile();
+  } catch (error) {
+    tasksFileDefault = DEFAULTS.global.tasksFile;
+  }
+
+  // Validate configuration before running any command except `config`,
+  // which must stay usable to repair a broken setting
+  programInstance.hook("preAction", (thisCommand, actionCommand) => {
+    if (actionCommand.name() !== "config") {
+      getConfig();
+    }
+    // Group every tasks file write made by this command into one journal
+    // operation, so `undo` reverts the whole command
+    beginJournalOperation({ label: actionCommand.name(), source: "cli" });
+
+    // Work on the tag given with --tag for the whole command. Check that it
+    // exists up front so a typo fails before anything is read or written.
+    const { tag, file } = actionCommand.opts();
+    if (tag) {
+      try {
+        beginTagContext(tag);
+        const tasksPath = file || tasksFileDefault;
+        const data = readRawTasksFile(tasksPath);
+        if (data && !getTagNames(data).includes(tag)) {
+          throw new TagNotFoundError(tag, tasksPath, getTagNames(data));
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    }
+  });
+
   // Add global error handler for unknown options
   programInstance.on("option:unknown", function (unknownOption) {
     const commandName = this._name || "unknown";
@@ -87,7 +195,7 @@ function registerCommands(programInstance) {
     .description(
       'Update multiple tasks with ID >= "from" based on new information or implementation changes',
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option(
       "--from <id>",
       "Task ID to start updating from (tasks with ID >= this value will be updated)",
@@ -138,17 +246,32 @@ function registerCommands(programInstance) {
       );
     });
 
+  // Report the result of setTaskEstimate
+  function printEstimateChange(result) {
+    const describe = (estimate) =>
+      estimate === null ? "none" : formatEstimate(estimate);
+    console.log(
+      chalk.green(
+        `Estimate of task ${result.id} set to ${describe(result.estimate)} (was ${describe(result.previous)})`,
+      ),
+    );
+  }
+
   // update-task command
   programInstance
     .command("update-task")
     .description(
       "Update a single specific task by ID by appending timestamped details",
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("-i, --id <id>", "Task ID to update (required)")
     .option(
       "-d, --details <details>",
-      "Additional details to append to the task (required)",
+      "Additional details to append to the task (required unless --estimate is given)",
+    )
+    .option(
+      "-e, --estimate <estimate>",
+      'Estimate in story points or hours ("none" clears it)',
     )
     .action(async (options) => {
       try {
@@ -165,8 +288,10 @@ function registerCommands(programInstance) {
           process.exit(1);
         }
 
-        if (!options.details) {
-          console.error(chalk.red("Error: --details parameter is required"));
+        if (!options.details && options.estimate === undefined) {
+          console.error(
+            chalk.red("Error: --details or --estimate parameter is required"),
+          );
           console.log(
             chalk.yellow(
               'Usage example: lm-tasker update-task --id=23 --details="Implementation notes"',
@@ -196,7 +321,7 @@ function registerCommands(programInstance) {
           console.error(
             chalk.red(`Error: Tasks file not found at path: ${tasksPath}`),
           );
-          if (tasksPath === "tasks/tasks.json") {
+          if (tasksPath === tasksFileDefault) {
             console.log(
               chalk.yellow(
                 "Hint: Run 'lm-tasker add-task --title=\"...\" --description=\"...\"' to create your first task",
@@ -212,6 +337,15 @@ function registerCommands(programInstance) {
           process.exit(1);
         }
 
+        if (options.estimate !== undefined) {
+          printEstimateChange(
+            setTaskEstimate(tasksPath, taskId, options.estimate),
+          );
+          if (!options.details) {
+            return;
+          }
+        }
+
         console.log(
           chalk.blue(`Updating task ${taskId}`),
         );
@@ -242,7 +376,7 @@ function registerCommands(programInstance) {
     .description(
       "Append additional information to a specific subtask without replacing existing content",
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option(
       "-i, --id <id>",
       "Subtask ID in format parentId.subtaskId (e.g., 5.2)",
@@ -251,6 +385,10 @@ function registerCommands(programInstance) {
       "-d, --details <details>",
       "Additional details to append to the subtask",
     )
+    .option(
+      "-e, --estimate <estimate>",
+      'Estimate in story points or hours ("none" clears it)',
+    )
     .action(async (options) => {
       try {
         const tasksPath = options.file;
@@ -268,9 +406,9 @@ function registerCommands(programInstance) {
           process.exit(1);
         }
 
-        if (!options.details) {
+        if (!options.details && options.estimate === undefined) {
           console.error(
-            chalk.red("Error: --details parameter is required"),
+            chalk.red("Error: --details or --estimate parameter is required"),
           );
           console.log(
             chalk.yellow(
@@ -301,7 +439,7 @@ function registerCommands(programInstance) {
           console.error(
             chalk.red(`Error: Tasks file not found at path: ${tasksPath}`),
           );
-          if (tasksPath === "tasks/tasks.json") {
+          if (tasksPath === tasksFileDefault) {
             console.log(
               chalk.yellow(
                 "Hint: Run 'lm-tasker add-task --title=\"...\" --description=\"...\"' to create your first task",
@@ -317,6 +455,15 @@ function registerCommands(programInstance) {
           process.exit(1);
         }
 
+        if (options.estimate !== undefined) {
+          printEstimateChange(
+            setTaskEstimate(tasksPath, subtaskId, options.estimate),
+          );
+          if (!options.details) {
+            return;
+          }
+        }
+
         console.log(
           chalk.blue(`Updating subtask ${subtaskId}`),
         );
@@ -345,16 +492,272 @@ function registerCommands(programInstance) {
   programInstance
     .command("generate")
     .description("Generate task files from tasks.json")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("-o, --output <dir>", "Output directory", "tasks")
+    .option(
+      "--format <format>",
+      `Task file format (${TASK_FILE_FORMATS.join(", ")}; default: the taskFileFormat setting)`,
+    )
+    .option(
+      "-w, --watch",
+      "Keep running and regenerate the task files whenever the tasks file changes",
+    )
+    .option(
+      "--debounce <ms>",
+      "Wait this long after the last change before regenerating (with --watch)",
+      "300",
+    )
     .action(async (options) => {
       const tasksPath = options.file;
       const outputDir = options.output;
+      const debounceMs = parseInt(options.debounce, 10);
+      if (isNaN(debounceMs) || debounceMs < 0) {
+        console.error(
+          chalk.red("Error: --debounce must be a non-negative number"),
+        );
+        process.exit(1);
+      }
+      if (options.format && !TASK_FILE_FORMATS.includes(options.format)) {
+        console.error(
+          chalk.red(
+            `Error: Invalid format: ${options.format}. Use one of: ${TASK_FILE_FORMATS.join(", ")}`,
+          ),
+        );
+        process.exit(1);
+      }
 
       console.log(chalk.blue(`Generating task files from: ${tasksPath}`));
       console.log(chalk.blue(`Output directory: ${outputDir}`));
 
-      await generateTaskFiles(tasksPath, outputDir);
+      await generateTaskFiles(tasksPath, outputDir, { format: options.format });
+      if (!options.watch) {
+        return;
+      }
+
+      // Report each regeneration in one line instead of the full log
+      enableSilentMode();
+      const watcher = watchTaskFiles(tasksPath, outputDir, {
+        debounceMs,
+        format: options.format,
+        onGenerate: (result) => {
+          if (result.written > 0 || result.removed > 0) {
+            console.log(
+              chalk.green(
+                `[${new Date().toLocaleTimeString()}] Wrote ${result.written} task file(s)` +
+                  (result.removed > 0
+                    ? `, removed ${result.removed} orphaned file(s)`
+                    : ""),
+              ),
+            );
+          }
+        },
+        onError: (error) => {
+          console.error(
+            chalk.red(
+              `[${new Date().toLocaleTimeString()}] Error: ${error.message}`,
+            ),
+          );
+        },
+      });
+      console.log(
+        chalk.cyan(`Watching ${tasksPath} for changes (Ctrl+C to stop)`),
+      );
+      process.once("SIGINT", () => {
+        watcher.close();
+        disableSilentMode();
+        process.exit(0);
+      });
+    });
+
+  // sync command
+  programInstance
+    .command("sync")
+    .description(
+      "Merge edits made to task files into tasks.json and regenerate the files that are out of date",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option("-o, --output <dir>", "Directory of the task files", "tasks")
+    .option(
+      "--prefer <side>",
+      "Resolve conflicts in favour of the task files (file) or tasks.json (tasks)",
+    )
+    .option("--dry-run", "Show what would change without writing anything")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const result = await syncTaskFiles(options.file, options.output, {
+          prefer: options.prefer,
+          dryRun: options.dryRun,
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          if (result.dryRun) {
+            console.log(chalk.yellow("Dry run: nothing was written"));
+          }
+          for (const merge of result.merged) {
+            console.log(
+              `${chalk.cyan(merge.file)} → task ${merge.id}: ${merge.changes.join(", ")}`,
+            );
+          }
+          for (const write of result.written) {
+            console.log(
+              `task ${write.id} → ${chalk.cyan(write.file)} (regenerated)`,
+            );
+          }
+          for (const file of result.removed) {
+            console.log(`${chalk.cyan(file)} removed (task no longer exists)`);
+          }
+          for (const error of result.errors) {
+            console.log(chalk.red(`${error.file}: ${error.message}`));
+          }
+          for (const conflict of result.conflicts) {
+            console.log(chalk.yellow(`${conflict.file}: ${conflict.reason}`));
+          }
+          console.log(
+            chalk.green(
+              `Merged ${result.merged.length} file(s), regenerated ${result.written.length}, removed ${result.removed.length}`,
+            ),
+          );
+          if (result.conflicts.length > 0) {
+            console.log(
+              chalk.yellow(
+                "Resolve conflicts by editing one side to match, or re-run with --prefer file or --prefer tasks",
+              ),
+            );
+          }
+        }
+        if (result.conflicts.length > 0 || result.errors.length > 0) {
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // export command
+  programInstance
+    .command("export")
+    .description(
+      "Export a project report with progress, dependencies and subtasks",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--format <format>",
+      `Report format (${EXPORT_FORMATS.join(", ")})`,
+      "md",
+    )
+    .option(
+      "-o, --output <file>",
+      "Write the report to a file instead of stdout",
+    )
+    .option(
+      "-q, --filter <expression>",
+      "Only include tasks matching a filter expression (see list --filter)",
+    )
+    .action(async (options) => {
+      try {
+        const result = exportTasks(options.file, options.format, {
+          output: options.output,
+          filter: options.filter,
+        });
+        if (result.outputPath) {
+          console.log(
+            chalk.green(
+              `Exported ${result.taskCount} tasks as ${result.format} to ${result.outputPath}`,
+            ),
+          );
+        } else {
+          process.stdout.write(result.content);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // import command
+  programInstance
+    .command("import")
+    .description(
+      "Import tasks from a CSV file, a Markdown checklist or outline, or a GitHub issues JSON export",
+    )
+    .argument("<source>", "File to import")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--format <format>",
+      `Source format (${Object.keys(IMPORT_FORMATS).join(", ")}); detected from the file extension by default`,
+    )
+    .option(
+      "--dry-run",
+      "Show what would be imported without changing anything",
+    )
+    .option(
+      "--allow-duplicates",
+      "Import tasks even when a task with the same title exists",
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (source, options) => {
+      try {
+        // Keep progress logs out of JSON output
+        if (options.json) {
+          enableSilentMode();
+        }
+        const result = importTasks(options.file, source, {
+          format: options.format,
+          dryRun: options.dryRun,
+          allowDuplicates: options.allowDuplicates,
+        });
+        disableSilentMode();
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          displayImportResult(result);
+        }
+      } catch (error) {
+        disableSilentMode();
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // apply command
+  programInstance
+    .command("apply")
+    .description(
+      "Apply a JSON file of add_task, add_subtask and add_dependency operations in one write, all or nothing",
+    )
+    .argument(
+      "<batch>",
+      'JSON file with an array of operations, or an object with an "operations" array',
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--dry-run",
+      "Check the batch and show what it would do without changing anything",
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (batch, options) => {
+      try {
+        // Keep progress logs out of JSON output
+        if (options.json) {
+          enableSilentMode();
+        }
+        const result = applyTaskBatch(options.file, readTaskBatchFile(batch), {
+          dryRun: options.dryRun,
+        });
+        disableSilentMode();
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          displayTaskBatchResult(result);
+        }
+      } catch (error) {
+        disableSilentMode();
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
     });
 
   // set-status command
@@ -369,9 +772,9 @@ function registerCommands(programInstance) {
     )
     .option(
       "-s, --status <status>",
-      `New status (one of: ${TASK_STATUS_OPTIONS.join(", ")})`,
+      "New status (see lm-tasker statuses for the statuses of the project)",
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .action(async (options) => {
       const tasksPath = options.file;
       const taskId = options.id;
@@ -382,13 +785,15 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
 
-      if (!isValidTaskStatus(status)) {
-        console.error(
-          chalk.red(
-            `Error: Invalid status value: ${status}. Use one of: ${TASK_STATUS_OPTIONS.join(", ")}`,
-          ),
-        );
-
+      try {
+        const workflow = getTasksWorkflow(tasksPath);
+        if (!getStatusDefinition(status, workflow)) {
+          throw new Error(
+            `Invalid status value: ${status}. Use one of: ${getStatusNames(workflow).join(", ")}`,
+          );
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
         process.exit(1);
       }
 
@@ -399,12 +804,180 @@ function registerCommands(programInstance) {
       await setTaskStatus(tasksPath, taskId, status);
     });
 
+  // statuses command
+  programInstance
+    .command("statuses")
+    .description(
+      "List the task statuses of the project and the transitions allowed between them",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const workflow = getTasksWorkflow(options.file);
+        if (options.json) {
+          console.log(JSON.stringify(workflow, null, 2));
+        } else {
+          displayWorkflow(workflow);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // start command
+  programInstance
+    .command("start")
+    .description("Start a timer on a task or subtask")
+    .argument("<id>", "Task ID or subtask ID (e.g. 5 or 5.2)")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .action(async (id, options) => {
+      try {
+        const result = startTaskTimer(options.file, id);
+        console.log(
+          chalk.green(`Started timer on task ${result.id}: ${result.title}`),
+        );
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // stop command
+  programInstance
+    .command("stop")
+    .description("Stop the running timer of a task or subtask")
+    .argument("<id>", "Task ID or subtask ID (e.g. 5 or 5.2)")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .action(async (id, options) => {
+      try {
+        const result = stopTaskTimer(options.file, id);
+        console.log(
+          chalk.green(
+            `Stopped timer on task ${result.id} after ${formatDuration(result.entry.seconds)} (total ${formatDuration(result.totalSeconds)})`,
+          ),
+        );
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // log-time command
+  programInstance
+    .command("log-time")
+    .description("Log time spent on a task or subtask")
+    .argument("<id>", "Task ID or subtask ID (e.g. 5 or 5.2)")
+    .argument("<duration>", "Time spent, e.g. 1h30m, 45m, 1.5h or 1:30")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option("--date <date>", "Day the work was done (YYYY-MM-DD)")
+    .option("--note <text>", "Note for the time entry")
+    .action(async (id, duration, options) => {
+      try {
+        const result = logTaskTime(options.file, id, duration, {
+          date: options.date,
+          note: options.note,
+        });
+        console.log(
+          chalk.green(
+            `Logged ${formatDuration(result.entry.seconds)} on task ${result.id} (total ${formatDuration(result.totalSeconds)})`,
+          ),
+        );
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // time-report command
+  programInstance
+    .command("time-report")
+    .description("Show the time tracked on tasks, grouped by day or week")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--by <period>",
+      `Group by ${TIME_REPORT_PERIODS.join(" or ")}`,
+      "day",
+    )
+    .option("--since <date>", "First day to include (YYYY-MM-DD)")
+    .option("--until <date>", "Last day to include (YYYY-MM-DD)")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const report = getTimeReport(options.file, {
+          by: options.by,
+          since: options.since,
+          until: options.until,
+        });
+        if (options.json) {
+          console.log(JSON.stringify(report, null, 2));
+        } else {
+          displayTimeReport(report);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // burndown command
+  programInstance
+    .command("burndown")
+    .description(
+      "Show a burndown chart and velocity of the estimated work over a date range",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--since <date>",
+      "First day of the chart (YYYY-MM-DD, default: 13 days before --until)",
+    )
+    .option(
+      "--until <date>",
+      "Last day of the chart (YYYY-MM-DD, default: today)",
+    )
+    .option(
+      "--by <period>",
+      `Group velocity by ${TIME_REPORT_PERIODS.join(" or ")}`,
+      "day",
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const burndown = getBurndown(options.file, {
+          since: options.since,
+          until: options.until,
+          by: options.by,
+        });
+        if (options.json) {
+          console.log(JSON.stringify(burndown, null, 2));
+        } else {
+          displayBurndown(burndown);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
   // list command
   programInstance
     .command("list")
     .description("List all tasks")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("-s, --status <status>", "Filter by status")
+    .option(
+      "-q, --filter <expression>",
+      'Filter expression, e.g. "status:pending,in-progress priority:high -has:deps"',
+    )
+    .option(
+      "--sort <keys>",
+      `Sort by comma-separated keys (${SORT_KEYS.join(", ")}), prefix with - to reverse`,
+    )
+    .option(
+      "--fields <fields>",
+      "Comma-separated task fields to include in JSON output",
+    )
     .option("--with-subtasks", "Show subtasks for each task")
     .option("--json", "Output in JSON format")
     .action(async (options) => {
@@ -413,11 +986,25 @@ function registerCommands(programInstance) {
       const withSubtasks = options.withSubtasks || false;
       const outputFormat = options.json ? "json" : "text";
 
+      if (options.fields && outputFormat !== "json") {
+        console.error(
+          chalk.red("Error: --fields can only be used with --json"),
+        );
+        process.exit(1);
+      }
+
       if (outputFormat === "text") {
         console.log(chalk.blue(`Listing tasks from: ${tasksPath}`));
+        console.log(chalk.blue(`Tag: ${getCurrentTag(tasksPath)}`));
         if (statusFilter) {
           console.log(chalk.blue(`Filtering by status: ${statusFilter}`));
         }
+        if (options.filter) {
+          console.log(chalk.blue(`Filter: ${options.filter}`));
+        }
+        if (options.sort) {
+          console.log(chalk.blue(`Sorted by: ${options.sort}`));
+        }
         if (withSubtasks) {
           console.log(chalk.blue("Including subtasks in listing"));
         }
@@ -428,6 +1015,7 @@ function registerCommands(programInstance) {
         statusFilter,
         withSubtasks,
         outputFormat,
+        { filter: options.filter, sort: options.sort, fields: options.fields },
       );
 
       if (outputFormat === "json") {
@@ -439,7 +1027,7 @@ function registerCommands(programInstance) {
   programInstance
     .command("clear-subtasks")
     .description("Clear subtasks from specified tasks")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option(
       "-i, --id <ids>",
       "Task IDs (comma-separated) to clear subtasks from",
@@ -477,7 +1065,7 @@ function registerCommands(programInstance) {
   programInstance
     .command("add-task")
     .description("Add a new task manually (auto-initializes project if tasks.json doesn't exist)")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("-t, --title <title>", "Task title (required for manual)")
     .option(
       "-d, --description <description>",
@@ -493,9 +1081,9 @@ function registerCommands(programInstance) {
     )
     .option(
       "--priority <priority>",
-      "Task priority (high, medium, low)",
-      "medium",
+      "Task priority (high, medium, low; defaults to the configured defaultPriority)",
     )
+    .option("-e, --estimate <estimate>", "Estimate in story points or hours")
     .option("--prompt <prompt>", "Prompt for AI-based task creation")
     .option("-p <prompt>", "Prompt for AI-based task creation (shorthand)")
     .option("--research", "Use research model for prompt-based creation")
@@ -521,10 +1109,7 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
 
-      const tasksPath =
-        options.file ||
-        path.join(findProjectRoot() || ".", "tasks", "tasks.json") ||
-        "tasks/tasks.json";
+      const tasksPath = options.file || tasksFileDefault;
 
       // Correctly determine projectRoot
       const projectRoot = findProjectRoot();
@@ -550,6 +1135,12 @@ function registerCommands(programInstance) {
             details: options.details || "",
             testStrategy: options.testStrategy || "",
           };
+          if (options.estimate !== undefined) {
+            const estimate = parseEstimate(options.estimate);
+            if (estimate !== null) {
+              manualTaskData.estimate = estimate;
+            }
+          }
 
           console.log(
             chalk.blue(`Creating task manually with title: \"${options.title}\"`),
@@ -623,7 +1214,7 @@ function registerCommands(programInstance) {
     .description(
       `Show the next task to work on based on dependencies and status${chalk.reset("")}`,
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .action(async (options) => {
       const tasksPath = options.file;
       await displayNextTask(tasksPath);
@@ -638,7 +1229,7 @@ function registerCommands(programInstance) {
     .argument("[id]", "Task ID to show")
     .option("-i, --id <id>", "Task ID to show")
     .option("-s, --status <status>", "Filter subtasks by status") // ADDED status option
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("--json", "Output in JSON format")
     .action(async (taskId, options) => {
       const idArg = taskId || options.id;
@@ -664,13 +1255,87 @@ function registerCommands(programInstance) {
       }
     });
 
+  // graph command
+  programInstance
+    .command("graph")
+    .description(
+      "Show the dependency graph of tasks and subtasks, colored by status",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--format <format>",
+      `Graph format (${GRAPH_FORMATS.join(", ")})`,
+      "ascii",
+    )
+    .option(
+      "-r, --root <id>",
+      "Only show what this task or subtask depends on and what depends on it",
+    )
+    .option(
+      "-o, --output <file>",
+      "Write the graph to a file instead of stdout",
+    )
+    .action(async (options) => {
+      try {
+        const result = graphTasks(options.file, options.format, {
+          root: options.root,
+          output: options.output,
+        });
+        if (result.outputPath) {
+          console.log(
+            chalk.green(
+              `Wrote ${result.format} graph with ${result.nodeCount} nodes and ${result.edgeCount} edges to ${result.outputPath}`,
+            ),
+          );
+        } else {
+          process.stdout.write(result.content);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // analyze command
+  programInstance
+    .command("analyze")
+    .description(
+      "Analyze dependencies: critical path, tasks that unblock the most work, dead ends and cycles",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "-n, --limit <number>",
+      "Number of unblocking tasks and chains to show",
+      "5",
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      const limit = parseInt(options.limit, 10);
+      if (Number.isNaN(limit) || limit < 1) {
+        console.error(chalk.red("Error: --limit must be a positive number"));
+        process.exit(1);
+      }
+
+      try {
+        const analysis = analyzeTasks(options.file, { limit });
+        if (options.json) {
+          console.log(JSON.stringify(analysis, null, 2));
+        } else {
+          displayAnalysisReport(analysis);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
   // add-dependency command
   programInstance
     .command("add-dependency")
     .description("Add a dependency to a task")
     .option("-i, --id <id>", "Task ID to add dependency to")
     .option("-d, --depends-on <id>", "Task ID that will become a dependency")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .action(async (options) => {
       const tasksPath = options.file;
       const taskId = options.id;
@@ -701,7 +1366,7 @@ function registerCommands(programInstance) {
     .description("Remove a dependency from a task")
     .option("-i, --id <id>", "Task ID to remove dependency from")
     .option("-d, --depends-on <id>", "Task ID to remove as a dependency")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .action(async (options) => {
       const tasksPath = options.file;
       const taskId = options.id;
@@ -732,7 +1397,7 @@ function registerCommands(programInstance) {
     .description(
       `Identify invalid dependencies without fixing them${chalk.reset("")}`,
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .action(async (options) => {
       await validateDependenciesCommand(options.file);
     });
@@ -741,7 +1406,7 @@ function registerCommands(programInstance) {
   programInstance
     .command("fix-dependencies")
     .description(`Fix invalid dependencies automatically${chalk.reset("")}`)
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .action(async (options) => {
       await fixDependenciesCommand(options.file);
     });
@@ -750,7 +1415,7 @@ function registerCommands(programInstance) {
   programInstance
     .command("add-subtask")
     .description("Add a subtask to an existing task")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("-p, --parent <id>", "Parent task ID (required)")
     .option("-i, --task-id <id>", "Existing task ID to convert to subtask")
     .option(
@@ -760,10 +1425,17 @@ function registerCommands(programInstance) {
     .option("-d, --description <text>", "Description for the new subtask")
     .option("--details <text>", "Implementation details for the new subtask")
     .option(
-      "--dependencies <ids>",
-      "Comma-separated list of dependency IDs for the new subtask",
+      "--dependencies <ids>",
+      "Comma-separated list of dependency IDs for the new subtask",
+    )
+    .option(
+      "-s, --status <status>",
+      "Status for the new subtask (default: the first status of the workflow)",
+    )
+    .option(
+      "-e, --estimate <estimate>",
+      "Estimate for the new subtask in story points or hours",
     )
-    .option("-s, --status <status>", "Status for the new subtask", "pending")
     .option("--skip-generate", "Skip regenerating task files")
     .action(async (options) => {
       const tasksPath = options.file;
@@ -820,8 +1492,12 @@ function registerCommands(programInstance) {
             title: options.title,
             description: options.description || "",
             details: options.details || "",
-            status: options.status || "pending",
+            status: options.status,
             dependencies: dependencies,
+            estimate:
+              options.estimate !== undefined
+                ? parseEstimate(options.estimate)
+                : null,
           };
 
           const subtask = await addSubtask(
@@ -922,7 +1598,8 @@ function registerCommands(programInstance) {
           "  -d, --description <text>  Description for the new subtask\n" +
           "  --details <text>          Implementation details for the new subtask\n" +
           "  --dependencies <ids>      Comma-separated list of dependency IDs\n" +
-          '  -s, --status <status>     Status for the new subtask (default: "pending")\n' +
+          "  -s, --status <status>     Status for the new subtask (default: the first status of the workflow)\n" +
+          "  -e, --estimate <estimate> Estimate in story points or hours\n" +
           '  -f, --file <file>         Path to the tasks file (default: "tasks/tasks.json")\n' +
           "  --skip-generate           Skip regenerating task files\n\n" +
           chalk.cyan("Examples:") +
@@ -938,7 +1615,7 @@ function registerCommands(programInstance) {
   programInstance
     .command("remove-subtask")
     .description("Remove a subtask from its parent task")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option(
       "-i, --id <id>",
       'Subtask ID(s) to remove in format "parentId.subtaskId" (can be comma-separated for multiple subtasks)',
@@ -1090,7 +1767,7 @@ function registerCommands(programInstance) {
       "-i, --id <ids>",
       'ID(s) of the task(s) or subtask(s) to remove (e.g., "5", "5.2", or "5,6.1,7")',
     )
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option("-y, --yes", "Skip confirmation prompt", false)
     .action(async (options) => {
       const tasksPath = options.file;
@@ -1319,7 +1996,7 @@ function registerCommands(programInstance) {
   programInstance
     .command("move")
     .description("Move a task or subtask to a new position")
-    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
     .option(
       "--from <id>",
       'ID of the task/subtask to move (e.g., "5" or "5.2"). Can be comma-separated to move multiple tasks (e.g., "5,6,7")',
@@ -1446,9 +2123,556 @@ function registerCommands(programInstance) {
       }
     });
 
+  // undo / redo commands
+  [
+    ["undo", "Revert the most recent change to the tasks file"],
+    ["redo", "Reapply the most recently undone change"],
+  ].forEach(([direction, description]) => {
+    programInstance
+      .command(direction)
+      .description(description)
+      .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+      .option(
+        "--force",
+        `${direction === "undo" ? "Undo" : "Redo"} even if the affected tasks were changed since`,
+      )
+      .action(async (options) => {
+        try {
+          const result = applyJournalOperation(options.file, direction, {
+            force: options.force,
+          });
+          const changed = [
+            ...result.added,
+            ...result.removed,
+            ...result.modified,
+          ];
+          const tags = [...result.tagsCreated, ...result.tagsDeleted];
+          console.log(
+            chalk.green(
+              `✓ ${direction === "undo" ? "Undid" : "Redid"} "${result.label}" (${result.id})` +
+                (changed.length > 0
+                  ? ` affecting task(s) ${changed.join(", ")}`
+                  : "") +
+                (tags.length > 0 ? ` affecting tag(s) ${tags.join(", ")}` : ""),
+            ),
+          );
+        } catch (error) {
+          console.error(chalk.red(`Error: ${error.message}`));
+          process.exit(1);
+        }
+      });
+  });
+
+  // history command
+  programInstance
+    .command("history")
+    .description(
+      "Show recent changes to the tasks file from the operation journal",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option("-n, --limit <number>", "Number of operations to show", "20")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      const limit = parseInt(options.limit, 10);
+      if (isNaN(limit) || limit <= 0) {
+        console.error(chalk.red("Error: --limit must be a positive number"));
+        process.exit(1);
+      }
+
+      try {
+        const history = getJournalHistory(options.file, { limit });
+        if (options.json) {
+          console.log(JSON.stringify(history, null, 2));
+        } else {
+          displayHistory(history);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // log command
+  programInstance
+    .command("log")
+    .description(
+      "Show the recorded changes of a task or subtask: status, fields and dependencies",
+    )
+    .argument("<id>", "Task ID or subtask ID (e.g. 5 or 5.2)")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option("-n, --limit <number>", "Number of entries to show", "20")
+    .option("--json", "Output in JSON format")
+    .action(async (id, options) => {
+      const limit = parseInt(options.limit, 10);
+      if (isNaN(limit) || limit <= 0) {
+        console.error(chalk.red("Error: --limit must be a positive number"));
+        process.exit(1);
+      }
+
+      try {
+        const history = getTaskHistory(options.file, id, { limit });
+        if (options.json) {
+          console.log(JSON.stringify(history, null, 2));
+        } else {
+          displayTaskHistory(history);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // git command
+  programInstance
+    .command("git")
+    .description("Link git commits that reference tasks to those tasks")
+    .argument("[action]", "Action to perform: link", "link")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--range <range>",
+      "Revision range to scan, e.g. main..HEAD (default: all of HEAD)",
+    )
+    .option(
+      "--since <date>",
+      "Only scan commits after this date (any date git accepts)",
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (action, options) => {
+      if (action !== "link") {
+        console.error(chalk.red(`Error: Unknown git action: ${action}`));
+        console.log(chalk.yellow("Usage example: lm-tasker git link"));
+        process.exit(1);
+      }
+
+      try {
+        const result = linkGitCommits(options.file, {
+          range: options.range,
+          since: options.since,
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+          return;
+        }
+        for (const link of result.linked) {
+          console.log(
+            `${chalk.yellow(link.hash.slice(0, 7))} → task ${chalk.cyan(link.id)}: ${link.subject}`,
+          );
+        }
+        console.log(
+          chalk.green(
+            `Linked ${result.linked.length} new commit reference(s) from ${result.scanned} commit(s)`,
+          ),
+        );
+        if (result.unknown.length > 0) {
+          console.log(
+            chalk.yellow(
+              `Skipped references to unknown tasks: ${[
+                ...new Set(result.unknown.map((reference) => reference.id)),
+              ].join(", ")}`,
+            ),
+          );
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // branch command
+  programInstance
+    .command("branch")
+    .description(
+      "Create a git branch named after a task, check it out and mark the task in-progress",
+    )
+    .argument("<id>", "Task ID or subtask ID (e.g. 5 or 5.2)")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "-n, --name <name>",
+      "Branch name (default: task-<id>-<slugified title>)",
+    )
+    .action(async (id, options) => {
+      try {
+        const result = await createTaskBranch(options.file, id, {
+          name: options.name,
+        });
+        console.log(
+          chalk.green(
+            `${result.created ? "Created and checked out" : "Checked out existing"} branch ${result.branch}`,
+          ),
+        );
+        if (result.status) {
+          console.log(
+            chalk.green(
+              `Task ${result.id} moved from ${result.status.from} to ${result.status.to}`,
+            ),
+          );
+        }
+        for (const change of result.rollup) {
+          console.log(
+            chalk.gray(`Rolled up ${change.id}: ${change.from} → ${change.to}`),
+          );
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // hooks command
+  programInstance
+    .command("hooks")
+    .description(
+      "Install git hooks that check the task references of commit messages and update tasks from commits",
+    )
+    .argument(
+      "<action>",
+      "Action to perform: install or uninstall (commit-msg and post-commit are run by the hooks)",
+    )
+    .argument("[messageFile]", "Commit message file (commit-msg only)")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "--require-reference",
+      "Reject commit messages that reference no task (install, commit-msg)",
+    )
+    .option(
+      "--force",
+      "Replace existing hooks not written by lm-tasker (install only)",
+    )
+    .action(async (action, messageFile, options) => {
+      const tasksPath = options.file;
+      try {
+        switch (action) {
+          case "install": {
+            const result = installGitHooks(tasksPath, {
+              requireReference: options.requireReference,
+              force: options.force,
+            });
+            console.log(
+              chalk.green(
+                `✓ Installed ${result.installed.join(" and ")} hooks in ${result.hooksDir}`,
+              ),
+            );
+            if (options.requireReference) {
+              console.log(
+                chalk.gray("Commit messages must now reference a task."),
+              );
+            }
+            break;
+          }
+          case "uninstall": {
+            const result = uninstallGitHooks(tasksPath);
+            console.log(
+              result.removed.length > 0
+                ? chalk.green(
+                    `✓ Removed ${result.removed.join(" and ")} hooks from ${result.hooksDir}`,
+                  )
+                : chalk.yellow("No lm-tasker hooks are installed"),
+            );
+            break;
+          }
+          case "commit-msg": {
+            if (!messageFile) {
+              throw new Error("Please provide the commit message file");
+            }
+            const result = checkCommitMessage(
+              tasksPath,
+              readCommitMessage(messageFile),
+              { requireReference: options.requireReference },
+            );
+            if (!result.valid) {
+              for (const message of result.errors) {
+                console.error(chalk.red(`Error: ${message}`));
+              }
+              console.error(
+                chalk.yellow(
+                  "Fix the commit message, or skip this check with git commit --no-verify",
+                ),
+              );
+              process.exit(1);
+            }
+            break;
+          }
+          case "post-commit": {
+            enableSilentMode();
+            let result;
+            try {
+              result = await applyCommitKeywords(tasksPath);
+            } finally {
+              disableSilentMode();
+            }
+            for (const change of result.changes) {
+              console.log(
+                chalk.cyan(`lm-tasker: task ${change.id}`) +
+                  (change.status
+                    ? ` ${change.status.from} → ${change.status.to}`
+                    : " noted") +
+                  chalk.gray(
+                    ` (${change.action === "close" ? "closes" : "refs"})`,
+                  ),
+              );
+              if (change.warning) {
+                console.log(chalk.yellow(`  ${change.warning}`));
+              }
+            }
+            break;
+          }
+          default:
+            throw new Error(
+              `Unknown hooks action: ${action}. Use install or uninstall`,
+            );
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // tags command
+  programInstance
+    .command("tags")
+    .description("Manage named task lists (tags) in the tasks file")
+    .argument(
+      "[action]",
+      "Action to perform: add, use, list, copy or delete",
+      "list",
+    )
+    .argument("[name]", "Tag name (the source tag for copy)")
+    .argument("[target]", "Name of the new tag (copy only)")
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option(
+      "-d, --description <text>",
+      "Description of the new tag (add, copy)",
+    )
+    .option("--copy-from <tag>", "Copy the tasks of an existing tag (add only)")
+    .option("-y, --yes", "Skip confirmation prompt (delete only)")
+    .option("--json", "Output in JSON format")
+    .action(async (action, name, target, options) => {
+      const tasksPath = options.file;
+      const requireName = (usage) => {
+        if (!name) {
+          console.error(chalk.red("Error: Please provide a tag name"));
+          console.log(chalk.yellow(`Usage example: lm-tasker tags ${usage}`));
+          process.exit(1);
+        }
+      };
+      const printResult = (result, message) => {
+        console.log(
+          options.json
+            ? JSON.stringify(result, null, 2)
+            : chalk.green(`✓ ${message}`),
+        );
+      };
+
+      try {
+        switch (action) {
+          case "list": {
+            const tags = listTags(tasksPath);
+            if (options.json) {
+              console.log(JSON.stringify(tags, null, 2));
+            } else {
+              displayTags(tags);
+            }
+            break;
+          }
+          case "add": {
+            requireName('add feature-auth --description="Auth rework"');
+            const result = addTag(tasksPath, name, {
+              description: options.description,
+              copyFrom: options.copyFrom,
+            });
+            printResult(
+              result,
+              `Created tag "${result.name}" with ${result.taskCount} task(s). Switch to it with: lm-tasker tags use ${result.name}`,
+            );
+            break;
+          }
+          case "use": {
+            requireName("use feature-auth");
+            const result = useTag(tasksPath, name);
+            printResult(
+              result,
+              `Now using tag "${result.name}" (${result.taskCount} task(s))`,
+            );
+            break;
+          }
+          case "copy": {
+            if (!name || !target) {
+              console.error(
+                chalk.red("Error: Please provide a source and a target tag"),
+              );
+              console.log(
+                chalk.yellow("Usage example: lm-tasker tags copy main backup"),
+              );
+              process.exit(1);
+            }
+            const result = copyTag(tasksPath, name, target, {
+              description: options.description,
+            });
+            printResult(
+              result,
+              `Copied tag "${name}" to "${result.name}" (${result.taskCount} task(s))`,
+            );
+            break;
+          }
+          case "delete": {
+            requireName("delete feature-auth");
+            if (!options.yes) {
+              const tag = listTags(tasksPath).find((t) => t.name === name);
+              const { confirm } = await inquirer.prompt([
+                {
+                  type: "confirm",
+                  name: "confirm",
+                  message: chalk.red.bold(
+                    `Delete tag "${name}"${tag ? ` and its ${tag.taskCount} task(s)` : ""}?`,
+                  ),
+                  default: false,
+                },
+              ]);
+              if (!confirm) {
+                console.log(chalk.blue("Tag deletion cancelled."));
+                return;
+              }
+            }
+            const result = deleteTag(tasksPath, name);
+            printResult(
+              result,
+              `Deleted tag "${result.name}" with ${result.taskCount} task(s)`,
+            );
+            break;
+          }
+          default:
+            console.error(
+              chalk.red(
+                `Error: Unknown tags action "${action}". Use one of: add, use, list, copy, delete`,
+              ),
+            );
+            process.exit(1);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // doctor command
+  programInstance
+    .command("doctor")
+    .description(
+      "Check the tasks file against the schema, and migrate and repair it with --fix",
+    )
+    .option("-f, --file <file>", "Path to the tasks file", tasksFileDefault)
+    .option("--fix", "Apply pending migrations and repair what can be repaired")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const report = checkTasksFile(options.file, { fix: options.fix });
+        if (options.json) {
+          console.log(JSON.stringify(report, null, 2));
+        } else {
+          displayDoctorReport(report);
+        }
+        // Fail (e.g. in CI) while problems remain
+        if (report.remainingIssues.length > 0) {
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // config command
+  programInstance
+    .command("config")
+    .description("Get, set or list configuration values (.lmtaskerconfig)")
+    .argument("<action>", "Action to perform: get, set or list")
+    .argument("[key]", "Configuration key (e.g. defaultPriority)")
+    .argument("[value]", "New value (set only)")
+    .option(
+      "-g, --global",
+      "Write to the global config in your home directory instead of the project config",
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (action, key, value, options) => {
+      try {
+        switch (action) {
+          case "get": {
+            if (!key) {
+              console.error(chalk.red("Error: Please provide a key"));
+              console.log(
+                chalk.yellow("Usage example: lm-tasker config get defaultPriority"),
+              );
+              process.exit(1);
+            }
+            const resolved = getConfigValue(key);
+            console.log(
+              options.json ? JSON.stringify(resolved) : String(resolved),
+            );
+            break;
+          }
+          case "set": {
+            if (!key || value === undefined) {
+              console.error(chalk.red("Error: Please provide a key and a value"));
+              console.log(
+                chalk.yellow(
+                  "Usage example: lm-tasker config set defaultPriority high",
+                ),
+              );
+              process.exit(1);
+            }
+            const result = setConfigValue(key, value, {
+              global: options.global,
+            });
+            if (options.json) {
+              console.log(JSON.stringify(result, null, 2));
+            } else {
+              console.log(
+                chalk.green(
+                  `✓ Set ${result.key} = ${JSON.stringify(result.value)} in ${result.path}`,
+                ),
+              );
+            }
+            break;
+          }
+          case "list": {
+            const entries = getConfigSources();
+            if (options.json) {
+              console.log(JSON.stringify(entries, null, 2));
+            } else {
+              displayConfigList(entries, {
+                globalPath: getGlobalConfigPath(),
+                projectPath: getProjectConfigPath(),
+              });
+            }
+            break;
+          }
+          default:
+            console.error(
+              chalk.red(
+                `Error: Unknown config action "${action}". Use one of: get, set, list`,
+              ),
+            );
+            process.exit(1);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
   // Register TUI command
   registerTUICommand(programInstance);
 
+  // Every command working on tasks can target a tag other than the current one
+  programInstance.commands
+    .filter((command) => !["tags", "config"].includes(command.name()))
+    .forEach((command) => {
+      command.option(
+        "--tag <tag>",
+        "Tag (task list) to work on instead of the current one",
+      );
+    });
+
   return programInstance;
 }
 
@@ -1638,8 +2862,8 @@ async function runCLI(argv = process.argv) {
     const updateCheckPromise = checkForUpdate();
 
     // Setup and parse
-    // NOTE: getConfig() might be called during setupCLI->registerCommands if commands need config
-    // This means the ConfigurationError might be thrown here if .lmtaskerconfig is missing.
+    // NOTE: getConfig() runs in a preAction hook registered by registerCommands,
+    // so a ConfigurationError is thrown here if a config layer is invalid.
     const programInstance = setupCLI();
     await programInstance.parseAsync(argv);
 
@@ -1654,40 +2878,23 @@ async function runCLI(argv = process.argv) {
       }
     }
   } catch (error) {
-    // ** Specific catch block for missing configuration file **
+    // ** Specific catch block for invalid configuration **
     if (error instanceof ConfigurationError) {
       console.error(
         boxen(
-          chalk.red.bold("Configuration Update Required!") +
+          chalk.red.bold("Invalid Configuration") +
             "\n\n" +
-            chalk.white("LM-Tasker now uses the ") +
-            chalk.yellow.bold(".lmtaskerconfig") +
-            chalk.white(
-              " file in your project root for project settings.\n\n" +
-                "This file appears to be ",
-            ) +
-            chalk.red.bold("missing") +
-            chalk.white(". No worries though.\n\n") +
-            chalk.cyan.bold("To create this file, add your first task:") +
-            "\n" +
-            chalk.green("   lm-tasker add-task --title=\"Task Title\" --description=\"Task description\"") +
+            chalk.white(error.message) +
             "\n\n" +
-            chalk.white.bold("Key Points:") +
-            "\n" +
-            chalk.white("*   ") +
+            chalk.white("Settings are read from ") +
+            chalk.yellow.bold("~/.lmtaskerconfig") +
+            chalk.white(", the project ") +
             chalk.yellow.bold(".lmtaskerconfig") +
-            chalk.white(
-              ": Stores your project settings (created automatically)\n",
-            ) +
-            chalk.white("*   ") +
-            chalk.yellow.bold(".env & .mcp.json") +
-            chalk.white(": Used for any external service API keys if needed.\n\n") +
-            chalk.cyan(
-              "`lm-tasker add-task` creates your first task and initializes the project\n",
-            ) +
-            chalk.cyan(
-              "`lm-tasker list` to see your tasks",
-            ),
+            chalk.white(" and ") +
+            chalk.yellow.bold("LMTASKER_*") +
+            chalk.white(" environment variables.\n\n") +
+            chalk.cyan("`lm-tasker config list` shows where each value comes from\n") +
+            chalk.cyan("`lm-tasker config set <key> <value>` fixes a project setting"),
           {
             padding: 1,
             margin: { top: 1 },
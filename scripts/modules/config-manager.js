@@ -1,10 +1,28 @@
 /**
  * config-manager.js
- * Minimal configuration management for LM-Tasker (AI functionality removed)
- * Provides hardcoded defaults instead of reading from .lmtaskerconfig files
+ * Layered configuration management for LM-Tasker
+ *
+ * Configuration is resolved from (lowest to highest precedence):
+ *   1. Built-in defaults
+ *   2. Global config file (~/.lmtaskerconfig)
+ *   3. Project config file (<projectRoot>/.lmtaskerconfig)
+ *   4. Environment variables (LMTASKER_*)
+ *
+ * The optional "workflow" section (task statuses and the transitions allowed
+ * between them) is taken as a whole from the project file, or else from the
+ * global file.
  */
 
-// Default configuration values (hardcoded since no config file is needed)
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { z } from "zod";
+import { TASK_STATUS_OPTIONS } from "../../src/constants/task-status.js";
+
+// Name of the config file, used for both the global and project layers
+const CONFIG_FILE_NAME = ".lmtaskerconfig";
+
+// Default configuration values
 const DEFAULTS = {
   global: {
     logLevel: "info",
@@ -12,10 +30,186 @@ const DEFAULTS = {
     defaultSubtasks: 5,
     defaultPriority: "medium",
     projectName: "LM-Tasker",
+    tasksFile: "tasks/tasks.json",
+    taskFileFormat: "text",
   },
 };
 
-// Custom Error for configuration issues (kept for compatibility)
+// Formats `generate` can write task files in (see task-files.js)
+const TASK_FILE_FORMATS = ["text", "markdown"];
+
+// Workflow used when no config file defines one: the built-in statuses,
+// with any transition allowed
+const DEFAULT_WORKFLOW = {
+  statuses: TASK_STATUS_OPTIONS.map((name) => ({
+    name,
+    ...(name === "done" ? { complete: true } : {}),
+  })),
+};
+
+// Colors a status can be shown in, besides "#rrggbb"
+const STATUS_COLORS = [
+  "black",
+  "red",
+  "green",
+  "yellow",
+  "blue",
+  "magenta",
+  "cyan",
+  "white",
+  "gray",
+];
+
+// Schema for the "global" section once all layers are merged
+const GlobalConfigSchema = z
+  .object({
+    logLevel: z.enum(["debug", "info", "warn", "error"]),
+    debug: z.boolean(),
+    defaultSubtasks: z.number().int().positive(),
+    defaultPriority: z.enum(["high", "medium", "low"]),
+    projectName: z.string().min(1),
+    tasksFile: z.string().min(1),
+    taskFileFormat: z.enum(TASK_FILE_FORMATS),
+  })
+  .strict();
+
+// Schema for one status in the "workflow" section
+const WorkflowStatusSchema = z
+  .object({
+    name: z
+      .string()
+      .regex(
+        /^[a-z][a-z0-9-]*$/,
+        'Status names are lowercase words joined by dashes, e.g. "in-review"',
+      ),
+    color: z
+      .string()
+      .refine(
+        (color) =>
+          STATUS_COLORS.includes(color) || /^#[0-9a-f]{6}$/i.test(color),
+        `Colors are one of ${STATUS_COLORS.join(", ")} or "#rrggbb"`,
+      )
+      .optional(),
+    icon: z.string().min(1).optional(),
+    complete: z.boolean().optional(),
+  })
+  .strict();
+
+// How open subtasks are handled when their parent is completed
+const ROLLUP_CLOSE_POLICIES = ["cascade", "prompt", "fail"];
+
+// Schema for the roll-up rules of the "workflow" section: the status a parent
+// moves to when its subtasks are all complete or one of them starts (null
+// turns that roll-up off), and what completing a parent does to open subtasks
+const WorkflowRollupSchema = z
+  .object({
+    onSubtasksComplete: z.string().nullable().optional(),
+    onSubtaskStarted: z.string().nullable().optional(),
+    onParentComplete: z.enum(ROLLUP_CLOSE_POLICIES).optional(),
+  })
+  .strict();
+
+// Schema for the "workflow" section. Without `statuses` the built-in ones are
+// used; without `transitions` any status change is allowed.
+const WorkflowConfigSchema = z
+  .object({
+    statuses: z.array(WorkflowStatusSchema).min(1).optional(),
+    transitions: z.record(z.array(z.string())).optional(),
+    rollup: WorkflowRollupSchema.optional(),
+  })
+  .strict()
+  .superRefine((workflow, ctx) => {
+    const statuses = workflow.statuses || DEFAULT_WORKFLOW.statuses;
+    const names = statuses.map((status) => status.name);
+    names.forEach((name, index) => {
+      if (names.indexOf(name) !== index) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["statuses", index, "name"],
+          message: `Duplicate status "${name}"`,
+        });
+      }
+    });
+    if (!statuses.some((status) => status.complete)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["statuses"],
+        message: 'At least one status must be marked "complete": true',
+      });
+    }
+    const checkStatus = (status, path) => {
+      if (!names.includes(status)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path,
+          message: `Unknown status "${status}". Define it in workflow.statuses`,
+        });
+      }
+    };
+    for (const [from, targets] of Object.entries(workflow.transitions || {})) {
+      checkStatus(from, ["transitions", from]);
+      targets.forEach((target, index) =>
+        checkStatus(target, ["transitions", from, index]),
+      );
+    }
+    for (const key of ["onSubtasksComplete", "onSubtaskStarted"]) {
+      if (workflow.rollup?.[key]) {
+        checkStatus(workflow.rollup[key], ["rollup", key]);
+      }
+    }
+  });
+
+/**
+ * Fill in the roll-up rules a workflow leaves out: complete a parent with
+ * its first complete status, start it with "in-progress" (if the workflow
+ * has it) and cascade when a parent is completed
+ * @param {Object} rollup - Roll-up rules from the config file
+ * @param {Array<{name: string, complete: boolean}>} statuses - Statuses of the workflow
+ * @returns {{onSubtasksComplete: string|null, onSubtaskStarted: string|null, onParentComplete: string}} Resolved rules
+ */
+function resolveRollup(rollup, statuses) {
+  const names = statuses.map((status) => status.name);
+  const defaults = {
+    onSubtasksComplete: statuses.find((status) => status.complete).name,
+    onSubtaskStarted: names.includes("in-progress") ? "in-progress" : null,
+    onParentComplete: "cascade",
+  };
+  return { ...defaults, ...rollup };
+}
+
+// Schema for a single config file; every key is optional in a layer
+const ConfigFileSchema = z
+  .object({
+    global: GlobalConfigSchema.partial().optional(),
+    workflow: WorkflowConfigSchema.optional(),
+  })
+  .strict();
+
+// Environment variables that override config values
+const ENV_OVERRIDES = {
+  LMTASKER_LOG_LEVEL: "logLevel",
+  LMTASKER_DEBUG: "debug",
+  LMTASKER_DEFAULT_SUBTASKS: "defaultSubtasks",
+  LMTASKER_DEFAULT_PRIORITY: "defaultPriority",
+  LMTASKER_PROJECT_NAME: "projectName",
+  LMTASKER_TASKS_FILE: "tasksFile",
+  LMTASKER_TASK_FILE_FORMAT: "taskFileFormat",
+};
+
+// Markers used to locate the project root when none is given
+const PROJECT_ROOT_MARKERS = [
+  CONFIG_FILE_NAME,
+  path.join("tasks", "tasks.json"),
+  ".git",
+  "package.json",
+];
+
+// Cache of file-based layers keyed by project root
+const loadedConfigs = new Map();
+// Cache of resolved project roots keyed by start directory
+const resolvedRoots = new Map();
+
+// Custom Error for configuration issues
 class ConfigurationError extends Error {
   constructor(message) {
     super(message);
@@ -24,86 +218,456 @@ class ConfigurationError extends Error {
 }
 
 /**
- * Get the configuration object (returns hardcoded defaults)
- * @param {string} explicitRoot - Ignored, kept for compatibility
- * @param {boolean} forceReload - Ignored, kept for compatibility
- * @returns {Object} The configuration object
+ * Get the path of the global (per-user) config file.
+ * LMTASKER_GLOBAL_CONFIG can point to an alternative location.
+ * @returns {string} Absolute path to the global config file
+ */
+function getGlobalConfigPath() {
+  return (
+    process.env.LMTASKER_GLOBAL_CONFIG ||
+    path.join(os.homedir(), CONFIG_FILE_NAME)
+  );
+}
+
+/**
+ * Get the path of the project config file.
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {string} Absolute path to the project config file
+ */
+function getProjectConfigPath(explicitRoot = null) {
+  return path.join(explicitRoot || findProjectRoot(), CONFIG_FILE_NAME);
+}
+
+/**
+ * Find the project root directory by walking up from the current directory.
+ * The global config file in the home directory is not treated as a marker.
+ * @param {string} startDir - Directory to start from (defaults to cwd)
+ * @returns {string} The project root, or the start directory if none is found
+ */
+function findProjectRoot(startDir = process.cwd()) {
+  const start = path.resolve(startDir);
+  if (resolvedRoots.has(start)) {
+    return resolvedRoots.get(start);
+  }
+
+  const globalConfigPath = path.resolve(getGlobalConfigPath());
+  let current = start;
+  let root = start;
+  while (true) {
+    const hasMarker = PROJECT_ROOT_MARKERS.some((marker) => {
+      const markerPath = path.join(current, marker);
+      return markerPath !== globalConfigPath && fs.existsSync(markerPath);
+    });
+    if (hasMarker) {
+      root = current;
+      break;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+
+  resolvedRoots.set(start, root);
+  return root;
+}
+
+/**
+ * Format zod issues into a readable list
+ * @param {Array} issues - zod issues
+ * @returns {string} One issue per line
+ */
+function formatIssues(issues) {
+  return issues
+    .map((issue) => {
+      const location = issue.path.length > 0 ? issue.path.join(".") : "(root)";
+      return `  - ${location}: ${issue.message}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Read a config file as raw JSON without validating it
+ * @param {string} filePath - Path to the config file
+ * @returns {Object|null} The parsed object, or null if the file doesn't exist
+ * @throws {ConfigurationError} If the file is not valid JSON
+ */
+function readRawConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new ConfigurationError(
+      `Could not parse config file ${filePath}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Read and validate a single config file layer
+ * @param {string} filePath - Path to the config file
+ * @returns {Object|null} The parsed layer, or null if the file doesn't exist
+ * @throws {ConfigurationError} If the file is not valid JSON or fails validation
+ */
+function readConfigFile(filePath) {
+  const raw = readRawConfigFile(filePath);
+  if (raw === null) {
+    return null;
+  }
+
+  const result = ConfigFileSchema.safeParse(raw);
+  if (!result.success) {
+    throw new ConfigurationError(
+      `Invalid config file ${filePath}:\n${formatIssues(result.error.issues)}`,
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Convert a string value to the type expected for a config key
+ * @param {string} key - Config key in the global section
+ * @param {*} value - Raw value (usually a string from the CLI or env)
+ * @returns {*} The coerced value (validation happens separately)
+ */
+function coerceValue(key, value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  const expectedType = typeof DEFAULTS.global[key];
+  if (expectedType === "boolean") {
+    if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+  }
+  if (expectedType === "number" && value.trim() !== "" && !isNaN(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Collect overrides from environment variables
+ * @returns {Object} Partial global config built from the environment
+ * @throws {ConfigurationError} If an environment value is invalid
+ */
+function getEnvOverrides() {
+  const overrides = {};
+
+  // Legacy DEBUG=1 / DEBUG=true switch
+  if (process.env.DEBUG === "1" || process.env.DEBUG === "true") {
+    overrides.debug = true;
+  }
+
+  for (const [envVar, key] of Object.entries(ENV_OVERRIDES)) {
+    const value = process.env[envVar];
+    if (value === undefined || value === "") continue;
+
+    const coerced = coerceValue(key, value);
+    const result = GlobalConfigSchema.shape[key].safeParse(coerced);
+    if (!result.success) {
+      throw new ConfigurationError(
+        `Invalid value for ${envVar}: ${result.error.issues[0].message}`,
+      );
+    }
+    overrides[key] = result.data;
+  }
+
+  return overrides;
+}
+
+/**
+ * Load the file-based layers for a project root (cached)
+ * @param {string} root - Project root
+ * @param {boolean} forceReload - Bypass the cache
+ * @returns {{globalLayer: Object, projectLayer: Object, workflowLayer: Object}}
+ */
+function loadFileLayers(root, forceReload) {
+  if (!forceReload && loadedConfigs.has(root)) {
+    return loadedConfigs.get(root);
+  }
+
+  const globalConfigPath = path.resolve(getGlobalConfigPath());
+  const projectConfigPath = path.resolve(root, CONFIG_FILE_NAME);
+
+  const globalFile = readConfigFile(globalConfigPath) || {};
+  // A project rooted in the home directory shares the global file
+  const projectFile =
+    projectConfigPath === globalConfigPath
+      ? {}
+      : readConfigFile(projectConfigPath) || {};
+
+  const layers = {
+    globalLayer: globalFile.global || {},
+    projectLayer: projectFile.global || {},
+    workflowLayer: projectFile.workflow || globalFile.workflow || {},
+  };
+  loadedConfigs.set(root, layers);
+  return layers;
+}
+
+/**
+ * Get the resolved configuration object
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @param {boolean} forceReload - Re-read config files instead of using the cache
+ * @returns {Object} The merged configuration object
+ * @throws {ConfigurationError} If any layer is invalid
  */
 function getConfig(explicitRoot = null, forceReload = false) {
-  return DEFAULTS;
+  if (forceReload) {
+    resolvedRoots.clear();
+  }
+  const root = explicitRoot || findProjectRoot();
+  const { globalLayer, projectLayer, workflowLayer } = loadFileLayers(
+    root,
+    forceReload,
+  );
+
+  return {
+    global: {
+      ...DEFAULTS.global,
+      ...globalLayer,
+      ...projectLayer,
+      ...getEnvOverrides(),
+    },
+    workflow: {
+      statuses: (workflowLayer.statuses || DEFAULT_WORKFLOW.statuses).map(
+        (status) => ({
+          name: status.name,
+          color: status.color || null,
+          icon: status.icon || null,
+          complete: status.complete === true,
+        }),
+      ),
+      transitions: workflowLayer.transitions || null,
+      rollup: resolveRollup(
+        workflowLayer.rollup || {},
+        workflowLayer.statuses || DEFAULT_WORKFLOW.statuses,
+      ),
+    },
+  };
 }
 
 /**
- * Get global configuration (returns hardcoded defaults)
- * @param {string} explicitRoot - Ignored, kept for compatibility
+ * Get global configuration section
+ * @param {string} explicitRoot - Optional project root, detected if omitted
  * @returns {Object} Global configuration
  */
 function getGlobalConfig(explicitRoot = null) {
-  return DEFAULTS.global;
+  return getConfig(explicitRoot).global;
 }
 
 /**
- * Get log level
- * @param {string} explicitRoot - Ignored, kept for compatibility
+ * Get the task workflow: the statuses tasks can have (in display order) and
+ * the allowed transitions between them
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {{statuses: Array<{name: string, color: string|null, icon: string|null, complete: boolean}>, transitions: Object<string, string[]>|null, rollup: Object}} The workflow; null transitions allow any change
+ */
+function getWorkflow(explicitRoot = null) {
+  return getConfig(explicitRoot).workflow;
+}
+
+/**
+ * Get log level. Falls back to the default on invalid config, since the
+ * logger itself depends on this value.
+ * @param {string} explicitRoot - Optional project root, detected if omitted
  * @returns {string} Log level
  */
 function getLogLevel(explicitRoot = null) {
-  return DEFAULTS.global.logLevel;
+  try {
+    return getGlobalConfig(explicitRoot).logLevel;
+  } catch (error) {
+    return DEFAULTS.global.logLevel;
+  }
 }
 
 /**
- * Get debug flag
- * @param {string} explicitRoot - Ignored, kept for compatibility
+ * Get debug flag. Falls back to the default on invalid config, since error
+ * reporting depends on this value.
+ * @param {string} explicitRoot - Optional project root, detected if omitted
  * @returns {boolean} Debug flag
  */
 function getDebugFlag(explicitRoot = null) {
-  return DEFAULTS.global.debug;
+  try {
+    return getGlobalConfig(explicitRoot).debug;
+  } catch (error) {
+    return DEFAULTS.global.debug;
+  }
 }
 
 /**
  * Get default number of subtasks
- * @param {string} explicitRoot - Ignored, kept for compatibility
+ * @param {string} explicitRoot - Optional project root, detected if omitted
  * @returns {number} Default number of subtasks
  */
 function getDefaultSubtasks(explicitRoot = null) {
-  return DEFAULTS.global.defaultSubtasks;
+  return getGlobalConfig(explicitRoot).defaultSubtasks;
 }
 
 /**
  * Get default priority
- * @param {string} explicitRoot - Ignored, kept for compatibility
+ * @param {string} explicitRoot - Optional project root, detected if omitted
  * @returns {string} Default priority
  */
 function getDefaultPriority(explicitRoot = null) {
-  return DEFAULTS.global.defaultPriority;
+  return getGlobalConfig(explicitRoot).defaultPriority;
 }
 
 /**
  * Get project name
- * @param {string} explicitRoot - Ignored, kept for compatibility
+ * @param {string} explicitRoot - Optional project root, detected if omitted
  * @returns {string} Project name
  */
 function getProjectName(explicitRoot = null) {
-  return DEFAULTS.global.projectName;
+  return getGlobalConfig(explicitRoot).projectName;
+}
+
+/**
+ * Get the absolute path of the tasks file
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {string} Absolute path to tasks.json
+ */
+function getTasksFile(explicitRoot = null) {
+  const root = explicitRoot || findProjectRoot();
+  return path.resolve(root, getGlobalConfig(root).tasksFile);
 }
 
 /**
- * Write configuration to file (no-op since no config file is used)
- * @param {Object} config - Ignored
- * @param {string} explicitRoot - Ignored
+ * Get the format task files are generated in
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {string} One of TASK_FILE_FORMATS
+ */
+function getTaskFileFormat(explicitRoot = null) {
+  return getGlobalConfig(explicitRoot).taskFileFormat;
+}
+
+/**
+ * Normalize a user-supplied key ("defaultPriority" or "global.defaultPriority")
+ * @param {string} key - Config key
+ * @returns {string} Key within the global section
+ * @throws {ConfigurationError} If the key is unknown
+ */
+function normalizeConfigKey(key) {
+  const normalized = String(key || "").replace(/^global\./, "");
+  if (!Object.prototype.hasOwnProperty.call(DEFAULTS.global, normalized)) {
+    throw new ConfigurationError(
+      `Unknown configuration key "${key}". Valid keys: ${Object.keys(DEFAULTS.global).join(", ")}`,
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Get a single resolved configuration value
+ * @param {string} key - Config key
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {*} The resolved value
+ */
+function getConfigValue(key, explicitRoot = null) {
+  return getGlobalConfig(explicitRoot)[normalizeConfigKey(key)];
+}
+
+/**
+ * Set a configuration value in the project or global config file
+ * @param {string} key - Config key
+ * @param {*} value - New value (strings are coerced to the key's type)
+ * @param {Object} options - Options
+ * @param {boolean} options.global - Write to the global config instead of the project config
+ * @param {string} options.explicitRoot - Optional project root, detected if omitted
+ * @returns {{key: string, value: *, path: string}} What was written and where
+ * @throws {ConfigurationError} If the key or value is invalid
+ */
+function setConfigValue(key, value, options = {}) {
+  const normalizedKey = normalizeConfigKey(key);
+  const coerced = coerceValue(normalizedKey, value);
+
+  const result = GlobalConfigSchema.shape[normalizedKey].safeParse(coerced);
+  if (!result.success) {
+    throw new ConfigurationError(
+      `Invalid value for ${normalizedKey}: ${result.error.issues[0].message}`,
+    );
+  }
+
+  const targetPath = options.global
+    ? getGlobalConfigPath()
+    : getProjectConfigPath(options.explicitRoot);
+  // Read without validation so a broken setting can be repaired with `config set`;
+  // the whole file is validated again before it is written
+  const existing = readRawConfigFile(targetPath) || {};
+  const updated = {
+    ...existing,
+    global: { ...(existing.global || {}), [normalizedKey]: result.data },
+  };
+
+  writeConfigFile(targetPath, updated);
+  return { key: normalizedKey, value: result.data, path: targetPath };
+}
+
+/**
+ * List every configuration value together with the layer it came from
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {Array<{key: string, value: *, source: string}>} Resolved entries
+ */
+function getConfigSources(explicitRoot = null) {
+  const root = explicitRoot || findProjectRoot();
+  const { globalLayer, projectLayer } = loadFileLayers(root, false);
+  const envLayer = getEnvOverrides();
+
+  return Object.keys(DEFAULTS.global).map((key) => {
+    let source = "default";
+    let value = DEFAULTS.global[key];
+    for (const [layerName, layer] of [
+      ["global", globalLayer],
+      ["project", projectLayer],
+      ["env", envLayer],
+    ]) {
+      if (layer[key] !== undefined) {
+        source = layerName;
+        value = layer[key];
+      }
+    }
+    return { key, value, source };
+  });
+}
+
+/**
+ * Validate and write a config object to disk, then drop cached layers
+ * @param {string} filePath - Destination path
+ * @param {Object} config - Config object to write
+ * @throws {ConfigurationError} If the config fails validation
+ */
+function writeConfigFile(filePath, config) {
+  const result = ConfigFileSchema.safeParse(config);
+  if (!result.success) {
+    throw new ConfigurationError(
+      `Refusing to write invalid config to ${filePath}:\n${formatIssues(result.error.issues)}`,
+    );
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(result.data, null, 2) + "\n");
+  loadedConfigs.clear();
+}
+
+/**
+ * Write configuration to the project config file
+ * @param {Object} config - Config object ({ global: {...} })
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {boolean} True when the file was written
+ * @throws {ConfigurationError} If the config fails validation
  */
 function writeConfig(config, explicitRoot = null) {
-  // No-op since we don't use config files anymore
-  console.log("[CONFIG] Configuration files are no longer used in LM-Tasker");
+  writeConfigFile(getProjectConfigPath(explicitRoot), config);
+  return true;
 }
 
 /**
- * Check if configuration file is present (always returns false)
- * @param {string} explicitRoot - Ignored, kept for compatibility
- * @returns {boolean} Always false since no config file is used
+ * Check if a project configuration file is present
+ * @param {string} explicitRoot - Optional project root, detected if omitted
+ * @returns {boolean} True if <projectRoot>/.lmtaskerconfig exists
  */
 function isConfigFilePresent(explicitRoot = null) {
-  return false;
+  return fs.existsSync(getProjectConfigPath(explicitRoot));
 }
 
 /**
@@ -116,14 +680,6 @@ function getUserId(explicitRoot = null) {
   return "user";
 }
 
-/**
- * Find the project root directory (simplified - returns current directory)
- * @returns {string} The current working directory
- */
-function findProjectRoot() {
-  return process.cwd();
-}
-
 export {
   getConfig,
   getGlobalConfig,
@@ -132,10 +688,22 @@ export {
   getDefaultSubtasks,
   getDefaultPriority,
   getProjectName,
+  getTasksFile,
+  getTaskFileFormat,
+  getWorkflow,
+  getConfigValue,
+  setConfigValue,
+  getConfigSources,
+  getGlobalConfigPath,
+  getProjectConfigPath,
   writeConfig,
   isConfigFilePresent,
   getUserId,
   findProjectRoot,
   ConfigurationError,
   DEFAULTS,
+  DEFAULT_WORKFLOW,
+  ROLLUP_CLOSE_POLICIES,
+  TASK_FILE_FORMATS,
+  CONFIG_FILE_NAME,
 };
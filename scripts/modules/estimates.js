@@ -0,0 +1,80 @@
+/**
+ * estimates.js
+ * Estimates and status-change timestamps on tasks and subtasks
+ *
+ * `estimate` is a non-negative number in whatever unit the project plans in
+ * (story points or hours). Burndown reports find when work was finished from
+ * the status changes in the item's `history` (see task-history.js).
+ */
+
+import { DEFAULT_WORKFLOW } from "./config-manager.js";
+import { isClosedStatus } from "./workflow.js";
+
+/**
+ * Parse an estimate such as "3", "2.5" or "5pt". "none" clears an estimate.
+ * @param {string|number} value - Estimate
+ * @returns {number|null} The estimate, or null to clear it
+ * @throws {Error} If the estimate is not a non-negative number
+ */
+function parseEstimate(value) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (text === "none") {
+    return null;
+  }
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(pts?|points?|h)?$/);
+  if (!match) {
+    throw new Error(
+      `Invalid estimate "${value}". Use a non-negative number, e.g. 3 or 2.5 (or "none" to clear it)`,
+    );
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Format an estimate for display
+ * @param {number} estimate - Estimate
+ * @returns {string} Formatted estimate, e.g. "2.5"
+ */
+function formatEstimate(estimate) {
+  return String(Math.round(estimate * 100) / 100);
+}
+
+const hasEstimate = (item) => typeof item.estimate === "number";
+
+/**
+ * Estimate of a task and of its subtasks
+ * @param {Object} task - Task or subtask
+ * @returns {{own: number|null, subtasks: number|null}} Totals; null when nothing is estimated
+ */
+function getEstimateTotals(task) {
+  const estimated = (task.subtasks || []).filter(hasEstimate);
+  return {
+    own: hasEstimate(task) ? task.estimate : null,
+    subtasks:
+      estimated.length > 0
+        ? estimated.reduce((total, subtask) => total + subtask.estimate, 0)
+        : null,
+  };
+}
+
+/**
+ * When a finished (complete or cancelled) task or subtask reached its current
+ * status
+ * @param {Object} item - Task or subtask
+ * @param {Object} [workflow] - Workflow from getWorkflow; defaults to the built-in one
+ * @returns {string|null} ISO timestamp, or null if the item is not finished or was finished before changes were recorded
+ */
+function getFinishedAt(item, workflow = DEFAULT_WORKFLOW) {
+  const status = item.status || "pending";
+  if (!isClosedStatus(status, workflow)) {
+    return null;
+  }
+  const change = [...(item.history || [])]
+    .reverse()
+    .find((entry) => entry.type === "status" && entry.to === status);
+  return change ? change.at : null;
+}
+
+export { parseEstimate, formatEstimate, getEstimateTotals, getFinishedAt };
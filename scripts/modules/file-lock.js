@@ -0,0 +1,237 @@
+/**
+ * file-lock.js
+ * Advisory file locking and atomic writes for LM-Tasker data files
+ *
+ * The CLI, the MCP server and the TUI all read-modify-write tasks.json.
+ * Writers take a `<file>.lock` lock file (created exclusively), write the new
+ * content to a temporary file next to the target and rename it into place, so
+ * readers never observe a half-written file.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Default locking behaviour
+const DEFAULT_LOCK_OPTIONS = {
+  timeoutMs: 10000, // Give up acquiring the lock after this long
+  retryMs: 50, // Wait between acquisition attempts
+  staleMs: 30000, // Locks older than this are considered abandoned
+};
+
+// Locks held by this process, keyed by lock path (value = nesting depth)
+const heldLocks = new Map();
+
+// Error thrown when a lock cannot be acquired in time
+class FileLockError extends Error {
+  constructor(message, lockPath) {
+    super(message);
+    this.name = "FileLockError";
+    this.code = "FILE_LOCKED";
+    this.lockPath = lockPath;
+  }
+}
+
+/**
+ * Get the lock file path for a data file
+ * @param {string} filepath - Path of the file being protected
+ * @returns {string} Path of the lock file
+ */
+function getLockPath(filepath) {
+  return `${path.resolve(filepath)}.lock`;
+}
+
+/**
+ * Block the current thread for a short time (used between lock attempts)
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process is still running on this machine
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Decide whether an existing lock file has been abandoned.
+ * A lock is stale when its owner process on this host is gone, or when it is
+ * older than `staleMs` (covers owners on other hosts and unreadable locks).
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleMs - Maximum age of a live lock
+ * @returns {boolean} True if the lock can be broken
+ */
+function isLockStale(lockPath, staleMs) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch (error) {
+    // Lock disappeared in the meantime; let the caller retry
+    return false;
+  }
+
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+    if (
+      owner.hostname === os.hostname() &&
+      Number.isInteger(owner.pid) &&
+      !isProcessAlive(owner.pid)
+    ) {
+      return true;
+    }
+  } catch (error) {
+    // Owner info is unreadable (possibly still being written); fall back to age
+  }
+
+  return Date.now() - stats.mtimeMs > staleMs;
+}
+
+/**
+ * Acquire the advisory lock for a file, waiting for other holders.
+ * Re-entrant within the same process.
+ * @param {string} filepath - Path of the file to lock
+ * @param {Object} options - Overrides for DEFAULT_LOCK_OPTIONS
+ * @returns {string} The lock file path
+ * @throws {FileLockError} If the lock cannot be acquired within the timeout
+ */
+function acquireLock(filepath, options = {}) {
+  const { timeoutMs, retryMs, staleMs } = {
+    ...DEFAULT_LOCK_OPTIONS,
+    ...options,
+  };
+  const lockPath = getLockPath(filepath);
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return lockPath;
+  }
+
+  const startedAt = Date.now();
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      try {
+        fs.writeSync(
+          fd,
+          JSON.stringify({
+            pid: process.pid,
+            hostname: os.hostname(),
+            acquiredAt: new Date().toISOString(),
+          }),
+        );
+      } finally {
+        fs.closeSync(fd);
+      }
+      heldLocks.set(lockPath, 1);
+      return lockPath;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    if (isLockStale(lockPath, staleMs)) {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (error) {
+        // Another process broke the lock first
+      }
+      continue;
+    }
+
+    if (Date.now() - startedAt >= timeoutMs) {
+      throw new FileLockError(
+        `Timed out waiting for lock on ${filepath}. If no other LM-Tasker process is running, delete ${lockPath}.`,
+        lockPath,
+      );
+    }
+
+    sleepSync(retryMs);
+  }
+}
+
+/**
+ * Release a lock acquired with acquireLock
+ * @param {string} filepath - Path of the locked file
+ */
+function releaseLock(filepath) {
+  const lockPath = getLockPath(filepath);
+  const depth = heldLocks.get(lockPath);
+  if (!depth) {
+    return;
+  }
+  if (depth > 1) {
+    heldLocks.set(lockPath, depth - 1);
+    return;
+  }
+
+  heldLocks.delete(lockPath);
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (error) {
+    // Lock was already removed (e.g. broken as stale); nothing to do
+  }
+}
+
+/**
+ * Run a function while holding the lock for a file
+ * @param {string} filepath - Path of the file to lock
+ * @param {Function} fn - Synchronous function to run
+ * @param {Object} options - Overrides for DEFAULT_LOCK_OPTIONS
+ * @returns {*} The function's return value
+ */
+function withFileLock(filepath, fn, options = {}) {
+  acquireLock(filepath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(filepath);
+  }
+}
+
+/**
+ * Write a file atomically: write a temp file in the same directory, then
+ * rename it over the target
+ * @param {string} filepath - Destination path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filepath, content) {
+  const tempPath = path.join(
+    path.dirname(filepath),
+    `.${path.basename(filepath)}.${process.pid}.${Date.now()}.tmp`,
+  );
+  try {
+    fs.writeFileSync(tempPath, content, "utf8");
+    fs.renameSync(tempPath, filepath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // Temp file was never created or already renamed
+    }
+    throw error;
+  }
+}
+
+export {
+  acquireLock,
+  releaseLock,
+  withFileLock,
+  writeFileAtomic,
+  getLockPath,
+  isLockStale,
+  FileLockError,
+  DEFAULT_LOCK_OPTIONS,
+};
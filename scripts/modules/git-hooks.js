@@ -0,0 +1,180 @@
+/**
+ * git-hooks.js
+ * Git hooks that keep tasks in line with the commits made for them
+ *
+ * `lm-tasker hooks install` writes two hooks into the repository that
+ * contains the tasks file:
+ *   - commit-msg runs `lm-tasker hooks commit-msg`, which rejects commit
+ *     messages that reference tasks that do not exist and, if installed with
+ *     --require-reference, messages that reference no task at all
+ *   - post-commit runs `lm-tasker hooks post-commit`, which links the new
+ *     commit to the tasks it references and applies its keywords ("closes
+ *     #12", "refs #12.3"; see parseTaskKeywords in git-integration.js)
+ * The hooks call the node binary and lm-tasker script that installed them,
+ * so reinstall them after moving either. Hooks not written by lm-tasker are
+ * only replaced with --force.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { runGit, assertGitRepository } from "./git-integration.js";
+
+// Hooks lm-tasker installs
+const HOOK_NAMES = ["commit-msg", "post-commit"];
+
+// Line that marks a hook as written by lm-tasker
+const HOOK_MARKER = "# Installed by lm-tasker hooks install";
+
+// Line after which git drops the rest of a message (commit --verbose)
+const SCISSORS_LINE = "# ------------------------ >8 ------------------------";
+
+const CLI_PATH = fileURLToPath(
+  new URL("../../bin/lm-tasker.js", import.meta.url),
+);
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value
+ * @returns {string} Single-quoted value
+ */
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+/**
+ * Directory git runs the hooks of a repository from (honours core.hooksPath)
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string} Absolute path of the hooks directory
+ */
+function getHooksDir(cwd) {
+  assertGitRepository(cwd);
+  return path.resolve(
+    cwd,
+    runGit(["rev-parse", "--git-path", "hooks"], cwd).trim(),
+  );
+}
+
+/**
+ * Write the script of a hook
+ * @param {string} hook - Hook name, one of HOOK_NAMES
+ * @param {Object} options - Options
+ * @param {string} options.tasksFile - Tasks file, relative to the top of the repository
+ * @param {boolean} [options.requireReference] - Reject commit messages without a task reference
+ * @returns {string} Shell script
+ */
+function buildHookScript(hook, options) {
+  const args = ["hooks", hook];
+  if (hook === "commit-msg") {
+    args.push('"$1"');
+  }
+  args.push("--file", shellQuote(options.tasksFile));
+  if (hook === "commit-msg" && options.requireReference) {
+    args.push("--require-reference");
+  }
+  return [
+    "#!/bin/sh",
+    HOOK_MARKER,
+    `# Remove it with lm-tasker hooks uninstall`,
+    `exec ${shellQuote(process.execPath)} ${shellQuote(CLI_PATH)} ${args.join(" ")}`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Check whether a hook file was written by lm-tasker
+ * @param {string} hookPath - Path to the hook
+ * @returns {boolean} True if it was
+ */
+function isLmTaskerHook(hookPath) {
+  return fs.readFileSync(hookPath, "utf8").includes(HOOK_MARKER);
+}
+
+/**
+ * Install the commit-msg and post-commit hooks in the repository that
+ * contains a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {boolean} [options.requireReference] - Reject commit messages without a task reference
+ * @param {boolean} [options.force] - Replace hooks not written by lm-tasker
+ * @returns {{hooksDir: string, installed: string[]}} Where the hooks were written
+ * @throws {Error} If the tasks file is not in a git repository, or another hook is in the way
+ */
+function installGitHooks(tasksPath, options = {}) {
+  const cwd = path.dirname(path.resolve(tasksPath));
+  const hooksDir = getHooksDir(cwd);
+  const topLevel = runGit(["rev-parse", "--show-toplevel"], cwd).trim();
+  const tasksFile = path
+    .relative(topLevel, path.resolve(tasksPath))
+    .split(path.sep)
+    .join("/");
+
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    throw new Error(
+      `Git hooks are disabled in this repository: core.hooksPath is ${hooksDir}`,
+    );
+  }
+
+  const blocked = HOOK_NAMES.filter((hook) => {
+    const hookPath = path.join(hooksDir, hook);
+    return fs.existsSync(hookPath) && !isLmTaskerHook(hookPath);
+  });
+  if (blocked.length > 0 && !options.force) {
+    throw new Error(
+      `The repository already has ${blocked.join(" and ")} hook(s) in ${hooksDir}. Use --force to replace them.`,
+    );
+  }
+
+  fs.mkdirSync(hooksDir, { recursive: true });
+  for (const hook of HOOK_NAMES) {
+    const script = buildHookScript(hook, {
+      tasksFile,
+      requireReference: options.requireReference,
+    });
+    fs.writeFileSync(path.join(hooksDir, hook), script, { mode: 0o755 });
+    // writeFileSync only applies the mode to new files
+    fs.chmodSync(path.join(hooksDir, hook), 0o755);
+  }
+
+  return { hooksDir, installed: [...HOOK_NAMES] };
+}
+
+/**
+ * Remove the hooks lm-tasker installed, leaving any other hooks in place
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {{hooksDir: string, removed: string[]}} The hooks removed
+ * @throws {Error} If the tasks file is not in a git repository
+ */
+function uninstallGitHooks(tasksPath) {
+  const hooksDir = getHooksDir(path.dirname(path.resolve(tasksPath)));
+  const removed = HOOK_NAMES.filter((hook) => {
+    const hookPath = path.join(hooksDir, hook);
+    if (!fs.existsSync(hookPath) || !isLmTaskerHook(hookPath)) {
+      return false;
+    }
+    fs.unlinkSync(hookPath);
+    return true;
+  });
+  return { hooksDir, removed };
+}
+
+/**
+ * Read a commit message file the way git will store it: without comment
+ * lines and without the diff `commit --verbose` adds
+ * @param {string} messageFile - Path to the message file git passes to commit-msg
+ * @returns {string} Message
+ */
+function readCommitMessage(messageFile) {
+  const lines = fs.readFileSync(messageFile, "utf8").split("\n");
+  const scissors = lines.indexOf(SCISSORS_LINE);
+  return (scissors === -1 ? lines : lines.slice(0, scissors))
+    .filter((line) => !line.startsWith("#"))
+    .join("\n")
+    .trim();
+}
+
+export {
+  HOOK_NAMES,
+  buildHookScript,
+  installGitHooks,
+  uninstallGitHooks,
+  readCommitMessage,
+};
@@ -0,0 +1,278 @@
+/**
+ * git-integration.js
+ * Links between tasks and the git history of a project, using the local git CLI
+ *
+ * Tasks and subtasks keep the commits that reference them in `commits`:
+ *   { hash, subject, author, date }
+ * oldest first, and the branch created for them in `branch`. A commit
+ * references a task with "#<id>" or "task <id>" in its message, e.g.
+ * "Fix the parser (#12)" or "Task 4.2: add tests". A keyword before a
+ * reference says what the commit does to the task: "closes #12" completes
+ * it and "refs #12.3" starts it (see parseTaskKeywords).
+ */
+
+import { execFileSync } from "child_process";
+
+// "#12", "#4.2", "task 12", "Task #4.2"; not "abc#12" or "#12abc"
+const TASK_REFERENCE_PATTERN = /(?:\btask\s+#?|(?<!\w)#)(\d+(?:\.\d+)?)\b/gi;
+
+// Keywords before task references, by what they do to the task
+const TASK_KEYWORDS = {
+  close: [
+    "close",
+    "closes",
+    "closed",
+    "fix",
+    "fixes",
+    "fixed",
+    "resolve",
+    "resolves",
+    "resolved",
+  ],
+  ref: ["ref", "refs", "references"],
+};
+
+// A keyword followed by one or more references: "closes #3", "refs #4.1, #5"
+const TASK_KEYWORD_PATTERN = new RegExp(
+  `\\b(${Object.values(TASK_KEYWORDS).flat().join("|")}):?\\s+((?:(?:task\\s+#?|#)\\d+(?:\\.\\d+)?\\b(?:\\s*(?:,|and)\\s*)?)+)`,
+  "gi",
+);
+
+// Separators of the fields and records of `git log` output
+const FIELD_SEPARATOR = "\x1f";
+const RECORD_SEPARATOR = "\x1e";
+
+/**
+ * Run a git command
+ * @param {string[]} args - Arguments to git
+ * @param {string} cwd - Directory to run it in
+ * @returns {string} Standard output
+ * @throws {Error} If git is not installed or the command fails
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error("git is not installed or not on the PATH");
+    }
+    const stderr = String(error.stderr || "").trim();
+    throw new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+  }
+}
+
+/**
+ * Check that a directory is inside a git work tree
+ * @param {string} cwd - Directory
+ * @throws {Error} If it is not
+ */
+function assertGitRepository(cwd) {
+  try {
+    runGit(["rev-parse", "--is-inside-work-tree"], cwd);
+  } catch (error) {
+    if (/not a git repository/i.test(error.message)) {
+      throw new Error(`${cwd} is not inside a git repository`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a revision (a commit, branch or other ref) exists
+ * @param {string} revision - Revision, e.g. "HEAD" or "refs/heads/main"
+ * @param {string} cwd - Directory inside the repository
+ * @returns {boolean} True if it exists
+ */
+function revisionExists(revision, cwd) {
+  try {
+    runGit(["rev-parse", "--verify", "--quiet", revision], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the task and subtask IDs a commit message references
+ * @param {string} message - Commit message
+ * @returns {string[]} Referenced IDs, e.g. ["12", "4.2"], without duplicates
+ */
+function parseTaskReferences(message) {
+  const ids = [];
+  for (const [, id] of String(message || "").matchAll(TASK_REFERENCE_PATTERN)) {
+    if (!ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Find the references that follow a keyword in a commit message
+ * @param {string} message - Commit message
+ * @returns {Array<{id: string, action: string}>} Referenced IDs and what to do to them: "close" or "ref". An ID is listed once; "close" wins over "ref".
+ */
+function parseTaskKeywords(message) {
+  const keywords = [];
+  for (const [, keyword, references] of String(message || "").matchAll(
+    TASK_KEYWORD_PATTERN,
+  )) {
+    const action = TASK_KEYWORDS.close.includes(keyword.toLowerCase())
+      ? "close"
+      : "ref";
+    for (const id of parseTaskReferences(references)) {
+      const existing = keywords.find((keyword) => keyword.id === id);
+      if (!existing) {
+        keywords.push({ id, action });
+      } else if (action === "close") {
+        existing.action = action;
+      }
+    }
+  }
+  return keywords;
+}
+
+/**
+ * Read commits from `git log`
+ * @param {string} cwd - Directory inside the repository
+ * @param {Object} options - Options
+ * @param {string} [options.range] - Revision range, e.g. "main..HEAD" (default: HEAD)
+ * @param {string} [options.since] - Only commits after this date, in any format git accepts
+ * @param {number} [options.maxCount] - Read at most this many commits
+ * @returns {Array<{hash: string, subject: string, author: string, date: string, message: string}>} Commits, newest first
+ * @throws {Error} If the directory is not in a repository or git fails
+ */
+function getCommits(cwd, options = {}) {
+  assertGitRepository(cwd);
+  // A repository without commits has no history to read
+  if (!options.range && !revisionExists("HEAD", cwd)) {
+    return [];
+  }
+
+  const args = [
+    "log",
+    `--format=%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s${FIELD_SEPARATOR}%B${RECORD_SEPARATOR}`,
+  ];
+  if (options.since) {
+    args.push(`--since=${options.since}`);
+  }
+  if (options.maxCount) {
+    args.push(`--max-count=${options.maxCount}`);
+  }
+  args.push(options.range || "HEAD", "--");
+
+  return runGit(args, cwd)
+    .split(RECORD_SEPARATOR)
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, author, date, subject, message] =
+        record.split(FIELD_SEPARATOR);
+      return { hash, subject, author, date, message: message.trim() };
+    });
+}
+
+/**
+ * Find a commit among the linked commits of a task or subtask. A rewritten
+ * commit (amended or rebased) keeps its subject and author date, so it
+ * matches its earlier version.
+ * @param {Object} item - Task or subtask
+ * @param {{hash: string, subject: string, date: string}} commit - Commit
+ * @returns {Object|null} The linked commit, or null
+ */
+function findLinkedCommit(item, commit) {
+  return (
+    (item.commits || []).find(
+      (linked) =>
+        linked.hash === commit.hash ||
+        (linked.subject === commit.subject && linked.date === commit.date),
+    ) || null
+  );
+}
+
+/**
+ * Add a commit to the linked commits of a task or subtask, in place. A
+ * rewritten commit replaces its earlier version.
+ * @param {Object} item - Task or subtask
+ * @param {{hash: string, subject: string, author: string, date: string}} commit - Commit
+ * @returns {boolean} False if the commit was already linked
+ */
+function linkCommit(item, commit) {
+  const linked = findLinkedCommit(item, commit);
+  if (linked?.hash === commit.hash) {
+    return false;
+  }
+  const { hash, subject, author, date } = commit;
+  item.commits = [
+    ...(item.commits || []).filter((other) => other !== linked),
+    { hash, subject, author, date },
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+  return true;
+}
+
+/**
+ * Turn a task title into the part of a branch name after the ID
+ * @param {string} title - Task title
+ * @param {number} [maxLength=50] - Longest slug to return
+ * @returns {string} Lowercase words joined by dashes, e.g. "add-login-page"
+ */
+function slugify(title, maxLength = 50) {
+  return String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+}
+
+/**
+ * Branch name for a task or subtask, e.g. "task-12-add-login-page"
+ * @param {string|number} id - Task ID or "parentId.subtaskId"
+ * @param {string} title - Task title
+ * @returns {string} Branch name
+ */
+function getTaskBranchName(id, title) {
+  const slug = slugify(title);
+  return slug ? `task-${id}-${slug}` : `task-${id}`;
+}
+
+/**
+ * Create a branch and check it out, or check it out if it already exists
+ * @param {string} name - Branch name
+ * @param {string} cwd - Directory inside the repository
+ * @returns {boolean} True if the branch was created
+ * @throws {Error} If the name is not a valid branch name or git fails
+ */
+function checkoutBranch(name, cwd) {
+  assertGitRepository(cwd);
+  try {
+    runGit(["check-ref-format", "--branch", name], cwd);
+  } catch {
+    throw new Error(`"${name}" is not a valid branch name`);
+  }
+  if (revisionExists(`refs/heads/${name}`, cwd)) {
+    runGit(["checkout", name], cwd);
+    return false;
+  }
+  runGit(["checkout", "-b", name], cwd);
+  return true;
+}
+
+export {
+  runGit,
+  assertGitRepository,
+  parseTaskReferences,
+  parseTaskKeywords,
+  getCommits,
+  findLinkedCommit,
+  linkCommit,
+  slugify,
+  getTaskBranchName,
+  checkoutBranch,
+};
@@ -0,0 +1,643 @@
+/**
+ * journal.js
+ * Append-only operation journal for LM-Tasker tasks files
+ *
+ * Every write of a tasks file is recorded as a before/after diff of the tasks
+ * it changed, per tag, in a `<name>.journal.jsonl` file next to it. Writes are
+ * grouped into operations (one CLI command, one MCP tool call), which is the unit that
+ * undo and redo revert and reapply. Undo and redo are themselves appended as
+ * operations, so the file is never rewritten.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { DEFAULT_TAG, toTaggedData } from "./tag-manager.js";
+
+// The journal operation the current command or tool call belongs to
+const operationContext = new AsyncLocalStorage();
+
+/**
+ * Get the journal path for a tasks file (tasks/tasks.json -> tasks/tasks.journal.jsonl)
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} Absolute path of the journal file
+ */
+function getJournalPath(tasksPath) {
+  const resolved = path.resolve(tasksPath);
+  const baseName = path.basename(resolved, path.extname(resolved));
+  return path.join(path.dirname(resolved), `${baseName}.journal.jsonl`);
+}
+
+/**
+ * Name of the local user making changes: LMTASKER_ACTOR, or the OS user
+ * @returns {string} User name
+ */
+function getLocalActor() {
+  if (process.env.LMTASKER_ACTOR) {
+    return process.env.LMTASKER_ACTOR;
+  }
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+/**
+ * Create a new journal operation descriptor
+ * @param {Object} operation - Operation fields
+ * @param {string} [operation.label] - What caused the change (command or tool name)
+ * @param {string} [operation.source] - Where it came from: cli, mcp or tui
+ * @param {string} [operation.actor] - Who made it: the local user, or the MCP client's name
+ * @param {string} [operation.type] - change, undo or redo
+ * @param {string} [operation.target] - Operation ID reverted/reapplied (undo/redo only)
+ * @returns {Object} Operation descriptor with a fresh ID
+ */
+function createOperation({
+  label = "write",
+  source = operationContext.getStore()?.source || "unknown",
+  actor = operationContext.getStore()?.actor || getLocalActor(),
+  type = "change",
+  target,
+} = {}) {
+  return {
+    id: crypto.randomBytes(4).toString("hex"),
+    label,
+    source,
+    actor,
+    type,
+    ...(target ? { target } : {}),
+  };
+}
+
+/**
+ * Run a function as a single journal operation. All tasks file writes made
+ * by the function (including across awaits) are grouped together.
+ * @param {Object} operation - Operation fields (see createOperation)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runJournalOperation(operation, fn) {
+  return operationContext.run(createOperation(operation), fn);
+}
+
+/**
+ * Start a journal operation for the rest of the current execution.
+ * Used by the CLI, where one process runs exactly one command.
+ * @param {Object} operation - Operation fields (see createOperation)
+ */
+function beginJournalOperation(operation) {
+  operationContext.enterWith(createOperation(operation));
+}
+
+/**
+ * Get the journal operation the current code runs in
+ * @returns {Object|null} The operation, or null outside any operation
+ */
+function getCurrentOperation() {
+  return operationContext.getStore() || null;
+}
+
+/**
+ * Compare two JSON values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize identically
+ */
+function isSameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get tasks file metadata without the revision counter and the task file
+ * hashes. Both describe the files on disk rather than an operation's effect,
+ * so they are neither journaled nor restored by undo and redo.
+ * @param {Object} meta - The meta object
+ * @returns {Object} Meta without `revision` and `taskFiles`
+ */
+function withoutFileState(meta) {
+  const { revision, taskFiles, ...rest } = meta || {};
+  return rest;
+}
+
+/**
+ * Get a task without the history of it and its subtasks. History is an audit
+ * trail that undo and redo append to rather than roll back, so it is not
+ * compared when checking whether a task changed since an operation.
+ * @param {Object|null} task - Task
+ * @returns {Object|null} Task without `history`
+ */
+function withoutHistory(task) {
+  if (!task) {
+    return task;
+  }
+  const strip = ({ history, ...rest }) => rest;
+  const stripped = strip(task);
+  if (Array.isArray(task.subtasks)) {
+    stripped.subtasks = task.subtasks.map((subtask) =>
+      subtask && typeof subtask === "object" ? strip(subtask) : subtask,
+    );
+  }
+  return stripped;
+}
+
+/**
+ * Restore a recorded version of a task, keeping the history that the current
+ * task and its subtasks have
+ * @param {Object} recorded - Version of the task to restore
+ * @param {Object|undefined} current - Task as it is now, if it exists
+ * @returns {Object} The recorded task with the current history
+ */
+function withCurrentHistory(recorded, current) {
+  if (!current) {
+    return recorded;
+  }
+  const keep = (item, currentItem) => {
+    const { history, ...rest } = item;
+    return currentItem.history
+      ? { ...rest, history: currentItem.history }
+      : rest;
+  };
+  const restored = keep(recorded, current);
+  if (Array.isArray(recorded.subtasks)) {
+    const currentSubtasks = new Map(
+      (current.subtasks || []).map((subtask) => [subtask?.id, subtask]),
+    );
+    restored.subtasks = recorded.subtasks.map((subtask) =>
+      currentSubtasks.has(subtask?.id)
+        ? keep(subtask, currentSubtasks.get(subtask.id))
+        : subtask,
+    );
+  }
+  return restored;
+}
+
+/**
+ * Compute the diff between two versions of one tag's task list
+ * @param {Array<Object>} beforeTasks - Tasks before the write
+ * @param {Array<Object>} afterTasks - Tasks after the write
+ * @returns {{tasks: Array<{id: number, before: Object|null, after: Object|null}>, order?: Object}}
+ */
+function diffTaskList(beforeTasks, afterTasks) {
+  const beforeById = new Map(beforeTasks.map((task) => [task.id, task]));
+  const afterById = new Map(afterTasks.map((task) => [task.id, task]));
+
+  const tasks = [];
+  for (const [id, task] of beforeById) {
+    const next = afterById.get(id) ?? null;
+    if (!isSameJson(task, next)) {
+      tasks.push({ id, before: task, after: next });
+    }
+  }
+  for (const [id, task] of afterById) {
+    if (!beforeById.has(id)) {
+      tasks.push({ id, before: null, after: task });
+    }
+  }
+
+  const diff = { tasks };
+
+  const beforeOrder = beforeTasks.map((task) => task.id);
+  const afterOrder = afterTasks.map((task) => task.id);
+  if (!isSameJson(beforeOrder, afterOrder)) {
+    diff.order = { before: beforeOrder, after: afterOrder };
+  }
+
+  return diff;
+}
+
+/**
+ * Compute the diff between two versions of a tasks file, per tag.
+ * A tag's `metadata` change with a null side means the tag was created or deleted.
+ * @param {Object|null} before - Data before the write (null if the file did not exist)
+ * @param {Object} after - Data after the write
+ * @returns {{tags: Array<{tag: string, tasks: Array, order?: Object, metadata?: Object}>, meta?: Object}}
+ */
+function diffTasksData(before, after) {
+  // A missing file reads as an empty "main" list
+  const beforeTags = before
+    ? toTaggedData(before).tags
+    : { [DEFAULT_TAG]: { tasks: [] } };
+  const afterTags = toTaggedData(after).tags;
+
+  const tags = [];
+  for (const tag of new Set([
+    ...Object.keys(beforeTags),
+    ...Object.keys(afterTags),
+  ])) {
+    const beforeTag = beforeTags[tag] ?? null;
+    const afterTag = afterTags[tag] ?? null;
+    const diff = {
+      tag,
+      ...diffTaskList(beforeTag?.tasks || [], afterTag?.tasks || []),
+    };
+
+    const beforeMetadata = beforeTag ? beforeTag.metadata || {} : null;
+    const afterMetadata = afterTag ? afterTag.metadata || {} : null;
+    if (!isSameJson(beforeMetadata, afterMetadata)) {
+      diff.metadata = { before: beforeMetadata, after: afterMetadata };
+    }
+
+    if (diff.tasks.length > 0 || diff.order || diff.metadata) {
+      tags.push(diff);
+    }
+  }
+
+  const result = { tags };
+
+  const beforeMeta = withoutFileState(before?.meta);
+  const afterMeta = withoutFileState(after?.meta);
+  if (!isSameJson(beforeMeta, afterMeta)) {
+    result.meta = { before: beforeMeta, after: afterMeta };
+  }
+
+  return result;
+}
+
+/**
+ * Append a tasks file write to its journal, one entry per changed tag.
+ * Called by writeJSON while it still holds the tasks file lock.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object|null} before - Data that was on disk before the write
+ * @param {Object} after - Data that was written
+ * @returns {Array<Object>} The journal entries (empty if nothing changed)
+ */
+function recordTasksChange(tasksPath, before, after) {
+  const diff = diffTasksData(before, after);
+  if (diff.tags.length === 0 && !diff.meta) {
+    return [];
+  }
+
+  // Writes outside any operation (e.g. library use) are operations of their own
+  const operation = operationContext.getStore() || createOperation();
+  const base = {
+    opId: operation.id,
+    type: operation.type,
+    label: operation.label,
+    source: operation.source,
+    actor: operation.actor,
+    ...(operation.target ? { target: operation.target } : {}),
+    timestamp: new Date().toISOString(),
+    revision: after?.meta?.revision,
+  };
+
+  const tagDiffs =
+    diff.tags.length > 0 ? diff.tags : [{ tag: DEFAULT_TAG, tasks: [] }];
+  const entries = tagDiffs.map((tagDiff, index) => ({
+    ...base,
+    ...tagDiff,
+    // File-level meta changes are recorded once per write
+    ...(index === 0 && diff.meta ? { meta: diff.meta } : {}),
+  }));
+
+  fs.appendFileSync(
+    getJournalPath(tasksPath),
+    entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""),
+    "utf8",
+  );
+  return entries;
+}
+
+/**
+ * Read all journal entries for a tasks file.
+ * Lines that cannot be parsed (e.g. cut short by a crash) are skipped.
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Array<Object>} Journal entries, oldest first
+ */
+function readJournal(tasksPath) {
+  const journalPath = getJournalPath(tasksPath);
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of fs.readFileSync(journalPath, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Ignore damaged lines rather than losing the rest of the history
+    }
+  }
+  return entries;
+}
+
+/**
+ * Merge the entries of an operation into one before/after diff per tag
+ * @param {Object} operation - Operation with `entries`
+ * @returns {{tags: Array<{tag: string, tasks: Array, order: Object|null, metadata: Object|null}>, meta: Object|null}}
+ */
+function combineOperationChanges(operation) {
+  const tags = new Map();
+  let meta = null;
+
+  // Keep the earliest "before" and the latest "after" of every change
+  const merge = (earlier, later) => ({
+    before: earlier ? earlier.before : later.before,
+    after: later.after,
+  });
+
+  for (const entry of operation.entries) {
+    // Entries written before tags existed belong to "main"
+    const tag = entry.tag || DEFAULT_TAG;
+    if (!tags.has(tag)) {
+      tags.set(tag, { tag, tasks: new Map(), order: null, metadata: null });
+    }
+    const combined = tags.get(tag);
+
+    for (const change of entry.tasks || []) {
+      combined.tasks.set(change.id, {
+        id: change.id,
+        ...merge(combined.tasks.get(change.id), change),
+      });
+    }
+    if (entry.order) {
+      combined.order = merge(combined.order, entry.order);
+    }
+    if (entry.metadata) {
+      combined.metadata = merge(combined.metadata, entry.metadata);
+    }
+    if (entry.meta) {
+      meta = merge(meta, entry.meta);
+    }
+  }
+
+  return {
+    tags: [...tags.values()].map((combined) => ({
+      ...combined,
+      tasks: [...combined.tasks.values()].filter(
+        (change) => !isSameJson(change.before, change.after),
+      ),
+    })),
+    meta,
+  };
+}
+
+/**
+ * Replay the journal to find which operations are currently applied and
+ * which have been undone (and can be redone)
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {{operations: Array<Object>, applied: Array<Object>, undone: Array<Object>}}
+ *   All operations oldest first; `applied` and `undone` are stacks (last = next to undo/redo)
+ */
+function getJournalState(tasksPath) {
+  const operations = [];
+  const byId = new Map();
+
+  for (const entry of readJournal(tasksPath)) {
+    let operation = byId.get(entry.opId);
+    if (!operation) {
+      operation = {
+        id: entry.opId,
+        type: entry.type || "change",
+        label: entry.label,
+        source: entry.source,
+        ...(entry.actor ? { actor: entry.actor } : {}),
+        target: entry.target,
+        timestamp: entry.timestamp,
+        entries: [],
+      };
+      byId.set(entry.opId, operation);
+      operations.push(operation);
+    }
+    operation.entries.push(entry);
+  }
+
+  let applied = [];
+  let undone = [];
+  for (const operation of operations) {
+    if (operation.type === "undo") {
+      const target = byId.get(operation.target);
+      applied = applied.filter((op) => op !== target);
+      if (target) {
+        undone.push(target);
+      }
+    } else if (operation.type === "redo") {
+      const target = byId.get(operation.target);
+      undone = undone.filter((op) => op !== target);
+      if (target) {
+        applied.push(target);
+      }
+    } else {
+      applied.push(operation);
+      // A new change makes everything that was undone unreachable
+      undone = [];
+    }
+  }
+
+  return { operations, applied, undone };
+}
+
+/**
+ * Check whether an order change moved tasks around, rather than only adding
+ * or removing them
+ * @param {Object|null} order - Combined order change ({ before, after })
+ * @returns {boolean} True if tasks present before and after changed position
+ */
+function isReordered(order) {
+  if (!order) {
+    return false;
+  }
+  const kept = order.before.filter((id) => order.after.includes(id));
+  return !isSameJson(
+    kept,
+    order.after.filter((id) => kept.includes(id)),
+  );
+}
+
+/**
+ * Summarize an operation for display
+ * @param {Object} operation - Operation from getJournalState
+ * @param {string} [status] - applied or undone (change operations only)
+ * @returns {Object} Summary with the tags touched, tags created/deleted and
+ *   added/removed/modified task IDs (tasks of created/deleted tags excluded)
+ */
+function summarizeOperation(operation, status) {
+  const changes = combineOperationChanges(operation);
+  const tagsCreated = changes.tags
+    .filter((c) => c.metadata?.before === null)
+    .map((c) => c.tag);
+  const tagsDeleted = changes.tags
+    .filter((c) => c.metadata?.after === null)
+    .map((c) => c.tag);
+  const listChanges = changes.tags.filter(
+    (c) => !tagsCreated.includes(c.tag) && !tagsDeleted.includes(c.tag),
+  );
+  const taskIds = (predicate) =>
+    listChanges.flatMap((c) => c.tasks.filter(predicate).map((t) => t.id));
+
+  return {
+    id: operation.id,
+    type: operation.type,
+    label: operation.label,
+    source: operation.source,
+    ...(operation.actor ? { actor: operation.actor } : {}),
+    ...(operation.target ? { target: operation.target } : {}),
+    timestamp: operation.timestamp,
+    ...(status ? { status } : {}),
+    tags: changes.tags.map((c) => c.tag),
+    tagsCreated,
+    tagsDeleted,
+    added: taskIds((t) => t.before === null),
+    removed: taskIds((t) => t.after === null),
+    modified: taskIds((t) => t.before !== null && t.after !== null),
+    reordered: listChanges.some((c) => isReordered(c.order)),
+  };
+}
+
+/**
+ * Get the operation history of a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Only return the most recent operations
+ * @returns {Array<Object>} Operation summaries, newest first
+ */
+function getJournalHistory(tasksPath, { limit } = {}) {
+  const { operations, undone } = getJournalState(tasksPath);
+  const history = operations
+    .map((operation) =>
+      summarizeOperation(
+        operation,
+        operation.type === "change"
+          ? undone.includes(operation)
+            ? "undone"
+            : "applied"
+          : undefined,
+      ),
+    )
+    .reverse();
+  return limit ? history.slice(0, limit) : history;
+}
+
+/**
+ * Apply a task list change to one tag's tasks
+ * @param {Array<Object>} currentTasks - The tag's current tasks
+ * @param {Object} tagChanges - Combined changes for the tag
+ * @param {"before"|"after"} to - Which side of the changes to restore
+ * @returns {Array<Object>} The new task list
+ */
+function applyTaskListChanges(currentTasks, tagChanges, to) {
+  const byId = new Map(currentTasks.map((task) => [task.id, task]));
+  for (const change of tagChanges.tasks) {
+    if (change[to] === null) {
+      byId.delete(change.id);
+    } else {
+      byId.set(change.id, withCurrentHistory(change[to], byId.get(change.id)));
+    }
+  }
+
+  // Restore the recorded order; tasks it does not mention keep their place at the end
+  const order = tagChanges.order
+    ? tagChanges.order[to]
+    : currentTasks.map((task) => task.id);
+  const tasks = [];
+  for (const id of order) {
+    if (byId.has(id)) {
+      tasks.push(byId.get(id));
+      byId.delete(id);
+    }
+  }
+  return [...tasks, ...byId.values()];
+}
+
+/**
+ * Revert (undo) or reapply (redo) an operation's changes on tasks data in
+ * memory. Tasks keep their current history, which the write then appends
+ * the undo or redo to. Refuses when the affected tasks were changed since,
+ * unless forced.
+ * @param {Object} data - Current tasks data in the tagged layout; modified in place
+ * @param {Object} operation - Operation from getJournalState
+ * @param {"undo"|"redo"} direction - Which way to apply the operation
+ * @param {Object} options - Options
+ * @param {boolean} [options.force] - Apply even if affected tasks changed since
+ * @returns {Object} The combined changes that were applied
+ * @throws {Error} If affected tasks or tags no longer match the expected state
+ */
+function applyOperationChanges(data, operation, direction, { force } = {}) {
+  const changes = combineOperationChanges(operation);
+  const from = direction === "undo" ? "after" : "before";
+  const to = direction === "undo" ? "before" : "after";
+
+  if (!force) {
+    const conflicting = [];
+    for (const tagChanges of changes.tags) {
+      const current = data.tags[tagChanges.tag] ?? null;
+      if (
+        tagChanges.metadata &&
+        (current === null) !== (tagChanges.metadata[from] === null)
+      ) {
+        conflicting.push(`tag ${tagChanges.tag}`);
+        continue;
+      }
+      const byId = new Map(
+        (current?.tasks || []).map((task) => [task.id, task]),
+      );
+      for (const change of tagChanges.tasks) {
+        if (
+          !isSameJson(
+            withoutHistory(byId.get(change.id) ?? null),
+            withoutHistory(change[from]),
+          )
+        ) {
+          conflicting.push(
+            tagChanges.tag === DEFAULT_TAG
+              ? `${change.id}`
+              : `${tagChanges.tag}:${change.id}`,
+          );
+        }
+      }
+    }
+    if (conflicting.length > 0) {
+      throw new Error(
+        `Cannot ${direction} "${operation.label}" (${operation.id}): task(s) ${conflicting.join(", ")} changed since. Use --force to ${direction} anyway.`,
+      );
+    }
+  }
+
+  for (const tagChanges of changes.tags) {
+    if (tagChanges.metadata && tagChanges.metadata[to] === null) {
+      delete data.tags[tagChanges.tag];
+      continue;
+    }
+
+    const tagData = { tasks: [], ...data.tags[tagChanges.tag] };
+    if (tagChanges.metadata) {
+      if (Object.keys(tagChanges.metadata[to]).length > 0) {
+        tagData.metadata = tagChanges.metadata[to];
+      } else {
+        delete tagData.metadata;
+      }
+    }
+    tagData.tasks = applyTaskListChanges(tagData.tasks, tagChanges, to);
+    data.tags[tagChanges.tag] = tagData;
+  }
+
+  if (changes.meta) {
+    const { revision, taskFiles } = data.meta || {};
+    data.meta = {
+      ...withoutFileState(changes.meta[to]),
+      ...(revision !== undefined ? { revision } : {}),
+      ...(taskFiles ? { taskFiles } : {}),
+    };
+  }
+
+  return changes;
+}
+
+export {
+  getJournalPath,
+  runJournalOperation,
+  beginJournalOperation,
+  getCurrentOperation,
+  diffTasksData,
+  recordTasksChange,
+  readJournal,
+  getJournalState,
+  getJournalHistory,
+  summarizeOperation,
+  applyOperationChanges,
+};
@@ -0,0 +1,90 @@
+/**
+ * status-rollup.js
+ * Keeps the status of parent tasks in line with their subtasks
+ *
+ * The rules come from the "rollup" part of the workflow (see resolveRollup in
+ * config-manager.js):
+ *   - onSubtasksComplete: status a parent moves to once all of its subtasks
+ *     are complete
+ *   - onSubtaskStarted: status a parent still in the first status of the
+ *     workflow moves to when one of its subtasks moves to that status
+ *   - onParentComplete: what completing a parent does to its open subtasks:
+ *     cascade (complete them too), prompt (ask first) or fail
+ * A parent is only moved along a transition the workflow allows; otherwise
+ * it is left as it is.
+ */
+
+import { getAllowedTransitions, isCompleteStatus } from "./workflow.js";
+
+/**
+ * Get the subtasks of a task that are not complete
+ * @param {Object} task - Task
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {Array<Object>} Open subtasks
+ */
+function getOpenSubtasks(task, workflow) {
+  return (task.subtasks || []).filter(
+    (subtask) => !isCompleteStatus(subtask.status, workflow),
+  );
+}
+
+/**
+ * Move a parent task after one of its subtasks changed status, in place
+ * @param {Object} parent - Parent task
+ * @param {string} subtaskStatus - New status of the subtask
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {{item: Object, id: string, from: string, to: string}|null} The change to the parent, or null if it stays as it is
+ */
+function rollUpSubtaskChange(parent, subtaskStatus, workflow) {
+  const { onSubtasksComplete, onSubtaskStarted } = workflow.rollup;
+  const from = parent.status || "pending";
+  if (isCompleteStatus(from, workflow)) {
+    return null;
+  }
+
+  let to = null;
+  if (onSubtasksComplete && getOpenSubtasks(parent, workflow).length === 0) {
+    to = onSubtasksComplete;
+  } else if (
+    onSubtaskStarted &&
+    subtaskStatus === onSubtaskStarted &&
+    from === workflow.statuses[0].name
+  ) {
+    to = onSubtaskStarted;
+  }
+  if (!to || !getAllowedTransitions(from, workflow).includes(to)) {
+    return null;
+  }
+
+  parent.status = to;
+  return { item: parent, id: String(parent.id), from, to };
+}
+
+/**
+ * Complete the open subtasks of a task that is being completed, in place.
+ * They follow their parent, so their own transitions are not checked.
+ * @param {Object} task - Task being completed
+ * @param {string} status - Complete status the task moves to
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @param {string} policy - "cascade" to complete them, "fail" to refuse ("prompt" is resolved by the caller)
+ * @returns {Array<{item: Object, id: string, from: string, to: string}>} The changes to the subtasks
+ * @throws {Error} If the policy is "fail" and the task has open subtasks
+ */
+function closeOpenSubtasks(task, status, workflow, policy) {
+  const openSubtasks = getOpenSubtasks(task, workflow);
+  if (openSubtasks.length > 0 && policy !== "cascade") {
+    throw new Error(
+      `Task ${task.id} has open subtasks: ${openSubtasks
+        .map((subtask) => `${task.id}.${subtask.id}`)
+        .join(", ")}. Complete them first.`,
+    );
+  }
+
+  return openSubtasks.map((subtask) => {
+    const from = subtask.status || "pending";
+    subtask.status = status;
+    return { item: subtask, id: `${task.id}.${subtask.id}`, from, to: status };
+  });
+}
+
+export { getOpenSubtasks, rollUpSubtaskChange, closeOpenSubtasks };
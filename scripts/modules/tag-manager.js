@@ -0,0 +1,345 @@
+/**
+ * tag-manager.js
+ * Named task lists (tags) within one tasks file
+ *
+ * A tagged tasks file keeps every list under `tags`:
+ *   { "meta": {...}, "tags": { "main": { "tasks": [...], "metadata": {...} } } }
+ * A file with a plain top-level `tasks` array is read as the single "main"
+ * tag, and is only converted to the tagged layout once a second tag exists.
+ *
+ * The tag a command works on is, in order: the --tag option or MCP `tag`
+ * parameter (carried in an async context), the current tag saved with
+ * `lm-tasker tags use`, and finally "main".
+ */
+
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+
+// Tag used for single-list files and when no tag has been selected
+const DEFAULT_TAG = "main";
+
+// Tag names end up in file names, so keep them to a safe character set
+const TAG_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,49}$/;
+
+// Tag selected explicitly for the current command or tool call
+const tagContext = new AsyncLocalStorage();
+
+// Error thrown when a tag does not exist in the tasks file
+class TagNotFoundError extends Error {
+  constructor(tag, tasksPath, availableTags = []) {
+    super(
+      `Tag "${tag}" does not exist in ${tasksPath}. Available tags: ${availableTags.join(", ") || "none"}. Create it with: lm-tasker tags add ${tag}`,
+    );
+    this.name = "TagNotFoundError";
+    this.code = "TAG_NOT_FOUND";
+    this.tag = tag;
+  }
+}
+
+/**
+ * Check that a tag name is valid
+ * @param {string} tag - Tag name
+ * @throws {Error} If the name is not allowed
+ */
+function validateTagName(tag) {
+  if (typeof tag !== "string" || !TAG_NAME_PATTERN.test(tag)) {
+    throw new Error(
+      `Invalid tag name "${tag}". Use up to 50 letters, digits, ".", "_" or "-", starting with a letter or digit.`,
+    );
+  }
+}
+
+/**
+ * Run a function with an explicitly selected tag. A missing tag leaves the
+ * current selection in place.
+ * @param {string|undefined} tag - Tag name
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithTag(tag, fn) {
+  if (!tag) {
+    return fn();
+  }
+  validateTagName(tag);
+  return tagContext.run(tag, fn);
+}
+
+/**
+ * Select a tag for the rest of the current execution.
+ * Used by the CLI, where one process runs exactly one command.
+ * @param {string|undefined} tag - Tag name
+ */
+function beginTagContext(tag) {
+  if (tag) {
+    validateTagName(tag);
+    tagContext.enterWith(tag);
+  }
+}
+
+/**
+ * Get the path of the file holding the saved current tag
+ * (tasks/tasks.json -> tasks/tasks.state.json)
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} Absolute path of the state file
+ */
+function getTagStatePath(tasksPath) {
+  const resolved = path.resolve(tasksPath);
+  const baseName = path.basename(resolved, path.extname(resolved));
+  return path.join(path.dirname(resolved), `${baseName}.state.json`);
+}
+
+/**
+ * Read the saved tag state for a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {{currentTag?: string}} The state (empty if none saved)
+ */
+function readTagState(tasksPath) {
+  try {
+    return JSON.parse(fs.readFileSync(getTagStatePath(tasksPath), "utf8"));
+  } catch (error) {
+    // No state saved yet (or unreadable): nothing selected
+    return {};
+  }
+}
+
+/**
+ * Save the current tag for a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} tag - Tag name
+ */
+function writeTagState(tasksPath, tag) {
+  const statePath = getTagStatePath(tasksPath);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(
+    statePath,
+    `${JSON.stringify({ ...readTagState(tasksPath), currentTag: tag }, null, 2)}\n`,
+    "utf8",
+  );
+}
+
+/**
+ * Check whether parsed JSON is a tasks file in the tagged layout
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} True for tagged tasks data
+ */
+function isTaggedData(data) {
+  return (
+    !!data &&
+    typeof data.tags === "object" &&
+    data.tags !== null &&
+    !Array.isArray(data.tags) &&
+    !Array.isArray(data.tasks)
+  );
+}
+
+/**
+ * Check whether parsed JSON is tasks data (single-list or tagged)
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} True for tasks data
+ */
+function isTasksData(data) {
+  return !!data && (Array.isArray(data.tasks) || isTaggedData(data));
+}
+
+/**
+ * Convert tasks data to the tagged layout (single-list data becomes "main")
+ * @param {Object|null} data - Single-list or tagged tasks data
+ * @returns {Object} Tagged tasks data
+ */
+function toTaggedData(data) {
+  if (!data) {
+    return { tags: {} };
+  }
+  if (isTaggedData(data)) {
+    return data;
+  }
+  const { tasks, ...rest } = data;
+  return { ...rest, tags: { [DEFAULT_TAG]: { tasks: tasks || [] } } };
+}
+
+/**
+ * Get the tag names of tasks data
+ * @param {Object|null} data - Single-list or tagged tasks data
+ * @returns {string[]} Tag names
+ */
+function getTagNames(data) {
+  if (!data) {
+    return [];
+  }
+  return Object.keys(toTaggedData(data).tags);
+}
+
+/**
+ * Resolve which tag to use for a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object|null} [data] - Parsed tasks data, used to ignore a saved tag that
+ *   no longer exists (read from the file when omitted)
+ * @returns {string} Tag name
+ */
+function getCurrentTag(tasksPath, data) {
+  const explicitTag = tagContext.getStore();
+  if (explicitTag) {
+    return explicitTag;
+  }
+
+  const savedTag = readTagState(tasksPath).currentTag;
+  if (!savedTag) {
+    return DEFAULT_TAG;
+  }
+  if (data === undefined) {
+    try {
+      data = readRawTasksFile(tasksPath);
+    } catch (error) {
+      // Unreadable file: the caller's own read reports the problem
+      data = null;
+    }
+  }
+  // A saved tag can disappear (e.g. deleted on another branch); fall back
+  if (!getTagNames(data).includes(savedTag)) {
+    return DEFAULT_TAG;
+  }
+  return savedTag;
+}
+
+/**
+ * Get the task list of one tag as single-list data ({ meta, tasks })
+ * @param {Object} data - Single-list or tagged tasks data
+ * @param {string} tag - Tag name
+ * @param {string} tasksPath - Path to the tasks file (for error messages)
+ * @returns {Object} Data for the tag, with the file's meta
+ * @throws {TagNotFoundError} If the tag does not exist
+ */
+function getTagView(data, tag, tasksPath) {
+  if (!isTaggedData(data)) {
+    if (tag !== DEFAULT_TAG) {
+      throw new TagNotFoundError(tag, tasksPath, [DEFAULT_TAG]);
+    }
+    return data;
+  }
+
+  const tagData = data.tags[tag];
+  if (!tagData) {
+    throw new TagNotFoundError(tag, tasksPath, Object.keys(data.tags));
+  }
+  const { tags, ...rest } = data;
+  return { ...rest, tasks: tagData.tasks || [] };
+}
+
+/**
+ * Build the content to store for a tasks file write
+ * @param {Object|null} current - Data currently on disk
+ * @param {Object} data - Data being written: one tag's view ({ meta, tasks }) or full tagged data
+ * @param {string} tag - Tag the view belongs to
+ * @param {string} tasksPath - Path to the tasks file (for error messages)
+ * @returns {Object} Data to store; files whose only tag is "main" are stored single-list
+ * @throws {TagNotFoundError} If a view is written to a tag that does not exist
+ */
+function buildTasksFileData(current, data, tag, tasksPath) {
+  // Plain single-list file: store exactly what was given, as before tags existed
+  if (!isTaggedData(data) && tag === DEFAULT_TAG && !isTaggedData(current)) {
+    return data;
+  }
+
+  let tagged = data;
+  if (!isTaggedData(data)) {
+    const base = toTaggedData(current);
+    // Tags are only created with `tags add`, never by writing to a new name
+    if (tag !== DEFAULT_TAG && !base.tags[tag]) {
+      throw new TagNotFoundError(tag, tasksPath, Object.keys(base.tags));
+    }
+    const { tasks, ...rest } = data;
+    tagged = {
+      ...base,
+      ...rest,
+      tags: { ...base.tags, [tag]: { ...base.tags[tag], tasks } },
+    };
+  }
+
+  // Back to a single list (e.g. the other tags were deleted): store it plainly
+  const tagNames = Object.keys(tagged.tags);
+  if (
+    tagNames.length === 1 &&
+    tagNames[0] === DEFAULT_TAG &&
+    !tagged.tags[DEFAULT_TAG].metadata
+  ) {
+    const { tags, ...rest } = tagged;
+    return { ...rest, tasks: tags[DEFAULT_TAG].tasks || [] };
+  }
+  return tagged;
+}
+
+/**
+ * Read a tasks file without resolving a tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object|null} Parsed data, or null if the file does not exist
+ */
+function readRawTasksFile(tasksPath) {
+  if (!fs.existsSync(tasksPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+}
+
+/**
+ * Read a tasks file in the tagged layout, for operations on tags themselves
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Tagged tasks data
+ * @throws {Error} If the file does not exist or holds no tasks data
+ */
+function readTaggedTasksFile(tasksPath) {
+  const data = readRawTasksFile(tasksPath);
+  if (!isTasksData(data)) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+  return toTaggedData(data);
+}
+
+/**
+ * Get the file name of a generated task file. Tasks in tags other than
+ * "main" get the tag appended so lists do not overwrite each other.
+ * @param {number|string} taskId - Task ID
+ * @param {string} tag - Tag name
+ * @returns {string} File name, e.g. task_001.txt or task_001_feature-auth.txt
+ */
+function getTaskFileName(taskId, tag = DEFAULT_TAG) {
+  const paddedId = taskId.toString().padStart(3, "0");
+  return tag === DEFAULT_TAG
+    ? `task_${paddedId}.txt`
+    : `task_${paddedId}_${tag}.txt`;
+}
+
+/**
+ * Get a pattern matching the generated task files of a tag (group 1 = task ID)
+ * @param {string} tag - Tag name
+ * @returns {RegExp} File name pattern
+ */
+function getTaskFilePattern(tag = DEFAULT_TAG) {
+  if (tag === DEFAULT_TAG) {
+    return /^task_(\d+)\.txt$/;
+  }
+  const escapedTag = tag.replace(/[.]/g, "\\.");
+  return new RegExp(`^task_(\\d+)_${escapedTag}\\.txt$`);
+}
+
+export {
+  DEFAULT_TAG,
+  TagNotFoundError,
+  validateTagName,
+  runWithTag,
+  beginTagContext,
+  getTagStatePath,
+  readTagState,
+  writeTagState,
+  isTaggedData,
+  isTasksData,
+  toTaggedData,
+  getTagNames,
+  getCurrentTag,
+  getTagView,
+  buildTasksFileData,
+  readRawTasksFile,
+  readTaggedTasksFile,
+  getTaskFileName,
+  getTaskFilePattern,
+};
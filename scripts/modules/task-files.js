@@ -0,0 +1,486 @@
+/**
+ * task-files.js
+ * The task file formats: writing a task to a file, reading it back, and the
+ * hashes that tell which side changed since the last sync
+ *
+ * Task files are written in one of two formats (the taskFileFormat setting):
+ *   - text: task_001.txt with "# Key: value" lines, which `lm-tasker sync`
+ *     can read back
+ *   - markdown: task-001-<slug>.md with YAML front matter, Markdown sections,
+ *     subtask checklists and links to the files of dependencies, for reading
+ *     on GitHub and similar
+ * Both are described in docs/task-structure.md. Every generated or synced
+ * file has the hash of the contents it was written with stored in
+ * `meta.taskFiles` of tasks.json, keyed by its path relative to the tasks
+ * file (e.g. "task_001.txt"). A file whose hash differs from the stored one
+ * was edited by hand since. The hashes describe the files on disk, so the
+ * operation journal neither records nor restores them.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { formatDependenciesWithStatus } from "./ui.js";
+import { slugify } from "./git-integration.js";
+import { isCompleteStatus } from "./workflow.js";
+import { TASK_FILE_FORMATS } from "./config-manager.js";
+import {
+  DEFAULT_TAG,
+  getTaskFileName,
+  getTaskFilePattern,
+} from "./tag-manager.js";
+
+// Task fields written on the "# <Label>: <value>" lines of a task file
+const TASK_HEADER_FIELDS = {
+  "Task ID": "id",
+  Title: "title",
+  Status: "status",
+  Dependencies: "dependencies",
+  Priority: "priority",
+  Description: "description",
+};
+
+// Subtask fields written on the "### <Label>: <value>" lines
+const SUBTASK_HEADER_FIELDS = {
+  Dependencies: "dependencies",
+  Description: "description",
+};
+
+// "## 2. Write the parser [pending]"
+const SUBTASK_HEADING_PATTERN = /^## (\d+)\. (.*) \[([^\]]*)\]$/;
+
+/**
+ * Format the contents of the file of one task
+ * @param {Object} task - Task
+ * @param {Array} tasks - All tasks of the tag, to show the status of dependencies
+ * @returns {string} File contents
+ */
+function formatTaskFile(task, tasks) {
+  let content = `# Task ID: ${task.id}\n`;
+  content += `# Title: ${task.title}\n`;
+  content += `# Status: ${task.status || "pending"}\n`;
+
+  // Format dependencies with their status
+  if (task.dependencies && task.dependencies.length > 0) {
+    content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, tasks, false)}\n`;
+  } else {
+    content += "# Dependencies: None\n";
+  }
+
+  content += `# Priority: ${task.priority || "medium"}\n`;
+  content += `# Description: ${task.description || ""}\n`;
+
+  // Add more detailed sections
+  content += "# Details:\n";
+  content += (task.details || "")
+    .split("\n")
+    .map((line) => line)
+    .join("\n");
+  content += "\n\n";
+
+  content += "# Test Strategy:\n";
+  content += (task.testStrategy || "")
+    .split("\n")
+    .map((line) => line)
+    .join("\n");
+  content += "\n";
+
+  // Add subtasks if they exist
+  if (task.subtasks && task.subtasks.length > 0) {
+    content += "\n# Subtasks:\n";
+
+    task.subtasks.forEach((subtask) => {
+      content += `## ${subtask.id}. ${subtask.title} [${subtask.status || "pending"}]\n`;
+
+      if (subtask.dependencies && subtask.dependencies.length > 0) {
+        // Format subtask dependencies
+        let subtaskDeps = subtask.dependencies
+          .map((depId) => {
+            if (typeof depId === "number") {
+              // Handle numeric dependencies to other subtasks
+              const foundSubtask = task.subtasks.find((st) => st.id === depId);
+              if (foundSubtask) {
+                // Just return the plain ID format without any color formatting
+                return `${task.id}.${depId}`;
+              }
+            }
+            return depId.toString();
+          })
+          .join(", ");
+
+        content += `### Dependencies: ${subtaskDeps}\n`;
+      } else {
+        content += "### Dependencies: None\n";
+      }
+
+      content += `### Description: ${subtask.description || ""}\n`;
+      content += "### Details:\n";
+      content += (subtask.details || "")
+        .split("\n")
+        .map((line) => line)
+        .join("\n");
+      content += "\n\n";
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Read a dependency list as written in a task file
+ * @param {string} [value] - "None" or comma-separated IDs, e.g. "3, 4.1"
+ * @param {number} [parentId] - ID of the task, for the dependencies of its subtasks: "<parentId>.<n>" is read as the sibling subtask n
+ * @returns {Array<number|string>} Task IDs as numbers, subtask IDs as "parentId.subtaskId" strings
+ */
+function parseDependencies(value, parentId) {
+  if (!value || value.trim() === "None") {
+    return [];
+  }
+  return value
+    .split(",")
+    .map((dependency) => dependency.replace(/\(Not found\)\s*$/, "").trim())
+    .filter(Boolean)
+    .map((dependency) => {
+      const [taskId, subtaskId] = dependency.split(".");
+      if (subtaskId !== undefined) {
+        return parentId !== undefined && Number(taskId) === parentId
+          ? Number(subtaskId)
+          : dependency;
+      }
+      return /^\d+$/.test(dependency) ? Number(dependency) : dependency;
+    });
+}
+
+/**
+ * Read a task file back into task fields. Text fields lose their trailing
+ * whitespace, which the file format does not preserve.
+ * @param {string} content - File contents
+ * @returns {{id: number, title: string, status: string, dependencies: Array, priority: string, description: string, details: string, testStrategy: string, subtasks: Array<{id: number, title: string, status: string, dependencies: Array, description: string, details: string}>}} Task fields
+ * @throws {Error} If the task ID or title is missing
+ */
+function parseTaskFile(content) {
+  const fields = {};
+  const subtasks = [];
+  let inSubtasks = false;
+  let subtask = null;
+  // Multi-line field being read: { target, field, lines }
+  let block = null;
+
+  const endBlock = () => {
+    if (block) {
+      block.target[block.field] = block.lines.join("\n").trimEnd();
+      block = null;
+    }
+  };
+
+  for (const line of String(content).split(/\r?\n/)) {
+    const heading = inSubtasks && line.match(SUBTASK_HEADING_PATTERN);
+    if (heading) {
+      endBlock();
+      subtask = {
+        id: Number(heading[1]),
+        title: heading[2].trim(),
+        status: heading[3].trim() || "pending",
+      };
+      subtasks.push(subtask);
+      continue;
+    }
+
+    if (!inSubtasks) {
+      if (line === "# Details:" && !block) {
+        block = { target: fields, field: "details", lines: [] };
+        continue;
+      }
+      if (
+        line === "# Test Strategy:" &&
+        (!block || block.field === "details")
+      ) {
+        endBlock();
+        block = { target: fields, field: "testStrategy", lines: [] };
+        continue;
+      }
+      if (line === "# Subtasks:" && block?.field !== "details") {
+        endBlock();
+        inSubtasks = true;
+        continue;
+      }
+    } else if (line === "### Details:" && subtask && !block) {
+      block = { target: subtask, field: "details", lines: [] };
+      continue;
+    }
+
+    if (block) {
+      block.lines.push(line);
+      continue;
+    }
+
+    const header = line.match(/^(#|###) ([^:]+):(.*)$/);
+    if (!header) {
+      continue;
+    }
+    const [, level, label, value] = header;
+    if (!inSubtasks && level === "#" && TASK_HEADER_FIELDS[label]) {
+      fields[TASK_HEADER_FIELDS[label]] = value.trim();
+    } else if (subtask && level === "###" && SUBTASK_HEADER_FIELDS[label]) {
+      subtask[SUBTASK_HEADER_FIELDS[label]] = value.trim();
+    }
+  }
+  endBlock();
+
+  if (!/^\d+$/.test(fields.id || "")) {
+    throw new Error('Missing or invalid "# Task ID:" line');
+  }
+  if (!fields.title) {
+    throw new Error('Missing "# Title:" line');
+  }
+  const id = Number(fields.id);
+
+  return {
+    id,
+    title: fields.title,
+    status: fields.status || "pending",
+    dependencies: parseDependencies(fields.dependencies),
+    priority: fields.priority || "medium",
+    description: fields.description || "",
+    details: fields.details || "",
+    testStrategy: fields.testStrategy || "",
+    subtasks: subtasks.map((parsed) => ({
+      id: parsed.id,
+      title: parsed.title,
+      status: parsed.status,
+      dependencies: parseDependencies(parsed.dependencies, id),
+      description: parsed.description || "",
+      details: parsed.details || "",
+    })),
+  };
+}
+
+/**
+ * Get the file name of a Markdown task file. As with text files, tags other
+ * than "main" are appended.
+ * @param {Object} task - Task
+ * @param {string} tag - Tag name
+ * @returns {string} File name, e.g. task-012-add-login-page.md or task-012-add-login-page_feature-auth.md
+ */
+function getMarkdownTaskFileName(task, tag = DEFAULT_TAG) {
+  const slug = slugify(task.title);
+  const name = `task-${String(task.id).padStart(3, "0")}${slug ? `-${slug}` : ""}`;
+  return tag === DEFAULT_TAG ? `${name}.md` : `${name}_${tag}.md`;
+}
+
+/**
+ * Get a pattern matching the Markdown task files of a tag (group 1 = task ID)
+ * @param {string} tag - Tag name
+ * @returns {RegExp} File name pattern
+ */
+function getMarkdownTaskFilePattern(tag = DEFAULT_TAG) {
+  const suffix = tag === DEFAULT_TAG ? "" : `_${tag.replace(/[.]/g, "\\.")}`;
+  return new RegExp(`^task-(\\d+)(?:-[a-z0-9-]+)?${suffix}\\.md$`);
+}
+
+/**
+ * Write a value of the YAML front matter, quoting it when YAML would read it
+ * as something other than the string it is
+ * @param {string|number} value - Value
+ * @returns {string} YAML scalar
+ */
+function toYamlScalar(value) {
+  if (typeof value === "number") {
+    return String(value);
+  }
+  return /^[a-z][a-z0-9-]*$/i.test(value) &&
+    !/^(true|false|yes|no|on|off|null)$/i.test(value)
+    ? value
+    : JSON.stringify(String(value));
+}
+
+/**
+ * Indent the lines of a text so it continues a Markdown list item
+ * @param {string} text - Text
+ * @returns {string} Indented text; blank lines stay blank
+ */
+const indent = (text) =>
+  text
+    .split("\n")
+    .map((line) => (line.trim() ? `  ${line}` : ""))
+    .join("\n");
+
+/**
+ * Format the Markdown file of one task: YAML front matter, the description,
+ * and sections for dependencies (linked to their files), details, test
+ * strategy and a checklist of subtasks. Empty sections are left out.
+ * @param {Object} task - Task
+ * @param {Array} tasks - All tasks of the tag, to link and show the status of dependencies
+ * @param {Object} context - Context
+ * @param {string} [context.tag] - Tag the task belongs to, for the names of linked files
+ * @param {Object} context.workflow - Workflow from getWorkflow, to tick complete subtasks
+ * @param {Function} [context.linkTarget] - Where a dependency links to, given its task; defaults to the task's file
+ * @returns {string} File contents
+ */
+function formatMarkdownTaskFile(task, tasks, context) {
+  const {
+    tag = DEFAULT_TAG,
+    workflow,
+    linkTarget = (target) => getMarkdownTaskFileName(target, tag),
+  } = context;
+
+  // "3: Set up the project (done)", linked to the file of task 3
+  const formatDependency = (dependency) => {
+    const [taskId, subtaskId] = String(dependency).split(".").map(Number);
+    const target = tasks.find((other) => other.id === taskId);
+    const item =
+      subtaskId === undefined
+        ? target
+        : target?.subtasks?.find((subtask) => subtask.id === subtaskId);
+    if (!item) {
+      return `${dependency} (not found)`;
+    }
+    const label = `${dependency}: ${item.title}`.replace(/[[\]]/g, "\\$&");
+    const status = item.status || "pending";
+    return target.id === task.id
+      ? `${label} (${status})`
+      : `[${label}](${linkTarget(target)}) (${status})`;
+  };
+
+  // Numeric subtask dependencies point at sibling subtasks when there is one
+  const subtaskDependencyId = (dependency) =>
+    typeof dependency === "number" &&
+    task.subtasks.some((subtask) => subtask.id === dependency)
+      ? `${task.id}.${dependency}`
+      : String(dependency);
+
+  const dependencies = task.dependencies || [];
+  const lines = [
+    "---",
+    `id: ${task.id}`,
+    `title: ${JSON.stringify(String(task.title))}`,
+    `status: ${toYamlScalar(task.status || "pending")}`,
+    `priority: ${toYamlScalar(task.priority || "medium")}`,
+    `dependencies: [${dependencies
+      .map((dependency) =>
+        typeof dependency === "number"
+          ? dependency
+          : JSON.stringify(String(dependency)),
+      )
+      .join(", ")}]`,
+    "---",
+    "",
+    `# Task ${task.id}: ${task.title}`,
+    "",
+  ];
+  if (task.description) {
+    lines.push(task.description, "");
+  }
+  if (dependencies.length > 0) {
+    lines.push("## Dependencies", "");
+    for (const dependency of dependencies) {
+      lines.push(`- ${formatDependency(dependency)}`);
+    }
+    lines.push("");
+  }
+  if (task.details) {
+    lines.push("## Details", "", task.details, "");
+  }
+  if (task.testStrategy) {
+    lines.push("## Test Strategy", "", task.testStrategy, "");
+  }
+  if (task.subtasks && task.subtasks.length > 0) {
+    lines.push("## Subtasks", "");
+    for (const subtask of task.subtasks) {
+      const status = subtask.status || "pending";
+      const checkbox = isCompleteStatus(status, workflow) ? "[x]" : "[ ]";
+      lines.push(
+        `- ${checkbox} **${task.id}.${subtask.id}: ${subtask.title}** (${status})`,
+      );
+      // Paragraphs of the list item
+      const paragraphs = [subtask.description, subtask.details];
+      if (subtask.dependencies && subtask.dependencies.length > 0) {
+        paragraphs.splice(
+          1,
+          0,
+          `Depends on: ${subtask.dependencies
+            .map((dependency) =>
+              formatDependency(subtaskDependencyId(dependency)),
+            )
+            .join(", ")}`,
+        );
+      }
+      for (const paragraph of paragraphs.filter(Boolean)) {
+        lines.push("", indent(paragraph));
+      }
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n").replace(/\n+$/, "\n");
+}
+
+// How each format names, finds and writes task files
+const TASK_FILE_WRITERS = {
+  text: {
+    getFileName: (task, tag) => getTaskFileName(task.id, tag),
+    getFilePattern: getTaskFilePattern,
+    format: (task, tasks) => formatTaskFile(task, tasks),
+  },
+  markdown: {
+    getFileName: getMarkdownTaskFileName,
+    getFilePattern: getMarkdownTaskFilePattern,
+    format: formatMarkdownTaskFile,
+  },
+};
+
+/**
+ * Get the writer of a task file format
+ * @param {string} format - One of TASK_FILE_FORMATS
+ * @returns {{getFileName: Function, getFilePattern: Function, format: Function}} How the format names files (task, tag), matches them (tag) and writes them (task, tasks, context)
+ * @throws {Error} If the format is unknown
+ */
+function getTaskFileWriter(format) {
+  if (!TASK_FILE_FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid task file format: ${format}. Use one of: ${TASK_FILE_FORMATS.join(", ")}`,
+    );
+  }
+  return TASK_FILE_WRITERS[format];
+}
+
+// Hash of file contents, to tell which task files changed
+const hashContent = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex");
+
+/**
+ * Hash the current contents of a file
+ * @param {string} filePath - File
+ * @returns {string|null} Hash, or null if the file cannot be read
+ */
+function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Key of a task file in `meta.taskFiles`: its path relative to the tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} filePath - Path to the task file
+ * @returns {string} Key, e.g. "task_001.txt"
+ */
+function getTaskFileKey(tasksPath, filePath) {
+  return path
+    .relative(path.dirname(path.resolve(tasksPath)), path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+}
+
+export {
+  formatTaskFile,
+  parseTaskFile,
+  formatMarkdownTaskFile,
+  getMarkdownTaskFileName,
+  getTaskFileWriter,
+  hashContent,
+  hashFile,
+  getTaskFileKey,
+};
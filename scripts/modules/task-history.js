@@ -0,0 +1,248 @@
+/**
+ * task-history.js
+ * Audit trail of changes to tasks and subtasks
+ *
+ * Every write of a tasks file compares each task and subtask with what was on
+ * disk and appends what changed to the item's `history`:
+ *   { at, actor, source, command, type, ... }
+ * `source` is cli, mcp or tui, `actor` the user or MCP client behind it and
+ * `command` the command or tool that made the change. `type` is one of
+ * HISTORY_TYPES. Long text fields only record that they changed; the
+ * operation journal keeps their contents for undo. Undo and redo leave the
+ * history in place and append an "undo" or "redo" entry holding the
+ * `operation` they reverted or reapplied and the `changes` they made.
+ */
+
+import { DEFAULT_TAG, toTaggedData } from "./tag-manager.js";
+
+// Kinds of history entries
+const HISTORY_TYPES = [
+  "created",
+  "moved",
+  "status",
+  "field",
+  "dependencies",
+  "subtasks",
+  "undo",
+  "redo",
+];
+
+// Fields whose old and new values are recorded
+const VALUE_FIELDS = ["title", "priority", "estimate", "branch"];
+
+// Fields recorded as edited, without their contents
+const TEXT_FIELDS = ["description", "details", "testStrategy"];
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Describe what changed between two versions of a task or subtask
+ * @param {Object|null} before - Item on disk, or null if it is new
+ * @param {Object} after - Item being written
+ * @returns {Array<Object>} History entries without the actor fields
+ */
+function diffItem(before, after) {
+  if (!before) {
+    // An item that arrives with a history was moved here (e.g. by move or
+    // by converting a task into a subtask)
+    return [{ type: after.history?.length > 0 ? "moved" : "created" }];
+  }
+
+  const changes = [];
+  const beforeStatus = before.status || "pending";
+  const afterStatus = after.status || "pending";
+  if (beforeStatus !== afterStatus) {
+    changes.push({ type: "status", from: beforeStatus, to: afterStatus });
+  }
+  for (const field of VALUE_FIELDS) {
+    if (!isSameValue(before[field], after[field])) {
+      changes.push({
+        type: "field",
+        field,
+        from: before[field] ?? null,
+        to: after[field] ?? null,
+      });
+    }
+  }
+  for (const field of TEXT_FIELDS) {
+    if ((before[field] || "") !== (after[field] || "")) {
+      changes.push({ type: "field", field });
+    }
+  }
+
+  const beforeDeps = (before.dependencies || []).map(String);
+  const afterDeps = (after.dependencies || []).map(String);
+  const addedDeps = afterDeps.filter((dep) => !beforeDeps.includes(dep));
+  const removedDeps = beforeDeps.filter((dep) => !afterDeps.includes(dep));
+  if (addedDeps.length > 0 || removedDeps.length > 0) {
+    changes.push({
+      type: "dependencies",
+      added: addedDeps,
+      removed: removedDeps,
+    });
+  }
+
+  const beforeSubtasks = (before.subtasks || []).map((subtask) => subtask.id);
+  const afterSubtasks = (after.subtasks || []).map((subtask) => subtask.id);
+  const addedSubtasks = afterSubtasks.filter(
+    (id) => !beforeSubtasks.includes(id),
+  );
+  const removedSubtasks = beforeSubtasks.filter(
+    (id) => !afterSubtasks.includes(id),
+  );
+  if (addedSubtasks.length > 0 || removedSubtasks.length > 0) {
+    changes.push({
+      type: "subtasks",
+      added: addedSubtasks,
+      removed: removedSubtasks,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Append the changes in one task list to the history of its items, in place
+ * @param {Array} beforeTasks - Tasks on disk
+ * @param {Array} afterTasks - Tasks being written
+ * @param {Object} stamp - Fields added to every entry (at, actor, source, command)
+ * @param {Object|null} [revert] - For undo and redo, the `type` and `operation` of the single entry recording all of an item's changes
+ */
+function recordTaskListHistory(beforeTasks, afterTasks, stamp, revert = null) {
+  const append = (before, after) => {
+    const changes = diffItem(before, after);
+    if (changes.length === 0) {
+      return;
+    }
+    // An item brought back by undo or redo has no changes of its own to list
+    const entries = revert
+      ? [{ ...revert, changes: before ? changes : [] }]
+      : changes;
+    // Writers that rebuild an item may drop its history; keep what was on disk
+    after.history = [
+      ...(after.history || before?.history || []),
+      ...entries.map((entry) => ({ ...stamp, ...entry })),
+    ];
+  };
+
+  const beforeById = new Map(beforeTasks.map((task) => [task.id, task]));
+  for (const task of afterTasks) {
+    if (!task || typeof task !== "object") {
+      continue;
+    }
+    const before = beforeById.get(task.id) || null;
+    const beforeSubtasks = new Map(
+      (before?.subtasks || []).map((subtask) => [subtask.id, subtask]),
+    );
+    for (const subtask of task.subtasks || []) {
+      if (subtask && typeof subtask === "object") {
+        // Subtasks of a new task are part of its creation
+        if (before) {
+          append(beforeSubtasks.get(subtask.id) || null, subtask);
+        }
+      }
+    }
+    append(before, task);
+  }
+}
+
+/**
+ * Append what a write changes to the history of every task and subtask, in
+ * place. Tags that are being created or deleted are left alone. Undo and
+ * redo add one entry per item they change (see recordTaskListHistory).
+ * @param {Object|null} before - Data on disk (null if the file does not exist yet)
+ * @param {Object} after - Data being written
+ * @param {Object} operation - The journal operation making the write
+ * @param {string} [operation.actor] - User or MCP client
+ * @param {string} [operation.source] - cli, mcp or tui
+ * @param {string} [operation.label] - Command or tool name
+ * @param {string} [operation.type] - change, undo or redo
+ * @param {string} [operation.target] - Operation reverted or reapplied (undo/redo only)
+ * @param {Date} [now] - Time of the change
+ */
+function recordTaskHistory(before, after, operation = {}, now = new Date()) {
+  const revert =
+    operation.type === "undo" || operation.type === "redo"
+      ? { type: operation.type, operation: operation.target }
+      : null;
+  const stamp = {
+    at: now.toISOString(),
+    actor: operation.actor || "unknown",
+    source: operation.source || "unknown",
+    command: operation.label || "write",
+  };
+  // A missing file reads as an empty "main" list
+  const beforeTags = before
+    ? toTaggedData(before).tags
+    : { [DEFAULT_TAG]: { tasks: [] } };
+
+  for (const [tag, tagData] of Object.entries(toTaggedData(after).tags)) {
+    const beforeTasks = beforeTags[tag]?.tasks;
+    if (Array.isArray(beforeTasks) && Array.isArray(tagData?.tasks)) {
+      recordTaskListHistory(beforeTasks, tagData.tasks, stamp, revert);
+    }
+  }
+}
+
+/**
+ * Collect the history of a task and its subtasks, newest first
+ * @param {Object} item - Task or subtask
+ * @param {string} id - ID of the item, e.g. "3" or "3.2"
+ * @returns {Array<Object>} History entries, each with the `id` of the item it belongs to
+ */
+function collectHistory(item, id) {
+  const withId = (entryId, source) =>
+    (source.history || []).map((entry) => ({ id: entryId, ...entry }));
+  return [
+    ...withId(id, item),
+    ...(item.subtasks || []).flatMap((subtask) =>
+      withId(`${id}.${subtask.id}`, subtask),
+    ),
+  ]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .reverse();
+}
+
+/**
+ * Describe a history entry in one line, e.g. "status: pending → done"
+ * @param {Object} entry - History entry
+ * @returns {string} Description
+ */
+function describeHistoryEntry(entry) {
+  const value = (value) => (value === null ? "none" : String(value));
+  const list = (prefix, ids) => ids.map((id) => `${prefix}${id}`);
+  switch (entry.type) {
+    case "created":
+      return "created";
+    case "moved":
+      return "moved here";
+    case "status":
+      return `status: ${entry.from} → ${entry.to}`;
+    case "field":
+      return "from" in entry
+        ? `${entry.field}: ${value(entry.from)} → ${value(entry.to)}`
+        : `${entry.field} edited`;
+    case "dependencies":
+      return `dependencies: ${[...list("+", entry.added), ...list("-", entry.removed)].join(" ")}`;
+    case "subtasks":
+      return `subtasks: ${[...list("+", entry.added), ...list("-", entry.removed)].join(" ")}`;
+    case "undo":
+    case "redo": {
+      const changes = (entry.changes || []).map(describeHistoryEntry);
+      return (
+        `${entry.type} of ${entry.command} (${entry.operation})` +
+        (changes.length > 0 ? `: ${changes.join(", ")}` : "")
+      );
+    }
+    default:
+      return entry.type;
+  }
+}
+
+export {
+  HISTORY_TYPES,
+  diffItem,
+  recordTaskHistory,
+  collectHistory,
+  describeHistoryEntry,
+};
@@ -0,0 +1,460 @@
+/**
+ * task-importers.js
+ * Parsers turning CSV, Markdown and GitHub-issue exports into task drafts
+ *
+ * A draft is a task as written in the source file, before it gets an ID:
+ *   { sourceId, title, description, details, testStrategy, status, priority,
+ *     dependencies: [reference], subtasks: [draft] }
+ * Status and priority are the raw source values, and each dependency is a
+ * reference to resolve later: a source ID ("12", "#12", "2.1") or a title.
+ */
+
+// Formats accepted by parseImportSource, with the file extensions that select them
+const IMPORT_FORMATS = {
+  csv: [".csv"],
+  md: [".md", ".markdown"],
+  github: [".json"],
+};
+
+// Normalised CSV header names for each draft field
+const CSV_COLUMNS = {
+  id: ["id", "number", "key"],
+  parentId: ["parentid", "parent"],
+  title: ["title", "name", "summary", "task"],
+  description: ["description"],
+  details: ["details", "body", "notes"],
+  testStrategy: ["teststrategy", "tests"],
+  status: ["status", "state"],
+  priority: ["priority"],
+  dependencies: ["dependencies", "dependson", "deps", "blockedby"],
+};
+
+const createDraft = (fields = {}) => ({
+  sourceId: null,
+  title: "",
+  description: "",
+  details: "",
+  testStrategy: "",
+  status: "",
+  priority: "",
+  dependencies: [],
+  subtasks: [],
+  ...fields,
+});
+
+// Split a list of references such as "1; Set up database, #4"
+const splitReferences = (text) =>
+  String(text || "")
+    .split(/[;,]/)
+    .map((ref) => ref.trim())
+    .filter(Boolean);
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parse a CSV file with a header row. Rows with a parentId become subtasks
+ * of the row with that id, so files written by `lm-tasker export --format
+ * csv` can be imported again.
+ * @param {string} text - CSV text
+ * @returns {{drafts: Array, warnings: string[]}} Drafts and parse warnings
+ * @throws {Error} If there is no title column
+ */
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  const normalizedHeader = header.map((name) =>
+    name.toLowerCase().replace(/[^a-z]/g, ""),
+  );
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, names]) => [
+      field,
+      normalizedHeader.findIndex((name) => names.includes(name)),
+    ]),
+  );
+  if (columns.title === -1) {
+    throw new Error(
+      `CSV file has no title column (found: ${header.join(", ") || "nothing"})`,
+    );
+  }
+
+  const warnings = [];
+  const drafts = [];
+  const bySourceId = new Map();
+  const value = (fields, field) =>
+    columns[field] === -1 ? "" : (fields[columns[field]] || "").trim();
+
+  rows.forEach((fields, index) => {
+    const line = index + 2;
+    const title = value(fields, "title");
+    if (!title) {
+      warnings.push(`Row ${line}: skipped, no title`);
+      return;
+    }
+
+    const draft = createDraft({
+      sourceId: value(fields, "id") || null,
+      title,
+      description: value(fields, "description"),
+      details: value(fields, "details"),
+      testStrategy: value(fields, "testStrategy"),
+      status: value(fields, "status"),
+      priority: value(fields, "priority"),
+      dependencies: splitReferences(value(fields, "dependencies")),
+    });
+
+    const parentId = value(fields, "parentId");
+    const parent = parentId && bySourceId.get(parentId.replace(/^#/, ""));
+    if (parent) {
+      parent.subtasks.push(draft);
+    } else {
+      if (parentId) {
+        warnings.push(
+          `Row ${line}: parent "${parentId}" not found earlier in the file, imported as a task`,
+        );
+      }
+      drafts.push(draft);
+      if (draft.sourceId) {
+        bySourceId.set(draft.sourceId.replace(/^#/, ""), draft);
+      }
+    }
+  });
+
+  return { drafts, warnings };
+}
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const CHECKBOX_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const METADATA_PATTERN =
+  /^\s*(?:[-*+]\s+)?(?:\*\*)?(status|priority|depends on|dependencies)(?:\*\*)?\s*:(?:\*\*)?\s*(.+)$/i;
+const INLINE_DEPENDENCIES_PATTERN =
+  /\s*\((?:depends on|after):?\s*([^)]*)\)\s*$/i;
+
+// Split "3. Title" into a source ID and a title
+function splitNumberedTitle(text) {
+  const match = text.match(/^#?(\d+)[.):]\s+(.+)$/);
+  return match
+    ? { sourceId: match[1], title: match[2].trim() }
+    : { sourceId: null, title: text.trim() };
+}
+
+// Build a draft from a checklist item, e.g. "- [x] Write docs (depends on: API)"
+function checkboxDraft(checked, text) {
+  const dependencyMatch = text.match(INLINE_DEPENDENCIES_PATTERN);
+  const title = dependencyMatch ? text.slice(0, dependencyMatch.index) : text;
+  return createDraft({
+    ...splitNumberedTitle(title),
+    status: checked ? "done" : "",
+    dependencies: dependencyMatch ? splitReferences(dependencyMatch[1]) : [],
+  });
+}
+
+/**
+ * Read the body of a Markdown task: metadata lines, checklists (top-level
+ * items become subtasks, deeper items go into their details) and text
+ * (first paragraph is the description, the rest details, and text under a
+ * "Test Strategy" heading the test strategy)
+ * @param {Object} draft - Draft to fill in
+ * @param {string[]} lines - Lines below the task heading
+ */
+function readMarkdownBody(draft, lines) {
+  const paragraphs = { details: [], testStrategy: [] };
+  let section = "details";
+  let subtaskIndent = null;
+
+  for (const line of lines) {
+    const checkbox = line.match(CHECKBOX_PATTERN);
+    if (checkbox) {
+      const indent = checkbox[1].replace(/\t/g, "  ").length;
+      if (subtaskIndent === null || indent <= subtaskIndent) {
+        subtaskIndent = indent;
+        draft.subtasks.push(checkboxDraft(checkbox[2] !== " ", checkbox[3]));
+      } else {
+        const subtask = draft.subtasks[draft.subtasks.length - 1];
+        subtask.details += `${subtask.details ? "\n" : ""}${line.trim()}`;
+      }
+      continue;
+    }
+
+    const metadata = line.match(METADATA_PATTERN);
+    if (metadata) {
+      const key = metadata[1].toLowerCase();
+      if (key === "status" || key === "priority") {
+        draft[key] = metadata[2].trim();
+      } else {
+        draft.dependencies.push(...splitReferences(metadata[2]));
+      }
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const name = heading[2].toLowerCase();
+      if (name === "test strategy" || name === "tests") {
+        section = "testStrategy";
+        continue;
+      }
+      if (name === "details" || name === "subtasks") {
+        section = "details";
+        continue;
+      }
+    }
+
+    paragraphs[section].push(line);
+  }
+
+  const text = paragraphs.details.join("\n").trim();
+  const [firstParagraph, ...rest] = text.split(/\n\s*\n/);
+  draft.description = (firstParagraph || "").trim();
+  draft.details = rest.join("\n\n").trim();
+  draft.testStrategy = paragraphs.testStrategy.join("\n").trim();
+}
+
+/**
+ * Parse a Markdown outline. Tasks are the headings of the outermost level
+ * used more than once (so a single "# Project" title is not a task), and
+ * checklist items under them are subtasks. A document without headings is
+ * read as a checklist: top-level items are tasks, nested items subtasks.
+ * @param {string} text - Markdown text
+ * @returns {{drafts: Array, warnings: string[]}} Drafts and parse warnings
+ */
+function parseMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const headings = lines
+    .map((line, index) => ({ index, match: line.match(HEADING_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ index, match }) => ({
+      index,
+      level: match[1].length,
+      text: match[2],
+    }));
+
+  const drafts = [];
+
+  if (headings.length === 0) {
+    // Checklist: each top-level item and the lines nested below it
+    const items = [];
+    let taskIndent = null;
+    for (const line of lines) {
+      const checkbox = line.match(CHECKBOX_PATTERN);
+      const indent = checkbox ? checkbox[1].replace(/\t/g, "  ").length : 0;
+      if (checkbox && (taskIndent === null || indent <= taskIndent)) {
+        taskIndent = indent;
+        items.push({
+          draft: checkboxDraft(checkbox[2] !== " ", checkbox[3]),
+          lines: [],
+        });
+      } else if (items.length > 0) {
+        items[items.length - 1].lines.push(line);
+      }
+    }
+    for (const item of items) {
+      readMarkdownBody(item.draft, item.lines);
+      drafts.push(item.draft);
+    }
+    return { drafts, warnings: [] };
+  }
+
+  const levels = [...new Set(headings.map((heading) => heading.level))].sort(
+    (a, b) => a - b,
+  );
+  const taskLevel =
+    levels.find(
+      (level) =>
+        headings.filter((heading) => heading.level === level).length > 1,
+    ) ?? levels[0];
+
+  const taskHeadings = headings.filter(
+    (heading) => heading.level === taskLevel,
+  );
+  taskHeadings.forEach((heading) => {
+    // The task ends at the next heading of the same or an outer level
+    const end =
+      headings.find(
+        (next) => next.index > heading.index && next.level <= taskLevel,
+      )?.index ?? lines.length;
+    const checkbox = heading.text.match(/^\[([ xX])\]\s+(.*)$/);
+    const draft = checkbox
+      ? checkboxDraft(checkbox[1] !== " ", checkbox[2])
+      : createDraft(splitNumberedTitle(heading.text));
+    readMarkdownBody(draft, lines.slice(heading.index + 1, end));
+    drafts.push(draft);
+  });
+
+  return { drafts, warnings: [] };
+}
+
+// Map GitHub labels such as "priority: high", "P1" or "high-priority" to a priority
+function priorityFromLabels(labels) {
+  for (const label of labels) {
+    const name = label.toLowerCase();
+    const level = name.match(/\b(high|medium|low)\b/)?.[1];
+    if (level && name.includes("prio")) {
+      return level;
+    }
+    const rank = Number(name.match(/^p([0-4])$/)?.[1]);
+    if (!Number.isNaN(rank)) {
+      return rank <= 1 ? "high" : rank === 2 ? "medium" : "low";
+    }
+  }
+  return "";
+}
+
+// Map issue state and labels to a status
+function statusFromIssue(issue, labels) {
+  const state = String(issue.state || "").toLowerCase();
+  if (state === "closed") {
+    const reason = String(issue.state_reason || issue.stateReason || "");
+    return reason.toLowerCase() === "not_planned" ? "cancelled" : "done";
+  }
+  const label = labels.find((name) =>
+    /^(in[ -]?progress|review|deferred)$/i.test(name),
+  );
+  return label
+    ? label.toLowerCase().replace(/^in ?progress$/, "in-progress")
+    : "";
+}
+
+/**
+ * Parse a GitHub issues export: the JSON written by `gh issue list --json
+ * number,title,body,state,labels` or a REST API issue list. Pull requests
+ * are skipped, checklist items in the body become subtasks, and
+ * "Depends on #12" or "Blocked by #12" become dependencies.
+ * @param {string} text - JSON text
+ * @returns {{drafts: Array, warnings: string[]}} Drafts and parse warnings
+ * @throws {Error} If the JSON is not a list of issues
+ */
+function parseGithubIssues(text) {
+  const parsed = JSON.parse(text);
+  const issues = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(issues)) {
+    throw new Error(
+      "Expected a JSON array of GitHub issues (e.g. from gh issue list --json number,title,body,state,labels)",
+    );
+  }
+
+  const warnings = [];
+  const drafts = [];
+  for (const issue of issues) {
+    if (issue.pull_request || issue.isPullRequest) {
+      continue;
+    }
+    if (!issue.title) {
+      warnings.push(`Issue #${issue.number ?? "?"}: skipped, no title`);
+      continue;
+    }
+
+    const labels = (issue.labels || []).map((label) =>
+      typeof label === "string" ? label : label.name || "",
+    );
+    const body = String(issue.body || "").replace(/\r\n?/g, "\n");
+    const draft = createDraft({
+      sourceId: issue.number !== undefined ? String(issue.number) : null,
+      title: issue.title.trim(),
+      status: statusFromIssue(issue, labels),
+      priority: priorityFromLabels(labels),
+    });
+
+    readMarkdownBody(draft, body.split("\n"));
+
+    for (const match of body.matchAll(
+      /(?:depends on|blocked by)\s*:?\s*((?:#\d+(?:\s*(?:,|and)\s*)?)+)/gi,
+    )) {
+      draft.dependencies.push(...(match[1].match(/#\d+/g) || []));
+    }
+    drafts.push(draft);
+  }
+
+  return { drafts, warnings };
+}
+
+const PARSERS = {
+  csv: parseCsv,
+  md: parseMarkdown,
+  github: parseGithubIssues,
+};
+
+/**
+ * Work out the import format from a file name
+ * @param {string} filePath - Source file path
+ * @returns {string|null} Format name, or null if the extension is not known
+ */
+function detectImportFormat(filePath) {
+  const extension = filePath.slice(filePath.lastIndexOf(".")).toLowerCase();
+  return (
+    Object.keys(IMPORT_FORMATS).find((format) =>
+      IMPORT_FORMATS[format].includes(extension),
+    ) || null
+  );
+}
+
+/**
+ * Parse source text into task drafts
+ * @param {string} text - Source file contents
+ * @param {string} format - One of the IMPORT_FORMATS keys (csv, md, github)
+ * @returns {{drafts: Array, warnings: string[]}} Drafts and parse warnings
+ * @throws {Error} On an unknown format or unreadable source
+ */
+function parseImportSource(text, format) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(
+      `Unknown import format "${format}". Use one of: ${Object.keys(PARSERS).join(", ")}`,
+    );
+  }
+  return parser(text);
+}
+
+export {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseImportSource,
+  parseCsvRows,
+  parseCsv,
+  parseMarkdown,
+  parseGithubIssues,
+};
@@ -22,6 +22,31 @@ import removeTask from "./task-manager/remove-task.js";
 import taskExists from "./task-manager/task-exists.js";
 import isTaskDependentOn from "./task-manager/is-task-dependent.js";
 import moveTask from "./task-manager/move-task.js";
+import applyJournalOperation from "./task-manager/apply-journal-operation.js";
+import addTag from "./task-manager/add-tag.js";
+import copyTag from "./task-manager/copy-tag.js";
+import useTag from "./task-manager/use-tag.js";
+import listTags from "./task-manager/list-tags.js";
+import deleteTag from "./task-manager/delete-tag.js";
+import checkTasksFile from "./task-manager/check-tasks-file.js";
+import exportTasks from "./task-manager/export-tasks.js";
+import importTasks from "./task-manager/import-tasks.js";
+import applyTaskBatch from "./task-manager/apply-task-batch.js";
+import graphTasks from "./task-manager/graph-tasks.js";
+import analyzeTasks from "./task-manager/analyze-tasks.js";
+import startTaskTimer from "./task-manager/start-task-timer.js";
+import stopTaskTimer from "./task-manager/stop-task-timer.js";
+import logTaskTime from "./task-manager/log-task-time.js";
+import getTimeReport from "./task-manager/get-time-report.js";
+import setTaskEstimate from "./task-manager/set-task-estimate.js";
+import getBurndown from "./task-manager/get-burndown.js";
+import getTaskHistory from "./task-manager/get-task-history.js";
+import linkGitCommits from "./task-manager/link-git-commits.js";
+import createTaskBranch from "./task-manager/create-task-branch.js";
+import checkCommitMessage from "./task-manager/check-commit-message.js";
+import applyCommitKeywords from "./task-manager/apply-commit-keywords.js";
+import watchTaskFiles from "./task-manager/watch-task-files.js";
+import syncTaskFiles from "./task-manager/sync-task-files.js";
 
 // Export task manager functions
 export {
@@ -42,4 +67,29 @@ export {
   taskExists,
   isTaskDependentOn,
   moveTask,
+  applyJournalOperation,
+  addTag,
+  copyTag,
+  useTag,
+  listTags,
+  deleteTag,
+  checkTasksFile,
+  exportTasks,
+  importTasks,
+  applyTaskBatch,
+  graphTasks,
+  analyzeTasks,
+  startTaskTimer,
+  stopTaskTimer,
+  logTaskTime,
+  getTimeReport,
+  setTaskEstimate,
+  getBurndown,
+  getTaskHistory,
+  linkGitCommits,
+  createTaskBranch,
+  checkCommitMessage,
+  applyCommitKeywords,
+  watchTaskFiles,
+  syncTaskFiles,
 };
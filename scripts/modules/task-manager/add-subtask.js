@@ -2,6 +2,7 @@ import path from "path";
 
 import { log, readJSON, writeJSON } from "../utils.js";
 import { isTaskDependentOn } from "../task-manager.js";
+import { getTasksWorkflow, getInitialStatus } from "../workflow.js";
 import generateTaskFiles from "./generate-task-files.js";
 
 /**
@@ -119,9 +120,14 @@ async function addSubtask(
         title: newSubtaskData.title,
         description: newSubtaskData.description || "",
         details: newSubtaskData.details || "",
-        status: newSubtaskData.status || "pending",
+        status:
+          newSubtaskData.status ||
+          getInitialStatus(getTasksWorkflow(tasksPath)),
         dependencies: newSubtaskData.dependencies || [],
         parentTaskId: parentIdNum,
+        ...(typeof newSubtaskData.estimate === "number" && {
+          estimate: newSubtaskData.estimate,
+        }),
       };
 
       // Add to parent's subtasks
@@ -0,0 +1,61 @@
+import { log, writeJSON } from "../utils.js";
+import {
+  TagNotFoundError,
+  validateTagName,
+  readTaggedTasksFile,
+} from "../tag-manager.js";
+
+/**
+ * Create a new tag (task list) in the tasks file. A single-list file is
+ * converted to the tagged layout, with its tasks kept under "main".
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} tagName - Name of the new tag
+ * @param {Object} options - Options
+ * @param {string} [options.description] - Description of the tag
+ * @param {string} [options.copyFrom] - Tag whose tasks are copied into the new tag
+ * @returns {Object} The new tag's name, description and task count
+ * @throws {Error} If the name is invalid, the tag exists or the source tag is missing
+ */
+function addTag(tasksPath, tagName, options = {}) {
+  validateTagName(tagName);
+
+  const data = readTaggedTasksFile(tasksPath);
+  if (data.tags[tagName]) {
+    throw new Error(`Tag "${tagName}" already exists in ${tasksPath}`);
+  }
+
+  let tasks = [];
+  if (options.copyFrom) {
+    const source = data.tags[options.copyFrom];
+    if (!source) {
+      throw new TagNotFoundError(
+        options.copyFrom,
+        tasksPath,
+        Object.keys(data.tags),
+      );
+    }
+    tasks = structuredClone(source.tasks || []);
+  }
+
+  data.tags[tagName] = {
+    tasks,
+    metadata: {
+      created: new Date().toISOString(),
+      ...(options.description ? { description: options.description } : {}),
+    },
+  };
+
+  writeJSON(tasksPath, data);
+  log(
+    "info",
+    `Created tag "${tagName}"${options.copyFrom ? ` from "${options.copyFrom}"` : ""} with ${tasks.length} task(s)`,
+  );
+
+  return {
+    name: tagName,
+    description: options.description || "",
+    taskCount: tasks.length,
+  };
+}
+
+export default addTag;
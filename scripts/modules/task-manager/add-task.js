@@ -15,6 +15,7 @@ import {
 } from "../ui.js";
 import { readJSON, writeJSON, log as consoleLog, truncate, createMinimalTasksJson } from "../utils.js";
 import { getDefaultPriority } from "../config-manager.js";
+import { getTasksWorkflow, getInitialStatus } from "../workflow.js";
 import generateTaskFiles from "./generate-task-files.js";
 
 // Define Zod schema for manual task data
@@ -37,6 +38,11 @@ const ManualTaskDataSchema = z.object({
     .describe(
       "Array of task IDs that this task depends on (must be completed before this task can start)",
     ),
+  estimate: z
+    .number()
+    .nonnegative()
+    .optional()
+    .describe("Estimate in story points or hours"),
 });
 
 /**
@@ -157,11 +163,12 @@ async function addTask(
     description: taskData.description,
     details: taskData.details || "",
     testStrategy: taskData.testStrategy || "",
-    status: "pending",
+    status: getInitialStatus(getTasksWorkflow(tasksPath)),
     dependencies: taskData.dependencies?.length
       ? taskData.dependencies
       : validDependencies,
     priority: effectivePriority,
+    ...(taskData.estimate !== undefined && { estimate: taskData.estimate }),
     subtasks: [], // Initialize with empty subtasks array
   };
 
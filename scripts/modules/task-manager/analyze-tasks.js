@@ -0,0 +1,245 @@
+import { readJSON, findCycles } from "../utils.js";
+import { getCurrentTag } from "../tag-manager.js";
+import { DEFAULT_WORKFLOW } from "../config-manager.js";
+import { getTasksWorkflow, isClosedStatus } from "../workflow.js";
+
+// Statuses of dependencies that will not be finished without a decision
+const STUCK_STATUSES = ["cancelled", "deferred"];
+
+/**
+ * Task-level dependencies: a task depends on another task when it, or one
+ * of its subtasks, depends on that task or one of its subtasks
+ * @param {Object} task - Task
+ * @returns {string[]} IDs of the tasks it depends on
+ */
+function getTaskLevelDependencies(task) {
+  const dependencies = new Set((task.dependencies || []).map(String));
+  for (const subtask of task.subtasks || []) {
+    for (const depId of subtask.dependencies || []) {
+      // Numeric subtask dependencies refer to siblings
+      if (typeof depId === "number") {
+        continue;
+      }
+      dependencies.add(String(depId).split(".")[0]);
+    }
+  }
+  dependencies.delete(String(task.id));
+  return [...dependencies];
+}
+
+/**
+ * Analyze the dependency graph of a task list: the critical path, the tasks
+ * that unblock the most work, isolated tasks, tasks stuck behind missing,
+ * cancelled or deferred work, the longest chains of open tasks and
+ * dependency cycles. Subtask dependencies count towards their parent task.
+ * @param {Array} tasks - Tasks of one tag
+ * @param {Object} options - Options
+ * @param {number} [options.limit=5] - Number of unblockers and chains to return
+ * @param {Object} [options.workflow] - Workflow from getWorkflow; tasks in its complete statuses, or cancelled, need no more work. Defaults to the built-in one
+ * @returns {Object} Analysis
+ */
+function analyzeTaskGraph(tasks, options = {}) {
+  const limit = options.limit ?? 5;
+  const workflow = options.workflow || DEFAULT_WORKFLOW;
+  const isOpen = (task) => !isClosedStatus(task.status || "pending", workflow);
+  const byId = new Map(tasks.map((task) => [String(task.id), task]));
+  const summarize = (id) => {
+    const task = byId.get(id);
+    return {
+      id: task.id,
+      title: task.title,
+      status: task.status || "pending",
+      priority: task.priority || "medium",
+    };
+  };
+
+  const dependencyMap = new Map();
+  const missing = new Map();
+  for (const task of tasks) {
+    const dependencies = getTaskLevelDependencies(task);
+    dependencyMap.set(
+      String(task.id),
+      dependencies.filter((depId) => byId.has(depId)),
+    );
+    missing.set(
+      String(task.id),
+      dependencies.filter((depId) => !byId.has(depId)),
+    );
+  }
+
+  // A task is on a cycle when a search from it finds its way back to it
+  const cyclic = new Set(
+    [...dependencyMap.keys()].filter((id) =>
+      findCycles(id, dependencyMap).includes(id),
+    ),
+  );
+
+  const dependents = new Map([...byId.keys()].map((id) => [id, []]));
+  for (const [id, dependencies] of dependencyMap) {
+    dependencies.forEach((depId) => dependents.get(depId).push(id));
+  }
+
+  // Tasks reachable from a task along dependencyMap (upstream) or
+  // dependents (downstream)
+  const reachable = (id, links) => {
+    const seen = new Set();
+    const queue = [id];
+    while (queue.length > 0) {
+      for (const next of links.get(queue.shift())) {
+        if (!seen.has(next) && next !== id) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    return seen;
+  };
+
+  const openIds = [...byId.keys()].filter((id) => isOpen(byId.get(id)));
+  const isReady = (id) =>
+    missing.get(id).length === 0 &&
+    dependencyMap.get(id).every((depId) => !isOpen(byId.get(depId)));
+
+  // Longest chain of open tasks ending at each open task (cycles excluded)
+  const chainTo = new Map();
+  const longestChainTo = (id) => {
+    if (!chainTo.has(id)) {
+      let best = [];
+      for (const depId of dependencyMap.get(id)) {
+        if (isOpen(byId.get(depId)) && !cyclic.has(depId)) {
+          const chain = longestChainTo(depId);
+          if (chain.length > best.length) {
+            best = chain;
+          }
+        }
+      }
+      chainTo.set(id, [...best, id]);
+    }
+    return chainTo.get(id);
+  };
+
+  // Chains end at open tasks that no other open task depends on
+  const chains = openIds
+    .filter((id) => !cyclic.has(id))
+    .filter(
+      (id) =>
+        !dependents
+          .get(id)
+          .some((next) => isOpen(byId.get(next)) && !cyclic.has(next)),
+    )
+    .map((id) => longestChainTo(id))
+    .sort((a, b) => b.length - a.length);
+
+  const unblockers = openIds
+    .filter((id) => !cyclic.has(id))
+    .map((id) => {
+      const downstream = [...reachable(id, dependents)].filter((next) =>
+        isOpen(byId.get(next)),
+      );
+      return {
+        ...summarize(id),
+        ready: isReady(id),
+        directlyBlocks: dependents
+          .get(id)
+          .filter((next) => isOpen(byId.get(next))).length,
+        unblocks: downstream.length,
+      };
+    })
+    .filter((entry) => entry.unblocks > 0)
+    .sort(
+      (a, b) =>
+        b.unblocks - a.unblocks ||
+        b.directlyBlocks - a.directlyBlocks ||
+        Number(b.ready) - Number(a.ready) ||
+        a.id - b.id,
+    );
+
+  const orphaned = openIds
+    .filter(
+      (id) =>
+        dependencyMap.get(id).length === 0 &&
+        missing.get(id).length === 0 &&
+        dependents.get(id).length === 0,
+    )
+    .map(summarize);
+
+  // Open tasks waiting, directly or through other tasks, on work that is
+  // missing, cancelled or deferred
+  const stuckReasons = new Map();
+  for (const id of openIds) {
+    const reasons = missing
+      .get(id)
+      .map((depId) => ({ id: depId, reason: "missing" }));
+    for (const depId of dependencyMap.get(id)) {
+      const status = byId.get(depId).status || "pending";
+      if (STUCK_STATUSES.includes(status)) {
+        reasons.push({ id: depId, reason: status });
+      }
+    }
+    if (reasons.length > 0) {
+      stuckReasons.set(id, reasons);
+    }
+  }
+  const deadEnds = [];
+  for (const id of openIds) {
+    const upstream = [...reachable(id, dependencyMap)];
+    const blockedBy = [
+      ...(stuckReasons.get(id) || []),
+      ...upstream
+        .filter((other) => stuckReasons.has(other) && isOpen(byId.get(other)))
+        .map((other) => ({ id: other, reason: "blocked" })),
+    ];
+    if (blockedBy.length > 0) {
+      deadEnds.push({ ...summarize(id), blockedBy });
+    }
+  }
+
+  const toChain = (chain) => ({
+    length: chain.length,
+    tasks: chain.map(summarize),
+  });
+
+  return {
+    summary: {
+      tasks: tasks.length,
+      open: openIds.length,
+      ready: openIds.filter(isReady).length,
+      blocked: openIds.filter((id) => !isReady(id)).length,
+    },
+    criticalPath: toChain(chains[0] || []),
+    unblockers: unblockers.slice(0, limit),
+    longestChains: chains
+      .filter((chain) => chain.length > 1)
+      .slice(0, limit)
+      .map(toChain),
+    orphaned,
+    deadEnds,
+    cycles: [...cyclic].map(summarize),
+  };
+}
+
+/**
+ * Analyze the dependencies of the current tag
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {number} [options.limit=5] - Number of unblockers and chains to return
+ * @returns {Object} Analysis from analyzeTaskGraph, with the tag
+ * @throws {Error} If the tasks file is missing or invalid
+ */
+function analyzeTasks(tasksPath, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  return {
+    tag: getCurrentTag(tasksPath),
+    ...analyzeTaskGraph(data.tasks, {
+      limit: options.limit,
+      workflow: getTasksWorkflow(tasksPath),
+    }),
+  };
+}
+
+export default analyzeTasks;
+export { analyzeTaskGraph, getTaskLevelDependencies };
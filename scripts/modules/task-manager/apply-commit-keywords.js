@@ -0,0 +1,121 @@
+import path from "path";
+import { readJSON, writeJSON } from "../utils.js";
+import { findTrackedItem } from "../time-tracking.js";
+import {
+  getCommits,
+  parseTaskKeywords,
+  parseTaskReferences,
+  findLinkedCommit,
+  linkCommit,
+} from "../git-integration.js";
+import {
+  getTasksWorkflow,
+  getStatusDefinition,
+  isCompleteStatus,
+} from "../workflow.js";
+import updateTaskById from "./update-task-by-id.js";
+import updateSubtaskById from "./update-subtask-by-id.js";
+import setTaskStatus from "./set-task-status.js";
+
+// Status "refs" moves a task that has not been started to
+const STARTED_STATUS = "in-progress";
+
+// Keeps the task functions below from printing their own output
+const quietLog = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+/**
+ * Decide the status a commit keyword moves a task or subtask to
+ * @param {Object} item - Task or subtask
+ * @param {string} action - "close" or "ref"
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {string|null} New status, or null to leave it as it is
+ */
+function getKeywordStatus(item, action, workflow) {
+  const status = item.status || "pending";
+  if (action === "close") {
+    return workflow.statuses.find((definition) => definition.complete).name;
+  }
+  return getStatusDefinition(STARTED_STATUS, workflow) &&
+    status === workflow.statuses[0].name
+    ? STARTED_STATUS
+    : null;
+}
+
+/**
+ * Apply a commit to the tasks it references: link it to each of them and
+ * act on its keywords. "closes #12" completes task 12 and "refs #12.3"
+ * moves subtask 12.3 to in-progress if it has not been started; both append
+ * a note naming the commit to the item's details, the way update-task and
+ * update-subtask do. Complete items, and commits applied before (including
+ * amended or rebased versions of them), are left alone.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {string} [options.commit] - Commit to apply (default: HEAD)
+ * @param {string} [options.cwd] - Directory inside the repository (default: the directory of the tasks file)
+ * @returns {Promise<{commit: Object|null, linked: string[], changes: Array<{id: string, action: string, note: boolean, status: {from: string, to: string}|null, warning?: string}>}>} The commit, the IDs it was linked to and what its keywords did
+ * @throws {Error} If the tasks file is invalid or git fails
+ */
+async function applyCommitKeywords(tasksPath, options = {}) {
+  const [commit] = getCommits(
+    options.cwd || path.dirname(path.resolve(tasksPath)),
+    { range: options.commit || "HEAD", maxCount: 1 },
+  );
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+  if (!commit) {
+    return { commit: null, linked: [], changes: [] };
+  }
+
+  const workflow = getTasksWorkflow(tasksPath);
+  const changes = [];
+  for (const { id, action } of parseTaskKeywords(commit.message)) {
+    // Each step below writes the tasks file, so look the item up afresh
+    const found = findTrackedItem(readJSON(tasksPath).tasks, id);
+    if (
+      !found ||
+      findLinkedCommit(found.item, commit) ||
+      isCompleteStatus(found.item.status, workflow)
+    ) {
+      continue;
+    }
+
+    const change = { id: found.id, action, note: false, status: null };
+    const note = `Commit ${commit.hash.slice(0, 7)} (${action === "close" ? "closes" : "refs"}): ${commit.subject}`;
+    const update = found.parent ? updateSubtaskById : updateTaskById;
+    const result = await update(tasksPath, found.id, note, {
+      mcpLog: quietLog,
+    });
+    change.note = result.success;
+
+    const from = found.item.status || "pending";
+    const to = getKeywordStatus(found.item, action, workflow);
+    if (to) {
+      try {
+        await setTaskStatus(tasksPath, found.id, to, { mcpLog: quietLog });
+        change.status = { from, to };
+      } catch (error) {
+        change.warning = error.message;
+      }
+    }
+    changes.push(change);
+  }
+
+  // Link the commit to every task it references, keywords or not
+  const linkedData = readJSON(tasksPath);
+  const linked = [];
+  for (const id of parseTaskReferences(commit.message)) {
+    const found = findTrackedItem(linkedData.tasks, id);
+    if (found && linkCommit(found.item, commit)) {
+      linked.push(found.id);
+    }
+  }
+  if (linked.length > 0) {
+    writeJSON(tasksPath, linkedData);
+  }
+
+  return { commit, linked, changes };
+}
+
+export default applyCommitKeywords;
@@ -0,0 +1,60 @@
+import path from "path";
+
+import { log, writeJSON } from "../utils.js";
+import { readRawTasksFile, toTaggedData } from "../tag-manager.js";
+import {
+  getJournalState,
+  runJournalOperation,
+  applyOperationChanges,
+  summarizeOperation,
+} from "../journal.js";
+import generateTaskFiles from "./generate-task-files.js";
+
+/**
+ * Undo the most recent operation on a tasks file, or redo the most recently
+ * undone one, using the operation journal
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {"undo"|"redo"} direction - Whether to undo or redo
+ * @param {Object} options - Options
+ * @param {boolean} [options.force] - Apply even if the affected tasks changed since
+ * @returns {Object} Summary of the operation that was undone or redone
+ * @throws {Error} If there is nothing to undo/redo or the affected tasks changed since
+ */
+function applyJournalOperation(tasksPath, direction, options = {}) {
+  // Operations can span tags, so work on the whole file rather than one tag
+  const rawData = readRawTasksFile(tasksPath);
+  if (!rawData) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+  const data = toTaggedData(rawData);
+
+  const { applied, undone } = getJournalState(tasksPath);
+  const stack = direction === "undo" ? applied : undone;
+  const operation = stack[stack.length - 1];
+  if (!operation) {
+    throw new Error(`Nothing to ${direction} in ${tasksPath}`);
+  }
+
+  applyOperationChanges(data, operation, direction, options);
+
+  log(
+    "info",
+    `${direction === "undo" ? "Undoing" : "Redoing"} "${operation.label}" (${operation.id})`,
+  );
+
+  // Record the write (and any follow-up dependency fixes) as the undo/redo itself
+  runJournalOperation(
+    { type: direction, label: operation.label, target: operation.id },
+    () => {
+      writeJSON(tasksPath, data);
+      generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    },
+  );
+
+  return summarizeOperation(
+    operation,
+    direction === "undo" ? "undone" : "applied",
+  );
+}
+
+export default applyJournalOperation;
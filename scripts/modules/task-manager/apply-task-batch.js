@@ -0,0 +1,337 @@
+import fs from "fs";
+import path from "path";
+
+import { log, readJSON, writeJSON, createMinimalTasksJson } from "../utils.js";
+import { getDefaultPriority } from "../config-manager.js";
+import { isCircularDependency } from "../dependency-manager.js";
+import { PRIORITY_OPTIONS } from "../task-schema.js";
+import { getTasksWorkflow, getInitialStatus } from "../workflow.js";
+import generateTaskFiles from "./generate-task-files.js";
+
+const OPERATION_TYPES = ["add_task", "add_subtask", "add_dependency"];
+
+// Names given to created tasks and subtasks, referred to as "$name"
+const REF_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const formatId = ({ taskId, subtaskId }) =>
+  subtaskId === undefined ? taskId : `${taskId}.${subtaskId}`;
+
+/**
+ * Read the operations of a batch from a JSON file holding either an array of
+ * operations or an object with an "operations" array
+ * @param {string} filePath - Path to the batch file
+ * @returns {Array<Object>} Operations
+ * @throws {Error} If the file is missing, is not JSON or holds no operations array
+ */
+function readTaskBatchFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Batch file not found: ${filePath}`);
+  }
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+  const operations = Array.isArray(content) ? content : content?.operations;
+  if (!Array.isArray(operations)) {
+    throw new Error(
+      `${filePath} must hold an array of operations or an object with an "operations" array`,
+    );
+  }
+  return operations;
+}
+
+/**
+ * Apply the operations of a batch, in order, to a task list. Throws on the
+ * first invalid operation, leaving the list partly changed, so callers
+ * apply batches to a copy.
+ * @param {Array} tasks - Tasks of one tag, changed in place
+ * @param {Array<Object>} operations - Operations (see applyTaskBatch)
+ * @param {string} defaultPriority - Priority of tasks added without one
+ * @param {string} initialStatus - Status of the tasks and subtasks it adds: the first status of the workflow
+ * @returns {{refs: Object, created: Array<Object>, dependencies: Array<Object>}} What the batch did
+ * @throws {Error} If an operation is invalid, naming the operation
+ */
+function planTaskBatch(tasks, operations, defaultPriority, initialStatus) {
+  const refs = new Map();
+  const created = [];
+  const dependencies = [];
+
+  // A task or subtask: an existing ID, or "$name" for one created earlier
+  const resolve = (reference) => {
+    if (typeof reference === "string" && reference.startsWith("$")) {
+      const target = refs.get(reference.slice(1));
+      if (!target) {
+        throw new Error(
+          `Unknown ref "${reference}"; refs must be defined by an earlier operation`,
+        );
+      }
+      return target;
+    }
+    const match = String(reference).match(/^(\d+)(?:\.(\d+))?$/);
+    if (!match) {
+      throw new Error(
+        `Invalid ID ${JSON.stringify(reference)}; use a task ID, a "parentId.subtaskId" subtask ID or a "$ref"`,
+      );
+    }
+    const taskId = Number(match[1]);
+    const subtaskId = match[2] === undefined ? undefined : Number(match[2]);
+    const task = tasks.find((other) => other.id === taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    if (
+      subtaskId !== undefined &&
+      !(task.subtasks || []).some((subtask) => subtask.id === subtaskId)
+    ) {
+      throw new Error(`Subtask ${taskId}.${subtaskId} not found`);
+    }
+    return { taskId, subtaskId };
+  };
+
+  const getItem = ({ taskId, subtaskId }) => {
+    const task = tasks.find((other) => other.id === taskId);
+    return subtaskId === undefined
+      ? task
+      : task.subtasks.find((subtask) => subtask.id === subtaskId);
+  };
+
+  // How the owner stores a dependency: subtasks refer to siblings by subtask ID
+  const toDependency = (owner, target) => {
+    if (formatId(owner) === formatId(target)) {
+      throw new Error(`${formatId(owner)} cannot depend on itself`);
+    }
+    if (target.subtaskId === undefined) {
+      return target.taskId;
+    }
+    if (owner.subtaskId !== undefined && owner.taskId === target.taskId) {
+      return target.subtaskId;
+    }
+    return formatId(target);
+  };
+
+  const resolveDependencies = (owner, references = []) => {
+    if (!Array.isArray(references)) {
+      throw new Error("dependencies must be an array");
+    }
+    const resolved = [];
+    for (const reference of references) {
+      const dependency = toDependency(owner, resolve(reference));
+      if (!resolved.includes(dependency)) {
+        resolved.push(dependency);
+      }
+    }
+    return resolved;
+  };
+
+  const checkFields = (operation) => {
+    if (typeof operation.title !== "string" || !operation.title.trim()) {
+      throw new Error("title is required");
+    }
+    if (operation.ref === undefined) {
+      return;
+    }
+    const name = String(operation.ref).replace(/^\$/, "");
+    if (!REF_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid ref "${operation.ref}"; use letters, digits, "-" and "_"`,
+      );
+    }
+    if (refs.has(name)) {
+      throw new Error(`Duplicate ref "${operation.ref}"`);
+    }
+  };
+
+  const addCreated = (operation, target) => {
+    const name = operation.ref && String(operation.ref).replace(/^\$/, "");
+    if (name) {
+      refs.set(name, target);
+    }
+    created.push({
+      ...(name ? { ref: name } : {}),
+      id: formatId(target),
+      title: operation.title,
+    });
+  };
+
+  const apply = {
+    add_task(operation) {
+      checkFields(operation);
+      if (
+        operation.priority !== undefined &&
+        !PRIORITY_OPTIONS.includes(operation.priority)
+      ) {
+        throw new Error(
+          `Invalid priority "${operation.priority}"; use one of: ${PRIORITY_OPTIONS.join(", ")}`,
+        );
+      }
+      const target = {
+        taskId: Math.max(0, ...tasks.map((task) => task.id)) + 1,
+      };
+      tasks.push({
+        id: target.taskId,
+        title: operation.title,
+        description: operation.description || "",
+        details: operation.details || "",
+        testStrategy: operation.testStrategy || "",
+        status: initialStatus,
+        dependencies: resolveDependencies(target, operation.dependencies),
+        priority: operation.priority || defaultPriority,
+        subtasks: [],
+      });
+      addCreated(operation, target);
+    },
+
+    add_subtask(operation) {
+      checkFields(operation);
+      if (operation.parent === undefined) {
+        throw new Error("parent is required");
+      }
+      const parentTarget = resolve(operation.parent);
+      if (parentTarget.subtaskId !== undefined) {
+        throw new Error(
+          `Parent ${formatId(parentTarget)} is a subtask; subtasks cannot have subtasks`,
+        );
+      }
+      const parent = getItem(parentTarget);
+      parent.subtasks = parent.subtasks || [];
+      const target = {
+        taskId: parent.id,
+        subtaskId:
+          Math.max(0, ...parent.subtasks.map((subtask) => subtask.id)) + 1,
+      };
+      const subtaskDependencies = resolveDependencies(
+        target,
+        operation.dependencies,
+      );
+      parent.subtasks.push({
+        id: target.subtaskId,
+        title: operation.title,
+        description: operation.description || "",
+        details: operation.details || "",
+        status: initialStatus,
+        dependencies: subtaskDependencies,
+        parentTaskId: parent.id,
+      });
+      addCreated(operation, target);
+    },
+
+    add_dependency(operation) {
+      if (operation.id === undefined || operation.dependsOn === undefined) {
+        throw new Error("id and dependsOn are required");
+      }
+      const owner = resolve(operation.id);
+      const dependency = toDependency(owner, resolve(operation.dependsOn));
+      const item = getItem(owner);
+      item.dependencies = item.dependencies || [];
+      if (
+        item.dependencies.some(
+          (existing) => String(existing) === String(dependency),
+        )
+      ) {
+        return;
+      }
+      // Sibling subtask dependencies are followed from the owner's parent
+      const dependencyId =
+        typeof dependency === "number" && owner.subtaskId !== undefined
+          ? `${owner.taskId}.${dependency}`
+          : dependency;
+      if (isCircularDependency(tasks, dependencyId, [formatId(owner)])) {
+        throw new Error(
+          `${formatId(owner)} depending on ${dependencyId} would create a circular dependency`,
+        );
+      }
+      item.dependencies.push(dependency);
+      dependencies.push({ id: formatId(owner), dependsOn: dependencyId });
+    },
+  };
+
+  operations.forEach((operation, index) => {
+    const type = operation?.type;
+    if (!OPERATION_TYPES.includes(type)) {
+      throw new Error(
+        `Operation ${index + 1}: Unknown operation type ${JSON.stringify(type)}; use one of: ${OPERATION_TYPES.join(", ")}`,
+      );
+    }
+    try {
+      apply[type](operation);
+    } catch (error) {
+      throw new Error(`Operation ${index + 1} (${type}): ${error.message}`);
+    }
+  });
+
+  return {
+    refs: Object.fromEntries(
+      [...refs].map(([name, target]) => [name, formatId(target)]),
+    ),
+    created,
+    dependencies,
+  };
+}
+
+/**
+ * Apply a batch of operations to the current tag in one write, all or
+ * nothing: every operation is checked and applied to a copy of the tasks
+ * first, and nothing is written if any of them fails. Operations run in
+ * order and are one of:
+ *   - { type: "add_task", ref?, title, description?, details?, testStrategy?, priority?, dependencies? }
+ *   - { type: "add_subtask", ref?, parent, title, description?, details?, dependencies? }
+ *   - { type: "add_dependency", id, dependsOn }
+ * Tasks and subtasks are referred to by ID (5 or "5.2"), or as "$name" when
+ * an earlier operation of the batch created them with `ref: "name"`.
+ * @param {string} tasksPath - Path to the tasks.json file (created if missing)
+ * @param {Array<Object>} operations - Operations to apply
+ * @param {Object} options - Options
+ * @param {boolean} [options.dryRun] - Check the batch and report what it would do without writing
+ * @param {string} [options.projectRoot] - Project root, used for the default priority
+ * @returns {{dryRun: boolean, operations: number, refs: Object, created: Array<{ref?: string, id: number|string, title: string}>, dependencies: Array<{id: number|string, dependsOn: number|string}>}} What the batch did; refs maps each ref to the ID it got
+ * @throws {Error} If the batch is empty or an operation is invalid, naming the operation
+ */
+function applyTaskBatch(tasksPath, operations, options = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error("No operations to apply");
+  }
+
+  const data = fs.existsSync(tasksPath)
+    ? readJSON(tasksPath)
+    : createMinimalTasksJson();
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const tasks = structuredClone(data.tasks);
+  const plan = planTaskBatch(
+    tasks,
+    operations,
+    getDefaultPriority(options.projectRoot),
+    getInitialStatus(getTasksWorkflow(tasksPath)),
+  );
+  const result = {
+    dryRun: !!options.dryRun,
+    operations: operations.length,
+    ...plan,
+  };
+
+  if (options.dryRun) {
+    return result;
+  }
+
+  data.tasks = tasks;
+  writeJSON(tasksPath, data);
+  log(
+    "info",
+    `Applied ${operations.length} operations to ${tasksPath}: created ${plan.created.length} tasks and subtasks, added ${plan.dependencies.length} dependencies`,
+  );
+
+  try {
+    generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  } catch (error) {
+    log("warn", `Failed to generate task files: ${error.message}`);
+  }
+
+  return result;
+}
+
+export default applyTaskBatch;
+export { readTaskBatchFile, planTaskBatch };
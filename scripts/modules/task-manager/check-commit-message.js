@@ -0,0 +1,47 @@
+import { readJSON } from "../utils.js";
+import { parseTaskReferences } from "../git-integration.js";
+import taskExists from "./task-exists.js";
+
+// Messages git writes for merges, whose "#<n>" are pull requests, not tasks
+const MERGE_MESSAGE_PATTERN =
+  /^Merge (branch|branches|pull request|remote-tracking branch|tag|commit) /;
+
+/**
+ * Check the task references of a commit message: every referenced task or
+ * subtask must exist and, if required, the message must reference one.
+ * Merge messages written by git are not checked.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} message - Commit message
+ * @param {Object} options - Options
+ * @param {boolean} [options.requireReference] - Reject messages without a task reference
+ * @returns {{valid: boolean, references: string[], unknown: string[], errors: string[]}} Referenced IDs, those that do not exist and what is wrong with the message
+ * @throws {Error} If the tasks file is invalid
+ */
+function checkCommitMessage(tasksPath, message, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  if (MERGE_MESSAGE_PATTERN.test(message)) {
+    return { valid: true, references: [], unknown: [], errors: [] };
+  }
+
+  const references = parseTaskReferences(message);
+  const unknown = references.filter((id) => !taskExists(data.tasks, id));
+  const errors = [];
+  if (unknown.length > 0) {
+    errors.push(
+      `The commit message references tasks that do not exist: ${unknown.join(", ")}`,
+    );
+  }
+  if (options.requireReference && references.length === 0) {
+    errors.push(
+      'The commit message must reference a task, e.g. "#12" or "task 4.2"',
+    );
+  }
+
+  return { valid: errors.length === 0, references, unknown, errors };
+}
+
+export default checkCommitMessage;
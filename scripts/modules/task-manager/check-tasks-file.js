@@ -0,0 +1,182 @@
+import fs from "fs";
+
+import { log, writeJSON } from "../utils.js";
+import {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  getPendingMigrations,
+  migrateTasksData,
+  validateTasksData,
+  repairTasksData,
+} from "../task-schema.js";
+import { getTasksWorkflow, getStatusNames } from "../workflow.js";
+
+/**
+ * Map every value in a JSON document to the line it starts on
+ * @param {string} text - Valid JSON text
+ * @returns {Map<string, number>} Dotted path (e.g. "tasks.0.status") to 1-based line number
+ */
+function getJsonLineMap(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === "\n") {
+        line++;
+      }
+      pos++;
+    }
+  };
+
+  // Strings cannot contain raw newlines, so only whitespace advances the line
+  const readString = () => {
+    const start = pos;
+    pos++;
+    while (text[pos] !== '"') {
+      pos += text[pos] === "\\" ? 2 : 1;
+    }
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    lines.set(path.join("."), line);
+
+    const open = text[pos];
+    if (open === "{" || open === "[") {
+      const close = open === "{" ? "}" : "]";
+      pos++;
+      skipWhitespace();
+      for (let index = 0; text[pos] !== close; index++) {
+        let key = index;
+        if (open === "{") {
+          skipWhitespace();
+          key = readString();
+          skipWhitespace();
+          pos++; // ":"
+        }
+        readValue([...path, key]);
+        skipWhitespace();
+        if (text[pos] === ",") {
+          pos++;
+          skipWhitespace();
+        }
+      }
+      pos++;
+    } else if (open === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) {
+        pos++;
+      }
+    }
+  };
+
+  readValue([]);
+  return lines;
+}
+
+/**
+ * Find the line of a path, falling back to its closest existing parent
+ * (a missing field is reported on the line of the object that lacks it)
+ * @param {Map<string, number>} lineMap - Map from getJsonLineMap
+ * @param {Array<string|number>} path - Path into the document
+ * @returns {number|null} 1-based line number
+ */
+function findLine(lineMap, path) {
+  for (let length = path.length; length >= 0; length--) {
+    const key = path.slice(0, length).join(".");
+    if (lineMap.has(key)) {
+      return lineMap.get(key);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a tasks file against the schema and report every violation with its
+ * line, and optionally migrate it and repair what can be repaired. Statuses
+ * are checked against the project workflow.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Options
+ * @param {boolean} [options.fix] - Apply pending migrations and repairs and save the file
+ * @returns {Object} Report: schema versions, pending migrations, issues, repairs and remaining issues
+ * @throws {Error} If the file does not exist or was written by a newer LM-Tasker
+ */
+function checkTasksFile(tasksPath, options = {}) {
+  if (!fs.existsSync(tasksPath)) {
+    throw new Error(`Tasks file not found at ${tasksPath}`);
+  }
+
+  const text = fs.readFileSync(tasksPath, "utf8");
+  const report = {
+    tasksPath,
+    schemaVersion: null,
+    currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+    migrations: [],
+    issues: [],
+    repairs: [],
+    remainingIssues: [],
+    fixed: false,
+  };
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Syntax errors cannot be repaired automatically; point at the position
+    const position = Number(error.message.match(/position (\d+)/)?.[1]);
+    const line = Number.isNaN(position)
+      ? null
+      : text.slice(0, position).split("\n").length;
+    report.issues.push({ path: "", line, message: error.message });
+    report.remainingIssues = report.issues;
+    return report;
+  }
+
+  const lineMap = getJsonLineMap(text);
+  const withLines = (entries) =>
+    entries.map((entry) => ({
+      path: entry.path.join("."),
+      line: findLine(lineMap, entry.path),
+      message: entry.message,
+    }));
+
+  // Report what the tasks commands see: the data after pending migrations
+  report.schemaVersion = getSchemaVersion(data);
+  report.migrations = getPendingMigrations(data);
+  const migrated = migrateTasksData(data);
+  const statusOptions = {
+    statuses: getStatusNames(getTasksWorkflow(tasksPath)),
+  };
+  report.issues = withLines(validateTasksData(migrated, statusOptions));
+
+  if (!options.fix) {
+    report.remainingIssues = report.issues;
+    return report;
+  }
+
+  const repairs = report.migrations.map((migration) => ({
+    path: ["meta", "schemaVersion"],
+    message: `Migrated to schema version ${migration.version}: ${migration.description}`,
+  }));
+  repairs.push(...repairTasksData(migrated, statusOptions));
+  report.repairs = withLines(repairs);
+  report.remainingIssues = withLines(
+    validateTasksData(migrated, statusOptions),
+  );
+
+  if (report.repairs.length > 0) {
+    writeJSON(tasksPath, migrated);
+    report.fixed = true;
+    log("info", `Repaired ${report.repairs.length} problem(s) in ${tasksPath}`);
+  }
+
+  return report;
+}
+
+export default checkTasksFile;
+export { getJsonLineMap };
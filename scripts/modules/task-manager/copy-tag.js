@@ -0,0 +1,19 @@
+import addTag from "./add-tag.js";
+
+/**
+ * Copy a tag's tasks into a new tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} sourceTag - Tag to copy
+ * @param {string} targetTag - Name of the new tag
+ * @param {Object} options - Options
+ * @param {string} [options.description] - Description of the new tag
+ * @returns {Object} The new tag's name, description and task count
+ */
+function copyTag(tasksPath, sourceTag, targetTag, options = {}) {
+  return addTag(tasksPath, targetTag, {
+    description: options.description || `Copy of "${sourceTag}"`,
+    copyFrom: sourceTag,
+  });
+}
+
+export default copyTag;
@@ -0,0 +1,78 @@
+import path from "path";
+import { readJSON, writeJSON } from "../utils.js";
+import { findTrackedItem } from "../time-tracking.js";
+import { getTaskBranchName, checkoutBranch } from "../git-integration.js";
+import {
+  getTasksWorkflow,
+  getStatusDefinition,
+  checkStatusChange,
+} from "../workflow.js";
+import updateSingleTaskStatus from "./update-single-task-status.js";
+
+// Status a task moves to when a branch is created for it
+const BRANCH_STATUS = "in-progress";
+
+/**
+ * Create a git branch named after a task and check it out, record it on the
+ * task and mark the task in-progress. A branch that already exists is
+ * checked out instead. Without an "in-progress" status in the workflow the
+ * status is left as it is.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID or "parentId.subtaskId"
+ * @param {Object} options - Options
+ * @param {string} [options.name] - Branch name (default: "task-<id>-<slugified title>")
+ * @param {string} [options.cwd] - Directory inside the repository (default: the directory of the tasks file)
+ * @returns {Promise<{id: string, branch: string, created: boolean, status: {from: string, to: string}|null, rollup: Array<{id: string, from: string, to: string}>}>} The branch, the status change of the task and the changes the workflow's roll-up rules made
+ * @throws {Error} If the task does not exist, cannot move to in-progress or git fails
+ */
+async function createTaskBranch(tasksPath, taskId, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const found = findTrackedItem(data.tasks, taskId);
+  if (!found) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+
+  // Check the status change first, so a refusal leaves git untouched
+  const workflow = getTasksWorkflow(tasksPath);
+  const from = found.item.status || "pending";
+  const moves =
+    getStatusDefinition(BRANCH_STATUS, workflow) !== null &&
+    from !== BRANCH_STATUS;
+  if (moves) {
+    checkStatusChange(found.id, from, BRANCH_STATUS, workflow);
+  }
+
+  const branch = options.name || getTaskBranchName(found.id, found.item.title);
+  const created = checkoutBranch(
+    branch,
+    options.cwd || path.dirname(path.resolve(tasksPath)),
+  );
+
+  let rollup = [];
+  if (moves) {
+    rollup = await updateSingleTaskStatus(
+      tasksPath,
+      found.id,
+      BRANCH_STATUS,
+      data,
+      false,
+      workflow,
+    );
+  }
+  found.item.branch = branch;
+  writeJSON(tasksPath, data);
+
+  return {
+    id: found.id,
+    branch,
+    created,
+    status: moves ? { from, to: BRANCH_STATUS } : null,
+    rollup,
+  };
+}
+
+export default createTaskBranch;
@@ -0,0 +1,58 @@
+import fs from "fs";
+import path from "path";
+
+import { log, writeJSON } from "../utils.js";
+import {
+  DEFAULT_TAG,
+  TagNotFoundError,
+  getTagNames,
+  getTaskFilePattern,
+  readTagState,
+  readTaggedTasksFile,
+  writeTagState,
+} from "../tag-manager.js";
+
+/**
+ * Delete a tag and all of its tasks. If it was the current tag, "main"
+ * becomes current again.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} tagName - Tag to delete
+ * @returns {Object} The deleted tag's name and task count
+ * @throws {Error} If the tag is "main" or does not exist
+ */
+function deleteTag(tasksPath, tagName) {
+  if (tagName === DEFAULT_TAG) {
+    throw new Error(`The "${DEFAULT_TAG}" tag cannot be deleted`);
+  }
+
+  const data = readTaggedTasksFile(tasksPath);
+  if (!data.tags[tagName]) {
+    throw new TagNotFoundError(tagName, tasksPath, getTagNames(data));
+  }
+
+  const taskCount = (data.tags[tagName].tasks || []).length;
+  delete data.tags[tagName];
+  writeJSON(tasksPath, data);
+
+  if (readTagState(tasksPath).currentTag === tagName) {
+    writeTagState(tasksPath, DEFAULT_TAG);
+  }
+
+  // Remove the tag's generated task files
+  const outputDir = path.dirname(tasksPath);
+  const taskFilePattern = getTaskFilePattern(tagName);
+  for (const file of fs.readdirSync(outputDir)) {
+    if (taskFilePattern.test(file)) {
+      try {
+        fs.unlinkSync(path.join(outputDir, file));
+      } catch (error) {
+        log("warn", `Failed to remove task file ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  log("info", `Deleted tag "${tagName}" with ${taskCount} task(s)`);
+  return { name: tagName, taskCount };
+}
+
+export default deleteTag;
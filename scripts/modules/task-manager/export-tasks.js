@@ -0,0 +1,451 @@
+import fs from "fs";
+import path from "path";
+
+import { readJSON } from "../utils.js";
+import { getProjectName, DEFAULT_WORKFLOW } from "../config-manager.js";
+import { getCurrentTag } from "../tag-manager.js";
+import { filterTasks } from "../task-query.js";
+import { getTasksWorkflow, isCompleteStatus } from "../workflow.js";
+
+// Formats supported by exportTasks
+const EXPORT_FORMATS = ["md", "csv", "html", "json"];
+
+// Colors used in the HTML report for statuses the workflow gives no color
+const HTML_STATUS_COLORS = {
+  done: "#2e7d32",
+  "in-progress": "#f57c00",
+  pending: "#fbc02d",
+  review: "#8e24aa",
+  blocked: "#c62828",
+  deferred: "#9e9e9e",
+  cancelled: "#bdbdbd",
+};
+
+// Statuses shown in the progress breakdown after the complete count, in
+// workflow order
+const getBreakdownStatuses = (statuses) =>
+  statuses.filter((status) => !status.complete).map((status) => status.name);
+
+/**
+ * Count items per status
+ * @param {Array} items - Tasks or subtasks
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {Object} Totals: total, done (items in a complete status), percent and a count for each other status of the workflow
+ */
+function countStatuses(items, workflow) {
+  const counts = {
+    total: items.length,
+    done: items.filter((item) => isCompleteStatus(item.status, workflow))
+      .length,
+  };
+  for (const { name } of workflow.statuses) {
+    if (name !== "done") {
+      counts[name] = items.filter((item) => item.status === name).length;
+    }
+  }
+  counts.percent =
+    counts.total > 0 ? Math.round((counts.done / counts.total) * 100) : 0;
+  return counts;
+}
+
+/**
+ * Describe the dependencies of a task or subtask with their status
+ * @param {Array} dependencies - Dependency IDs (task IDs or "parent.sub" strings)
+ * @param {Array} tasks - Every task in the list
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @param {Object} [parent] - Parent task, for subtask-to-subtask dependencies
+ * @returns {Array<{id: string, status: string, done: boolean}>} Dependency status; done when it is in a complete status
+ */
+function describeDependencies(dependencies = [], tasks, workflow, parent) {
+  return dependencies.map((depId) => {
+    let dependency;
+    if (parent && typeof depId === "number") {
+      dependency = (parent.subtasks || []).find((st) => st.id === depId);
+      if (dependency) {
+        depId = `${parent.id}.${depId}`;
+      }
+    }
+    if (!dependency && String(depId).includes(".")) {
+      const [taskId, subtaskId] = String(depId).split(".").map(Number);
+      dependency = tasks
+        .find((task) => task.id === taskId)
+        ?.subtasks?.find((st) => st.id === subtaskId);
+    }
+    if (!dependency) {
+      dependency = tasks.find((task) => String(task.id) === String(depId));
+    }
+    const status = dependency ? dependency.status || "pending" : "missing";
+    return {
+      id: String(depId),
+      status,
+      done: isCompleteStatus(status, workflow),
+    };
+  });
+}
+
+/**
+ * Build the data behind an export: progress statistics and every task with
+ * its dependency status and subtasks
+ * @param {Object} data - Tasks data ({meta, tasks}) for one tag
+ * @param {Object} options - Options
+ * @param {string} [options.tag] - Tag the tasks belong to
+ * @param {string} [options.projectName] - Project name for the title when the tasks file has none
+ * @param {string} [options.filter] - Filter expression selecting the tasks to include
+ * @param {Object} [options.workflow] - Workflow from getWorkflow: its statuses, which of them are complete, and the filter's
+ * @returns {Object} Report data (also the json export format)
+ */
+function buildExportReport(data, options = {}) {
+  const workflow = options.workflow || DEFAULT_WORKFLOW;
+  const allTasks = data.tasks || [];
+  const tasks = filterTasks(allTasks, options.filter, allTasks, workflow);
+
+  return {
+    projectName:
+      data.meta?.projectName ||
+      data.meta?.name ||
+      options.projectName ||
+      "LM-Tasker",
+    tag: options.tag,
+    generatedAt: new Date().toISOString(),
+    ...(options.filter && { filter: options.filter }),
+    statuses: workflow.statuses.map(({ name, color, complete }) => ({
+      name,
+      color: color || null,
+      complete: complete === true,
+    })),
+    stats: {
+      tasks: countStatuses(tasks, workflow),
+      subtasks: countStatuses(
+        tasks.flatMap((task) => task.subtasks || []),
+        workflow,
+      ),
+    },
+    tasks: tasks.map((task) => {
+      const dependencies = describeDependencies(
+        task.dependencies,
+        allTasks,
+        workflow,
+      );
+      return {
+        id: task.id,
+        title: task.title,
+        description: task.description || "",
+        status: task.status || "pending",
+        priority: task.priority || "medium",
+        dependencies,
+        ready:
+          !isCompleteStatus(task.status, workflow) &&
+          dependencies.every((dep) => dep.done),
+        details: task.details || "",
+        testStrategy: task.testStrategy || "",
+        subtasks: (task.subtasks || []).map((subtask) => ({
+          id: `${task.id}.${subtask.id}`,
+          title: subtask.title,
+          description: subtask.description || "",
+          status: subtask.status || "pending",
+          done: isCompleteStatus(subtask.status, workflow),
+          dependencies: describeDependencies(
+            subtask.dependencies,
+            allTasks,
+            workflow,
+            task,
+          ),
+          details: subtask.details || "",
+        })),
+      };
+    }),
+  };
+}
+
+// Plain-text progress bar, e.g. "██████░░░░"
+function textProgressBar(percent, length = 20) {
+  const filled = Math.round((percent * length) / 100);
+  return "█".repeat(filled) + "░".repeat(length - filled);
+}
+
+function formatDependencyList(dependencies) {
+  return dependencies.length > 0
+    ? dependencies.map((dep) => `${dep.id} (${dep.status})`).join(", ")
+    : "None";
+}
+
+function formatStatusCounts(counts, statuses) {
+  return [
+    `${counts.done} done`,
+    ...getBreakdownStatuses(statuses)
+      .filter((status) => counts[status] > 0)
+      .map((status) => `${counts[status]} ${status}`),
+  ].join(", ");
+}
+
+// Keep table cells on one line and stop pipes from ending the cell
+const markdownCell = (text) =>
+  String(text)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+
+function renderMarkdown(report) {
+  const { tasks: taskStats, subtasks: subtaskStats } = report.stats;
+  const lines = [
+    `# ${report.projectName} – Task Report`,
+    "",
+    `Tag: \`${report.tag}\` · Generated: ${report.generatedAt}` +
+      (report.filter ? ` · Filter: \`${report.filter}\`` : ""),
+    "",
+    "## Progress",
+    "",
+    "| | Progress | Complete | Breakdown |",
+    "| --- | --- | --- | --- |",
+    `| Tasks | \`${textProgressBar(taskStats.percent)}\` ${taskStats.percent}% | ${taskStats.done}/${taskStats.total} | ${formatStatusCounts(taskStats, report.statuses)} |`,
+    `| Subtasks | \`${textProgressBar(subtaskStats.percent)}\` ${subtaskStats.percent}% | ${subtaskStats.done}/${subtaskStats.total} | ${formatStatusCounts(subtaskStats, report.statuses)} |`,
+    "",
+    "## Summary",
+    "",
+    "| ID | Title | Status | Priority | Dependencies |",
+    "| --- | --- | --- | --- | --- |",
+    ...report.tasks.map(
+      (task) =>
+        `| ${task.id} | ${markdownCell(task.title)} | ${task.status} | ${task.priority} | ${formatDependencyList(task.dependencies)} |`,
+    ),
+    "",
+    "## Tasks",
+  ];
+
+  for (const task of report.tasks) {
+    lines.push(
+      "",
+      `### ${task.id}. ${task.title}`,
+      "",
+      `**Status:** ${task.status} · **Priority:** ${task.priority} · **Dependencies:** ${formatDependencyList(task.dependencies)}` +
+        (task.ready ? " · Ready to start" : ""),
+    );
+    if (task.description) {
+      lines.push("", task.description);
+    }
+    if (task.details) {
+      lines.push("", "#### Details", "", task.details);
+    }
+    if (task.testStrategy) {
+      lines.push("", "#### Test Strategy", "", task.testStrategy);
+    }
+    if (task.subtasks.length > 0) {
+      lines.push("", "#### Subtasks", "");
+      for (const subtask of task.subtasks) {
+        const deps =
+          subtask.dependencies.length > 0
+            ? ` – depends on ${formatDependencyList(subtask.dependencies)}`
+            : "";
+        lines.push(
+          `- [${subtask.done ? "x" : " "}] **${subtask.id}** ${subtask.title} (${subtask.status})${deps}`,
+        );
+      }
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// Quote CSV fields that need it (RFC 4180)
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function renderCsv(report) {
+  const header = [
+    "id",
+    "parentId",
+    "title",
+    "status",
+    "priority",
+    "dependencies",
+    "dependenciesDone",
+    "description",
+    "details",
+    "testStrategy",
+  ];
+  const row = (item, parentId, priority, testStrategy) => [
+    item.id,
+    parentId,
+    item.title,
+    item.status,
+    priority,
+    item.dependencies.map((dep) => dep.id).join(";"),
+    `${item.dependencies.filter((dep) => dep.done).length}/${item.dependencies.length}`,
+    item.description,
+    item.details,
+    testStrategy,
+  ];
+
+  const rows = [header];
+  for (const task of report.tasks) {
+    rows.push(row(task, "", task.priority, task.testStrategy));
+    for (const subtask of task.subtasks) {
+      rows.push(row(subtask, task.id, "", ""));
+    }
+  }
+  return rows.map((fields) => fields.map(csvField).join(",") + "\r\n").join("");
+}
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const statusColor = (status, statuses) =>
+  statuses.find((definition) => definition.name === status)?.color ||
+  HTML_STATUS_COLORS[status] ||
+  "#607d8b";
+
+function renderHtml(report) {
+  const { tasks: taskStats, subtasks: subtaskStats } = report.stats;
+
+  const htmlStatus = (status) =>
+    `<span class="status" style="background:${escapeHtml(statusColor(status, report.statuses))}">${escapeHtml(status)}</span>`;
+
+  const htmlDependencies = (dependencies) =>
+    dependencies.length > 0
+      ? dependencies
+          .map((dep) => `${escapeHtml(dep.id)} ${htmlStatus(dep.status)}`)
+          .join(", ")
+      : "None";
+
+  const htmlProgressBar = (counts) => {
+    const segments = ["done", ...getBreakdownStatuses(report.statuses)]
+      .filter((status) => counts[status] > 0)
+      .map(
+        (status) =>
+          `<div style="width:${(counts[status] / counts.total) * 100}%;background:${escapeHtml(statusColor(status, report.statuses))}" title="${counts[status]} ${escapeHtml(status)}"></div>`,
+      )
+      .join("");
+    return `<div class="bar">${segments}</div>`;
+  };
+
+  const progressRow = (label, counts) =>
+    `<tr><th>${label}</th><td>${htmlProgressBar(counts)}</td><td>${counts.percent}% (${counts.done}/${counts.total})</td><td>${escapeHtml(formatStatusCounts(counts, report.statuses))}</td></tr>`;
+
+  const section = (title, text) =>
+    text ? `<h4>${title}</h4><pre>${escapeHtml(text)}</pre>` : "";
+
+  const taskSections = report.tasks
+    .map((task) => {
+      const subtasks =
+        task.subtasks.length > 0
+          ? `<h4>Subtasks</h4><ul>${task.subtasks
+              .map(
+                (subtask) =>
+                  `<li><strong>${escapeHtml(subtask.id)}</strong> ${escapeHtml(subtask.title)} ${htmlStatus(subtask.status)}` +
+                  (subtask.dependencies.length > 0
+                    ? ` – depends on ${htmlDependencies(subtask.dependencies)}`
+                    : "") +
+                  "</li>",
+              )
+              .join("")}</ul>`
+          : "";
+      return (
+        `<section id="task-${task.id}"><h3>${task.id}. ${escapeHtml(task.title)}</h3>` +
+        `<p>${htmlStatus(task.status)} Priority: ${escapeHtml(task.priority)} · Dependencies: ${htmlDependencies(task.dependencies)}${task.ready ? " · <em>Ready to start</em>" : ""}</p>` +
+        (task.description ? `<p>${escapeHtml(task.description)}</p>` : "") +
+        section("Details", task.details) +
+        section("Test Strategy", task.testStrategy) +
+        subtasks +
+        "</section>"
+      );
+    })
+    .join("\n");
+
+  const summaryRows = report.tasks
+    .map(
+      (task) =>
+        `<tr><td><a href="#task-${task.id}">${task.id}</a></td><td>${escapeHtml(task.title)}</td><td>${htmlStatus(task.status)}</td><td>${escapeHtml(task.priority)}</td><td>${htmlDependencies(task.dependencies)}</td></tr>`,
+    )
+    .join("\n");
+
+  const title = `${escapeHtml(report.projectName)} – Task Report`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+.bar { display: flex; width: 240px; height: 14px; background: #eee; border-radius: 3px; overflow: hidden; }
+.status { color: #fff; border-radius: 3px; padding: 0 6px; font-size: 0.85em; }
+pre { background: #f6f8fa; padding: 8px; white-space: pre-wrap; }
+section { border-top: 1px solid #ddd; margin-top: 1.5em; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>Tag: <code>${escapeHtml(report.tag)}</code> · Generated: ${escapeHtml(report.generatedAt)}${report.filter ? ` · Filter: <code>${escapeHtml(report.filter)}</code>` : ""}</p>
+<h2>Progress</h2>
+<table>
+${progressRow("Tasks", taskStats)}
+${progressRow("Subtasks", subtaskStats)}
+</table>
+<h2>Summary</h2>
+<table>
+<tr><th>ID</th><th>Title</th><th>Status</th><th>Priority</th><th>Dependencies</th></tr>
+${summaryRows}
+</table>
+<h2>Tasks</h2>
+${taskSections}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  md: renderMarkdown,
+  csv: renderCsv,
+  html: renderHtml,
+  json: (report) => JSON.stringify(report, null, 2) + "\n",
+};
+
+/**
+ * Export the tasks of the current tag as a project report
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} format - One of EXPORT_FORMATS (md, csv, html, json)
+ * @param {Object} options - Options
+ * @param {string} [options.output] - File to write the report to; the content is only returned when omitted
+ * @param {string} [options.filter] - Filter expression selecting the tasks to include (see task-query.js)
+ * @param {string} [options.projectRoot] - Project root, used to look up the project name
+ * @returns {{format: string, content: string, outputPath: string|null, taskCount: number}} The report
+ * @throws {Error} On an unknown format, a missing tasks file or an invalid filter
+ */
+function exportTasks(tasksPath, format = "md", options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`,
+    );
+  }
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const report = buildExportReport(data, {
+    tag: getCurrentTag(tasksPath),
+    projectName: getProjectName(options.projectRoot),
+    filter: options.filter,
+    workflow: getTasksWorkflow(tasksPath),
+  });
+  const content = RENDERERS[format](report);
+
+  let outputPath = null;
+  if (options.output) {
+    outputPath = path.resolve(options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content, "utf8");
+  }
+
+  return { format, content, outputPath, taskCount: report.tasks.length };
+}
+
+export default exportTasks;
+export { EXPORT_FORMATS, buildExportReport };
@@ -1,4 +1,5 @@
 import { log } from "../utils.js";
+import { isCompleteStatus } from "../workflow.js";
 
 /**
  * Return the next work item:
@@ -17,9 +18,13 @@ import { log } from "../utils.js";
  *  ─ parentId      →  number  (present only when it's a subtask)
  *
  * @param {Object[]} tasks  – full array of top-level tasks, each may contain .subtasks[]
+ * @param {Object} [workflow] – project workflow; its complete statuses satisfy
+ *                              dependencies (default: "done" and "completed")
+ *                              and its first status is ready to start, like
+ *                              "pending"
  * @returns {Object|null}   – next work item or null if nothing is eligible
  */
-function findNextTask(tasks) {
+function findNextTask(tasks, workflow = null) {
   // ---------- helpers ----------------------------------------------------
   const priorityValues = { high: 3, medium: 2, low: 1 };
 
@@ -32,15 +37,24 @@ function findNextTask(tasks) {
     return `${parentId}.${maybeDotId}`;
   };
 
+  const isComplete = (status) =>
+    workflow
+      ? isCompleteStatus(status, workflow)
+      : status === "done" || status === "completed";
+  const isReady = (status) =>
+    status === "pending" ||
+    status === "in-progress" ||
+    status === workflow?.statuses[0]?.name;
+
   // ---------- build completed-ID set (tasks *and* subtasks) --------------
   const completedIds = new Set();
   tasks.forEach((t) => {
-    if (t.status === "done" || t.status === "completed") {
+    if (isComplete(t.status)) {
       completedIds.add(String(t.id));
     }
     if (Array.isArray(t.subtasks)) {
       t.subtasks.forEach((st) => {
-        if (st.status === "done" || st.status === "completed") {
+        if (isComplete(st.status)) {
           completedIds.add(`${t.id}.${st.id}`);
         }
       });
@@ -55,7 +69,7 @@ function findNextTask(tasks) {
     .forEach((parent) => {
       parent.subtasks.forEach((st) => {
         const stStatus = (st.status || "pending").toLowerCase();
-        if (stStatus !== "pending" && stStatus !== "in-progress") return;
+        if (!isReady(stStatus)) return;
 
         const fullDeps =
           st.dependencies?.map((d) => toFullSubId(parent.id, d)) ?? [];
@@ -101,7 +115,7 @@ function findNextTask(tasks) {
   // ---------- 2) fall back to top-level tasks (original logic) ------------
   const eligibleTasks = tasks.filter((task) => {
     const status = (task.status || "pending").toLowerCase();
-    if (status !== "pending" && status !== "in-progress") return false;
+    if (!isReady(status)) return false;
     const deps = task.dependencies ?? [];
     return deps.every((depId) => completedIds.has(String(depId)));
   });
@@ -2,23 +2,36 @@ import fs from "fs";
 import path from "path";
 import chalk from "chalk";
 
-import { log, readJSON } from "../utils.js";
-import { formatDependenciesWithStatus } from "../ui.js";
+import { log, readJSON, writeJSON } from "../utils.js";
 import { validateAndFixDependencies } from "../dependency-manager.js";
-import { getDebugFlag } from "../config-manager.js";
+import {
+  getDebugFlag,
+  getTaskFileFormat,
+  findProjectRoot,
+  TASK_FILE_FORMATS,
+} from "../config-manager.js";
+import { getCurrentTag } from "../tag-manager.js";
+import { getTasksWorkflow } from "../workflow.js";
+import {
+  getTaskFileWriter,
+  hashContent,
+  hashFile,
+  getTaskFileKey,
+} from "../task-files.js";
 
 /**
- * Generate individual task files from tasks.json
+ * Generate individual task files from tasks.json. Only files whose contents
+ * changed are written, and files of tasks that no longer exist or in the
+ * other task file format are removed.
+ * Files edited by hand since they were last written are left alone for
+ * `lm-tasker sync` to merge (see task-files.js).
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} outputDir - Output directory for task files
- * @param {Object} options - Additional options (mcpLog for MCP mode)
- * @returns {Object|undefined} Result object in MCP mode, undefined in CLI mode
+ * @param {Object} options - Additional options (mcpLog for MCP mode, format to override the taskFileFormat setting)
+ * @returns {{success: boolean, count: number, written: number, removed: number, skipped: number, directory: string}} The number of tasks, of files written, of orphaned or other-format files removed and of files kept because they were edited by hand
  */
 function generateTaskFiles(tasksPath, outputDir, options = {}) {
   try {
-    // Determine if we're in MCP mode by checking for mcpLog
-    const isMcpMode = !!options?.mcpLog;
-
     const data = readJSON(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
@@ -29,31 +42,60 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
+    // Each tag writes its own set of files (task_001.txt, task_001_<tag>.txt)
+    const tag = getCurrentTag(tasksPath);
+    const format =
+      options.format ||
+      getTaskFileFormat(findProjectRoot(path.dirname(path.resolve(tasksPath))));
+    const writer = getTaskFileWriter(format);
+    const context = { tag, workflow: getTasksWorkflow(tasksPath) };
+    const editedHint =
+      format === "text"
+        ? "Run lm-tasker sync to merge it into tasks.json."
+        : "Undo the edits or delete it to have it regenerated.";
+
     log("info", `Preparing to regenerate ${data.tasks.length} task files`);
 
     // Validate and fix dependencies before generating files
     log("info", `Validating and fixing dependencies`);
     validateAndFixDependencies(data, tasksPath);
 
-    // Get valid task IDs from tasks.json
-    const validTaskIds = data.tasks.map((task) => task.id);
+    // Names of the files of the current tasks; Markdown file names change
+    // with the title
+    const taskFileNames = data.tasks.map((task) =>
+      writer.getFileName(task, tag),
+    );
+
+    // Hashes of the files as last written; a file that no longer matches its
+    // hash was edited by hand
+    const storedHashes = data.meta?.taskFiles || {};
+    const fileHashes = { ...storedHashes };
+    const isEditedByHand = (filePath, currentHash = hashFile(filePath)) => {
+      const storedHash = storedHashes[getTaskFileKey(tasksPath, filePath)];
+      return Boolean(storedHash && currentHash && currentHash !== storedHash);
+    };
+    let skipped = 0;
 
     // Cleanup orphaned task files
     log("info", "Checking for orphaned task files to clean up...");
+    let removed = 0;
     try {
       // Get all task files in the output directory
       const files = fs.readdirSync(outputDir);
-      const taskFilePattern = /^task_(\d+)\.txt$/;
-
-      // Filter for task files and check if they match a valid task ID
-      const orphanedFiles = files.filter((file) => {
-        const match = file.match(taskFilePattern);
-        if (match) {
-          const fileTaskId = parseInt(match[1], 10);
-          return !validTaskIds.includes(fileTaskId);
-        }
-        return false;
-      });
+      const taskFilePattern = writer.getFilePattern(tag);
+      // Files left by the other format, e.g. after switching taskFileFormat
+      const otherFilePatterns = TASK_FILE_FORMATS.filter(
+        (other) => other !== format,
+      ).map((other) => getTaskFileWriter(other).getFilePattern(tag));
+      const isOtherFormat = (file) =>
+        otherFilePatterns.some((pattern) => pattern.test(file));
+
+      // Filter for task files that no current task is written to
+      const orphanedFiles = files.filter(
+        (file) =>
+          (taskFilePattern.test(file) && !taskFileNames.includes(file)) ||
+          isOtherFormat(file),
+      );
 
       // Delete orphaned files
       if (orphanedFiles.length > 0) {
@@ -64,8 +106,20 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 
         orphanedFiles.forEach((file) => {
           const filePath = path.join(outputDir, file);
+          if (isEditedByHand(filePath)) {
+            skipped++;
+            log(
+              "warn",
+              isOtherFormat(file)
+                ? `Kept ${file}, which is not in the ${format} format: it was edited by hand. Delete it once its edits are in tasks.json.`
+                : `Kept orphaned task file ${file}: it was edited by hand. ${editedHint}`,
+            );
+            return;
+          }
           try {
             fs.unlinkSync(filePath);
+            delete fileHashes[getTaskFileKey(tasksPath, filePath)];
+            removed++;
             log("info", `Removed orphaned task file: ${file}`);
           } catch (err) {
             log(
@@ -82,102 +136,54 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
       // Continue with file generation even if cleanup fails
     }
 
-    // Generate task files
+    // Write the task files whose contents changed
     log("info", "Generating individual task files...");
+    let written = 0;
+    let unchanged = 0;
     data.tasks.forEach((task) => {
-      const taskPath = path.join(
-        outputDir,
-        `task_${task.id.toString().padStart(3, "0")}.txt`,
-      );
-
-      // Format the content
-      let content = `# Task ID: ${task.id}\n`;
-      content += `# Title: ${task.title}\n`;
-      content += `# Status: ${task.status || "pending"}\n`;
-
-      // Format dependencies with their status
-      if (task.dependencies && task.dependencies.length > 0) {
-        content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, data.tasks, false)}\n`;
-      } else {
-        content += "# Dependencies: None\n";
+      const taskPath = path.join(outputDir, writer.getFileName(task, tag));
+      const content = writer.format(task, data.tasks, context);
+      const contentHash = hashContent(content);
+      const currentHash = hashFile(taskPath);
+      const key = getTaskFileKey(tasksPath, taskPath);
+      if (currentHash === contentHash) {
+        fileHashes[key] = contentHash;
+        unchanged++;
+        return;
       }
-
-      content += `# Priority: ${task.priority || "medium"}\n`;
-      content += `# Description: ${task.description || ""}\n`;
-
-      // Add more detailed sections
-      content += "# Details:\n";
-      content += (task.details || "")
-        .split("\n")
-        .map((line) => line)
-        .join("\n");
-      content += "\n\n";
-
-      content += "# Test Strategy:\n";
-      content += (task.testStrategy || "")
-        .split("\n")
-        .map((line) => line)
-        .join("\n");
-      content += "\n";
-
-      // Add subtasks if they exist
-      if (task.subtasks && task.subtasks.length > 0) {
-        content += "\n# Subtasks:\n";
-
-        task.subtasks.forEach((subtask) => {
-          content += `## ${subtask.id}. ${subtask.title} [${subtask.status || "pending"}]\n`;
-
-          if (subtask.dependencies && subtask.dependencies.length > 0) {
-            // Format subtask dependencies
-            let subtaskDeps = subtask.dependencies
-              .map((depId) => {
-                if (typeof depId === "number") {
-                  // Handle numeric dependencies to other subtasks
-                  const foundSubtask = task.subtasks.find(
-                    (st) => st.id === depId,
-                  );
-                  if (foundSubtask) {
-                    // Just return the plain ID format without any color formatting
-                    return `${task.id}.${depId}`;
-                  }
-                }
-                return depId.toString();
-              })
-              .join(", ");
-
-            content += `### Dependencies: ${subtaskDeps}\n`;
-          } else {
-            content += "### Dependencies: None\n";
-          }
-
-          content += `### Description: ${subtask.description || ""}\n`;
-          content += "### Details:\n";
-          content += (subtask.details || "")
-            .split("\n")
-            .map((line) => line)
-            .join("\n");
-          content += "\n\n";
-        });
+      if (isEditedByHand(taskPath, currentHash)) {
+        skipped++;
+        log(
+          "warn",
+          `Kept ${path.basename(taskPath)}: it was edited by hand. ${editedHint}`,
+        );
+        return;
       }
-
-      // Write the file
       fs.writeFileSync(taskPath, content);
-      // log('info', `Generated: task_${task.id.toString().padStart(3, '0')}.txt`); // Pollutes the CLI output
+      fileHashes[key] = contentHash;
+      written++;
     });
 
+    // Remember what was written, so later edits by hand can be told apart.
+    // The journal leaves the hashes out, so this adds nothing to undo.
+    if (JSON.stringify(fileHashes) !== JSON.stringify(storedHashes)) {
+      data.meta = { ...data.meta, taskFiles: fileHashes };
+      writeJSON(tasksPath, data);
+    }
+
     log(
       "success",
-      `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`,
+      `All ${data.tasks.length} tasks have been generated into '${outputDir}' (${written} written, ${unchanged} unchanged, ${skipped} edited by hand kept).`,
     );
 
-    // Return success data in MCP mode
-    if (isMcpMode) {
-      return {
-        success: true,
-        count: data.tasks.length,
-        directory: outputDir,
-      };
-    }
+    return {
+      success: true,
+      count: data.tasks.length,
+      written,
+      removed,
+      skipped,
+      directory: outputDir,
+    };
   } catch (error) {
     log("error", `Error generating task files: ${error.message}`);
 
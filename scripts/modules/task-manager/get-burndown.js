@@ -0,0 +1,203 @@
+import { readJSON } from "../utils.js";
+import { getCurrentTag } from "../tag-manager.js";
+import { DEFAULT_WORKFLOW } from "../config-manager.js";
+import {
+  getTasksWorkflow,
+  isCompleteStatus,
+  isClosedStatus,
+} from "../workflow.js";
+import {
+  TIME_REPORT_PERIODS,
+  toDateKey,
+  startOfWeek,
+  parseDateKey,
+} from "../time-tracking.js";
+import { getFinishedAt } from "../estimates.js";
+
+// Longest range a burndown covers, in days
+const MAX_BURNDOWN_DAYS = 366;
+
+/**
+ * Estimated pieces of work: the estimated subtasks of a task, or the task
+ * itself when none of its subtasks is estimated
+ * @param {Array} tasks - Tasks of one tag
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {{items: Array<{id: string, estimate: number, status: string, finishedAt: string|null}>, unestimated: number}} Work items and the number of open tasks without any estimate
+ */
+function getWorkItems(tasks, workflow) {
+  const items = [];
+  let unestimated = 0;
+  const toItem = (id, item) => ({
+    id,
+    estimate: item.estimate,
+    status: item.status || "pending",
+    finishedAt: getFinishedAt(item, workflow),
+  });
+
+  for (const task of tasks) {
+    const subtasks = (task.subtasks || []).filter(
+      (subtask) => typeof subtask.estimate === "number",
+    );
+    if (subtasks.length > 0) {
+      subtasks.forEach((subtask) =>
+        items.push(toItem(`${task.id}.${subtask.id}`, subtask)),
+      );
+    } else if (typeof task.estimate === "number") {
+      items.push(toItem(String(task.id), task));
+    } else if (!isClosedStatus(task.status || "pending", workflow)) {
+      unestimated++;
+    }
+  }
+  return { items, unestimated };
+}
+
+// The calendar day before a YYYY-MM-DD day
+function dayBefore(day) {
+  const date = parseDateKey(day);
+  date.setDate(date.getDate() - 1);
+  return toDateKey(date);
+}
+
+/**
+ * Build a burndown of estimated work over a date range: the work remaining at
+ * the end of each day against an ideal line, and the velocity (estimate
+ * completed) per day or week. Work counts as finished on the day it last
+ * moved to a complete or cancelled status, and only complete work counts
+ * towards velocity; work finished before status changes were recorded counts
+ * as finished before the range.
+ * @param {Array} tasks - Tasks of one tag
+ * @param {Object} options - Options
+ * @param {string} [options.since] - First day (YYYY-MM-DD); defaults to 13 days before `until`
+ * @param {string} [options.until] - Last day (YYYY-MM-DD); defaults to today
+ * @param {string} [options.by="day"] - Velocity period, one of TIME_REPORT_PERIODS
+ * @param {Date} [options.now] - Current time
+ * @param {Object} [options.workflow] - Workflow from getWorkflow, for its complete statuses; defaults to the built-in one
+ * @returns {Object} The burndown
+ * @throws {Error} On an invalid date, period or range
+ */
+function buildBurndown(tasks, options = {}) {
+  const by = options.by || "day";
+  if (!TIME_REPORT_PERIODS.includes(by)) {
+    throw new Error(
+      `Unknown velocity period "${by}". Use one of: ${TIME_REPORT_PERIODS.join(", ")}`,
+    );
+  }
+  for (const option of ["since", "until"]) {
+    if (options[option] && !parseDateKey(options[option])) {
+      throw new Error(
+        `Invalid --${option} date "${options[option]}". Use YYYY-MM-DD`,
+      );
+    }
+  }
+
+  const now = options.now || new Date();
+  const until = options.until ? parseDateKey(options.until) : now;
+  const since = options.since
+    ? parseDateKey(options.since)
+    : new Date(until.getFullYear(), until.getMonth(), until.getDate() - 13);
+
+  const days = [];
+  for (
+    let day = new Date(since.getFullYear(), since.getMonth(), since.getDate());
+    toDateKey(day) <= toDateKey(until);
+    day.setDate(day.getDate() + 1)
+  ) {
+    days.push(toDateKey(day));
+    if (days.length > MAX_BURNDOWN_DAYS) {
+      throw new Error(
+        `A burndown covers at most ${MAX_BURNDOWN_DAYS} days. Use a shorter --since/--until range`,
+      );
+    }
+  }
+  if (days.length === 0) {
+    throw new Error("--since must not be after --until");
+  }
+
+  const workflow = options.workflow || DEFAULT_WORKFLOW;
+  const { items, unestimated } = getWorkItems(tasks, workflow);
+  const finishedOn = (item) =>
+    item.finishedAt ? toDateKey(new Date(item.finishedAt)) : null;
+  // Finished with no recorded date: treat as finished before the range
+  const isFinishedBy = (item, day) =>
+    item.finishedAt === null
+      ? isClosedStatus(item.status, workflow)
+      : finishedOn(item) <= day;
+  const sum = (list) => list.reduce((total, item) => total + item.estimate, 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  // Work finished before the range is out of scope
+  const inScope = items.filter(
+    (item) => !isFinishedBy(item, dayBefore(days[0])),
+  );
+  const scope = round(sum(inScope));
+
+  const points = days.map((day, index) => ({
+    date: day,
+    remaining: round(sum(inScope.filter((item) => !isFinishedBy(item, day)))),
+    completed: round(
+      sum(
+        inScope.filter(
+          (item) =>
+            finishedOn(item) === day && isCompleteStatus(item.status, workflow),
+        ),
+      ),
+    ),
+    ideal: round(scope * (1 - (index + 1) / days.length)),
+  }));
+
+  const periods = new Map();
+  for (const point of points) {
+    const key =
+      by === "day"
+        ? point.date
+        : toDateKey(startOfWeek(parseDateKey(point.date)));
+    periods.set(key, round((periods.get(key) || 0) + point.completed));
+  }
+  const velocity = [...periods].map(([period, completed]) => ({
+    period,
+    completed,
+  }));
+  const completed = round(
+    points.reduce((total, point) => total + point.completed, 0),
+  );
+
+  return {
+    since: days[0],
+    until: days[days.length - 1],
+    by,
+    scope,
+    remaining: points[points.length - 1].remaining,
+    completed,
+    unestimated,
+    points,
+    velocity: {
+      periods: velocity,
+      average: round(completed / velocity.length),
+    },
+  };
+}
+
+/**
+ * Burndown of the estimated work of the current tag
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options for buildBurndown
+ * @returns {Object} Burndown from buildBurndown, with the tag
+ * @throws {Error} If the tasks file is missing or an option is invalid
+ */
+function getBurndown(tasksPath, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  return {
+    tag: getCurrentTag(tasksPath),
+    ...buildBurndown(data.tasks, {
+      ...options,
+      workflow: getTasksWorkflow(tasksPath),
+    }),
+  };
+}
+
+export default getBurndown;
+export { buildBurndown };
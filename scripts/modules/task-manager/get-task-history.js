@@ -0,0 +1,37 @@
+import { readJSON } from "../utils.js";
+import { getCurrentTag } from "../tag-manager.js";
+import { findTrackedItem } from "../time-tracking.js";
+import { collectHistory } from "../task-history.js";
+
+/**
+ * Get the recorded changes of a task or subtask, newest first. A task's
+ * history includes the changes to its subtasks.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID or "parentId.subtaskId"
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Maximum number of entries to return
+ * @returns {{tag: string, id: string, title: string, total: number, entries: Array<Object>}} The history; each entry has the `id` of the item it belongs to
+ * @throws {Error} If the task does not exist
+ */
+function getTaskHistory(tasksPath, taskId, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const found = findTrackedItem(data.tasks, taskId);
+  if (!found) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+
+  const entries = collectHistory(found.item, found.id);
+  return {
+    tag: getCurrentTag(tasksPath),
+    id: found.id,
+    title: found.item.title,
+    total: entries.length,
+    entries: options.limit ? entries.slice(0, options.limit) : entries,
+  };
+}
+
+export default getTaskHistory;
@@ -0,0 +1,28 @@
+import { readJSON } from "../utils.js";
+import { getCurrentTag } from "../tag-manager.js";
+import { buildTimeReport } from "../time-tracking.js";
+
+/**
+ * Report the time tracked on the tasks of the current tag
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {string} [options.by="day"] - Group by "day" or "week"
+ * @param {string} [options.since] - First day to include (YYYY-MM-DD)
+ * @param {string} [options.until] - Last day to include (YYYY-MM-DD)
+ * @param {Date} [options.now] - Current time, for running timers
+ * @returns {Object} Report from buildTimeReport, with the tag
+ * @throws {Error} If the tasks file is missing or an option is invalid
+ */
+function getTimeReport(tasksPath, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  return {
+    tag: getCurrentTag(tasksPath),
+    ...buildTimeReport(data.tasks, options),
+  };
+}
+
+export default getTimeReport;
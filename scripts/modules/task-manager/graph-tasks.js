@@ -0,0 +1,356 @@
+import fs from "fs";
+import path from "path";
+
+import { readJSON } from "../utils.js";
+import { getCurrentTag } from "../tag-manager.js";
+
+// Formats supported by graphTasks
+const GRAPH_FORMATS = ["mermaid", "dot", "ascii"];
+
+// Fill, border and text colors for each status in Mermaid and DOT output
+const GRAPH_STATUS_COLORS = {
+  done: ["#c8e6c9", "#2e7d32", "#1b5e20"],
+  "in-progress": ["#ffe0b2", "#f57c00", "#e65100"],
+  pending: ["#fff9c4", "#fbc02d", "#5d4037"],
+  review: ["#e1bee7", "#8e24aa", "#4a148c"],
+  blocked: ["#ffcdd2", "#c62828", "#b71c1c"],
+  deferred: ["#eeeeee", "#9e9e9e", "#424242"],
+  cancelled: ["#f5f5f5", "#bdbdbd", "#757575"],
+  missing: ["#ffffff", "#c62828", "#c62828"],
+};
+
+const statusColors = (status) =>
+  GRAPH_STATUS_COLORS[status] || GRAPH_STATUS_COLORS.pending;
+
+/**
+ * Build the dependency graph of a task list. Every task and subtask is a
+ * node; an edge runs from a dependency to the task that depends on it.
+ * Dependencies on tasks that do not exist become nodes with the status
+ * "missing".
+ * @param {Array} tasks - Tasks of one tag
+ * @param {Object} options - Options
+ * @param {string|number} [options.root] - Task or subtask ID; only its upstream and downstream closure is kept
+ * @returns {{nodes: Array, edges: Array<{from: string, to: string}>, root: string|null}} The graph
+ * @throws {Error} If the root task does not exist
+ */
+function buildTaskGraph(tasks, options = {}) {
+  const nodes = new Map();
+  const edges = [];
+
+  for (const task of tasks) {
+    nodes.set(String(task.id), {
+      id: String(task.id),
+      title: task.title,
+      status: task.status || "pending",
+      parentId: null,
+    });
+    for (const subtask of task.subtasks || []) {
+      nodes.set(`${task.id}.${subtask.id}`, {
+        id: `${task.id}.${subtask.id}`,
+        title: subtask.title,
+        status: subtask.status || "pending",
+        parentId: String(task.id),
+      });
+    }
+  }
+
+  const addEdges = (dependencies = [], to, parent) => {
+    for (const depId of dependencies) {
+      // Numeric subtask dependencies refer to siblings
+      let from = String(depId);
+      if (
+        parent &&
+        typeof depId === "number" &&
+        nodes.has(`${parent.id}.${depId}`)
+      ) {
+        from = `${parent.id}.${depId}`;
+      }
+      if (!nodes.has(from)) {
+        nodes.set(from, {
+          id: from,
+          title: "",
+          status: "missing",
+          parentId: null,
+        });
+      }
+      if (
+        from !== to &&
+        !edges.some((edge) => edge.from === from && edge.to === to)
+      ) {
+        edges.push({ from, to });
+      }
+    }
+  };
+  for (const task of tasks) {
+    addEdges(task.dependencies, String(task.id));
+    for (const subtask of task.subtasks || []) {
+      addEdges(subtask.dependencies, `${task.id}.${subtask.id}`, task);
+    }
+  }
+
+  if (
+    options.root === undefined ||
+    options.root === null ||
+    options.root === ""
+  ) {
+    return { nodes: [...nodes.values()], edges, root: null };
+  }
+
+  const root = String(options.root).trim();
+  if (!nodes.has(root) || nodes.get(root).status === "missing") {
+    throw new Error(`Task ${root} not found`);
+  }
+
+  // A task's closure includes that of its subtasks
+  const seeds = [
+    root,
+    ...[...nodes.values()]
+      .filter((node) => node.parentId === root)
+      .map((node) => node.id),
+  ];
+  const keep = new Set(seeds);
+  const walk = (from, to) => {
+    const queue = [...seeds];
+    const seen = new Set(seeds);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of edges) {
+        if (edge[from] === id && !seen.has(edge[to])) {
+          seen.add(edge[to]);
+          keep.add(edge[to]);
+          queue.push(edge[to]);
+        }
+      }
+    }
+  };
+  walk("to", "from"); // upstream: what the root depends on
+  walk("from", "to"); // downstream: what depends on the root
+
+  // Keep the parent of every subtask so it can be drawn in its group
+  for (const id of [...keep]) {
+    const parentId = nodes.get(id).parentId;
+    if (parentId) {
+      keep.add(parentId);
+    }
+  }
+
+  return {
+    nodes: [...nodes.values()].filter((node) => keep.has(node.id)),
+    edges: edges.filter((edge) => keep.has(edge.from) && keep.has(edge.to)),
+    root,
+  };
+}
+
+// Group nodes by task: [{task, subtasks}]
+function groupNodes(graph) {
+  const groups = graph.nodes
+    .filter((node) => !node.parentId)
+    .map((task) => ({ task, subtasks: [] }));
+  for (const node of graph.nodes) {
+    if (node.parentId) {
+      groups
+        .find((group) => group.task.id === node.parentId)
+        ?.subtasks.push(node);
+    }
+  }
+  return groups;
+}
+
+function nodeLabel(node) {
+  if (node.status === "missing") {
+    return `${node.id} (missing)`;
+  }
+  return node.parentId
+    ? `${node.id} ${node.title} (${node.status})`
+    : `${node.id}. ${node.title} (${node.status})`;
+}
+
+const mermaidId = (id) => `T${id.replace(/\./g, "_")}`;
+
+// Mermaid labels are quoted; quotes and markup characters become entities
+const mermaidLabel = (text) =>
+  String(text).replace(/[#"<>]/g, (char) => `#${char.charCodeAt(0)};`);
+
+function renderMermaid(graph) {
+  const lines = ["flowchart TD"];
+  const nodeLine = (node, indent) =>
+    `${indent}${mermaidId(node.id)}["${mermaidLabel(nodeLabel(node))}"]`;
+
+  for (const { task, subtasks } of groupNodes(graph)) {
+    if (subtasks.length === 0) {
+      lines.push(nodeLine(task, "  "));
+      continue;
+    }
+    lines.push(`  subgraph ${mermaidId(task.id)}_group["Task ${task.id}"]`);
+    lines.push(nodeLine(task, "    "));
+    subtasks.forEach((subtask) => lines.push(nodeLine(subtask, "    ")));
+    lines.push("  end");
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(`  ${mermaidId(edge.from)} --> ${mermaidId(edge.to)}`);
+  }
+
+  const statuses = [...new Set(graph.nodes.map((node) => node.status))];
+  for (const status of statuses) {
+    const [fill, stroke, color] = statusColors(status);
+    const className = status.replace(/[^a-zA-Z0-9]/g, "_");
+    lines.push(
+      `  classDef ${className} fill:${fill},stroke:${stroke},color:${color}` +
+        (status === "missing" ? ",stroke-dasharray:4 4" : ""),
+      `  class ${graph.nodes
+        .filter((node) => node.status === status)
+        .map((node) => mermaidId(node.id))
+        .join(",")} ${className}`,
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+const dotString = (text) =>
+  `"${String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")}"`;
+
+function renderDot(graph) {
+  const lines = [
+    "digraph tasks {",
+    "  rankdir=LR;",
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+  ];
+  const nodeLine = (node, indent) => {
+    const [fill, stroke, color] = statusColors(node.status);
+    return `${indent}${dotString(node.id)} [label=${dotString(nodeLabel(node))}, fillcolor=${dotString(fill)}, color=${dotString(stroke)}, fontcolor=${dotString(color)}${node.status === "missing" ? ', style="rounded,dashed"' : ""}];`;
+  };
+
+  for (const { task, subtasks } of groupNodes(graph)) {
+    if (subtasks.length === 0) {
+      lines.push(nodeLine(task, "  "));
+      continue;
+    }
+    lines.push(
+      `  subgraph ${dotString(`cluster_${task.id}`)} {`,
+      `    label=${dotString(`Task ${task.id}`)};`,
+      '    style="rounded,dashed";',
+      nodeLine(task, "    "),
+      ...subtasks.map((subtask) => nodeLine(subtask, "    ")),
+      "  }",
+    );
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)};`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Draw the graph as a text tree: each node lists the nodes that depend on
+ * it below it. Nodes without dependencies start a tree; a node reached
+ * again is marked "(see above)" instead of being expanded twice.
+ */
+function renderAscii(graph) {
+  const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+  const dependents = new Map(graph.nodes.map((node) => [node.id, []]));
+  const hasDependencies = new Set();
+  for (const edge of graph.edges) {
+    dependents.get(edge.from).push(edge.to);
+    hasDependencies.add(edge.to);
+  }
+
+  const lines = [];
+  const printed = new Set();
+  const describe = (node) =>
+    `${nodeLabel(node)}${node.id === graph.root ? " ◀ root" : ""}`;
+  const print = (id, prefix, connector, childPrefix) => {
+    const node = byId.get(id);
+    if (printed.has(id)) {
+      lines.push(`${prefix}${connector}${describe(node)} (see above)`);
+      return;
+    }
+    printed.add(id);
+    lines.push(`${prefix}${connector}${describe(node)}`);
+    const children = dependents.get(id);
+    children.forEach((child, index) => {
+      const last = index === children.length - 1;
+      print(
+        child,
+        prefix + childPrefix,
+        last ? "└─▶ " : "├─▶ ",
+        last ? "    " : "│   ",
+      );
+    });
+  };
+
+  for (const node of graph.nodes) {
+    if (!hasDependencies.has(node.id)) {
+      print(node.id, "", "", "");
+    }
+  }
+  // Whatever is left only sits on dependency cycles
+  for (const node of graph.nodes) {
+    if (!printed.has(node.id)) {
+      print(node.id, "", "", "");
+    }
+  }
+
+  if (lines.length === 0) {
+    lines.push("No tasks");
+  }
+  return lines.join("\n") + "\n";
+}
+
+const RENDERERS = {
+  mermaid: renderMermaid,
+  dot: renderDot,
+  ascii: renderAscii,
+};
+
+/**
+ * Render the dependency graph of the current tag
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} format - One of GRAPH_FORMATS (mermaid, dot, ascii)
+ * @param {Object} options - Options
+ * @param {string|number} [options.root] - Only show this task's upstream and downstream closure
+ * @param {string} [options.output] - File to write the graph to
+ * @returns {{format: string, content: string, outputPath: string|null, tag: string, root: string|null, nodeCount: number, edgeCount: number}} The graph
+ * @throws {Error} On an unknown format, a missing tasks file or an unknown root task
+ */
+function graphTasks(tasksPath, format = "mermaid", options = {}) {
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown graph format "${format}". Use one of: ${GRAPH_FORMATS.join(", ")}`,
+    );
+  }
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const graph = buildTaskGraph(data.tasks, { root: options.root });
+  const content = RENDERERS[format](graph);
+
+  let outputPath = null;
+  if (options.output) {
+    outputPath = path.resolve(options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content, "utf8");
+  }
+
+  return {
+    format,
+    content,
+    outputPath,
+    tag: getCurrentTag(tasksPath),
+    root: graph.root,
+    nodeCount: graph.nodes.length,
+    edgeCount: graph.edges.length,
+  };
+}
+
+export default graphTasks;
+export { GRAPH_FORMATS, buildTaskGraph };
@@ -0,0 +1,292 @@
+import fs from "fs";
+import path from "path";
+
+import { log, readJSON, writeJSON, createMinimalTasksJson } from "../utils.js";
+import { getDefaultPriority, DEFAULT_WORKFLOW } from "../config-manager.js";
+import { STATUS_ALIASES } from "../task-schema.js";
+import { detectImportFormat, parseImportSource } from "../task-importers.js";
+import {
+  getTasksWorkflow,
+  getStatusNames,
+  getInitialStatus,
+} from "../workflow.js";
+import generateTaskFiles from "./generate-task-files.js";
+
+const PRIORITIES = ["high", "medium", "low"];
+
+// Titles are compared case- and whitespace-insensitively
+const normalizeTitle = (title) =>
+  String(title || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Source IDs may be written with a leading "#", as in GitHub issue references
+const sourceKey = (sourceId) => String(sourceId).replace(/^#/, "");
+
+// Statuses outside the workflow fall back to the status new work starts in
+function normalizeStatus(value, label, workflow, warnings) {
+  const initialStatus = getInitialStatus(workflow);
+  if (!value) {
+    return initialStatus;
+  }
+  const statuses = getStatusNames(workflow);
+  const status = value.trim().toLowerCase();
+  if (statuses.includes(status)) {
+    return status;
+  }
+  if (statuses.includes(STATUS_ALIASES[status])) {
+    return STATUS_ALIASES[status];
+  }
+  warnings.push(
+    `${label}: unknown status "${value}", using "${initialStatus}"`,
+  );
+  return initialStatus;
+}
+
+function normalizePriority(value, label, defaultPriority, warnings) {
+  if (!value) {
+    return defaultPriority;
+  }
+  const priority = value.trim().toLowerCase();
+  if (PRIORITIES.includes(priority)) {
+    return priority;
+  }
+  warnings.push(
+    `${label}: unknown priority "${value}", using "${defaultPriority}"`,
+  );
+  return defaultPriority;
+}
+
+/**
+ * Turn parsed drafts into tasks for an existing list: assign IDs after the
+ * highest existing one, skip titles that already exist, and resolve each
+ * dependency reference to a source ID in the file, an existing task ID or a
+ * task title (imported or existing)
+ * @param {Array} drafts - Drafts from parseImportSource
+ * @param {Array} existingTasks - Tasks already in the list
+ * @param {Object} options - Options
+ * @param {boolean} [options.allowDuplicates] - Import tasks whose title already exists
+ * @param {string} [options.defaultPriority] - Priority for drafts without one
+ * @param {Object} [options.workflow] - Workflow from getWorkflow, for the valid statuses; defaults to the built-in one
+ * @returns {{tasks: Array, duplicates: Array, warnings: string[], idMap: Object}} The plan
+ */
+function planImport(drafts, existingTasks, options = {}) {
+  const defaultPriority = options.defaultPriority || "medium";
+  const workflow = options.workflow || DEFAULT_WORKFLOW;
+  const warnings = [];
+  const duplicates = [];
+  const idMap = {};
+
+  // References resolve to { taskId } or { taskId, subtaskId }
+  const bySourceId = new Map();
+  const byTitle = new Map();
+  existingTasks.forEach((task) => {
+    if (!byTitle.has(normalizeTitle(task.title))) {
+      byTitle.set(normalizeTitle(task.title), { taskId: task.id });
+    }
+  });
+
+  let nextId = Math.max(0, ...existingTasks.map((task) => task.id)) + 1;
+  const accepted = [];
+
+  for (const draft of drafts) {
+    const key = normalizeTitle(draft.title);
+    const existing = byTitle.get(key);
+    if (existing && !options.allowDuplicates) {
+      duplicates.push({
+        sourceId: draft.sourceId,
+        title: draft.title,
+        existingId: existing.taskId,
+      });
+      // References to the duplicate point at the task that is already there
+      if (draft.sourceId) {
+        bySourceId.set(sourceKey(draft.sourceId), existing);
+      }
+      continue;
+    }
+
+    const taskId = nextId++;
+    const target = { taskId };
+    if (draft.sourceId) {
+      bySourceId.set(sourceKey(draft.sourceId), target);
+      idMap[draft.sourceId] = taskId;
+    }
+    if (!existing) {
+      byTitle.set(key, target);
+    }
+
+    draft.subtasks.forEach((subtaskDraft, index) => {
+      const subtaskTarget = { taskId, subtaskId: index + 1 };
+      if (subtaskDraft.sourceId) {
+        bySourceId.set(sourceKey(subtaskDraft.sourceId), subtaskTarget);
+        idMap[subtaskDraft.sourceId] = `${taskId}.${index + 1}`;
+      }
+      const subtaskKey = `${taskId}:${normalizeTitle(subtaskDraft.title)}`;
+      if (!byTitle.has(subtaskKey)) {
+        byTitle.set(subtaskKey, subtaskTarget);
+      }
+    });
+
+    accepted.push({ draft, taskId });
+  }
+
+  const existingIds = new Set(existingTasks.map((task) => task.id));
+  const resolve = (reference, parentId) => {
+    const id = sourceKey(reference);
+    if (bySourceId.has(id)) {
+      return bySourceId.get(id);
+    }
+    if (/^\d+$/.test(id) && existingIds.has(Number(id))) {
+      return { taskId: Number(id) };
+    }
+    const title = normalizeTitle(reference);
+    return (
+      (parentId !== undefined && byTitle.get(`${parentId}:${title}`)) ||
+      byTitle.get(title) ||
+      null
+    );
+  };
+
+  const resolveAll = (references, label, taskId, subtaskId) => {
+    const dependencies = [];
+    for (const reference of new Set(references)) {
+      const target = resolve(reference, taskId);
+      if (!target) {
+        warnings.push(`${label}: dependency "${reference}" not found, ignored`);
+        continue;
+      }
+      const isSelf = target.taskId === taskId && target.subtaskId === subtaskId;
+      let dependency;
+      if (target.subtaskId === undefined) {
+        dependency = target.taskId;
+      } else if (subtaskId !== undefined && target.taskId === taskId) {
+        // Subtasks refer to their siblings by subtask ID
+        dependency = target.subtaskId;
+      } else {
+        dependency = `${target.taskId}.${target.subtaskId}`;
+      }
+      if (!isSelf && !dependencies.includes(dependency)) {
+        dependencies.push(dependency);
+      }
+    }
+    return dependencies;
+  };
+
+  const tasks = accepted.map(({ draft, taskId }) => {
+    const label = `Task ${taskId} "${draft.title}"`;
+    return {
+      id: taskId,
+      title: draft.title,
+      description: draft.description,
+      details: draft.details,
+      testStrategy: draft.testStrategy,
+      status: normalizeStatus(draft.status, label, workflow, warnings),
+      dependencies: resolveAll(draft.dependencies, label, taskId),
+      priority: normalizePriority(
+        draft.priority,
+        label,
+        defaultPriority,
+        warnings,
+      ),
+      subtasks: draft.subtasks.map((subtaskDraft, index) => {
+        const subtaskLabel = `Subtask ${taskId}.${index + 1} "${subtaskDraft.title}"`;
+        return {
+          id: index + 1,
+          title: subtaskDraft.title,
+          description: subtaskDraft.description,
+          details: subtaskDraft.details,
+          status: normalizeStatus(
+            subtaskDraft.status,
+            subtaskLabel,
+            workflow,
+            warnings,
+          ),
+          dependencies: resolveAll(
+            subtaskDraft.dependencies,
+            subtaskLabel,
+            taskId,
+            index + 1,
+          ),
+          parentTaskId: taskId,
+        };
+      }),
+    };
+  });
+
+  return { tasks, duplicates, warnings, idMap };
+}
+
+/**
+ * Import tasks from a CSV file, a Markdown outline or checklist, or a GitHub
+ * issues JSON export into the current tag
+ * @param {string} tasksPath - Path to the tasks.json file (created if missing)
+ * @param {string} sourcePath - File to import
+ * @param {Object} options - Options
+ * @param {string} [options.format] - csv, md or github (detected from the extension when omitted)
+ * @param {boolean} [options.dryRun] - Only report what would be imported
+ * @param {boolean} [options.allowDuplicates] - Import tasks whose title already exists
+ * @param {string} [options.projectRoot] - Project root, used for the default priority
+ * @returns {Object} Result: format, dryRun, imported tasks, skipped duplicates, warnings and the source ID to task ID map
+ * @throws {Error} If the source cannot be read or parsed
+ */
+function importTasks(tasksPath, sourcePath, options = {}) {
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Import file not found: ${sourcePath}`);
+  }
+  const format = options.format || detectImportFormat(sourcePath);
+  if (!format) {
+    throw new Error(
+      `Cannot tell the format of ${sourcePath} from its extension; pass --format csv, md or github`,
+    );
+  }
+
+  const { drafts, warnings: parseWarnings } = parseImportSource(
+    fs.readFileSync(sourcePath, "utf8"),
+    format,
+  );
+
+  const data = fs.existsSync(tasksPath)
+    ? readJSON(tasksPath)
+    : createMinimalTasksJson();
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const plan = planImport(drafts, data.tasks, {
+    allowDuplicates: options.allowDuplicates,
+    defaultPriority: getDefaultPriority(options.projectRoot),
+    workflow: getTasksWorkflow(tasksPath),
+  });
+  const result = {
+    format,
+    sourcePath,
+    dryRun: !!options.dryRun,
+    tasks: plan.tasks,
+    duplicates: plan.duplicates,
+    warnings: [...parseWarnings, ...plan.warnings],
+    idMap: plan.idMap,
+  };
+
+  if (options.dryRun || plan.tasks.length === 0) {
+    return result;
+  }
+
+  data.tasks.push(...plan.tasks);
+  writeJSON(tasksPath, data);
+  log(
+    "info",
+    `Imported ${plan.tasks.length} tasks from ${sourcePath} into ${tasksPath}`,
+  );
+
+  try {
+    generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  } catch (error) {
+    log("warn", `Failed to generate task files: ${error.message}`);
+  }
+
+  return result;
+}
+
+export default importTasks;
+export { planImport };
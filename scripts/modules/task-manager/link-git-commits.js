@@ -0,0 +1,57 @@
+import path from "path";
+import { readJSON, writeJSON } from "../utils.js";
+import { findTrackedItem } from "../time-tracking.js";
+import {
+  getCommits,
+  parseTaskReferences,
+  linkCommit,
+} from "../git-integration.js";
+
+/**
+ * Scan the git log for commits that reference tasks ("#12", "task 4.2") and
+ * record them on the tasks and subtasks they reference
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {string} [options.range] - Revision range to scan, e.g. "main..HEAD" (default: all of HEAD)
+ * @param {string} [options.since] - Only scan commits after this date
+ * @param {string} [options.cwd] - Directory inside the repository (default: the directory of the tasks file)
+ * @returns {{scanned: number, linked: Array<{id: string, hash: string, subject: string}>, unknown: Array<{id: string, hash: string}>}} Commits scanned, newly linked commits and references to tasks that do not exist
+ * @throws {Error} If the tasks file is invalid, the directory is not in a git repository or git fails
+ */
+function linkGitCommits(tasksPath, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const commits = getCommits(
+    options.cwd || path.dirname(path.resolve(tasksPath)),
+    { range: options.range, since: options.since },
+  );
+
+  const linked = [];
+  const unknown = [];
+  // Oldest first, so the results read in the order the work was done
+  for (const commit of [...commits].reverse()) {
+    for (const id of parseTaskReferences(commit.message)) {
+      const found = findTrackedItem(data.tasks, id);
+      if (!found) {
+        unknown.push({ id, hash: commit.hash });
+      } else if (linkCommit(found.item, commit)) {
+        linked.push({
+          id: found.id,
+          hash: commit.hash,
+          subject: commit.subject,
+        });
+      }
+    }
+  }
+
+  if (linked.length > 0) {
+    writeJSON(tasksPath, data);
+  }
+
+  return { scanned: commits.length, linked, unknown };
+}
+
+export default linkGitCommits;
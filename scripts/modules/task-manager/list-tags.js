@@ -0,0 +1,29 @@
+import { getCurrentTag, readTaggedTasksFile } from "../tag-manager.js";
+import { getTasksWorkflow, isCompleteStatus } from "../workflow.js";
+
+/**
+ * List the tags of a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Array<Object>} Tags with name, current flag, task counts (completed: in a complete status of the workflow), description and creation time
+ */
+function listTags(tasksPath) {
+  const data = readTaggedTasksFile(tasksPath);
+  const currentTag = getCurrentTag(tasksPath, data);
+  const workflow = getTasksWorkflow(tasksPath);
+
+  return Object.entries(data.tags).map(([name, tagData]) => {
+    const tasks = tagData.tasks || [];
+    return {
+      name,
+      current: name === currentTag,
+      taskCount: tasks.length,
+      completedCount: tasks.filter((task) =>
+        isCompleteStatus(task.status, workflow),
+      ).length,
+      description: tagData.metadata?.description || "",
+      created: tagData.metadata?.created || null,
+    };
+  });
+}
+
+export default listTags;
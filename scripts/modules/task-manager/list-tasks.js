@@ -4,6 +4,17 @@ import Table from "cli-table3";
 
 import { log, readJSON, truncate } from "../utils.js";
 import findNextTask from "./find-next-task.js";
+import {
+  getTasksWorkflow,
+  getStatusNames,
+  isCompleteStatus,
+} from "../workflow.js";
+import {
+  TaskQueryError,
+  filterTasks,
+  sortTasks,
+  projectTaskFields,
+} from "../task-query.js";
 
 import {
   displayBanner,
@@ -18,6 +29,10 @@ import {
  * @param {string} statusFilter - Filter by status
  * @param {boolean} withSubtasks - Whether to show subtasks
  * @param {string} outputFormat - Output format (text or json)
+ * @param {Object} options - Additional options
+ * @param {string} [options.filter] - Filter expression (see task-query.js), combined with statusFilter
+ * @param {string} [options.sort] - Sort expression, e.g. "priority,-id"
+ * @param {string|string[]} [options.fields] - Fields to keep in json output
  * @returns {Object} - Task list result for json format
  */
 function listTasks(
@@ -25,6 +40,7 @@ function listTasks(
   statusFilter,
   withSubtasks = false,
   outputFormat = "text",
+  options = {},
 ) {
   try {
     // Only display banner for text output
@@ -38,7 +54,7 @@ function listTasks(
     }
 
     // Filter tasks by status if specified
-    const filteredTasks =
+    const statusFilteredTasks =
       statusFilter && statusFilter.toLowerCase() !== "all" // <-- Added check for 'all'
         ? data.tasks.filter(
             (task) =>
@@ -47,65 +63,42 @@ function listTasks(
           )
         : data.tasks; // Default to all tasks if no filter or filter is 'all'
 
+    // Apply the filter expression and sort order on top of the status filter
+    const workflow = getTasksWorkflow(tasksPath);
+    const filteredTasks = sortTasks(
+      filterTasks(statusFilteredTasks, options.filter, data.tasks, workflow),
+      options.sort,
+      data.tasks,
+    );
+
+    // Count tasks and subtasks per status of the project workflow, plus any
+    // status found in the file that the workflow does not define
+    const countByStatus = (items) => {
+      const counts = Object.fromEntries(
+        getStatusNames(workflow).map((name) => [name, 0]),
+      );
+      items.forEach((item) => {
+        const status = item.status || "pending";
+        counts[status] = (counts[status] || 0) + 1;
+      });
+      return counts;
+    };
+    const allSubtasks = data.tasks.flatMap((task) => task.subtasks || []);
+    const taskCounts = countByStatus(data.tasks);
+    const subtaskCounts = countByStatus(allSubtasks);
+
     // Calculate completion statistics
     const totalTasks = data.tasks.length;
-    const completedTasks = data.tasks.filter(
-      (task) => task.status === "done" || task.status === "completed",
+    const completedTasks = data.tasks.filter((task) =>
+      isCompleteStatus(task.status, workflow),
     ).length;
     const completionPercentage =
       totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
 
-    // Count statuses for tasks
-    const doneCount = completedTasks;
-    const inProgressCount = data.tasks.filter(
-      (task) => task.status === "in-progress",
-    ).length;
-    const pendingCount = data.tasks.filter(
-      (task) => task.status === "pending",
-    ).length;
-    const blockedCount = data.tasks.filter(
-      (task) => task.status === "blocked",
-    ).length;
-    const deferredCount = data.tasks.filter(
-      (task) => task.status === "deferred",
+    const totalSubtasks = allSubtasks.length;
+    const completedSubtasks = allSubtasks.filter((st) =>
+      isCompleteStatus(st.status, workflow),
     ).length;
-    const cancelledCount = data.tasks.filter(
-      (task) => task.status === "cancelled",
-    ).length;
-
-    // Count subtasks and their statuses
-    let totalSubtasks = 0;
-    let completedSubtasks = 0;
-    let inProgressSubtasks = 0;
-    let pendingSubtasks = 0;
-    let blockedSubtasks = 0;
-    let deferredSubtasks = 0;
-    let cancelledSubtasks = 0;
-
-    data.tasks.forEach((task) => {
-      if (task.subtasks && task.subtasks.length > 0) {
-        totalSubtasks += task.subtasks.length;
-        completedSubtasks += task.subtasks.filter(
-          (st) => st.status === "done" || st.status === "completed",
-        ).length;
-        inProgressSubtasks += task.subtasks.filter(
-          (st) => st.status === "in-progress",
-        ).length;
-        pendingSubtasks += task.subtasks.filter(
-          (st) => st.status === "pending",
-        ).length;
-        blockedSubtasks += task.subtasks.filter(
-          (st) => st.status === "blocked",
-        ).length;
-        deferredSubtasks += task.subtasks.filter(
-          (st) => st.status === "deferred",
-        ).length;
-        cancelledSubtasks += task.subtasks.filter(
-          (st) => st.status === "cancelled",
-        ).length;
-      }
-    });
-
     const subtaskCompletionPercentage =
       totalSubtasks > 0 ? (completedSubtasks / totalSubtasks) * 100 : 0;
 
@@ -129,25 +122,27 @@ function listTasks(
       // *** End of Modification ***
 
       return {
-        tasks: tasksWithoutDetails, // <--- THIS IS THE ARRAY BEING RETURNED
+        tasks: projectTaskFields(tasksWithoutDetails, options.fields), // <--- THIS IS THE ARRAY BEING RETURNED
         filter: statusFilter || "all", // Return the actual filter used
+        ...(options.filter && { query: options.filter }),
+        ...(options.sort && { sort: options.sort }),
         stats: {
           total: totalTasks,
-          completed: doneCount,
-          inProgress: inProgressCount,
-          pending: pendingCount,
-          blocked: blockedCount,
-          deferred: deferredCount,
-          cancelled: cancelledCount,
+          completed: completedTasks,
+          inProgress: taskCounts["in-progress"] || 0,
+          pending: taskCounts.pending || 0,
+          deferred: taskCounts.deferred || 0,
+          cancelled: taskCounts.cancelled || 0,
+          byStatus: taskCounts,
           completionPercentage,
           subtasks: {
             total: totalSubtasks,
             completed: completedSubtasks,
-            inProgress: inProgressSubtasks,
-            pending: pendingSubtasks,
-            blocked: blockedSubtasks,
-            deferred: deferredSubtasks,
-            cancelled: cancelledSubtasks,
+            inProgress: subtaskCounts["in-progress"] || 0,
+            pending: subtaskCounts.pending || 0,
+            deferred: subtaskCounts.deferred || 0,
+            cancelled: subtaskCounts.cancelled || 0,
+            byStatus: subtaskCounts,
             completionPercentage: subtaskCompletionPercentage,
           },
         },
@@ -156,25 +151,21 @@ function listTasks(
 
     // ... existing code for text output ...
 
-    // Calculate status breakdowns as percentages of total
-    const taskStatusBreakdown = {
-      "in-progress": totalTasks > 0 ? (inProgressCount / totalTasks) * 100 : 0,
-      pending: totalTasks > 0 ? (pendingCount / totalTasks) * 100 : 0,
-      blocked: totalTasks > 0 ? (blockedCount / totalTasks) * 100 : 0,
-      deferred: totalTasks > 0 ? (deferredCount / totalTasks) * 100 : 0,
-      cancelled: totalTasks > 0 ? (cancelledCount / totalTasks) * 100 : 0,
-    };
-
-    const subtaskStatusBreakdown = {
-      "in-progress":
-        totalSubtasks > 0 ? (inProgressSubtasks / totalSubtasks) * 100 : 0,
-      pending: totalSubtasks > 0 ? (pendingSubtasks / totalSubtasks) * 100 : 0,
-      blocked: totalSubtasks > 0 ? (blockedSubtasks / totalSubtasks) * 100 : 0,
-      deferred:
-        totalSubtasks > 0 ? (deferredSubtasks / totalSubtasks) * 100 : 0,
-      cancelled:
-        totalSubtasks > 0 ? (cancelledSubtasks / totalSubtasks) * 100 : 0,
-    };
+    // Calculate the breakdown of open statuses as percentages of total
+    const statusBreakdown = (counts, total) =>
+      Object.fromEntries(
+        Object.entries(counts)
+          .filter(([status]) => !isCompleteStatus(status, workflow))
+          .map(([status, count]) => [
+            status,
+            total > 0 ? (count / total) * 100 : 0,
+          ]),
+      );
+    const taskStatusBreakdown = statusBreakdown(taskCounts, totalTasks);
+    const subtaskStatusBreakdown = statusBreakdown(
+      subtaskCounts,
+      totalSubtasks,
+    );
 
     // Create progress bars with status breakdowns
     const taskProgressBar = createProgressBar(
@@ -191,21 +182,19 @@ function listTasks(
     // Calculate dependency statistics
     const completedTaskIds = new Set(
       data.tasks
-        .filter((t) => t.status === "done" || t.status === "completed")
+        .filter((t) => isCompleteStatus(t.status, workflow))
         .map((t) => t.id),
     );
 
     const tasksWithNoDeps = data.tasks.filter(
       (t) =>
-        t.status !== "done" &&
-        t.status !== "completed" &&
+        !isCompleteStatus(t.status, workflow) &&
         (!t.dependencies || t.dependencies.length === 0),
     ).length;
 
     const tasksWithAllDepsSatisfied = data.tasks.filter(
       (t) =>
-        t.status !== "done" &&
-        t.status !== "completed" &&
+        !isCompleteStatus(t.status, workflow) &&
         t.dependencies &&
         t.dependencies.length > 0 &&
         t.dependencies.every((depId) => completedTaskIds.has(depId)),
@@ -213,8 +202,7 @@ function listTasks(
 
     const tasksWithUnsatisfiedDeps = data.tasks.filter(
       (t) =>
-        t.status !== "done" &&
-        t.status !== "completed" &&
+        !isCompleteStatus(t.status, workflow) &&
         t.dependencies &&
         t.dependencies.length > 0 &&
         !t.dependencies.every((depId) => completedTaskIds.has(depId)),
@@ -258,7 +246,7 @@ function listTasks(
     const avgDependenciesPerTask = totalDependencies / data.tasks.length;
 
     // Find next task to work on
-    const nextItem = findNextTask(data.tasks);
+    const nextItem = findNextTask(data.tasks, workflow);
 
     // Get terminal width - more reliable method
     let terminalWidth;
@@ -275,14 +263,23 @@ function listTasks(
     // Ensure terminal width is at least a minimum value to prevent layout issues
     terminalWidth = Math.max(terminalWidth, 80);
 
+    // One "status: count" entry per status, in workflow order
+    const formatStatusCounts = (counts) =>
+      Object.entries(counts)
+        .map(
+          ([status, count]) =>
+            `${getStatusWithColor(status, true)}: ${chalk.white(count)}`,
+        )
+        .join("  ");
+
     // Create dashboard content
     const projectDashboardContent =
       chalk.white.bold("Project Dashboard") +
       "\n" +
       `Tasks Progress: ${chalk.greenBright(taskProgressBar)} ${completionPercentage.toFixed(0)}%\n` +
-      `Done: ${chalk.green(doneCount)}  In Progress: ${chalk.blue(inProgressCount)}  Pending: ${chalk.yellow(pendingCount)}  Blocked: ${chalk.red(blockedCount)}  Deferred: ${chalk.gray(deferredCount)}  Cancelled: ${chalk.gray(cancelledCount)}\n\n` +
+      `${formatStatusCounts(taskCounts)}\n\n` +
       `Subtasks Progress: ${chalk.cyan(subtaskProgressBar)} ${subtaskCompletionPercentage.toFixed(0)}%\n` +
-      `Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  In Progress: ${chalk.blue(inProgressSubtasks)}  Pending: ${chalk.yellow(pendingSubtasks)}  Blocked: ${chalk.red(blockedSubtasks)}  Deferred: ${chalk.gray(deferredSubtasks)}  Cancelled: ${chalk.gray(cancelledSubtasks)}\n\n` +
+      `Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  ${formatStatusCounts(subtaskCounts)}\n\n` +
       chalk.cyan.bold("Priority Breakdown:") +
       "\n" +
       `${chalk.red("•")} ${chalk.white("High priority:")} ${data.tasks.filter((t) => t.priority === "high").length}\n` +
@@ -388,9 +385,11 @@ function listTasks(
     if (filteredTasks.length === 0) {
       console.log(
         boxen(
-          statusFilter
-            ? chalk.yellow(`No tasks with status '${statusFilter}' found`)
-            : chalk.yellow("No tasks found"),
+          options.filter
+            ? chalk.yellow(`No tasks match '${options.filter}'`)
+            : statusFilter
+              ? chalk.yellow(`No tasks with status '${statusFilter}' found`)
+              : chalk.yellow("No tasks found"),
           { padding: 1, borderColor: "yellow", borderStyle: "round" },
         ),
       );
@@ -499,9 +498,10 @@ function listTasks(
                     (st) => st.id === depId,
                   );
                   if (foundSubtask) {
-                    const isDone =
-                      foundSubtask.status === "done" ||
-                      foundSubtask.status === "completed";
+                    const isDone = isCompleteStatus(
+                      foundSubtask.status,
+                      workflow,
+                    );
                     const isInProgress = foundSubtask.status === "in-progress";
 
                     // Use consistent color formatting instead of emojis
@@ -517,8 +517,7 @@ function listTasks(
                 // Default to regular task dependency
                 const depTask = data.tasks.find((t) => t.id === depId);
                 if (depTask) {
-                  const isDone =
-                    depTask.status === "done" || depTask.status === "completed";
+                  const isDone = isCompleteStatus(depTask.status, workflow);
                   const isInProgress = depTask.status === "in-progress";
                   // Use the same color scheme as in formatDependenciesWithStatus
                   if (isDone) {
@@ -568,8 +567,17 @@ function listTasks(
     }
 
     // Show filter info if applied
-    if (statusFilter) {
-      console.log(chalk.yellow(`\nFiltered by status: ${statusFilter}`));
+    if (statusFilter || options.filter) {
+      if (statusFilter) {
+        console.log(chalk.yellow(`\nFiltered by status: ${statusFilter}`));
+      }
+      if (options.filter) {
+        console.log(
+          chalk.yellow(
+            `${statusFilter ? "" : "\n"}Filtered by: ${options.filter}`,
+          ),
+        );
+      }
       console.log(
         chalk.yellow(`Showing ${filteredTasks.length} of ${totalTasks} tasks`),
       );
@@ -600,19 +608,8 @@ function listTasks(
           .map((subtask) => {
             // Using a more simplified format for subtask status display
             const status = subtask.status || "pending";
-            const statusColors = {
-              done: chalk.green,
-              completed: chalk.green,
-              pending: chalk.yellow,
-              "in-progress": chalk.blue,
-              deferred: chalk.gray,
-              blocked: chalk.red,
-              cancelled: chalk.gray,
-            };
-            const statusColor =
-              statusColors[status.toLowerCase()] || chalk.white;
             // Ensure subtask ID is displayed correctly using parent ID from the original task object
-            return `${chalk.cyan(`${parentTaskForSubtasks.id}.${subtask.id}`)} [${statusColor(status)}] ${subtask.title}`;
+            return `${chalk.cyan(`${parentTaskForSubtasks.id}.${subtask.id}`)} [${getStatusWithColor(status, true)}] ${subtask.title}`;
           })
           .join("\n");
       }
@@ -689,7 +686,7 @@ function listTasks(
     if (outputFormat === "json") {
       // Return structured error for JSON output
       throw {
-        code: "TASK_LIST_ERROR",
+        code: error instanceof TaskQueryError ? error.code : "TASK_LIST_ERROR",
         message: error.message,
         details: error.stack,
       };
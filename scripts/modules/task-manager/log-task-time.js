@@ -0,0 +1,59 @@
+import { readJSON, writeJSON } from "../utils.js";
+import {
+  findTrackedItem,
+  parseDuration,
+  logTime,
+  getTimeTotals,
+  parseDateKey,
+} from "../time-tracking.js";
+
+/**
+ * Log time spent on a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID or "parentId.subtaskId"
+ * @param {string} duration - Duration, e.g. "1h30m" (see parseDuration)
+ * @param {Object} options - Options
+ * @param {string} [options.date] - Day the work was done (YYYY-MM-DD); defaults to ending now
+ * @param {string} [options.note] - Note for the entry
+ * @param {Date} [options.now] - Current time
+ * @returns {{id: string, title: string, entry: Object, totalSeconds: number}} The new entry and the task's new total
+ * @throws {Error} If the task does not exist, or the duration or date is invalid
+ */
+function logTaskTime(tasksPath, taskId, duration, options = {}) {
+  const seconds = parseDuration(duration);
+
+  let date;
+  if (options.date) {
+    date = parseDateKey(options.date);
+    if (!date) {
+      throw new Error(`Invalid date "${options.date}". Use YYYY-MM-DD`);
+    }
+  }
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const found = findTrackedItem(data.tasks, taskId);
+  if (!found) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+
+  const entry = logTime(found.item, seconds, {
+    date,
+    note: options.note,
+    now: options.now,
+  });
+
+  writeJSON(tasksPath, data);
+
+  return {
+    id: found.id,
+    title: found.item.title,
+    entry,
+    totalSeconds: getTimeTotals(found.item, options.now).total,
+  };
+}
+
+export default logTaskTime;
@@ -2,6 +2,7 @@ import fs from "fs";
 import path from "path";
 
 import { log, readJSON, writeJSON } from "../utils.js";
+import { getCurrentTag, getTaskFileName } from "../tag-manager.js";
 import generateTaskFiles from "./generate-task-files.js";
 import taskExists from "./task-exists.js";
 
@@ -149,10 +150,11 @@ async function removeTask(tasksPath, taskIds) {
       writeJSON(tasksPath, data);
 
       // Delete task files AFTER saving tasks.json
+      const tag = getCurrentTag(tasksPath);
       for (const taskIdNum of tasksToDeleteFiles) {
         const taskFileName = path.join(
           path.dirname(tasksPath),
-          `task_${taskIdNum.toString().padStart(3, "0")}.txt`,
+          getTaskFileName(taskIdNum, tag),
         );
         if (fs.existsSync(taskFileName)) {
           try {
@@ -0,0 +1,38 @@
+import { readJSON, writeJSON } from "../utils.js";
+import { findTrackedItem } from "../time-tracking.js";
+import { parseEstimate } from "../estimates.js";
+
+/**
+ * Set or clear the estimate of a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID or "parentId.subtaskId"
+ * @param {string|number|null} estimate - Estimate (see parseEstimate); null or "none" clears it
+ * @returns {{id: string, title: string, estimate: number|null, previous: number|null}} The new and previous estimate
+ * @throws {Error} If the task does not exist or the estimate is invalid
+ */
+function setTaskEstimate(tasksPath, taskId, estimate) {
+  const value = estimate === null ? null : parseEstimate(estimate);
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const found = findTrackedItem(data.tasks, taskId);
+  if (!found) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+
+  const previous = found.item.estimate ?? null;
+  if (value === null) {
+    delete found.item.estimate;
+  } else {
+    found.item.estimate = value;
+  }
+
+  writeJSON(tasksPath, data);
+
+  return { id: found.id, title: found.item.title, estimate: value, previous };
+}
+
+export default setTaskEstimate;
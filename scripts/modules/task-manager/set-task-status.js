@@ -9,9 +9,10 @@ import { getDebugFlag } from "../config-manager.js";
 import updateSingleTaskStatus from "./update-single-task-status.js";
 import generateTaskFiles from "./generate-task-files.js";
 import {
-  isValidTaskStatus,
-  TASK_STATUS_OPTIONS,
-} from "../../../src/constants/task-status.js";
+  getTasksWorkflow,
+  getStatusDefinition,
+  getStatusNames,
+} from "../workflow.js";
 
 /**
  * Set the status of a task
@@ -19,13 +20,14 @@ import {
  * @param {string} taskIdInput - Task ID(s) to update
  * @param {string} newStatus - New status
  * @param {Object} options - Additional options (mcpLog for MCP mode)
- * @returns {Object|undefined} Result object in MCP mode, undefined in CLI mode
+ * @returns {Object} Result: the updated tasks, and the status changes the workflow's roll-up rules made to other tasks and subtasks
  */
 async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
   try {
-    if (!isValidTaskStatus(newStatus)) {
+    const workflow = getTasksWorkflow(tasksPath);
+    if (!getStatusDefinition(newStatus, workflow)) {
       throw new Error(
-        `Error: Invalid status value: ${newStatus}. Use one of: ${TASK_STATUS_OPTIONS.join(", ")}`,
+        `Invalid status value: ${newStatus}. Use one of: ${getStatusNames(workflow).join(", ")}`,
       );
     }
     // Determine if we're in MCP mode by checking for mcpLog
@@ -53,11 +55,20 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
     // Handle multiple task IDs (comma-separated)
     const taskIds = taskIdInput.split(",").map((id) => id.trim());
     const updatedTasks = [];
+    const rollup = [];
 
     // Update each task
     for (const id of taskIds) {
-      await updateSingleTaskStatus(tasksPath, id, newStatus, data, !isMcpMode);
+      const changes = await updateSingleTaskStatus(
+        tasksPath,
+        id,
+        newStatus,
+        data,
+        !isMcpMode,
+        workflow,
+      );
       updatedTasks.push(id);
+      rollup.push(...changes);
     }
 
     // Write the updated tasks to the file
@@ -91,6 +102,16 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
       }
     }
 
+    // Changes the roll-up rules made to parents and subtasks
+    if (!isMcpMode && rollup.length > 0) {
+      console.log(chalk.cyan("Also updated by the workflow roll-up rules:"));
+      for (const change of rollup) {
+        console.log(
+          `  ${change.id}: ${chalk.yellow(change.from)} → ${chalk.green(change.to)}`,
+        );
+      }
+    }
+
     // Return success value for programmatic use
     return {
       success: true,
@@ -98,6 +119,7 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
         id,
         status: newStatus,
       })),
+      rollup,
     };
   } catch (error) {
     log("error", `Error setting task status: ${error.message}`);
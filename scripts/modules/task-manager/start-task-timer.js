@@ -0,0 +1,34 @@
+import { readJSON, writeJSON } from "../utils.js";
+import { findTrackedItem, startTimer } from "../time-tracking.js";
+
+/**
+ * Start a timer on a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID or "parentId.subtaskId"
+ * @param {Object} options - Options
+ * @param {Date} [options.now] - Start time
+ * @returns {{id: string, title: string, entry: Object}} The task and its new time entry
+ * @throws {Error} If the task does not exist or already has a running timer
+ */
+function startTaskTimer(tasksPath, taskId, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const found = findTrackedItem(data.tasks, taskId);
+  if (!found) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+
+  const entry = startTimer(found.item, options.now);
+  if (!entry) {
+    throw new Error(`A timer is already running on task ${found.id}`);
+  }
+
+  writeJSON(tasksPath, data);
+
+  return { id: found.id, title: found.item.title, entry };
+}
+
+export default startTaskTimer;
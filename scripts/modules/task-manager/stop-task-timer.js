@@ -0,0 +1,39 @@
+import { readJSON, writeJSON } from "../utils.js";
+import { findTrackedItem, stopTimer, getTimeTotals } from "../time-tracking.js";
+
+/**
+ * Stop the running timer of a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task ID or "parentId.subtaskId"
+ * @param {Object} options - Options
+ * @param {Date} [options.now] - Stop time
+ * @returns {{id: string, title: string, entry: Object, totalSeconds: number}} The stopped entry and the task's new total
+ * @throws {Error} If the task does not exist or has no running timer
+ */
+function stopTaskTimer(tasksPath, taskId, options = {}) {
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const found = findTrackedItem(data.tasks, taskId);
+  if (!found) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+
+  const entry = stopTimer(found.item, options.now);
+  if (!entry) {
+    throw new Error(`No timer is running on task ${found.id}`);
+  }
+
+  writeJSON(tasksPath, data);
+
+  return {
+    id: found.id,
+    title: found.item.title,
+    entry,
+    totalSeconds: getTimeTotals(found.item, options.now).total,
+  };
+}
+
+export default stopTaskTimer;
@@ -0,0 +1,321 @@
+import fs from "fs";
+import path from "path";
+
+import { readJSON, writeJSON } from "../utils.js";
+import {
+  getCurrentTag,
+  getTaskFileName,
+  getTaskFilePattern,
+} from "../tag-manager.js";
+import {
+  formatTaskFile,
+  parseTaskFile,
+  hashContent,
+  hashFile,
+  getTaskFileKey,
+} from "../task-files.js";
+import { getTasksWorkflow, getStatusNames } from "../workflow.js";
+import { getTaskFileFormat, findProjectRoot } from "../config-manager.js";
+import updateSingleTaskStatus from "./update-single-task-status.js";
+import taskExists from "./task-exists.js";
+
+// Sides a conflict can be resolved in favour of
+const SYNC_SIDES = ["file", "tasks"];
+
+// Fields a task file can change, besides the statuses
+const TASK_FIELDS = [
+  "title",
+  "dependencies",
+  "priority",
+  "description",
+  "details",
+  "testStrategy",
+];
+const SUBTASK_FIELDS = ["title", "dependencies", "description", "details"];
+
+/**
+ * Copy the fields that were edited in a task file onto a task or subtask
+ * @param {Object} item - Task or subtask to update
+ * @param {Object} edited - Fields read from the edited file
+ * @param {Object} original - Fields read from the file as generated from the item
+ * @param {string[]} fields - Fields to compare
+ * @returns {string[]} Fields copied
+ */
+function copyEditedFields(item, edited, original, fields) {
+  return fields.filter((field) => {
+    if (JSON.stringify(edited[field]) === JSON.stringify(original[field])) {
+      return false;
+    }
+    item[field] = edited[field];
+    return true;
+  });
+}
+
+/**
+ * Merge the edits made to the file of a task into the task. Fields are
+ * compared with the file as it would be generated from the task, so only
+ * what was edited is copied. Status changes go through the workflow,
+ * including its roll-up rules.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} data - Tasks data the task belongs to
+ * @param {Object} task - Task
+ * @param {Object} edited - The edited file, from parseTaskFile
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {Promise<string[]>} What changed, e.g. ["title", "3.2 status"]
+ * @throws {Error} If the edits are not valid for tasks.json
+ */
+async function mergeTaskFile(tasksPath, data, task, edited, workflow) {
+  if (edited.id !== task.id) {
+    throw new Error(`The file is for task ${edited.id}, not task ${task.id}`);
+  }
+  const original = parseTaskFile(formatTaskFile(task, data.tasks));
+  const changes = copyEditedFields(task, edited, original, TASK_FIELDS);
+
+  if (changes.includes("dependencies")) {
+    const invalid = task.dependencies.filter(
+      (dependency) =>
+        String(dependency) === String(task.id) ||
+        !taskExists(data.tasks, dependency),
+    );
+    if (invalid.length > 0) {
+      throw new Error(`Invalid dependencies: ${invalid.join(", ")}`);
+    }
+  }
+
+  // Subtasks removed from, added to and edited in the file
+  const editedIds = edited.subtasks.map((subtask) => subtask.id);
+  for (const subtask of original.subtasks) {
+    if (!editedIds.includes(subtask.id)) {
+      task.subtasks = task.subtasks.filter((other) => other.id !== subtask.id);
+      changes.push(`${task.id}.${subtask.id} removed`);
+    }
+  }
+
+  const statusChanges = [];
+  for (const editedSubtask of edited.subtasks) {
+    const id = `${task.id}.${editedSubtask.id}`;
+    const originalSubtask = original.subtasks.find(
+      (subtask) => subtask.id === editedSubtask.id,
+    );
+    if (!originalSubtask) {
+      const { status, ...fields } = editedSubtask;
+      task.subtasks = [
+        ...(task.subtasks || []),
+        { ...fields, status: getStatusNames(workflow)[0] },
+      ];
+      changes.push(`${id} added`);
+      statusChanges.push({ id, status });
+      continue;
+    }
+    const subtask = task.subtasks.find(
+      (other) => other.id === editedSubtask.id,
+    );
+    changes.push(
+      ...copyEditedFields(
+        subtask,
+        editedSubtask,
+        originalSubtask,
+        SUBTASK_FIELDS,
+      ).map((field) => `${id} ${field}`),
+    );
+    if (editedSubtask.status !== originalSubtask.status) {
+      statusChanges.push({ id, status: editedSubtask.status });
+    }
+  }
+  // Subtasks first, so a task closed together with its subtasks can close
+  if (edited.status !== original.status) {
+    statusChanges.push({ id: String(task.id), status: edited.status });
+  }
+
+  for (const { id, status } of statusChanges) {
+    const [taskId, subtaskId] = id.split(".").map(Number);
+    const item = subtaskId
+      ? task.subtasks.find((subtask) => subtask.id === subtaskId)
+      : data.tasks.find((other) => other.id === taskId);
+    if (item.status === status) {
+      continue;
+    }
+    await updateSingleTaskStatus(tasksPath, id, status, data, false, workflow);
+    changes.push(subtaskId ? `${id} status` : "status");
+  }
+
+  return changes;
+}
+
+/**
+ * Synchronize the task files with tasks.json in both directions. The hashes
+ * stored when the files were last written (see task-files.js) tell which
+ * side changed since:
+ *   - only the file changed: its edits are merged into tasks.json
+ *   - only tasks.json changed: the file is regenerated
+ *   - both changed: the task is reported as a conflict and left alone,
+ *     unless `prefer` says which side wins
+ * Files of tasks that no longer exist are removed unless they were edited.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} outputDir - Directory of the task files
+ * @param {Object} options - Options
+ * @param {string} [options.prefer] - Resolve conflicts in favour of "file" or "tasks"
+ * @param {boolean} [options.dryRun] - Report what would change without writing anything
+ * @returns {Promise<{merged: Array<{id: number, file: string, changes: string[]}>, written: Array<{id: number, file: string}>, removed: string[], conflicts: Array<{id: number, file: string, reason: string}>, errors: Array<{id: number, file: string, message: string}>, dryRun: boolean}>} What was synchronized
+ * @throws {Error} If the tasks file cannot be read, `prefer` is invalid or the project generates Markdown task files, which cannot be read back
+ */
+async function syncTaskFiles(tasksPath, outputDir, options = {}) {
+  const { prefer, dryRun = false } = options;
+  if (prefer && !SYNC_SIDES.includes(prefer)) {
+    throw new Error(
+      `Invalid side to prefer: ${prefer}. Use one of: ${SYNC_SIDES.join(", ")}`,
+    );
+  }
+
+  const format = getTaskFileFormat(
+    findProjectRoot(path.dirname(path.resolve(tasksPath))),
+  );
+  if (format !== "text") {
+    throw new Error(
+      `Only text task files can be synced, but taskFileFormat is "${format}"`,
+    );
+  }
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+  const tag = getCurrentTag(tasksPath);
+  const workflow = getTasksWorkflow(tasksPath);
+  const storedHashes = data.meta?.taskFiles || {};
+  const fileHashes = { ...storedHashes };
+
+  const result = {
+    merged: [],
+    written: [],
+    removed: [],
+    conflicts: [],
+    errors: [],
+    dryRun,
+  };
+  // Tasks whose files are left as they are, and tasks merged from their files
+  const heldIds = new Set();
+  const mergedIds = new Set();
+
+  for (const task of [...data.tasks]) {
+    const file = getTaskFileName(task.id, tag);
+    const filePath = path.join(outputDir, file);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    const content = fs.readFileSync(filePath, "utf8");
+    const generated = formatTaskFile(task, data.tasks);
+    const storedHash = storedHashes[getTaskFileKey(tasksPath, filePath)];
+    const fileChanged = hashContent(content) !== storedHash;
+    const taskChanged = hashContent(generated) !== storedHash;
+    if (content === generated || !fileChanged) {
+      continue;
+    }
+
+    if (taskChanged && !prefer) {
+      heldIds.add(task.id);
+      result.conflicts.push({
+        id: task.id,
+        file,
+        // A file never synced before has no stored hash to compare with
+        reason: storedHash
+          ? "Both the file and tasks.json changed since the last sync"
+          : "The file differs from tasks.json and was never synced",
+      });
+      continue;
+    }
+    if (taskChanged && prefer === "tasks") {
+      continue;
+    }
+
+    const backup = structuredClone(task);
+    try {
+      const changes = await mergeTaskFile(
+        tasksPath,
+        data,
+        task,
+        parseTaskFile(content),
+        workflow,
+      );
+      mergedIds.add(task.id);
+      if (changes.length > 0) {
+        result.merged.push({ id: task.id, file, changes });
+      }
+    } catch (error) {
+      // Leave the task as it was; the roll-up only changes the task itself
+      data.tasks[data.tasks.indexOf(task)] = backup;
+      heldIds.add(task.id);
+      result.errors.push({ id: task.id, file, message: error.message });
+    }
+  }
+
+  // Files of tasks that no longer exist
+  const taskIds = data.tasks.map((task) => task.id);
+  const filePattern = getTaskFilePattern(tag);
+  const existingFiles = fs.existsSync(outputDir)
+    ? fs.readdirSync(outputDir)
+    : [];
+  for (const file of existingFiles) {
+    const match = file.match(filePattern);
+    const id = match && parseInt(match[1], 10);
+    if (!match || taskIds.includes(id)) {
+      continue;
+    }
+    const filePath = path.join(outputDir, file);
+    const key = getTaskFileKey(tasksPath, filePath);
+    if (prefer === "tasks" || hashFile(filePath) === storedHashes[key]) {
+      result.removed.push(file);
+      delete fileHashes[key];
+    } else {
+      result.conflicts.push({
+        id,
+        file,
+        reason: `Task ${id} is not in tasks.json`,
+      });
+    }
+  }
+
+  // Regenerate the files from the merged tasks
+  const filesToWrite = [];
+  for (const task of data.tasks) {
+    if (heldIds.has(task.id)) {
+      continue;
+    }
+    const file = getTaskFileName(task.id, tag);
+    const filePath = path.join(outputDir, file);
+    const content = formatTaskFile(task, data.tasks);
+    const contentHash = hashContent(content);
+    fileHashes[getTaskFileKey(tasksPath, filePath)] = contentHash;
+    if (hashFile(filePath) === contentHash) {
+      continue;
+    }
+    filesToWrite.push({ filePath, content });
+    if (!mergedIds.has(task.id)) {
+      result.written.push({ id: task.id, file });
+    }
+  }
+
+  if (dryRun) {
+    return result;
+  }
+
+  // tasks.json first: if it was changed meanwhile, no file is touched
+  if (
+    result.merged.length > 0 ||
+    JSON.stringify(fileHashes) !== JSON.stringify(storedHashes)
+  ) {
+    data.meta = { ...data.meta, taskFiles: fileHashes };
+    writeJSON(tasksPath, data);
+  }
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const { filePath, content } of filesToWrite) {
+    fs.writeFileSync(filePath, content);
+  }
+  for (const file of result.removed) {
+    fs.unlinkSync(path.join(outputDir, file));
+  }
+
+  return result;
+}
+
+export default syncTaskFiles;
@@ -1,15 +1,70 @@
-import chalk from "chalk";
-
 import { log } from "../utils.js";
-import { isValidTaskStatus } from "../../../src/constants/task-status.js";
+import { confirmSubtaskCascade } from "../ui.js";
+import { startTimer, stopTimer } from "../time-tracking.js";
+import {
+  getTasksWorkflow,
+  isCompleteStatus,
+  checkStatusChange,
+} from "../workflow.js";
+import {
+  getOpenSubtasks,
+  rollUpSubtaskChange,
+  closeOpenSubtasks,
+} from "../status-rollup.js";
+
+/**
+ * Start a timer when work on a task or subtask begins and stop it when the
+ * work is complete
+ * @param {Object} item - Task or subtask
+ * @param {string} oldStatus - Status before the change
+ * @param {string} newStatus - Status after the change
+ * @param {Object} workflow - Workflow from getWorkflow
+ */
+function trackStatusTime(item, oldStatus, newStatus, workflow) {
+  if (newStatus === "in-progress" && oldStatus !== "in-progress") {
+    if (startTimer(item)) {
+      log("info", "Started timer (stop it with lm-tasker stop)");
+    }
+  } else if (isCompleteStatus(newStatus, workflow) && stopTimer(item)) {
+    log("info", "Stopped running timer");
+  }
+}
+
+/**
+ * Decide what completing a task does to its open subtasks. "prompt" asks in
+ * an interactive CLI and fails everywhere else.
+ * @param {Object} task - Task being completed
+ * @param {string} newStatus - Complete status the task moves to
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @param {boolean} showUi - Whether the CLI is showing UI elements
+ * @returns {Promise<string>} "cascade" or "fail"
+ */
+async function resolveClosePolicy(task, newStatus, workflow, showUi) {
+  const policy = workflow.rollup.onParentComplete;
+  if (policy !== "prompt") {
+    return policy;
+  }
+  const openSubtasks = getOpenSubtasks(task, workflow);
+  if (openSubtasks.length === 0 || !showUi || !process.stdin.isTTY) {
+    return "fail";
+  }
+  const confirmed = await confirmSubtaskCascade(task, openSubtasks, newStatus);
+  return confirmed ? "cascade" : "fail";
+}
 
 /**
- * Update the status of a single task
+ * Update the status of a single task. The change must be allowed by the
+ * project's workflow, and the workflow's roll-up rules are applied: a parent
+ * follows its subtasks, and completing a task completes, or asks about, or
+ * refuses to leave, its open subtasks (see status-rollup.js).
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIdInput - Task ID to update
  * @param {string} newStatus - New status
  * @param {Object} data - Tasks data
  * @param {boolean} showUi - Whether to show UI elements
+ * @param {Object} [workflow] - Workflow to enforce (defaults to the project's)
+ * @returns {Promise<Array<{id: string, from: string, to: string}>>} Status changes the roll-up made to other tasks and subtasks
+ * @throws {Error} If the task does not exist or the status change is not allowed
  */
 async function updateSingleTaskStatus(
   tasksPath,
@@ -17,12 +72,9 @@ async function updateSingleTaskStatus(
   newStatus,
   data,
   showUi = true,
+  workflow = getTasksWorkflow(tasksPath),
 ) {
-  if (!isValidTaskStatus(newStatus)) {
-    throw new Error(
-      `Error: Invalid status value: ${newStatus}. Use one of: ${TASK_STATUS_OPTIONS.join(", ")}`,
-    );
-  }
+  let rollup = [];
 
   // Check if it's a subtask (e.g., "1.2")
   if (taskIdInput.includes(".")) {
@@ -50,42 +102,19 @@ async function updateSingleTaskStatus(
 
     // Update the subtask status
     const oldStatus = subtask.status || "pending";
+    checkStatusChange(taskIdInput, oldStatus, newStatus, workflow);
     subtask.status = newStatus;
+    trackStatusTime(subtask, oldStatus, newStatus, workflow);
 
     log(
       "info",
       `Updated subtask ${parentId}.${subtaskId} status from '${oldStatus}' to '${newStatus}'`,
     );
 
-    // Check if all subtasks are done (if setting to 'done')
-    if (
-      newStatus.toLowerCase() === "done" ||
-      newStatus.toLowerCase() === "completed"
-    ) {
-      const allSubtasksDone = parentTask.subtasks.every(
-        (st) => st.status === "done" || st.status === "completed",
-      );
-
-      // Suggest updating parent task if all subtasks are done
-      if (
-        allSubtasksDone &&
-        parentTask.status !== "done" &&
-        parentTask.status !== "completed"
-      ) {
-        // Only show suggestion in CLI mode
-        if (showUi) {
-          console.log(
-            chalk.yellow(
-              `All subtasks of parent task ${parentId} are now marked as done.`,
-            ),
-          );
-          console.log(
-            chalk.yellow(
-              `Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`,
-            ),
-          );
-        }
-      }
+    // Move the parent along with its subtasks
+    const parentChange = rollUpSubtaskChange(parentTask, newStatus, workflow);
+    if (parentChange) {
+      rollup = [parentChange];
     }
   } else {
     // Handle regular task
@@ -98,36 +127,38 @@ async function updateSingleTaskStatus(
 
     // Update the task status
     const oldStatus = task.status || "pending";
+    checkStatusChange(taskId, oldStatus, newStatus, workflow);
+
+    // Completing the task settles its open subtasks first, so a refusal
+    // leaves everything unchanged
+    if (isCompleteStatus(newStatus, workflow)) {
+      const policy = await resolveClosePolicy(
+        task,
+        newStatus,
+        workflow,
+        showUi,
+      );
+      rollup = closeOpenSubtasks(task, newStatus, workflow, policy);
+    }
+
     task.status = newStatus;
+    trackStatusTime(task, oldStatus, newStatus, workflow);
 
     log(
       "info",
       `Updated task ${taskId} status from '${oldStatus}' to '${newStatus}'`,
     );
+  }
 
-    // If marking as done, also mark all subtasks as done
-    if (
-      (newStatus.toLowerCase() === "done" ||
-        newStatus.toLowerCase() === "completed") &&
-      task.subtasks &&
-      task.subtasks.length > 0
-    ) {
-      const pendingSubtasks = task.subtasks.filter(
-        (st) => st.status !== "done" && st.status !== "completed",
-      );
-
-      if (pendingSubtasks.length > 0) {
-        log(
-          "info",
-          `Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`,
-        );
-
-        pendingSubtasks.forEach((subtask) => {
-          subtask.status = newStatus;
-        });
-      }
+  // Timers of rolled-up items are only stopped: a parent's time is the sum
+  // of its subtasks' when they are tracked
+  return rollup.map(({ item, id, from, to }) => {
+    if (isCompleteStatus(to, workflow)) {
+      stopTimer(item);
     }
-  }
+    log("info", `Rolled up ${id} from '${from}' to '${to}'`);
+    return { id, from, to };
+  });
 }
 
 export default updateSingleTaskStatus;
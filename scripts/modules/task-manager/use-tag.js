@@ -0,0 +1,31 @@
+import { log } from "../utils.js";
+import {
+  TagNotFoundError,
+  getTagNames,
+  readTaggedTasksFile,
+  writeTagState,
+} from "../tag-manager.js";
+
+/**
+ * Make a tag the current one for commands that do not pass --tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} tagName - Tag to switch to
+ * @returns {Object} The tag's name and task count
+ * @throws {TagNotFoundError} If the tag does not exist
+ */
+function useTag(tasksPath, tagName) {
+  const data = readTaggedTasksFile(tasksPath);
+  if (!data.tags[tagName]) {
+    throw new TagNotFoundError(tagName, tasksPath, getTagNames(data));
+  }
+
+  writeTagState(tasksPath, tagName);
+  log("info", `Switched to tag "${tagName}"`);
+
+  return {
+    name: tagName,
+    taskCount: (data.tags[tagName].tasks || []).length,
+  };
+}
+
+export default useTag;
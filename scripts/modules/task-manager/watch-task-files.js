@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import generateTaskFiles from "./generate-task-files.js";
+import { hashFile } from "../task-files.js";
+
+// Wait this long after the last change before regenerating, in milliseconds
+const DEFAULT_DEBOUNCE_MS = 300;
+
+// Keeps generateTaskFiles from exiting the process on errors
+const quietLog = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+/**
+ * Watch a tasks file and regenerate the task files whenever it changes.
+ * Bursts of changes are debounced into one regeneration, which only writes
+ * the files whose contents changed and removes orphaned ones.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} outputDir - Output directory for task files
+ * @param {Object} options - Options
+ * @param {number} [options.debounceMs=300] - Quiet period before regenerating
+ * @param {string} [options.format] - Task file format, overriding the taskFileFormat setting
+ * @param {Function} [options.onGenerate] - Called with the result of each regeneration
+ * @param {Function} [options.onError] - Called with the error when a regeneration fails, e.g. while the file is being edited by hand
+ * @returns {{close: Function}} Watcher; close() stops watching
+ */
+function watchTaskFiles(tasksPath, outputDir, options = {}) {
+  const {
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    onGenerate = () => {},
+    onError = () => {},
+  } = options;
+  const fileName = path.basename(tasksPath);
+  let timer = null;
+  // Contents of the tasks file after the last regeneration, which records the
+  // hashes of the files it wrote in the tasks file itself
+  let generatedHash = null;
+
+  const regenerate = () => {
+    timer = null;
+    if (hashFile(tasksPath) === generatedHash) {
+      return;
+    }
+    try {
+      const result = generateTaskFiles(tasksPath, outputDir, {
+        mcpLog: quietLog,
+        format: options.format,
+      });
+      generatedHash = hashFile(tasksPath);
+      onGenerate(result);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  // Writes replace the tasks file (see writeJSON), which ends a watch on the
+  // file itself, so watch its directory instead
+  const watcher = fs.watch(
+    path.dirname(path.resolve(tasksPath)),
+    (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(regenerate, debounceMs);
+    },
+  );
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+export default watchTaskFiles;
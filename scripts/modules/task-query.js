@@ -0,0 +1,414 @@
+/**
+ * task-query.js
+ * Filter expressions, sorting and field projection for task lists
+ *
+ * A filter is a list of space-separated terms that must all match:
+ *   status:pending,in-progress priority:high dep:12 has:subtasks text:"oauth" -status:done
+ * Values separated by commas are alternatives, a leading "-" negates a term,
+ * and words without a field search the title, description and details.
+ * The same language is used by `lm-tasker list --filter`, the get_tasks MCP
+ * tool and the TUI search box. Statuses, and which of them count as done for
+ * ready:, come from the project workflow.
+ */
+
+import { DEFAULT_WORKFLOW } from "./config-manager.js";
+import { getStatusNames, isCompleteStatus } from "./workflow.js";
+
+// Rank used to compare priorities; tasks without one count as medium
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Values accepted by has:, mapped to the task field they check
+const HAS_FIELDS = {
+  subtasks: "subtasks",
+  deps: "dependencies",
+  dependencies: "dependencies",
+  details: "details",
+  tests: "testStrategy",
+  testStrategy: "testStrategy",
+};
+
+// Keys accepted by sortTasks
+const SORT_KEYS = ["id", "priority", "depth", "status", "title"];
+
+// Error thrown for filter, sort or field expressions that cannot be parsed
+class TaskQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TaskQueryError";
+    this.code = "INVALID_QUERY";
+  }
+}
+
+const includesText = (value, text) =>
+  typeof value === "string" && value.toLowerCase().includes(text);
+
+// Parse an id: value, either a single ID or an inclusive range like 3-7
+function parseIdValue(value) {
+  const match = value.match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    throw new TaskQueryError(
+      `Invalid id "${value}": use a task ID or a range like 3-7`,
+    );
+  }
+  const from = Number(match[1]);
+  const to = match[2] === undefined ? from : Number(match[2]);
+  return [Math.min(from, to), Math.max(from, to)];
+}
+
+// Matchers for each field: (task, value, context) => boolean
+const FIELD_MATCHERS = {
+  status: (task, value) =>
+    (task.status || "pending").toLowerCase() === value.toLowerCase(),
+  priority: (task, value) =>
+    (task.priority || "medium").toLowerCase() === value.toLowerCase(),
+  id: (task, [from, to]) => task.id >= from && task.id <= to,
+  dep: (task, value) =>
+    (task.dependencies || []).some((depId) => String(depId) === value),
+  has: (task, field) => {
+    const value = task[field];
+    return Array.isArray(value)
+      ? value.length > 0
+      : typeof value === "string" && value.trim() !== "";
+  },
+  ready: (task, value, context) => {
+    const ready =
+      !context.isDone(task) &&
+      (task.dependencies || []).every((depId) =>
+        context.doneIds.has(String(depId)),
+      );
+    return value === "true" ? ready : !ready;
+  },
+  title: (task, value) => includesText(task.title, value.toLowerCase()),
+  text: (task, value) => {
+    const text = value.toLowerCase();
+    return (
+      includesText(task.title, text) ||
+      includesText(task.description, text) ||
+      includesText(task.details, text)
+    );
+  },
+};
+
+// Check and normalise a value for its field when the filter is parsed
+function parseFieldValue(field, value, workflow) {
+  if (value === "") {
+    throw new TaskQueryError(`Missing value for "${field}:"`);
+  }
+  switch (field) {
+    case "status": {
+      const statuses = getStatusNames(workflow);
+      const status = statuses.find(
+        (name) => name.toLowerCase() === value.toLowerCase(),
+      );
+      if (!status) {
+        throw new TaskQueryError(
+          `Unknown status "${value}". Use one of: ${statuses.join(", ")}`,
+        );
+      }
+      return status;
+    }
+    case "priority":
+      if (PRIORITY_RANK[value.toLowerCase()] === undefined) {
+        throw new TaskQueryError(
+          `Unknown priority "${value}". Use one of: ${Object.keys(PRIORITY_RANK).join(", ")}`,
+        );
+      }
+      return value;
+    case "id":
+      return parseIdValue(value);
+    case "has":
+      if (!HAS_FIELDS[value]) {
+        throw new TaskQueryError(
+          `Unknown has: value "${value}". Use one of: ${Object.keys(HAS_FIELDS).join(", ")}`,
+        );
+      }
+      return HAS_FIELDS[value];
+    case "ready":
+      if (value !== "true" && value !== "false") {
+        throw new TaskQueryError('ready: takes "true" or "false"');
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Split a filter expression into terms
+ * @param {string} expression - Filter expression
+ * @returns {Array<{field: string, values: string[], negate: boolean}>} Raw terms
+ * @throws {TaskQueryError} On an unterminated quote
+ */
+function tokenize(expression) {
+  const terms = [];
+  let pos = 0;
+
+  const readValue = () => {
+    if (expression[pos] === '"') {
+      const end = expression.indexOf('"', pos + 1);
+      if (end === -1) {
+        throw new TaskQueryError("Unterminated quote in filter");
+      }
+      const value = expression.slice(pos + 1, end);
+      pos = end + 1;
+      return value;
+    }
+    const start = pos;
+    while (pos < expression.length && !/[\s,]/.test(expression[pos])) {
+      pos++;
+    }
+    return expression.slice(start, pos);
+  };
+
+  while (pos < expression.length) {
+    if (/\s/.test(expression[pos])) {
+      pos++;
+      continue;
+    }
+
+    const negate = expression[pos] === "-";
+    if (negate) {
+      pos++;
+    }
+
+    const field = expression.slice(pos).match(/^([A-Za-z]+):/)?.[1];
+    if (!field) {
+      terms.push({ field: "text", values: [readValue()], negate });
+      continue;
+    }
+
+    pos += field.length + 1;
+    const values = [readValue()];
+    while (expression[pos] === ",") {
+      pos++;
+      values.push(readValue());
+    }
+    terms.push({ field, values, negate });
+  }
+
+  return terms;
+}
+
+/**
+ * Parse a filter expression
+ * @param {string} expression - Filter expression, e.g. "status:pending -has:deps"
+ * @param {Object} [workflow] - Workflow from getWorkflow, whose statuses status: accepts (defaults to the built-in statuses)
+ * @returns {Array<{field: string, values: Array, negate: boolean}>} Parsed terms, all of which must match
+ * @throws {TaskQueryError} If the expression uses an unknown field or an invalid value
+ */
+function parseTaskQuery(expression, workflow = DEFAULT_WORKFLOW) {
+  if (!expression || !expression.trim()) {
+    return [];
+  }
+
+  return tokenize(expression).map((term) => {
+    if (!FIELD_MATCHERS[term.field]) {
+      throw new TaskQueryError(
+        `Unknown filter field "${term.field}". Use one of: ${Object.keys(FIELD_MATCHERS).join(", ")}`,
+      );
+    }
+    return {
+      ...term,
+      values: term.values.map((value) =>
+        parseFieldValue(term.field, value, workflow),
+      ),
+    };
+  });
+}
+
+/**
+ * Get the free-text parts of a filter, e.g. for highlighting matches. The
+ * other terms are not checked, so this works without the project workflow.
+ * @param {string} expression - Filter expression
+ * @returns {string[]} Values of the non-negated text: and title: terms
+ */
+function getQueryTextTerms(expression) {
+  try {
+    return tokenize(expression || "")
+      .filter(
+        (term) =>
+          !term.negate && (term.field === "text" || term.field === "title"),
+      )
+      .flatMap((term) => term.values);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Filter tasks with a filter expression
+ * @param {Array} tasks - Tasks to filter
+ * @param {string|Array} query - Filter expression, or terms from parseTaskQuery
+ * @param {Array} [allTasks] - Every task in the list, used to resolve dependencies (defaults to tasks)
+ * @param {Object} [workflow] - Workflow from getWorkflow: its statuses and which of them are complete (defaults to the built-in workflow)
+ * @returns {Array} Tasks matching every term
+ * @throws {TaskQueryError} If the expression cannot be parsed
+ */
+function filterTasks(
+  tasks,
+  query,
+  allTasks = tasks,
+  workflow = DEFAULT_WORKFLOW,
+) {
+  const terms = Array.isArray(query) ? query : parseTaskQuery(query, workflow);
+  if (terms.length === 0) {
+    return tasks;
+  }
+
+  const isDone = (task) => isCompleteStatus(task.status || "pending", workflow);
+  const context = {
+    isDone,
+    doneIds: new Set(allTasks.filter(isDone).map((task) => String(task.id))),
+  };
+  return tasks.filter((task) =>
+    terms.every((term) => {
+      const matches = term.values.some((value) =>
+        FIELD_MATCHERS[term.field](task, value, context),
+      );
+      return term.negate ? !matches : matches;
+    }),
+  );
+}
+
+/**
+ * Compute how deep each task sits in the dependency graph: tasks without
+ * dependencies are at depth 0, and every other task is one deeper than its
+ * deepest dependency. Dependency cycles are cut where they close.
+ * @param {Array} tasks - Every task in the list
+ * @returns {Map<number, number>} Task ID to depth
+ */
+function getDependencyDepths(tasks) {
+  const byId = new Map(tasks.map((task) => [String(task.id), task]));
+  const depths = new Map();
+  const visiting = new Set();
+
+  const depthOf = (task) => {
+    if (depths.has(task.id)) {
+      return depths.get(task.id);
+    }
+    if (visiting.has(task.id)) {
+      return -1;
+    }
+    visiting.add(task.id);
+    let depth = 0;
+    for (const depId of task.dependencies || []) {
+      const dependency = byId.get(String(depId));
+      if (dependency) {
+        depth = Math.max(depth, depthOf(dependency) + 1);
+      }
+    }
+    visiting.delete(task.id);
+    depths.set(task.id, depth);
+    return depth;
+  };
+
+  tasks.forEach(depthOf);
+  return depths;
+}
+
+/**
+ * Parse a sort expression
+ * @param {string} expression - Comma-separated keys, each optionally prefixed with "-" for descending, e.g. "priority,-id"
+ * @returns {Array<{key: string, descending: boolean}>} Sort keys in order
+ * @throws {TaskQueryError} On an unknown key
+ */
+function parseSort(expression) {
+  if (!expression || !expression.trim()) {
+    return [];
+  }
+  return expression
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const descending = part.startsWith("-");
+      const key = descending ? part.slice(1) : part;
+      if (!SORT_KEYS.includes(key)) {
+        throw new TaskQueryError(
+          `Unknown sort key "${key}". Use one of: ${SORT_KEYS.join(", ")}`,
+        );
+      }
+      return { key, descending };
+    });
+}
+
+/**
+ * Sort tasks. Ties keep their original order; priority sorts high first and
+ * depth sorts tasks without dependencies first.
+ * @param {Array} tasks - Tasks to sort (not modified)
+ * @param {string} sort - Sort expression, see parseSort
+ * @param {Array} [allTasks] - Every task in the list, used for dependency depth (defaults to tasks)
+ * @returns {Array} Sorted copy of tasks
+ * @throws {TaskQueryError} On an unknown key
+ */
+function sortTasks(tasks, sort, allTasks = tasks) {
+  const keys = parseSort(sort);
+  if (keys.length === 0) {
+    return tasks;
+  }
+
+  const depths = keys.some(({ key }) => key === "depth")
+    ? getDependencyDepths(allTasks)
+    : null;
+  const valueOf = {
+    id: (task) => task.id,
+    priority: (task) => PRIORITY_RANK[task.priority] ?? PRIORITY_RANK.medium,
+    depth: (task) => depths.get(task.id) ?? 0,
+    status: (task) => task.status || "pending",
+    title: (task) => (task.title || "").toLowerCase(),
+  };
+
+  return [...tasks].sort((a, b) => {
+    for (const { key, descending } of keys) {
+      const left = valueOf[key](a);
+      const right = valueOf[key](b);
+      if (left !== right) {
+        return (left < right ? -1 : 1) * (descending ? -1 : 1);
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep only the given fields of each task, and of its subtasks when
+ * "subtasks" is one of the fields
+ * @param {Array} tasks - Tasks to project
+ * @param {string|string[]} fields - Comma-separated field names or an array of them
+ * @returns {Array} Projected copies of the tasks (tasks themselves when no fields are given)
+ */
+function projectTaskFields(tasks, fields) {
+  const names = (Array.isArray(fields) ? fields : (fields || "").split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+  if (names.length === 0) {
+    return tasks;
+  }
+
+  const pick = (item) =>
+    Object.fromEntries(
+      names
+        .filter((name) => item[name] !== undefined)
+        .map((name) => [name, item[name]]),
+    );
+
+  return tasks.map((task) => {
+    const projected = pick(task);
+    if (Array.isArray(projected.subtasks)) {
+      projected.subtasks = projected.subtasks.map(pick);
+    }
+    return projected;
+  });
+}
+
+export {
+  TaskQueryError,
+  SORT_KEYS,
+  parseTaskQuery,
+  getQueryTextTerms,
+  filterTasks,
+  getDependencyDepths,
+  parseSort,
+  sortTasks,
+  projectTaskFields,
+};
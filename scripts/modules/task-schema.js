@@ -0,0 +1,493 @@
+/**
+ * task-schema.js
+ * Schema, versioned migrations and repairs for tasks files
+ *
+ * `meta.schemaVersion` records which migrations a tasks file has been through
+ * (files written before it existed are version 0). Files are migrated in
+ * memory when read and stored at the current version on their next write.
+ * Migrations are frozen once released: a later format change adds a new
+ * entry to MIGRATIONS instead of editing an old one.
+ */
+
+import { z } from "zod";
+import { TASK_STATUS_OPTIONS } from "../../src/constants/task-status.js";
+import { isTaggedData, isTasksData } from "./tag-manager.js";
+import { HISTORY_TYPES } from "./task-history.js";
+
+// Schema version written by this version of LM-Tasker
+const CURRENT_SCHEMA_VERSION = 1;
+
+const PRIORITY_OPTIONS = ["high", "medium", "low"];
+
+// A dependency is a task ID, or a "parentId.subtaskId" subtask reference
+const DependencySchema = z.union([
+  z.number().int().positive(),
+  z.string().regex(/^\d+\.\d+$/, 'Subtask dependencies must look like "1.2"'),
+]);
+
+// A tracked stretch of work; a running timer has no end yet
+const TimeEntrySchema = z
+  .object({
+    start: z.string().datetime(),
+    end: z.string().datetime().nullable(),
+    seconds: z.number().nonnegative(),
+    source: z.enum(["timer", "log"]),
+    note: z.string().optional(),
+  })
+  .passthrough();
+
+// A git commit that references a task or subtask
+const CommitSchema = z
+  .object({
+    hash: z.string().regex(/^[0-9a-f]{7,64}$/, "Commit hashes are hexadecimal"),
+    subject: z.string(),
+    author: z.string().optional(),
+    date: z.string().datetime({ offset: true }).optional(),
+  })
+  .passthrough();
+
+// A recorded change to a task or subtask
+const HistoryEntrySchema = z
+  .object({
+    at: z.string().datetime(),
+    type: z.enum(HISTORY_TYPES),
+    actor: z.string().optional(),
+    source: z.string().optional(),
+    command: z.string().optional(),
+  })
+  .passthrough();
+
+const SubtaskSchema = z
+  .object({
+    id: z.number().int().positive(),
+    title: z.string().min(1),
+    description: z.string().optional(),
+    status: z.enum(TASK_STATUS_OPTIONS),
+    dependencies: z.array(DependencySchema).optional(),
+    details: z.string().optional(),
+    parentTaskId: z.number().int().positive().optional(),
+    timeEntries: z.array(TimeEntrySchema).optional(),
+    estimate: z.number().nonnegative().optional(),
+    commits: z.array(CommitSchema).optional(),
+    branch: z.string().min(1).optional(),
+    history: z.array(HistoryEntrySchema).optional(),
+  })
+  .passthrough();
+
+const TaskSchema = z
+  .object({
+    id: z.number().int().positive(),
+    title: z.string().min(1),
+    description: z.string(),
+    status: z.enum(TASK_STATUS_OPTIONS),
+    dependencies: z.array(DependencySchema),
+    priority: z.enum(PRIORITY_OPTIONS).optional(),
+    details: z.string().optional(),
+    testStrategy: z.string().optional(),
+    subtasks: z.array(SubtaskSchema).optional(),
+    timeEntries: z.array(TimeEntrySchema).optional(),
+    estimate: z.number().nonnegative().optional(),
+    commits: z.array(CommitSchema).optional(),
+    branch: z.string().min(1).optional(),
+    history: z.array(HistoryEntrySchema).optional(),
+  })
+  .passthrough();
+
+const TaskListSchema = z.array(TaskSchema);
+
+/**
+ * Build the task list schema for the statuses of a project workflow
+ * @param {string[]} statuses - Valid status names
+ * @returns {z.ZodType} Task list schema
+ */
+function createTaskListSchema(statuses) {
+  const status = z.enum(statuses);
+  return z.array(
+    TaskSchema.extend({
+      status,
+      subtasks: z.array(SubtaskSchema.extend({ status })).optional(),
+    }),
+  );
+}
+
+const MetaSchema = z
+  .object({
+    schemaVersion: z.number().int().nonnegative().optional(),
+    revision: z.number().int().nonnegative().optional(),
+    taskFiles: z.record(z.string(), z.string()).optional(),
+  })
+  .passthrough();
+
+const TagSchema = z
+  .object({
+    tasks: z.unknown(),
+    metadata: z
+      .object({
+        created: z.string().optional(),
+        description: z.string().optional(),
+      })
+      .passthrough()
+      .optional(),
+  })
+  .passthrough();
+
+/**
+ * Call a function for every task list in tasks data
+ * @param {Object} data - Single-list or tagged tasks data
+ * @param {Function} fn - Called with (tasks, path) where path is the list's location in the file
+ */
+function forEachTaskList(data, fn) {
+  if (isTaggedData(data)) {
+    for (const [tag, tagData] of Object.entries(data.tags)) {
+      fn(tagData?.tasks, ["tags", tag, "tasks"]);
+    }
+  } else {
+    fn(data.tasks, ["tasks"]);
+  }
+}
+
+/**
+ * Call a function for every task and subtask in tasks data
+ * @param {Object} data - Single-list or tagged tasks data
+ * @param {Function} fn - Called with (item, path, parent) for each task (parent null) and subtask
+ */
+function forEachTask(data, fn) {
+  forEachTaskList(data, (tasks, listPath) => {
+    if (!Array.isArray(tasks)) {
+      return;
+    }
+    tasks.forEach((task, index) => {
+      if (!task || typeof task !== "object") {
+        return;
+      }
+      fn(task, [...listPath, index], null);
+      if (Array.isArray(task.subtasks)) {
+        task.subtasks.forEach((subtask, subIndex) => {
+          if (subtask && typeof subtask === "object") {
+            fn(subtask, [...listPath, index, "subtasks", subIndex], task);
+          }
+        });
+      }
+    });
+  });
+}
+
+// Convert "12" to 12; other values are returned unchanged
+const toNumericId = (value) =>
+  typeof value === "string" && /^\d+$/.test(value.trim())
+    ? Number(value.trim())
+    : value;
+
+// Ordered list of migrations; `version` is the schema version each produces
+const MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      'Normalize numeric string IDs to numbers and "completed" to "done", and add missing statuses and task dependencies',
+    migrate(data) {
+      forEachTask(data, (item, itemPath, parent) => {
+        item.id = toNumericId(item.id);
+        if (item.status === undefined) {
+          item.status = "pending";
+        } else if (item.status === "completed") {
+          item.status = "done";
+        }
+        if (item.dependencies === undefined) {
+          if (!parent) {
+            item.dependencies = [];
+          }
+        } else if (Array.isArray(item.dependencies)) {
+          item.dependencies = item.dependencies.map(toNumericId);
+        }
+      });
+    },
+  },
+];
+
+/**
+ * Get the schema version of tasks data
+ * @param {Object} data - Tasks data
+ * @returns {number} The version (0 for files written before versions existed)
+ */
+function getSchemaVersion(data) {
+  return Number.isInteger(data?.meta?.schemaVersion)
+    ? data.meta.schemaVersion
+    : 0;
+}
+
+/**
+ * Get the migrations that still have to run on tasks data
+ * @param {Object} data - Tasks data
+ * @returns {Array<{version: number, description: string}>} Pending migrations, in order
+ */
+function getPendingMigrations(data) {
+  const version = getSchemaVersion(data);
+  return MIGRATIONS.filter((migration) => migration.version > version).map(
+    ({ version: migrationVersion, description }) => ({
+      version: migrationVersion,
+      description,
+    }),
+  );
+}
+
+/**
+ * Upgrade tasks data to the current schema version. Data that is already
+ * current is returned as is; otherwise a migrated copy is returned.
+ * @param {Object|null} data - Single-list or tagged tasks data
+ * @returns {Object|null} Data at the current schema version
+ * @throws {Error} If the data was written by a newer LM-Tasker
+ */
+function migrateTasksData(data) {
+  if (!isTasksData(data)) {
+    return data;
+  }
+
+  const version = getSchemaVersion(data);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Tasks file has schema version ${version}, but this version of LM-Tasker only supports up to ${CURRENT_SCHEMA_VERSION}. Upgrade LM-Tasker to use it.`,
+    );
+  }
+  if (version === CURRENT_SCHEMA_VERSION) {
+    return data;
+  }
+
+  const migrated = structuredClone(data);
+  for (const migration of MIGRATIONS) {
+    if (migration.version > version) {
+      migration.migrate(migrated);
+    }
+  }
+  migrated.meta = { ...migrated.meta, schemaVersion: CURRENT_SCHEMA_VERSION };
+  return migrated;
+}
+
+/**
+ * Check tasks data against the schema
+ * @param {Object} data - Single-list or tagged tasks data (parsed JSON)
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.statuses] - Valid statuses (defaults to the built-in ones)
+ * @returns {Array<{path: Array<string|number>, message: string}>} Violations (empty if valid)
+ */
+function validateTasksData(data, options = {}) {
+  if (!isTasksData(data)) {
+    return [
+      {
+        path: [],
+        message: 'Expected a "tasks" array or a "tags" object at the top level',
+      },
+    ];
+  }
+
+  const issues = [];
+  const collect = (result, pathPrefix) => {
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        issues.push({
+          path: [...pathPrefix, ...issue.path],
+          message: issue.message,
+        });
+      }
+    }
+  };
+
+  if (data.meta !== undefined) {
+    collect(MetaSchema.safeParse(data.meta), ["meta"]);
+  }
+  if (isTaggedData(data)) {
+    for (const [tag, tagData] of Object.entries(data.tags)) {
+      collect(TagSchema.safeParse(tagData), ["tags", tag]);
+    }
+  }
+  const listSchema = options.statuses
+    ? createTaskListSchema(options.statuses)
+    : TaskListSchema;
+  forEachTaskList(data, (tasks, listPath) =>
+    collect(listSchema.safeParse(tasks), listPath),
+  );
+
+  // IDs must be unique among tasks, and among the subtasks of one task.
+  // Checked separately so duplicates are reported next to other violations.
+  const seenIds = new Map();
+  forEachTask(data, (item, itemPath, parent) => {
+    const scope = itemPath.slice(0, -1).join(".");
+    if (!seenIds.has(scope)) {
+      seenIds.set(scope, new Set());
+    }
+    if (seenIds.get(scope).has(item.id)) {
+      issues.push({
+        path: [...itemPath, "id"],
+        message: `Duplicate ${parent ? "subtask" : "task"} ID ${item.id}`,
+      });
+    }
+    seenIds.get(scope).add(item.id);
+  });
+  return issues;
+}
+
+// Status spellings that map onto a built-in status
+const STATUS_ALIASES = {
+  completed: "done",
+  complete: "done",
+  finished: "done",
+  closed: "done",
+  todo: "pending",
+  open: "pending",
+  new: "pending",
+  inprogress: "in-progress",
+  in_progress: "in-progress",
+  "in progress": "in-progress",
+  active: "in-progress",
+  started: "in-progress",
+  canceled: "cancelled",
+  postponed: "deferred",
+};
+
+/**
+ * Repair the schema violations that have an unambiguous fix, in place.
+ * Violations without one (e.g. duplicate IDs) are left for the user.
+ * @param {Object} data - Single-list or tagged tasks data at the current schema version
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.statuses] - Valid statuses (defaults to the built-in ones); unknown statuses become "pending", or the first status if there is no "pending"
+ * @returns {Array<{path: Array<string|number>, message: string}>} The repairs made
+ */
+function repairTasksData(data, options = {}) {
+  const statuses = options.statuses || TASK_STATUS_OPTIONS;
+  const fallbackStatus = statuses.includes("pending") ? "pending" : statuses[0];
+  const repairs = [];
+  const repair = (path, message) => repairs.push({ path, message });
+
+  forEachTaskList(data, (tasks, listPath) => {
+    if (!Array.isArray(tasks)) {
+      const container = isTaggedData(data) ? data.tags[listPath[1]] : data;
+      container.tasks = [];
+      repair(listPath, "Replaced invalid task list with an empty list");
+    }
+  });
+
+  forEachTask(data, (item, itemPath, parent) => {
+    const label = parent ? "subtask" : "task";
+
+    const id = toNumericId(item.id);
+    if (id !== item.id) {
+      repair(
+        [...itemPath, "id"],
+        `Converted ID ${JSON.stringify(item.id)} to a number`,
+      );
+      item.id = id;
+    }
+
+    if (!statuses.includes(item.status)) {
+      const normalized =
+        typeof item.status === "string" ? item.status.trim().toLowerCase() : "";
+      const alias = STATUS_ALIASES[normalized];
+      const status = statuses.includes(normalized)
+        ? normalized
+        : statuses.includes(alias)
+          ? alias
+          : fallbackStatus;
+      repair(
+        [...itemPath, "status"],
+        `Changed status ${JSON.stringify(item.status)} to "${status}"`,
+      );
+      item.status = status;
+    }
+
+    if (typeof item.title !== "string" || item.title.trim() === "") {
+      const title = `Untitled ${label} ${item.id}`;
+      repair([...itemPath, "title"], `Set missing title to "${title}"`);
+      item.title = title;
+    }
+
+    if (!parent && typeof item.description !== "string") {
+      repair([...itemPath, "description"], 'Set missing description to ""');
+      item.description = "";
+    }
+
+    for (const field of ["details", "testStrategy", "description"]) {
+      if (item[field] === null) {
+        repair([...itemPath, field], `Removed null ${field}`);
+        delete item[field];
+      }
+    }
+
+    if (
+      item.priority !== undefined &&
+      !PRIORITY_OPTIONS.includes(item.priority)
+    ) {
+      const normalized =
+        typeof item.priority === "string"
+          ? item.priority.trim().toLowerCase()
+          : "";
+      const priority = PRIORITY_OPTIONS.includes(normalized)
+        ? normalized
+        : "medium";
+      repair(
+        [...itemPath, "priority"],
+        `Changed priority ${JSON.stringify(item.priority)} to "${priority}"`,
+      );
+      item.priority = priority;
+    }
+
+    if (item.dependencies === undefined && !parent) {
+      repair([...itemPath, "dependencies"], "Added missing dependencies list");
+      item.dependencies = [];
+    } else if (item.dependencies !== undefined) {
+      if (!Array.isArray(item.dependencies)) {
+        repair(
+          [...itemPath, "dependencies"],
+          "Replaced invalid dependencies with an empty list",
+        );
+        item.dependencies = [];
+      } else {
+        const dependencies = item.dependencies.map(toNumericId);
+        const valid = dependencies.filter(
+          (dep) => DependencySchema.safeParse(dep).success,
+        );
+        if (valid.length !== dependencies.length) {
+          repair(
+            [...itemPath, "dependencies"],
+            `Removed invalid dependencies ${JSON.stringify(dependencies.filter((dep) => !valid.includes(dep)))}`,
+          );
+        } else if (
+          !dependencies.every((dep, i) => dep === item.dependencies[i])
+        ) {
+          repair(
+            [...itemPath, "dependencies"],
+            "Converted numeric string dependencies to numbers",
+          );
+        }
+        item.dependencies = valid;
+      }
+    }
+
+    if (
+      !parent &&
+      item.subtasks !== undefined &&
+      !Array.isArray(item.subtasks)
+    ) {
+      repair(
+        [...itemPath, "subtasks"],
+        "Replaced invalid subtasks with an empty list",
+      );
+      item.subtasks = [];
+    }
+  });
+
+  return repairs;
+}
+
+export {
+  CURRENT_SCHEMA_VERSION,
+  PRIORITY_OPTIONS,
+  TaskSchema,
+  SubtaskSchema,
+  TaskListSchema,
+  MIGRATIONS,
+  STATUS_ALIASES,
+  getSchemaVersion,
+  getPendingMigrations,
+  migrateTasksData,
+  validateTasksData,
+  repairTasksData,
+};
@@ -0,0 +1,322 @@
+/**
+ * time-tracking.js
+ * Time entries on tasks and subtasks: timers, logged time, totals and reports
+ *
+ * Tasks and subtasks keep their entries in `timeEntries`:
+ *   { start, end, seconds, source, note? }
+ * `start` and `end` are ISO timestamps and `source` is "timer" or "log". A
+ * running timer is an entry whose `end` is null; its `seconds` are filled in
+ * when it stops. A task's total includes the time of its subtasks.
+ */
+
+// Periods a time report can be grouped by
+const TIME_REPORT_PERIODS = ["day", "week"];
+
+const DURATION_UNITS = { d: 8 * 3600, h: 3600, m: 60, s: 1 };
+
+/**
+ * Parse a duration such as "1h30m", "1h 30m", "90m", "1.5h", "1:30" or
+ * "45" (minutes). A day ("d") is eight working hours.
+ * @param {string|number} text - Duration
+ * @returns {number} Duration in seconds
+ * @throws {Error} If the duration cannot be parsed or is not positive
+ */
+function parseDuration(text) {
+  const value = String(text ?? "")
+    .trim()
+    .toLowerCase();
+  let seconds = null;
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    seconds = Number(value) * 60;
+  } else if (/^\d+:[0-5]\d$/.test(value)) {
+    const [hours, minutes] = value.split(":").map(Number);
+    seconds = hours * 3600 + minutes * 60;
+  } else if (/^(\s*\d+(\.\d+)?\s*[dhms])+$/.test(value)) {
+    seconds = 0;
+    for (const [, amount, unit] of value.matchAll(
+      /(\d+(?:\.\d+)?)\s*([dhms])/g,
+    )) {
+      seconds += Number(amount) * DURATION_UNITS[unit];
+    }
+  }
+
+  if (seconds === null || seconds <= 0) {
+    throw new Error(
+      `Invalid duration "${text}". Use e.g. 1h30m, 45m, 1.5h or 1:30`,
+    );
+  }
+  return Math.round(seconds);
+}
+
+/**
+ * Format a duration for display, e.g. "1h 30m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  if (seconds > 0 && seconds < 60) {
+    return "<1m";
+  }
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) {
+    return `${minutes}m`;
+  }
+  return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+}
+
+/**
+ * Find a task or subtask by ID
+ * @param {Array} tasks - Tasks of one tag
+ * @param {string|number} id - Task ID or "parentId.subtaskId"
+ * @returns {{item: Object, parent: Object|null, id: string}|null} The task or subtask and its parent
+ */
+function findTrackedItem(tasks, id) {
+  const [taskId, subtaskId] = String(id).trim().split(".").map(Number);
+  const task = tasks.find((candidate) => candidate.id === taskId);
+  if (!task) {
+    return null;
+  }
+  if (subtaskId === undefined) {
+    return { item: task, parent: null, id: String(taskId) };
+  }
+  const subtask = (task.subtasks || []).find(
+    (candidate) => candidate.id === subtaskId,
+  );
+  return subtask
+    ? { item: subtask, parent: task, id: `${taskId}.${subtaskId}` }
+    : null;
+}
+
+/**
+ * Get the running timer of a task or subtask
+ * @param {Object} item - Task or subtask
+ * @returns {Object|null} The running entry, or null
+ */
+function getRunningEntry(item) {
+  return (item.timeEntries || []).find((entry) => entry.end === null) || null;
+}
+
+/**
+ * Start a timer on a task or subtask, in place
+ * @param {Object} item - Task or subtask
+ * @param {Date} [now] - Start time
+ * @returns {Object|null} The new entry, or null if a timer is already running
+ */
+function startTimer(item, now = new Date()) {
+  if (getRunningEntry(item)) {
+    return null;
+  }
+  const entry = {
+    start: now.toISOString(),
+    end: null,
+    seconds: 0,
+    source: "timer",
+  };
+  item.timeEntries = [...(item.timeEntries || []), entry];
+  return entry;
+}
+
+/**
+ * Stop the running timer of a task or subtask, in place
+ * @param {Object} item - Task or subtask
+ * @param {Date} [now] - Stop time
+ * @returns {Object|null} The stopped entry, or null if no timer was running
+ */
+function stopTimer(item, now = new Date()) {
+  const entry = getRunningEntry(item);
+  if (!entry) {
+    return null;
+  }
+  entry.end = now.toISOString();
+  entry.seconds = Math.max(
+    0,
+    Math.round((now.getTime() - Date.parse(entry.start)) / 1000),
+  );
+  return entry;
+}
+
+/**
+ * Add logged time to a task or subtask, in place
+ * @param {Object} item - Task or subtask
+ * @param {number} seconds - Duration in seconds
+ * @param {Object} options - Options
+ * @param {Date} [options.date] - When the work was done (default: ending now)
+ * @param {string} [options.note] - Note for the entry
+ * @param {Date} [options.now] - Current time
+ * @returns {Object} The new entry
+ */
+function logTime(item, seconds, options = {}) {
+  const start = options.date
+    ? options.date
+    : new Date((options.now || new Date()).getTime() - seconds * 1000);
+  const entry = {
+    start: start.toISOString(),
+    end: new Date(start.getTime() + seconds * 1000).toISOString(),
+    seconds,
+    source: "log",
+    ...(options.note && { note: options.note }),
+  };
+  item.timeEntries = [...(item.timeEntries || []), entry];
+  return entry;
+}
+
+// Seconds of an entry; a running timer counts up to now
+const getEntrySeconds = (entry, now = new Date()) =>
+  entry.end === null
+    ? Math.max(0, Math.round((now.getTime() - Date.parse(entry.start)) / 1000))
+    : entry.seconds || 0;
+
+/**
+ * Total tracked time of a task, including its subtasks
+ * @param {Object} task - Task or subtask
+ * @param {Date} [now] - Current time, for running timers
+ * @returns {{own: number, subtasks: number, total: number, running: boolean}} Totals in seconds
+ */
+function getTimeTotals(task, now = new Date()) {
+  const sum = (item) =>
+    (item.timeEntries || []).reduce(
+      (total, entry) => total + getEntrySeconds(entry, now),
+      0,
+    );
+  const own = sum(task);
+  const subtasks = (task.subtasks || []).reduce(
+    (total, subtask) => total + sum(subtask),
+    0,
+  );
+  return {
+    own,
+    subtasks,
+    total: own + subtasks,
+    running:
+      !!getRunningEntry(task) ||
+      (task.subtasks || []).some((subtask) => !!getRunningEntry(subtask)),
+  };
+}
+
+// Local calendar date, e.g. "2026-10-18"
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Monday of the week a date falls in
+function startOfWeek(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+}
+
+/**
+ * Parse a local calendar date
+ * @param {string} text - Date as YYYY-MM-DD
+ * @returns {Date|null} Local midnight of that day, or null if the date is invalid
+ */
+function parseDateKey(text) {
+  const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), match[2] - 1, Number(match[3]));
+  return date.getMonth() === match[2] - 1 && date.getDate() === Number(match[3])
+    ? date
+    : null;
+}
+
+/**
+ * Group tracked time by day or week. Each entry counts on the day (or week)
+ * it started; running timers count up to now.
+ * @param {Array} tasks - Tasks of one tag
+ * @param {Object} options - Options
+ * @param {string} [options.by="day"] - One of TIME_REPORT_PERIODS
+ * @param {string} [options.since] - First day to include (YYYY-MM-DD)
+ * @param {string} [options.until] - Last day to include (YYYY-MM-DD)
+ * @param {Date} [options.now] - Current time
+ * @returns {{by: string, since: string|null, until: string|null, totalSeconds: number, periods: Array}} The report, periods oldest first
+ * @throws {Error} On an unknown period or an invalid date
+ */
+function buildTimeReport(tasks, options = {}) {
+  const by = options.by || "day";
+  if (!TIME_REPORT_PERIODS.includes(by)) {
+    throw new Error(
+      `Unknown report period "${by}". Use one of: ${TIME_REPORT_PERIODS.join(", ")}`,
+    );
+  }
+  for (const option of ["since", "until"]) {
+    if (options[option] && !parseDateKey(options[option])) {
+      throw new Error(
+        `Invalid --${option} date "${options[option]}". Use YYYY-MM-DD`,
+      );
+    }
+  }
+  const now = options.now || new Date();
+
+  const periods = new Map();
+  const add = (id, title, entry) => {
+    const start = new Date(entry.start);
+    const day = toDateKey(start);
+    if (
+      (options.since && day < options.since) ||
+      (options.until && day > options.until)
+    ) {
+      return;
+    }
+    const key = by === "day" ? day : toDateKey(startOfWeek(start));
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, totalSeconds: 0, tasks: new Map() });
+    }
+    const period = periods.get(key);
+    const seconds = getEntrySeconds(entry, now);
+    period.totalSeconds += seconds;
+    if (!period.tasks.has(id)) {
+      period.tasks.set(id, { id, title, seconds: 0, running: false });
+    }
+    period.tasks.get(id).seconds += seconds;
+    period.tasks.get(id).running ||= entry.end === null;
+  };
+
+  for (const task of tasks) {
+    (task.timeEntries || []).forEach((entry) =>
+      add(String(task.id), task.title, entry),
+    );
+    for (const subtask of task.subtasks || []) {
+      (subtask.timeEntries || []).forEach((entry) =>
+        add(`${task.id}.${subtask.id}`, subtask.title, entry),
+      );
+    }
+  }
+
+  const sorted = [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map((period) => ({
+      ...period,
+      tasks: [...period.tasks.values()].sort((a, b) => b.seconds - a.seconds),
+    }));
+
+  return {
+    by,
+    since: options.since || null,
+    until: options.until || null,
+    totalSeconds: sorted.reduce(
+      (total, period) => total + period.totalSeconds,
+      0,
+    ),
+    periods: sorted,
+  };
+}
+
+export {
+  TIME_REPORT_PERIODS,
+  parseDuration,
+  formatDuration,
+  findTrackedItem,
+  getRunningEntry,
+  startTimer,
+  stopTimer,
+  logTime,
+  getEntrySeconds,
+  getTimeTotals,
+  toDateKey,
+  startOfWeek,
+  parseDateKey,
+  buildTimeReport,
+};
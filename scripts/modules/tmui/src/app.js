@@ -16,6 +16,7 @@ import { StatusModal } from "./components/StatusModal.js";
 import { KeyHandlers } from "./utils/keyHandlers.js";
 import { getTheme } from "./styles/theme.js";
 import { logger } from "./utils/logger.js";
+import { filterTasks, TaskQueryError } from "../../task-query.js";
 
 export class TUIApp {
   constructor(options = {}) {
@@ -48,6 +49,7 @@ export class TUIApp {
     this.tasks = [];
     this.currentTaskIndex = 0;
     this.searchQuery = "";
+    this.searchError = null; // Why the current search is not a valid filter
     this.filteredTasks = [];
     this.searchResultIndex = 0; // Track current search result for n/N navigation
 
@@ -139,6 +141,7 @@ export class TUIApp {
     this.jsonLoader = new JsonLoader({
       projectRoot: this.options.projectRoot,
       tasksFile: this.options.tasksFile,
+      tag: this.options.tag,
     });
 
     // Set up tasks file path for auto-refresh
@@ -378,6 +381,7 @@ export class TUIApp {
    */
   clearSearch() {
     this.searchQuery = "";
+    this.searchError = null;
     this.searchResultIndex = 0;
     this.filteredTasks = [...this.tasks];
     this.currentTaskIndex = 0;
@@ -388,21 +392,27 @@ export class TUIApp {
   }
 
   /**
-   * Perform search on tasks
+   * Perform search on tasks. The query is a filter expression (see
+   * task-query.js); plain words search the title, description and details.
+   * While the query is not a valid filter (e.g. half-typed), the previous
+   * results stay in place.
    */
   performSearch(query) {
-    this.searchQuery = query.toLowerCase();
+    this.searchQuery = query.trim();
 
-    if (!this.searchQuery) {
-      this.filteredTasks = [...this.tasks];
-    } else {
-      this.filteredTasks = this.tasks.filter(
-        (task) =>
-          task.title.toLowerCase().includes(this.searchQuery) ||
-          task.description.toLowerCase().includes(this.searchQuery) ||
-          (task.details &&
-            task.details.toLowerCase().includes(this.searchQuery)),
+    try {
+      this.filteredTasks = filterTasks(
+        this.tasks,
+        this.searchQuery,
+        this.tasks,
+        this.jsonLoader.getWorkflow(),
       );
+      this.searchError = null;
+    } catch (error) {
+      if (!(error instanceof TaskQueryError)) {
+        throw error;
+      }
+      this.searchError = error.message;
     }
 
     this.currentTaskIndex = 0;
@@ -559,6 +569,34 @@ export class TUIApp {
     }
   }
 
+  /**
+   * Switch to the next tag (task list) in the tasks file
+   */
+  async switchTag() {
+    const tagNames = this.jsonLoader.getTagNames();
+    if (tagNames.length < 2) {
+      this.taskListScreen.statusBar.setMessage(
+        "No other tags. Create one with: lm-tasker tags add <name>",
+        3000,
+      );
+      return;
+    }
+
+    const currentIndex = tagNames.indexOf(this.jsonLoader.getCurrentTag());
+    const nextTag = tagNames[(currentIndex + 1) % tagNames.length];
+    this.jsonLoader.setTag(nextTag);
+
+    // Task IDs are per tag, so start at the top of the new list
+    this.currentTaskIndex = 0;
+    await this.refresh();
+    this.taskListScreen.setSelectedIndex(0);
+    this.taskListScreen.updateDisplay();
+    this.taskListScreen.statusBar.setMessage(
+      `Switched to tag "${nextTag}"`,
+      2000,
+    );
+  }
+
   /**
    * Show status update modal for the current task
    */
@@ -569,9 +607,21 @@ export class TUIApp {
       return;
     }
 
-    this.statusModal.show(currentTask, async (newStatus) => {
-      await this.updateTaskStatus(currentTask.id, newStatus);
-    });
+    let workflow;
+    try {
+      workflow = this.jsonLoader.getWorkflow();
+    } catch (error) {
+      this.showError(`Cannot load the workflow: ${error.message}`);
+      return;
+    }
+
+    this.statusModal.show(
+      currentTask,
+      async (newStatus) => {
+        await this.updateTaskStatus(currentTask.id, newStatus);
+      },
+      workflow,
+    );
   }
 
   /**
@@ -586,7 +636,10 @@ export class TUIApp {
       );
 
       // Update via JSON loader
-      await this.jsonLoader.updateTaskStatus(taskId, newStatus);
+      const updated = await this.jsonLoader.updateTaskStatus(taskId, newStatus);
+      if (!updated) {
+        throw new Error(this.jsonLoader.lastError || "unknown error");
+      }
 
       // Refresh the task list to show the change
       await this.refresh();
@@ -114,7 +114,7 @@ export class StatusBar {
     ) {
       return ` {bold}j/k{/}: nav subtasks │ {bold}s{/}: status │ {bold}1/2/3{/}: focus P/S/D │ {bold}ESC/q{/}: back${autoRefreshIndicator} `;
     } else {
-      return ` {bold}j/k{/}: up/down │ {bold}s{/}: status │ {bold}/{/}: search │ {bold}Enter{/}: details │ {bold}r{/}: refresh │ {bold}q{/}: quit │ {bold}?{/}: help${autoRefreshIndicator} `;
+      return ` {bold}j/k{/}: up/down │ {bold}s{/}: status │ {bold}/{/}: search │ {bold}Enter{/}: details │ {bold}r{/}: refresh │ {bold}t{/}: tag │ {bold}q{/}: quit │ {bold}?{/}: help${autoRefreshIndicator} `;
     }
   }
 
@@ -1,9 +1,24 @@
 /**
  * Status Modal Component
- * Modal dialog for selecting task status
+ * Modal dialog for selecting task status. Only the statuses the project
+ * workflow allows from the task's current status are offered.
  */
 
 import blessed from "blessed";
+import { getAllowedTransitions } from "../../../workflow.js";
+
+// Colors of the built-in statuses when the workflow does not set one
+const DEFAULT_STATUS_COLORS = {
+  pending: "yellow",
+  "in-progress": "blue",
+  done: "green",
+  review: "magenta",
+  cancelled: "red",
+  deferred: "gray",
+};
+
+// Most quick-select keys: 1-9
+const MAX_QUICK_SELECT = 9;
 
 export class StatusModal {
   constructor(app) {
@@ -13,18 +28,36 @@ export class StatusModal {
     this.isVisible = false;
     this.onStatusSelected = null;
     this.currentTask = null;
-
-    this.statusOptions = [
-      { value: "pending", label: "Pending", color: "yellow" },
-      { value: "in-progress", label: "In Progress", color: "blue" },
-      { value: "done", label: "Done", color: "green" },
-      { value: "cancelled", label: "Cancelled", color: "red" },
-      { value: "deferred", label: "Deferred", color: "gray" },
-    ];
+    this.statusOptions = [];
+    this.instructions = null;
 
     this.createModal();
   }
 
+  /**
+   * Build the options for a task: its current status and the statuses it
+   * can move to, in workflow order
+   * @param {Object} task - Task or subtask
+   * @param {Object} workflow - Workflow from getWorkflow
+   * @returns {Array<{value: string, label: string, color: string}>} Options
+   */
+  buildStatusOptions(task, workflow) {
+    const current = task.status || "pending";
+    const allowed = getAllowedTransitions(current, workflow);
+    return workflow.statuses
+      .filter(
+        (status) => status.name === current || allowed.includes(status.name),
+      )
+      .map((status) => ({
+        value: status.name,
+        label: status.name
+          .split("-")
+          .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+          .join(" "),
+        color: status.color || DEFAULT_STATUS_COLORS[status.name] || "white",
+      }));
+  }
+
   /**
    * Create the modal components
    */
@@ -73,19 +106,17 @@ export class StatusModal {
           fg: this.app.theme.text,
         },
       },
-      items: this.statusOptions.map(
-        (option) => `{${option.color}-fg}${option.label}{/}`,
-      ),
+      items: [],
     });
 
     // Instructions
-    const instructions = blessed.text({
+    this.instructions = blessed.text({
       parent: this.modal,
       bottom: 0,
       left: 1,
       width: "100%-2",
       height: 1,
-      content: "Enter: Select  1-5: Quick select  ESC: Cancel",
+      content: "",
       style: {
         fg: "gray",
       },
@@ -114,25 +145,11 @@ export class StatusModal {
     });
 
     // Handle number keys for quick selection
-    this.list.key(["1"], () => {
-      this.selectStatus(0);
-    });
-
-    this.list.key(["2"], () => {
-      this.selectStatus(1);
-    });
-
-    this.list.key(["3"], () => {
-      this.selectStatus(2);
-    });
-
-    this.list.key(["4"], () => {
-      this.selectStatus(3);
-    });
-
-    this.list.key(["5"], () => {
-      this.selectStatus(4);
-    });
+    for (let index = 0; index < MAX_QUICK_SELECT; index++) {
+      this.list.key([String(index + 1)], () => {
+        this.selectStatus(index);
+      });
+    }
 
     // Handle selection event
     this.list.on("select", (item, index) => {
@@ -142,11 +159,28 @@ export class StatusModal {
 
   /**
    * Show the modal for a specific task
+   * @param {Object} task - Task or subtask
+   * @param {Function} onStatusSelected - Called with the selected status
+   * @param {Object} workflow - Workflow from getWorkflow
    */
-  show(task, onStatusSelected) {
+  show(task, onStatusSelected, workflow) {
     this.currentTask = task;
     this.onStatusSelected = onStatusSelected;
 
+    this.statusOptions = this.buildStatusOptions(task, workflow);
+    this.list.setItems(
+      this.statusOptions.map(
+        (option) => `{${option.color}-fg}${option.label}{/}`,
+      ),
+    );
+    this.modal.height = this.statusOptions.length + 7;
+    const quickSelect = Math.min(this.statusOptions.length, MAX_QUICK_SELECT);
+    this.instructions.setContent(
+      this.statusOptions.length > 1
+        ? `Enter: Select  1-${quickSelect}: Quick select  ESC: Cancel`
+        : "No status changes allowed  ESC: Cancel",
+    );
+
     // Update modal label with task info
     this.modal.setLabel(
       ` Update Status - Task #${task.id}: ${task.title.substring(0, 20)}... `,
@@ -202,8 +236,9 @@ export class StatusModal {
   selectStatus(index) {
     if (index >= 0 && index < this.statusOptions.length) {
       const selectedStatus = this.statusOptions[index];
+      const currentStatus = this.currentTask?.status || "pending";
 
-      if (this.onStatusSelected) {
+      if (this.onStatusSelected && selectedStatus.value !== currentStatus) {
         this.onStatusSelected(selectedStatus.value);
       }
 
@@ -4,6 +4,7 @@
  */
 
 import blessed from "blessed";
+import { getQueryTextTerms } from "../../../task-query.js";
 
 export class TaskTable {
   constructor(screen) {
@@ -254,7 +255,10 @@ export class TaskTable {
 
     // Apply search highlighting if there's an active search query
     if (this.app.searchQuery) {
-      titleText = this.highlightSearchTerms(titleText, this.app.searchQuery);
+      titleText = this.highlightSearchTerms(
+        titleText,
+        getQueryTextTerms(this.app.searchQuery),
+      );
     }
 
     return `${idCol} ${statusCol} ${priorityCol} ${titleText}`;
@@ -309,16 +313,18 @@ export class TaskTable {
   /**
    * Highlight search terms in text using blessed.js tags
    */
-  highlightSearchTerms(text, searchQuery) {
-    if (!searchQuery || !text) {
+  highlightSearchTerms(text, terms) {
+    if (!terms || terms.length === 0 || !text) {
       return text;
     }
 
-    // Escape special regex characters in search query
-    const escapedQuery = searchQuery.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    // Escape special regex characters in the search terms
+    const escapedTerms = terms.map((term) =>
+      term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    );
 
     // Create case-insensitive regex
-    const regex = new RegExp(`(${escapedQuery})`, "gi");
+    const regex = new RegExp(`(${escapedTerms.join("|")})`, "gi");
 
     // Replace matches with highlighted version
     return text.replace(regex, "{black-bg}{white-fg}$1{/white-fg}{/black-bg}");
@@ -7,6 +7,7 @@ import { program } from "commander";
 import { TUIApp } from "./app.js";
 import { getLmTaskerVersion } from "../../../../src/utils/getVersion.js";
 import { findProjectRoot } from "../../utils.js";
+import { getTasksFile } from "../../config-manager.js";
 import chalk from "chalk";
 
 /**
@@ -48,7 +49,8 @@ export function registerTUICommand(programInstance) {
         // Initialize and start the TUI application
         const app = new TUIApp({
           projectRoot,
-          tasksFile: options.file,
+          tasksFile: options.file || getTasksFile(projectRoot),
+          tag: options.tag,
           theme: options.theme,
           refreshInterval: parseInt(options.refreshInterval, 10),
           autoRefresh: options.autoRefresh !== false, // Default to true unless --no-auto-refresh is used
@@ -6,6 +6,7 @@
 import blessed from "blessed";
 import { StatusBar } from "../components/StatusBar.js";
 import { logger } from "../utils/logger.js";
+import { formatDuration, getTimeTotals } from "../../../time-tracking.js";
 
 export class TaskDetailScreen {
   constructor(app, options = {}) {
@@ -540,7 +541,16 @@ export class TaskDetailScreen {
       lines.push(`{bold}Dependencies:{/bold} ${depText}`);
     }
 
+    const timeLine = this.getTimeTrackedLine(this.task);
+    if (timeLine) {
+      lines.push(timeLine);
+    }
+    if (this.task.branch) {
+      lines.push(`{bold}Branch:{/bold} ${this.task.branch}`);
+    }
+
     lines.push("");
+    lines.push(...this.getLinkedCommitLines(this.task));
 
     // Description
     if (this.task.description) {
@@ -676,7 +686,16 @@ export class TaskDetailScreen {
       lines.push(`{bold}Dependencies:{/bold} None`);
     }
 
+    const timeLine = this.getTimeTrackedLine(subtask);
+    if (timeLine) {
+      lines.push(timeLine);
+    }
+    if (subtask.branch) {
+      lines.push(`{bold}Branch:{/bold} ${subtask.branch}`);
+    }
+
     lines.push("");
+    lines.push(...this.getLinkedCommitLines(subtask));
 
     // Description
     if (subtask.description) {
@@ -784,6 +803,48 @@ export class TaskDetailScreen {
     this.container.once("keypress", secondGHandler);
   }
 
+  /**
+   * Get the tracked time line for a task or subtask
+   * @param {Object} item - Task or subtask
+   * @returns {string|null} The line, or null when no time has been tracked
+   */
+  getTimeTrackedLine(item) {
+    const totals = getTimeTotals(item);
+    if (totals.total === 0 && !totals.running) {
+      return null;
+    }
+    let line = `{bold}Time Tracked:{/bold} ${formatDuration(totals.total)}`;
+    if (totals.subtasks > 0) {
+      line += ` (${formatDuration(totals.subtasks)} in subtasks)`;
+    }
+    if (totals.running) {
+      line += " {green-fg}● timer running{/green-fg}";
+    }
+    return line;
+  }
+
+  /**
+   * Get the lines listing the git commits linked to a task or subtask
+   * @param {Object} item - Task or subtask
+   * @returns {string[]} The lines, newest commit first, or none without linked commits
+   */
+  getLinkedCommitLines(item) {
+    const commits = item.commits || [];
+    if (commits.length === 0) {
+      return [];
+    }
+    return [
+      `{bold}Linked Commits:{/bold}`,
+      ...[...commits]
+        .reverse()
+        .map(
+          (commit) =>
+            `{yellow-fg}${commit.hash.slice(0, 7)}{/yellow-fg} ${blessed.escape(commit.subject)}`,
+        ),
+      "",
+    ];
+  }
+
   /**
    * Get priority display with color
    */
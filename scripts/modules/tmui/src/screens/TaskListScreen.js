@@ -112,9 +112,9 @@ export class TaskListScreen {
     const totalTasks = this.app.tasks.length;
     const filteredCount = tasks.length;
 
-    let headerText = ` LM-Tasker TUI `;
+    let headerText = ` LM-Tasker TUI - Tag: ${this.app.jsonLoader.getCurrentTag()} `;
     if (this.app.searchQuery) {
-      headerText += `- Search: "${this.app.searchQuery}" (${filteredCount}/${totalTasks}) `;
+      headerText += `- Search: "${this.app.searchQuery}" (${filteredCount}/${totalTasks}${this.app.searchError ? ", invalid filter" : ""}) `;
     } else {
       headerText += `[${totalTasks} tasks] `;
     }
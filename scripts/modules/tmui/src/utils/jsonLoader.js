@@ -7,6 +7,21 @@ import fs from "fs";
 import path from "path";
 import { exec } from "child_process";
 import { promisify } from "util";
+import {
+  writeJSON,
+  enableSilentMode,
+  disableSilentMode,
+} from "../../../utils.js";
+import { runJournalOperation } from "../../../journal.js";
+import { getTasksWorkflow } from "../../../workflow.js";
+import updateSingleTaskStatus from "../../../task-manager/update-single-task-status.js";
+import {
+  getCurrentTag,
+  getTagNames,
+  getTagView,
+  runWithTag,
+  writeTagState,
+} from "../../../tag-manager.js";
 
 export class JsonLoader {
   constructor(options = {}) {
@@ -14,17 +29,60 @@ export class JsonLoader {
     this.tasksFile =
       options.tasksFile || path.join(this.projectRoot, "tasks", "tasks.json");
     this.debug = options.debug || false;
+    // Tag (task list) selected in the TUI; null follows the current tag
+    this.tag = options.tag || null;
+    // Why the last updateTaskStatus call failed, for display in the TUI
+    this.lastError = null;
   }
 
   /**
-   * Read and parse the tasks.json file
+   * Read the tasks file without selecting a tag
+   * @private
+   * @returns {Object} Parsed JSON data
+   */
+  readRawTasksJson() {
+    return JSON.parse(fs.readFileSync(this.tasksFile, "utf8"));
+  }
+
+  /**
+   * Get the tag the TUI is showing
+   * @param {Object} [data] - Parsed tasks data, if already read
+   * @returns {string} Tag name
+   */
+  getCurrentTag(data) {
+    return this.tag || getCurrentTag(this.tasksFile, data);
+  }
+
+  /**
+   * Get the names of all tags in the tasks file
+   * @returns {string[]} Tag names (empty if the file cannot be read)
+   */
+  getTagNames() {
+    try {
+      return getTagNames(this.readRawTasksJson());
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Switch the TUI to another tag and save it as the current tag
+   * @param {string} tag - Tag name
+   */
+  setTag(tag) {
+    this.tag = tag;
+    writeTagState(this.tasksFile, tag);
+  }
+
+  /**
+   * Read and parse the tasks.json file, returning the tasks of the current tag
    * @private
    * @returns {Object|null} Parsed JSON data or null if error occurs
    */
   readTasksJson() {
     try {
-      const rawData = fs.readFileSync(this.tasksFile, "utf8");
-      return JSON.parse(rawData);
+      const data = this.readRawTasksJson();
+      return getTagView(data, this.getCurrentTag(data), this.tasksFile);
     } catch (error) {
       console.error(
         `Error reading JSON file ${this.tasksFile}:`,
@@ -134,58 +192,60 @@ export class JsonLoader {
   }
 
   /**
-   * Update task status
+   * Get the workflow (statuses and allowed transitions) of the project
+   * @returns {Object} Workflow from getWorkflow
+   * @throws {Error} If the project config is invalid
+   */
+  getWorkflow() {
+    return getTasksWorkflow(this.tasksFile);
+  }
+
+  /**
+   * Update task status. Goes through the same path as set-status, so the
+   * workflow's transitions and roll-up rules apply; a roll-up that would ask
+   * about open subtasks is refused instead.
    * @param {string|number} taskId - The task ID to update
    * @param {string} newStatus - The new status to set
-   * @returns {Promise<boolean>} Success or failure
+   * @returns {Promise<boolean>} Success or failure; on failure the reason is in lastError
    */
   async updateTaskStatus(taskId, newStatus) {
+    this.lastError = null;
     try {
       const data = this.readTasksJson();
       if (!data || !data.tasks) {
         throw new Error(`No valid tasks found in ${this.tasksFile}`);
       }
 
-      // Parse task ID to handle both numeric and string IDs
-      const isSubtask = String(taskId).includes(".");
-
-      if (isSubtask) {
-        // Handle subtask ID (e.g., "1.2")
-        const [parentId, subtaskId] = String(taskId).split(".").map(Number);
-        const parentTaskIndex = data.tasks.findIndex((t) => t.id === parentId);
-
-        if (parentTaskIndex === -1 || !data.tasks[parentTaskIndex].subtasks) {
-          throw new Error(`Task ${parentId} or its subtasks not found`);
-        }
-
-        const subtaskIndex = data.tasks[parentTaskIndex].subtasks.findIndex(
-          (s) => s.id === subtaskId,
+      // Keep the core's log output off the TUI screen
+      enableSilentMode();
+      try {
+        await updateSingleTaskStatus(
+          this.tasksFile,
+          String(taskId),
+          newStatus,
+          data,
+          false,
+          this.getWorkflow(),
         );
-
-        if (subtaskIndex === -1) {
-          throw new Error(`Subtask ${taskId} not found`);
-        }
-
-        data.tasks[parentTaskIndex].subtasks[subtaskIndex].status = newStatus;
-      } else {
-        // Handle main task ID
-        const taskIndex = data.tasks.findIndex((t) => t.id === Number(taskId));
-
-        if (taskIndex === -1) {
-          throw new Error(`Task ${taskId} not found`);
-        }
-
-        data.tasks[taskIndex].status = newStatus;
+      } finally {
+        disableSilentMode();
       }
 
-      // Write updated data back to file
-      fs.writeFileSync(this.tasksFile, JSON.stringify(data, null, 2), "utf8");
+      // Write updated data back to file (locked, atomic and revision-checked).
+      // Each status change is its own journal operation, so it can be undone
+      // separately from the rest of the TUI session.
+      const tag = this.getCurrentTag();
+      runJournalOperation({ label: "set-status", source: "tui" }, () =>
+        runWithTag(tag, () => writeJSON(this.tasksFile, data)),
+      );
 
       // Generate individual task files to keep them in sync with tasks.json
       try {
         // Use the CLI command to generate task files
         const execAsync = promisify(exec);
-        await execAsync(`npx lm-tasker generate --file="${this.tasksFile}"`);
+        await execAsync(
+          `npx lm-tasker generate --file="${this.tasksFile}" --tag="${tag}"`,
+        );
       } catch (genError) {
         console.warn(
           `Warning: Failed to regenerate task files: ${genError.message}`,
@@ -195,6 +255,7 @@ export class JsonLoader {
 
       return true;
     } catch (error) {
+      this.lastError = error.message;
       console.error(`Error updating task ${taskId} status:`, error.message);
       return false;
     }
@@ -121,6 +121,13 @@ export class KeyHandlers {
       }
     });
 
+    // Switch tag (task list)
+    this.app.screen.key(["t"], () => {
+      if (this.app.currentScreen === this.app.taskListScreen) {
+        this.app.switchTag();
+      }
+    });
+
     // Help
     this.app.screen.key(["?"], () => {
       this.showHelp();
@@ -219,6 +226,7 @@ export class KeyHandlers {
   /           Start search
   c           Clear search (when search active)
   r           Refresh task list
+  t           Switch to the next tag (task list)
   q, Ctrl+c   Quit application
   ?           Show this help
 
@@ -227,6 +235,8 @@ export class KeyHandlers {
   Enter       Select highlighted task
   n           Next search result
   N           Previous search result
+  Searches take words or filters, e.g.
+  status:pending,in-progress priority:high -has:deps
   
 {bold}Task Detail View:{/}
   ESC, q, h   Return to task list
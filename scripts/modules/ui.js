@@ -18,9 +18,17 @@ import {
 } from "./utils.js";
 import fs from "fs";
 import { findNextTask } from "./task-manager.js";
-import { getProjectName, getDefaultSubtasks } from "./config-manager.js";
+import {
+  getProjectName,
+  getDefaultSubtasks,
+  getWorkflow,
+} from "./config-manager.js";
 import { TASK_STATUS_OPTIONS } from "../../src/constants/task-status.js";
 import { getLmTaskerVersion } from "../../src/utils/getVersion.js";
+import { formatDuration, getTimeTotals } from "./time-tracking.js";
+import { formatEstimate, getEstimateTotals } from "./estimates.js";
+import { collectHistory, describeHistoryEntry } from "./task-history.js";
+import { getAllowedTransitions, getTasksWorkflow } from "./workflow.js";
 
 // Create a color gradient for the banner
 const coolGradient = gradient(["#00b4d8", "#0077b6", "#03045e"]);
@@ -211,7 +219,23 @@ function createProgressBar(percent, length = 30, statusBreakdown = null) {
 }
 
 /**
- * Get a colored status string based on the status value
+ * Find a status in the workflow of the current project
+ * @param {string} status - Status name
+ * @returns {Object|null} The status definition, or null if the workflow does not define it or cannot be loaded
+ */
+function getWorkflowStatus(status) {
+  try {
+    return (
+      getWorkflow().statuses.find((entry) => entry.name === status) || null
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a colored status string based on the status value. Colors and icons set
+ * in the project workflow take precedence over the built-in ones.
  * @param {string} status - Task status (e.g., "done", "pending", "in-progress")
  * @param {boolean} forTable - Whether the status is being displayed in a table
  * @returns {string} Colored status string
@@ -232,11 +256,18 @@ function getStatusWithColor(status, forTable = false) {
     cancelled: { color: chalk.gray, icon: "❌", tableIcon: "✗" },
   };
 
-  const config = statusConfig[status.toLowerCase()] || {
-    color: chalk.red,
-    icon: "❌",
-    tableIcon: "✗",
-  };
+  // Statuses of the project workflow may set their own color and icon, and
+  // ones without a built-in style are not shown as errors
+  const custom = getWorkflowStatus(status);
+  const fallback = custom
+    ? { color: chalk.cyan, icon: "◆", tableIcon: "•" }
+    : { color: chalk.red, icon: "❌", tableIcon: "✗" };
+  const config = statusConfig[status.toLowerCase()] || fallback;
+  if (custom?.color) {
+    config.color = custom.color.startsWith("#")
+      ? chalk.hex(custom.color)
+      : chalk[custom.color];
+  }
 
   // Use simpler icons for table display to prevent border issues
   if (forTable) {
@@ -250,11 +281,14 @@ function getStatusWithColor(status, forTable = false) {
       blocked: "!", // Using plain x character for better compatibility
       review: "?", // Using circled dot symbol
     };
-    const simpleIcon = simpleIcons[status.toLowerCase()] || "x";
+    const simpleIcon =
+      custom?.icon ||
+      simpleIcons[status.toLowerCase()] ||
+      (custom ? config.tableIcon : "x");
     return config.color(`${simpleIcon} ${status}`);
   }
 
-  return config.color(`${config.icon} ${status}`);
+  return config.color(`${custom?.icon || config.icon} ${status}`);
 }
 
 /**
@@ -392,6 +426,21 @@ function displayHelp() {
           args: "[--name=<name>] [--description=<desc>] [-y]",
           desc: "Initialize a new project with LM-Tasker structure",
         },
+        {
+          name: "config list",
+          args: "[--json]",
+          desc: "Show resolved configuration and where each value comes from",
+        },
+        {
+          name: "config get",
+          args: "<key>",
+          desc: "Print a single configuration value",
+        },
+        {
+          name: "config set",
+          args: "<key> <value> [--global]",
+          desc: "Write a value to the project (or global) .lmtaskerconfig",
+        },
       ],
     },
     {
@@ -400,13 +449,18 @@ function displayHelp() {
       commands: [
         {
           name: "list",
-          args: "[--status=<status>] [--with-subtasks]",
-          desc: "List all tasks with their status",
+          args: "[--status=<status>] [--filter=<expr>] [--sort=<keys>] [--with-subtasks]",
+          desc: "List tasks, optionally filtered and sorted",
         },
         {
           name: "set-status",
           args: "--id=<id> --status=<status>",
-          desc: `Update task status (${TASK_STATUS_OPTIONS.join(", ")})`,
+          desc: "Update task status (allowed by the project workflow)",
+        },
+        {
+          name: "statuses",
+          args: "[--json]",
+          desc: "List the workflow statuses and allowed transitions",
         },
         {
           name: "update",
@@ -425,7 +479,7 @@ function displayHelp() {
         },
         {
           name: "add-task",
-          args: '--title="<title>" --description="<text>" [--dependencies=<ids>] [--priority=<priority>] ',
+          args: '--title="<title>" --description="<text>" [--dependencies=<ids>] [--priority=<priority>] [--estimate=<n>]',
           desc: "Add a new task (auto-initializes project if needed)",
         },
         {
@@ -433,6 +487,36 @@ function displayHelp() {
           args: "--id=<id> [-y]",
           desc: "Permanently remove a task or subtask",
         },
+        {
+          name: "history",
+          args: "[--limit=<n>] [--json]",
+          desc: "Show recent task changes from the operation journal",
+        },
+        {
+          name: "log",
+          args: "<id> [--limit=<n>] [--json]",
+          desc: "Show who changed a task or subtask, and when",
+        },
+        {
+          name: "undo",
+          args: "[--force]",
+          desc: "Revert the most recent change to tasks.json",
+        },
+        {
+          name: "redo",
+          args: "[--force]",
+          desc: "Reapply the most recently undone change",
+        },
+        {
+          name: "doctor",
+          args: "[--fix] [--json]",
+          desc: "Check tasks.json against the schema; --fix migrates and repairs it",
+        },
+        {
+          name: "tags",
+          args: "<add|use|list|copy|delete> [name] [target]",
+          desc: "Manage named task lists; any command accepts --tag=<name>",
+        },
       ],
     },
     {
@@ -482,9 +566,60 @@ function displayHelp() {
         },
         {
           name: "generate",
-          args: "",
+          args: "[--format=text|markdown] [--watch]",
           desc: "Create individual task files from tasks.json",
         },
+        {
+          name: "sync",
+          args: "[--prefer=file|tasks] [--dry-run]",
+          desc: "Merge edits made to task files back into tasks.json",
+        },
+        {
+          name: "import",
+          args: "<file> [--format=csv|md|github] [--dry-run]",
+          desc: "Import tasks from CSV, Markdown or GitHub issues",
+        },
+        {
+          name: "export",
+          args: "[--format=md|csv|html|json] [--output=<file>]",
+          desc: "Export a project report for sharing",
+        },
+      ],
+    },
+    {
+      title: "Time Tracking & Estimates",
+      color: "magenta",
+      commands: [
+        {
+          name: "start",
+          args: "<id>",
+          desc: "Start a timer on a task or subtask",
+        },
+        {
+          name: "stop",
+          args: "<id>",
+          desc: "Stop the running timer of a task or subtask",
+        },
+        {
+          name: "log-time",
+          args: "<id> <duration> [--date=<YYYY-MM-DD>]",
+          desc: "Log time spent, e.g. 1h30m",
+        },
+        {
+          name: "time-report",
+          args: "[--by=day|week] [--since=<date>] [--until=<date>]",
+          desc: "Show tracked time grouped by day or week",
+        },
+        {
+          name: "update-task",
+          args: "--id=<id> --estimate=<n>",
+          desc: "Set the estimate of a task (update-subtask for subtasks)",
+        },
+        {
+          name: "burndown",
+          args: "[--since=<date>] [--until=<date>] [--by=day|week] [--json]",
+          desc: "Show a burndown chart and velocity of estimated work",
+        },
       ],
     },
     {
@@ -511,6 +646,37 @@ function displayHelp() {
           args: "",
           desc: "Fix invalid dependencies automatically",
         },
+        {
+          name: "graph",
+          args: "[--format=ascii|mermaid|dot] [--root=<id>]",
+          desc: "Show the dependency graph colored by status",
+        },
+        {
+          name: "analyze",
+          args: "[--limit=<n>] [--json]",
+          desc: "Find the critical path, key blockers and dead ends",
+        },
+      ],
+    },
+    {
+      title: "Git Integration",
+      color: "gray",
+      commands: [
+        {
+          name: "git link",
+          args: "[--range=<range>] [--since=<date>]",
+          desc: "Link commits that mention #<id> or task <id> to tasks",
+        },
+        {
+          name: "branch",
+          args: "<id> [--name=<name>]",
+          desc: "Create a branch for a task and mark it in-progress",
+        },
+        {
+          name: "hooks install",
+          args: "[--require-reference] [--force]",
+          desc: "Check task references on commit; apply closes/refs #<id>",
+        },
       ],
     },
   ];
@@ -624,7 +790,7 @@ async function displayNextTask(tasksPath) {
   }
 
   // Find the next task
-  const nextTask = findNextTask(data.tasks);
+  const nextTask = findNextTask(data.tasks, getTasksWorkflow(tasksPath));
 
   if (!nextTask) {
     console.log(
@@ -860,6 +1026,113 @@ async function displayNextTask(tasksPath) {
   );
 }
 
+/**
+ * Format tracked time for display, e.g. "2h 15m (45m in subtasks) ● timer running"
+ * @param {{own: number, subtasks: number, total: number, running: boolean}} totals - Totals from getTimeTotals
+ * @returns {string} Formatted time
+ */
+function formatTimeTracked(totals) {
+  return (
+    formatDuration(totals.total) +
+    (totals.subtasks > 0
+      ? chalk.gray(` (${formatDuration(totals.subtasks)} in subtasks)`)
+      : "") +
+    (totals.running ? chalk.green(" ● timer running") : "")
+  );
+}
+
+/**
+ * Format a task history entry as one line: time, change and who made it
+ * @param {Object} entry - Entry from collectHistory
+ * @param {boolean} showId - Whether to show which task or subtask changed
+ * @returns {string} Formatted entry
+ */
+function formatHistoryEntry(entry, showId) {
+  const by = [entry.actor, entry.source && `via ${entry.source}`]
+    .filter(Boolean)
+    .join(" ");
+  return (
+    chalk.gray(new Date(entry.at).toLocaleString()) +
+    "  " +
+    (showId ? chalk.cyan(`${entry.id} `) : "") +
+    describeHistoryEntry(entry) +
+    (by ? chalk.gray(`  (${by})`) : "")
+  );
+}
+
+/**
+ * Display the recent changes of a task or subtask in a box
+ * @param {Object} item - Task or subtask
+ * @param {string} id - ID of the item, e.g. "3" or "3.2"
+ */
+function displayRecentHistory(item, id) {
+  const entries = collectHistory(item, id);
+  if (entries.length === 0) {
+    return;
+  }
+  const showIds = entries.some((entry) => entry.id !== id);
+  const recent = entries.slice(0, 5);
+  console.log(
+    boxen(
+      chalk.white.bold("History:") +
+        "\n\n" +
+        recent.map((entry) => formatHistoryEntry(entry, showIds)).join("\n") +
+        (entries.length > recent.length
+          ? "\n" +
+            chalk.gray(
+              `Run lm-tasker log ${id} to see all ${entries.length} changes.`,
+            )
+          : ""),
+      {
+        padding: { top: 0, bottom: 0, left: 1, right: 1 },
+        borderColor: "gray",
+        borderStyle: "round",
+        margin: { top: 1, bottom: 0 },
+      },
+    ),
+  );
+}
+
+/**
+ * Display the git commits linked to a task or subtask in a box
+ * @param {Object} item - Task or subtask
+ */
+function displayLinkedCommits(item) {
+  const commits = item.commits || [];
+  if (commits.length === 0) {
+    return;
+  }
+  // Newest first, like git log
+  const recent = commits.slice(-5).reverse();
+  console.log(
+    boxen(
+      chalk.white.bold("Linked Commits:") +
+        "\n\n" +
+        recent
+          .map(
+            (commit) =>
+              `${chalk.yellow(commit.hash.slice(0, 7))}  ${commit.subject}` +
+              chalk.gray(
+                `  (${commit.author}, ${new Date(commit.date).toLocaleDateString()})`,
+              ),
+          )
+          .join("\n") +
+        (commits.length > recent.length
+          ? "\n" +
+            chalk.gray(
+              `${commits.length - recent.length} older commit(s) not shown.`,
+            )
+          : ""),
+      {
+        padding: { top: 0, bottom: 0, left: 1, right: 1 },
+        borderColor: "gray",
+        borderStyle: "round",
+        margin: { top: 1, bottom: 0 },
+      },
+    ),
+  );
+}
+
 /**
  * Display a specific task by ID
  * @param {string} tasksPath - Path to the tasks.json file
@@ -976,6 +1249,22 @@ async function displayTaskById(
         task.description || "No description provided.",
       ],
     );
+    if (typeof task.estimate === "number") {
+      subtaskTable.push([
+        chalk.cyan.bold("Estimate:"),
+        formatEstimate(task.estimate),
+      ]);
+    }
+    if (task.branch) {
+      subtaskTable.push([chalk.cyan.bold("Branch:"), task.branch]);
+    }
+    const subtaskTime = getTimeTotals(task);
+    if (subtaskTime.total > 0 || subtaskTime.running) {
+      subtaskTable.push([
+        chalk.cyan.bold("Time Tracked:"),
+        formatTimeTracked(subtaskTime),
+      ]);
+    }
     console.log(subtaskTable.toString());
 
     if (task.details && task.details.trim().length > 0) {
@@ -992,6 +1281,9 @@ async function displayTaskById(
       );
     }
 
+    displayLinkedCommits(task);
+    displayRecentHistory(task, `${task.parentTask.id}.${task.id}`);
+
     console.log(
       boxen(
         chalk.white.bold("Suggested Actions:") +
@@ -1053,6 +1345,26 @@ async function displayTaskById(
     ],
     [chalk.cyan.bold("Description:"), task.description],
   );
+  const estimates = getEstimateTotals(task);
+  if (estimates.own !== null || estimates.subtasks !== null) {
+    taskTable.push([
+      chalk.cyan.bold("Estimate:"),
+      (estimates.own !== null ? formatEstimate(estimates.own) : "none") +
+        (estimates.subtasks !== null
+          ? chalk.gray(` (${formatEstimate(estimates.subtasks)} in subtasks)`)
+          : ""),
+    ]);
+  }
+  if (task.branch) {
+    taskTable.push([chalk.cyan.bold("Branch:"), task.branch]);
+  }
+  const timeTotals = getTimeTotals(task);
+  if (timeTotals.total > 0 || timeTotals.running) {
+    taskTable.push([
+      chalk.cyan.bold("Time Tracked:"),
+      formatTimeTracked(timeTotals),
+    ]);
+  }
   console.log(taskTable.toString());
 
   if (task.details && task.details.trim().length > 0) {
@@ -1312,6 +1624,14 @@ async function displayTaskById(
     );
   }
 
+  displayLinkedCommits(task);
+
+  // Recent changes, including those of all subtasks (not just the filtered ones)
+  displayRecentHistory(
+    { ...task, subtasks: originalSubtasks || task.subtasks },
+    String(task.id),
+  );
+
   // --- Suggested Actions ---
   console.log(
     boxen(
@@ -1374,6 +1694,36 @@ async function confirmTaskOverwrite(tasksPath) {
   return answer.toLowerCase() === "y" || answer.toLowerCase() === "yes";
 }
 
+/**
+ * Ask whether completing a task should also complete its open subtasks
+ * @param {Object} task - Task being completed
+ * @param {Array<Object>} openSubtasks - Subtasks that are not complete
+ * @param {string} status - Complete status the task moves to
+ * @returns {Promise<boolean>} True if the user confirms
+ */
+async function confirmSubtaskCascade(task, openSubtasks, status) {
+  console.log(
+    chalk.yellow(
+      `Task ${task.id} has ${openSubtasks.length} open subtask(s): ${openSubtasks
+        .map((subtask) => `${task.id}.${subtask.id}`)
+        .join(", ")}`,
+    ),
+  );
+
+  const readline = await import("readline");
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const answer = await new Promise((resolve) => {
+    rl.question(chalk.cyan(`Mark them as '${status}' too? (y/N): `), resolve);
+  });
+  rl.close();
+
+  return answer.toLowerCase() === "y" || answer.toLowerCase() === "yes";
+}
+
 /**
  * Displays the API key status for different providers.
  * @param {Array<{provider: string, cli: boolean, mcp: boolean}>} statusReport - The report generated by getApiKeyStatusReport.
@@ -1411,6 +1761,622 @@ function displayApiKeyStatus(statusReport) {
   );
 }
 
+/**
+ * Display resolved configuration values with the layer each value came from
+ * @param {Array<{key: string, value: *, source: string}>} entries - From getConfigSources
+ * @param {Object} paths - Config file locations
+ * @param {string} paths.globalPath - Global config file path
+ * @param {string} paths.projectPath - Project config file path
+ */
+function displayConfigList(entries, paths = {}) {
+  const sourceColors = {
+    default: chalk.gray,
+    global: chalk.magenta,
+    project: chalk.cyan,
+    env: chalk.yellow,
+  };
+
+  const table = new Table({
+    head: [chalk.cyan("Key"), chalk.cyan("Value"), chalk.cyan("Source")],
+    colWidths: [20, 40, 12],
+    wordWrap: true,
+  });
+
+  entries.forEach(({ key, value, source }) => {
+    const colorize = sourceColors[source] || chalk.white;
+    table.push([chalk.white(key), JSON.stringify(value), colorize(source)]);
+  });
+
+  console.log(chalk.bold("\nConfiguration:"));
+  console.log(table.toString());
+  if (paths.globalPath) {
+    console.log(chalk.gray(`  Global config:  ${paths.globalPath}`));
+  }
+  if (paths.projectPath) {
+    console.log(chalk.gray(`  Project config: ${paths.projectPath}`));
+  }
+}
+
+/**
+ * Display the operation history of a tasks file
+ * @param {Array<Object>} history - Operation summaries from getJournalHistory (newest first)
+ */
+function displayHistory(history) {
+  if (history.length === 0) {
+    console.log(chalk.yellow("\nNo recorded changes yet."));
+    return;
+  }
+
+  const formatIds = (ids) => (ids.length > 0 ? ids.join(", ") : "");
+
+  const table = new Table({
+    head: [
+      chalk.cyan("ID"),
+      chalk.cyan("Time"),
+      chalk.cyan("Operation"),
+      chalk.cyan("Source"),
+      chalk.cyan("Changes"),
+      chalk.cyan("State"),
+    ],
+    colWidths: [10, 24, 22, 8, 30, 9],
+    wordWrap: true,
+  });
+
+  history.forEach((entry) => {
+    const operation =
+      entry.type === "change"
+        ? entry.label
+        : `${entry.type} ${entry.target} (${entry.label})`;
+    const listTags = entry.tags.filter(
+      (tag) =>
+        !entry.tagsCreated.includes(tag) && !entry.tagsDeleted.includes(tag),
+    );
+    const changes = [
+      listTags.some((tag) => tag !== "main") &&
+        chalk.blue(`[${listTags.join(", ")}]`),
+      entry.tagsCreated.length > 0 &&
+        chalk.green(`+tag ${entry.tagsCreated.join(", ")}`),
+      entry.tagsDeleted.length > 0 &&
+        chalk.red(`-tag ${entry.tagsDeleted.join(", ")}`),
+      entry.added.length > 0 && chalk.green(`+${formatIds(entry.added)}`),
+      entry.removed.length > 0 && chalk.red(`-${formatIds(entry.removed)}`),
+      entry.modified.length > 0 &&
+        chalk.yellow(`~${formatIds(entry.modified)}`),
+      entry.reordered && chalk.gray("reordered"),
+    ]
+      .filter(Boolean)
+      .join(" ");
+    const state =
+      entry.status === "undone"
+        ? chalk.gray("undone")
+        : entry.status === "applied"
+          ? chalk.green("applied")
+          : "";
+
+    table.push([
+      entry.id,
+      new Date(entry.timestamp).toLocaleString(),
+      entry.type === "change"
+        ? chalk.white(operation)
+        : chalk.magenta(operation),
+      entry.source || "",
+      changes,
+      state,
+    ]);
+  });
+
+  console.log(chalk.bold("\nTask History:"));
+  console.log(table.toString());
+  console.log(
+    chalk.gray(
+      "  + added  - removed  ~ modified. Run lm-tasker undo to revert the latest applied change.",
+    ),
+  );
+}
+
+/**
+ * Display the recorded changes of a task or subtask (lm-tasker log)
+ * @param {Object} history - History from getTaskHistory (newest first)
+ */
+function displayTaskHistory(history) {
+  console.log(
+    chalk.bold(
+      `\nHistory of ${history.id.includes(".") ? "subtask" : "task"} ${history.id}: ${history.title} (tag: ${history.tag})`,
+    ),
+  );
+  if (history.entries.length === 0) {
+    console.log(chalk.yellow("No recorded changes yet."));
+    return;
+  }
+
+  const showIds = history.entries.some((entry) => entry.id !== history.id);
+  const table = new Table({
+    head: [
+      chalk.cyan("Time"),
+      ...(showIds ? [chalk.cyan("ID")] : []),
+      chalk.cyan("Change"),
+      chalk.cyan("By"),
+      chalk.cyan("Command"),
+    ],
+    colWidths: [24, ...(showIds ? [8] : []), 36, 20, 16],
+    wordWrap: true,
+  });
+  history.entries.forEach((entry) => {
+    table.push([
+      new Date(entry.at).toLocaleString(),
+      ...(showIds ? [entry.id] : []),
+      describeHistoryEntry(entry),
+      [entry.actor, entry.source && chalk.gray(`(${entry.source})`)]
+        .filter(Boolean)
+        .join(" "),
+      entry.command || "",
+    ]);
+  });
+  console.log(table.toString());
+
+  if (history.entries.length < history.total) {
+    console.log(
+      chalk.gray(
+        `  Showing the latest ${history.entries.length} of ${history.total} changes. Use --limit to see more.`,
+      ),
+    );
+  }
+}
+
+/**
+ * Display the statuses of a workflow and the transitions allowed from each
+ * @param {Object} workflow - Workflow from getWorkflow
+ */
+function displayWorkflow(workflow) {
+  const table = new Table({
+    head: [
+      chalk.cyan("Status"),
+      chalk.cyan("Complete"),
+      chalk.cyan("Can move to"),
+    ],
+    colWidths: [24, 10, 50],
+    wordWrap: true,
+  });
+  workflow.statuses.forEach((status) => {
+    table.push([
+      getStatusWithColor(status.name, true),
+      status.complete ? chalk.green("yes") : "",
+      getAllowedTransitions(status.name, workflow).join(", ") ||
+        chalk.gray("(final)"),
+    ]);
+  });
+  console.log(table.toString());
+  if (!workflow.transitions) {
+    console.log(
+      chalk.gray(
+        "  No transitions configured: any status change is allowed. See the workflow section of .lmtaskerconfig.",
+      ),
+    );
+  }
+}
+
+/**
+ * Display the tags (task lists) of a tasks file
+ * @param {Array<Object>} tags - Tags from listTags
+ */
+function displayTags(tags) {
+  const table = new Table({
+    head: [
+      chalk.cyan("Tag"),
+      chalk.cyan("Tasks"),
+      chalk.cyan("Done"),
+      chalk.cyan("Description"),
+    ],
+    colWidths: [24, 8, 8, 44],
+    wordWrap: true,
+  });
+
+  tags.forEach((tag) => {
+    table.push([
+      tag.current ? chalk.green.bold(`* ${tag.name}`) : `  ${tag.name}`,
+      tag.taskCount,
+      tag.completedCount,
+      tag.description,
+    ]);
+  });
+
+  console.log(chalk.bold("\nTags:"));
+  console.log(table.toString());
+  console.log(
+    chalk.gray(
+      "  * current tag. Switch with lm-tasker tags use <name>, or pass --tag=<name> to any command.",
+    ),
+  );
+}
+
+/**
+ * Display the result of checking a tasks file (lm-tasker doctor)
+ * @param {Object} report - Report from checkTasksFile
+ */
+function displayDoctorReport(report) {
+  const formatEntry = (entry) =>
+    `  ${chalk.gray(entry.line ? `line ${entry.line}`.padEnd(10) : "".padEnd(10))}${entry.path ? chalk.cyan(entry.path) + " " : ""}${entry.message}`;
+
+  console.log(
+    chalk.bold(`\nChecking ${report.tasksPath}`) +
+      (report.schemaVersion !== null
+        ? chalk.gray(
+            ` (schema version ${report.schemaVersion}, current ${report.currentSchemaVersion})`,
+          )
+        : ""),
+  );
+
+  if (report.fixed) {
+    console.log(chalk.green(`\nRepaired (${report.repairs.length}):`));
+    report.repairs.forEach((repair) => console.log(formatEntry(repair)));
+  } else if (report.migrations.length > 0) {
+    console.log(chalk.yellow("\nPending migrations:"));
+    report.migrations.forEach((migration) =>
+      console.log(`  v${migration.version}: ${migration.description}`),
+    );
+  }
+
+  if (report.remainingIssues.length > 0) {
+    console.log(chalk.red(`\nProblems (${report.remainingIssues.length}):`));
+    report.remainingIssues.forEach((issue) => console.log(formatEntry(issue)));
+    console.log(
+      chalk.gray(
+        report.fixed || report.schemaVersion === null
+          ? "\nThese problems cannot be repaired automatically; edit the file to fix them."
+          : "\nRun lm-tasker doctor --fix to repair what can be repaired automatically.",
+      ),
+    );
+  } else {
+    console.log(chalk.green("\n✓ No problems found."));
+  }
+}
+
+/**
+ * Display the result of importing tasks (lm-tasker import)
+ * @param {Object} result - Result from importTasks
+ */
+function displayImportResult(result) {
+  console.log(
+    chalk.bold(
+      `\n${result.dryRun ? "Would import" : "Imported"} ${result.tasks.length} task(s) from ${result.sourcePath}`,
+    ) + chalk.gray(` (${result.format})`),
+  );
+
+  if (result.tasks.length > 0) {
+    const table = new Table({
+      head: [
+        chalk.cyan("ID"),
+        chalk.cyan("Title"),
+        chalk.cyan("Status"),
+        chalk.cyan("Priority"),
+        chalk.cyan("Dependencies"),
+        chalk.cyan("Subtasks"),
+      ],
+      colWidths: [6, 40, 14, 10, 16, 10],
+      wordWrap: true,
+    });
+    result.tasks.forEach((task) => {
+      table.push([
+        task.id,
+        task.title,
+        getStatusWithColor(task.status, true),
+        task.priority,
+        task.dependencies.join(", ") || chalk.gray("None"),
+        task.subtasks.length,
+      ]);
+    });
+    console.log(table.toString());
+  }
+
+  if (result.duplicates.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\nSkipped ${result.duplicates.length} duplicate(s) (use --allow-duplicates to import them):`,
+      ),
+    );
+    result.duplicates.forEach((duplicate) =>
+      console.log(
+        `  ${duplicate.title} ${chalk.gray(`(same title as task ${duplicate.existingId})`)}`,
+      ),
+    );
+  }
+
+  if (result.warnings.length > 0) {
+    console.log(chalk.yellow(`\nWarnings (${result.warnings.length}):`));
+    result.warnings.forEach((warning) => console.log(`  ${warning}`));
+  }
+
+  if (result.dryRun) {
+    console.log(chalk.gray("\nDry run: nothing was written."));
+  }
+}
+
+/**
+ * Display what a batch of operations did (lm-tasker apply)
+ * @param {Object} result - Result from applyTaskBatch
+ */
+function displayTaskBatchResult(result) {
+  console.log(
+    chalk.bold(
+      `\n${result.dryRun ? "Would apply" : "Applied"} ${result.operations} operation(s)`,
+    ),
+  );
+
+  if (result.created.length > 0) {
+    const table = new Table({
+      head: [chalk.cyan("ID"), chalk.cyan("Ref"), chalk.cyan("Title")],
+      colWidths: [8, 20, 60],
+      wordWrap: true,
+    });
+    result.created.forEach((item) => {
+      table.push([item.id, item.ref || chalk.gray("-"), item.title]);
+    });
+    console.log(table.toString());
+  }
+
+  if (result.dependencies.length > 0) {
+    console.log(
+      chalk.cyan(`\nDependencies added (${result.dependencies.length}):`),
+    );
+    result.dependencies.forEach((dependency) =>
+      console.log(`  ${dependency.id} depends on ${dependency.dependsOn}`),
+    );
+  }
+
+  if (result.dryRun) {
+    console.log(chalk.gray("\nDry run: nothing was written."));
+  }
+}
+
+/**
+ * Display tracked time grouped by day or week (lm-tasker time-report)
+ * @param {Object} report - Report from getTimeReport
+ */
+function displayTimeReport(report) {
+  const range =
+    report.since || report.until
+      ? ` from ${report.since || "the start"} to ${report.until || "today"}`
+      : "";
+  console.log(
+    chalk.bold(`\nTime tracked by ${report.by} (tag: ${report.tag})${range}`),
+  );
+
+  if (report.periods.length === 0) {
+    console.log(
+      chalk.yellow(
+        "\nNo time tracked yet. Use lm-tasker start <id> or lm-tasker log-time <id> <duration>.",
+      ),
+    );
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan(report.by === "week" ? "Week of" : "Day"),
+      chalk.cyan("Task"),
+      chalk.cyan("Title"),
+      chalk.cyan("Time"),
+    ],
+    colWidths: [12, 8, 44, 12],
+    wordWrap: true,
+  });
+  for (const period of report.periods) {
+    period.tasks.forEach((task, index) => {
+      table.push([
+        index === 0 ? period.period : "",
+        task.id,
+        task.title,
+        formatDuration(task.seconds) + (task.running ? chalk.green(" ●") : ""),
+      ]);
+    });
+    table.push([
+      "",
+      "",
+      chalk.gray(`Total for ${period.period}`),
+      chalk.bold(formatDuration(period.totalSeconds)),
+    ]);
+  }
+  console.log(table.toString());
+  console.log(
+    chalk.bold(`Total: ${formatDuration(report.totalSeconds)}`) +
+      (report.periods.some((period) =>
+        period.tasks.some((task) => task.running),
+      )
+        ? chalk.gray("  (● includes a running timer)")
+        : ""),
+  );
+}
+
+/**
+ * Display a burndown chart and velocity table (lm-tasker burndown)
+ * @param {Object} burndown - Burndown from getBurndown
+ */
+function displayBurndown(burndown) {
+  console.log(
+    chalk.bold(
+      `\nBurndown (tag: ${burndown.tag}) from ${burndown.since} to ${burndown.until}`,
+    ),
+  );
+
+  if (burndown.scope === 0) {
+    console.log(
+      chalk.yellow(
+        "\nNo estimated work in this range. Set estimates with lm-tasker update-task --id=<id> --estimate=<n>.",
+      ),
+    );
+    return;
+  }
+
+  // One column per day: a bar for the remaining work, "·" for the ideal line
+  const height = 10;
+  const max = Math.max(
+    burndown.scope,
+    ...burndown.points.map((point) => point.remaining),
+  );
+  const toRow = (value) => Math.round((value / max) * height);
+  const labelWidth = formatEstimate(max).length;
+  for (let row = height; row >= 1; row--) {
+    const label =
+      row === height
+        ? formatEstimate(max)
+        : row === height / 2
+          ? formatEstimate(max / 2)
+          : "";
+    const cells = burndown.points.map((point) => {
+      if (toRow(point.remaining) >= row) {
+        return chalk.cyan("█");
+      }
+      return toRow(point.ideal) === row ? chalk.gray("·") : " ";
+    });
+    console.log(`${label.padStart(labelWidth)} │${cells.join(" ")}`);
+  }
+  console.log(
+    `${"0".padStart(labelWidth)} └${"─".repeat(burndown.points.length * 2)}`,
+  );
+  // First and last day under the ends of the axis
+  const first = burndown.since.slice(5);
+  const last = burndown.until.slice(5);
+  const gap = burndown.points.length * 2 - 1 - first.length - last.length;
+  console.log(
+    " ".repeat(labelWidth + 2) +
+      (burndown.points.length > 1
+        ? first + " ".repeat(Math.max(gap, 1)) + last
+        : first),
+  );
+  console.log(
+    chalk.gray(
+      `${" ".repeat(labelWidth + 2)}${chalk.cyan("█")} remaining  · ideal`,
+    ),
+  );
+
+  const table = new Table({
+    head: [
+      chalk.cyan(burndown.by === "week" ? "Week of" : "Day"),
+      chalk.cyan("Completed"),
+    ],
+    colWidths: [12, 12],
+  });
+  burndown.velocity.periods.forEach((period) =>
+    table.push([period.period, formatEstimate(period.completed)]),
+  );
+  console.log(table.toString());
+
+  console.log(
+    chalk.bold(
+      `Scope: ${formatEstimate(burndown.scope)}  Completed: ${formatEstimate(burndown.completed)}  Remaining: ${formatEstimate(burndown.remaining)}`,
+    ),
+  );
+  console.log(
+    `Average velocity: ${formatEstimate(burndown.velocity.average)} per ${burndown.by}`,
+  );
+  if (burndown.unestimated > 0) {
+    console.log(
+      chalk.yellow(
+        `${burndown.unestimated} open task(s) have no estimate and are not included.`,
+      ),
+    );
+  }
+}
+
+/**
+ * Display a dependency analysis (lm-tasker analyze)
+ * @param {Object} analysis - Analysis from analyzeTasks
+ */
+function displayAnalysisReport(analysis) {
+  const { summary } = analysis;
+  const formatTask = (task) =>
+    `${chalk.cyan(task.id)} ${task.title} ${chalk.gray(`(${task.status})`)}`;
+  const formatChain = (chain) =>
+    chain.tasks.map((task) => chalk.cyan(task.id)).join(chalk.gray(" → "));
+
+  console.log(
+    chalk.bold(`\nDependency analysis (tag: ${analysis.tag})`) +
+      chalk.gray(
+        ` – ${summary.open} of ${summary.tasks} tasks open, ${summary.ready} ready, ${summary.blocked} blocked`,
+      ),
+  );
+
+  console.log(chalk.bold("\nCritical path"));
+  if (analysis.criticalPath.length === 0) {
+    console.log(chalk.gray("  No open tasks."));
+  } else {
+    console.log(
+      `  ${formatChain(analysis.criticalPath)} ${chalk.gray(`(${analysis.criticalPath.length} tasks)`)}`,
+    );
+    analysis.criticalPath.tasks.forEach((task) =>
+      console.log(`    ${formatTask(task)}`),
+    );
+  }
+
+  if (analysis.unblockers.length > 0) {
+    console.log(chalk.bold("\nTasks that unblock the most work"));
+    const table = new Table({
+      head: [
+        chalk.cyan("ID"),
+        chalk.cyan("Title"),
+        chalk.cyan("Status"),
+        chalk.cyan("Ready"),
+        chalk.cyan("Blocks"),
+        chalk.cyan("Unblocks"),
+      ],
+      colWidths: [6, 40, 16, 7, 8, 10],
+      wordWrap: true,
+    });
+    analysis.unblockers.forEach((task) => {
+      table.push([
+        task.id,
+        task.title,
+        getStatusWithColor(task.status, true),
+        task.ready ? chalk.green("yes") : chalk.gray("no"),
+        task.directlyBlocks,
+        task.unblocks,
+      ]);
+    });
+    console.log(table.toString());
+  }
+
+  if (analysis.longestChains.length > 0) {
+    console.log(chalk.bold("\nLongest chains of open tasks"));
+    analysis.longestChains.forEach((chain) =>
+      console.log(
+        `  ${formatChain(chain)} ${chalk.gray(`(${chain.length} tasks)`)}`,
+      ),
+    );
+  }
+
+  if (analysis.deadEnds.length > 0) {
+    console.log(
+      chalk.red(
+        `\nStuck behind missing, cancelled or deferred work (${analysis.deadEnds.length}):`,
+      ),
+    );
+    analysis.deadEnds.forEach((task) =>
+      console.log(
+        `  ${formatTask(task)} ${chalk.gray("← " + task.blockedBy.map((blocker) => `${blocker.id} ${blocker.reason}`).join(", "))}`,
+      ),
+    );
+  }
+
+  if (analysis.orphaned.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\nNot connected to any other task (${analysis.orphaned.length}):`,
+      ),
+    );
+    analysis.orphaned.forEach((task) => console.log(`  ${formatTask(task)}`));
+  }
+
+  if (analysis.cycles.length > 0) {
+    console.log(
+      chalk.red(`\nOn dependency cycles (${analysis.cycles.length}):`),
+    );
+    analysis.cycles.forEach((task) => console.log(`  ${formatTask(task)}`));
+    console.log(
+      chalk.gray("\nRun lm-tasker fix-dependencies to break the cycles."),
+    );
+  }
+}
+
 // --- Formatting Helpers (Potentially move some to utils.js if reusable) ---
 
 const formatSweScoreWithTertileStars = (score, allModels) => {
@@ -1639,7 +2605,19 @@ export {
   displayNextTask,
   displayTaskById,
   confirmTaskOverwrite,
+  confirmSubtaskCascade,
   displayApiKeyStatus,
+  displayConfigList,
+  displayHistory,
+  displayTaskHistory,
+  displayWorkflow,
+  displayTags,
+  displayDoctorReport,
+  displayImportResult,
+  displayTaskBatchResult,
+  displayAnalysisReport,
+  displayTimeReport,
+  displayBurndown,
   displayModelConfiguration,
   displayAvailableModels,
   displayAiUsageSummary,
@@ -9,6 +9,21 @@ import chalk from "chalk";
 import dotenv from "dotenv";
 // Import specific config getters needed here
 import { getLogLevel, getDebugFlag } from "./config-manager.js";
+import {
+  withFileLock,
+  writeFileAtomic,
+  FileLockError,
+} from "./file-lock.js";
+import { recordTasksChange, getCurrentOperation } from "./journal.js";
+import {
+  TagNotFoundError,
+  isTasksData,
+  getCurrentTag,
+  getTagView,
+  buildTasksFileData,
+} from "./tag-manager.js";
+import { migrateTasksData } from "./task-schema.js";
+import { recordTaskHistory } from "./task-history.js";
 
 // Global silent mode flag
 let silentMode = false;
@@ -225,17 +240,30 @@ function log(level, ...args) {
 }
 
 /**
- * Reads and parses a JSON file
+ * Reads and parses a JSON file.
+ * Tasks files are migrated to the current schema version (see task-schema.js)
+ * and returned as the task list of the selected tag (see tag-manager.js).
  * @param {string} filepath - Path to the JSON file
  * @returns {Object|null} Parsed JSON data or null if error occurs
+ * @throws {TagNotFoundError} If the selected tag does not exist in a tasks file
  */
 function readJSON(filepath) {
   // Get debug flag dynamically from config-manager
   const isDebug = getDebugFlag();
   try {
     const rawData = fs.readFileSync(filepath, "utf8");
-    return JSON.parse(rawData);
+    const data = JSON.parse(rawData);
+    // Tasks files are read as the selected tag's task list
+    if (isTasksData(data)) {
+      const migrated = migrateTasksData(data);
+      return getTagView(migrated, getCurrentTag(filepath, migrated), filepath);
+    }
+    return data;
   } catch (error) {
+    // An unknown tag is a usage error the caller must report, not a bad file
+    if (error instanceof TagNotFoundError) {
+      throw error;
+    }
     log("error", `Error reading JSON file ${filepath}:`, error.message);
     if (isDebug) {
       // Use dynamic debug flag
@@ -246,10 +274,56 @@ function readJSON(filepath) {
   }
 }
 
+// Error thrown when a tasks file changed on disk after it was read
+class TasksFileConflictError extends Error {
+  constructor(message, { expectedRevision, currentRevision } = {}) {
+    super(message);
+    this.name = "TasksFileConflictError";
+    this.code = "TASKS_FILE_CONFLICT";
+    this.expectedRevision = expectedRevision;
+    this.currentRevision = currentRevision;
+  }
+}
+
 /**
- * Writes data to a JSON file
+ * Get the revision a tasks data object was read at
+ * @param {Object} data - Tasks data ({ meta, tasks })
+ * @returns {number} The revision (0 for files written before revisions existed)
+ */
+function getRevision(data) {
+  return Number.isInteger(data?.meta?.revision) ? data.meta.revision : 0;
+}
+
+/**
+ * Read the tasks data currently stored on disk
+ * @param {string} filepath - Path to the tasks file
+ * @returns {Object|null} The parsed data, or null if the file is missing or unreadable
+ */
+function readTasksFromDisk(filepath) {
+  if (!fs.existsSync(filepath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (error) {
+    // A corrupt file has no meaningful revision; allow it to be replaced
+    return null;
+  }
+}
+
+/**
+ * Writes data to a JSON file.
+ * The write holds the file's advisory lock and replaces the file atomically.
+ * For tasks files (one tag's task list, or full tagged data) the optimistic
+ * revision in `meta.revision` is checked against the file on disk and
+ * incremented, so a write based on a stale read is refused instead of
+ * overwriting newer changes, and the change is appended to the file's
+ * operation journal. A tag's task list is merged back into the full file,
+ * which is stored at the current schema version.
  * @param {string} filepath - Path to the JSON file
  * @param {Object} data - Data to write
+ * @throws {TasksFileConflictError} If the file changed since `data` was read
+ * @throws {FileLockError} If the lock cannot be acquired
  */
 function writeJSON(filepath, data) {
   // Get debug flag dynamically from config-manager
@@ -259,8 +333,59 @@ function writeJSON(filepath, data) {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2), "utf8");
+
+    withFileLock(filepath, () => {
+      if (isTasksData(data)) {
+        const expectedRevision = getRevision(data);
+        const current = readTasksFromDisk(filepath);
+        const currentRevision = current ? getRevision(current) : null;
+        if (currentRevision !== null && currentRevision !== expectedRevision) {
+          throw new TasksFileConflictError(
+            `${filepath} was modified by another process (revision ${currentRevision}, this change was based on revision ${expectedRevision}). Re-run the command to apply it to the latest version.`,
+            { expectedRevision, currentRevision },
+          );
+        }
+        // Update in place so callers holding `data` can keep writing it
+        data.meta = {
+          ...(data.meta || {}),
+          revision: (currentRevision ?? expectedRevision) + 1,
+        };
+
+        // Other tags on disk may predate the current schema; store everything at it
+        const currentData = migrateTasksData(current);
+        const fileData = migrateTasksData(
+          buildTasksFileData(
+            currentData,
+            data,
+            getCurrentTag(filepath, current),
+            filepath,
+          ),
+        );
+        recordTaskHistory(currentData, fileData, getCurrentOperation() || {});
+        writeFileAtomic(filepath, JSON.stringify(fileData, null, 2));
+
+        // The write already happened, so a journal failure must not fail it
+        try {
+          recordTasksChange(filepath, current, fileData);
+        } catch (error) {
+          log(
+            "warn",
+            `Could not record change in the operation journal: ${error.message}`,
+          );
+        }
+        return;
+      }
+
+      writeFileAtomic(filepath, JSON.stringify(data, null, 2));
+    });
   } catch (error) {
+    // Conflicts and lock timeouts must reach the caller; the write did not happen
+    if (
+      error instanceof TasksFileConflictError ||
+      error instanceof FileLockError
+    ) {
+      throw error;
+    }
     log("error", `Error writing JSON file ${filepath}:`, error.message);
     if (isDebug) {
       // Use dynamic debug flag
@@ -619,6 +744,8 @@ export {
   log,
   readJSON,
   writeJSON,
+  getRevision,
+  TasksFileConflictError,
   sanitizePrompt,
   taskExists,
   formatTaskId,
@@ -0,0 +1,129 @@
+/**
+ * workflow.js
+ * Task statuses and the transitions allowed between them
+ *
+ * The statuses, which of them count as complete and the allowed transitions
+ * come from the "workflow" section of .lmtaskerconfig (see getWorkflow in
+ * config-manager.js). Without one, the built-in statuses are used and any
+ * status change is allowed. A task whose status is not in the workflow (e.g.
+ * after a status was removed from it) can be moved to any status.
+ */
+
+import path from "path";
+import { getWorkflow, findProjectRoot } from "./config-manager.js";
+
+/**
+ * Get the workflow of the project a tasks file belongs to
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Workflow from getWorkflow
+ * @throws {ConfigurationError} If the project config is invalid
+ */
+function getTasksWorkflow(tasksPath) {
+  return getWorkflow(findProjectRoot(path.dirname(path.resolve(tasksPath))));
+}
+
+/**
+ * Names of the statuses of a workflow, in display order
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {string[]} Status names
+ */
+function getStatusNames(workflow) {
+  return workflow.statuses.map((status) => status.name);
+}
+
+/**
+ * Status new tasks and subtasks start in: the first status of the workflow
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {string} Status name
+ */
+function getInitialStatus(workflow) {
+  return workflow.statuses[0].name;
+}
+
+/**
+ * Find the definition of a status
+ * @param {string} status - Status name
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {{name: string, color: string|null, icon: string|null, complete: boolean}|null} The status, or null if the workflow does not define it
+ */
+function getStatusDefinition(status, workflow) {
+  return (
+    workflow.statuses.find((definition) => definition.name === status) || null
+  );
+}
+
+/**
+ * Check whether a status counts as complete: it satisfies dependencies and
+ * counts towards progress
+ * @param {string} status - Status name
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {boolean} True for complete statuses
+ */
+function isCompleteStatus(status, workflow) {
+  return getStatusDefinition(status, workflow)?.complete === true;
+}
+
+/**
+ * Check whether work in a status is over: a complete status, or the built-in
+ * "cancelled" status, which ends work without completing it
+ * @param {string} status - Status name
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {boolean} True when the item is no longer open work
+ */
+function isClosedStatus(status, workflow) {
+  return isCompleteStatus(status, workflow) || status === "cancelled";
+}
+
+/**
+ * Statuses an item can move to from its current status
+ * @param {string} from - Current status
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @returns {string[]} Allowed statuses, in display order, without `from`
+ */
+function getAllowedTransitions(from, workflow) {
+  const names = getStatusNames(workflow);
+  const targets =
+    workflow.transitions && names.includes(from)
+      ? workflow.transitions[from] || []
+      : names;
+  return names.filter((name) => name !== from && targets.includes(name));
+}
+
+/**
+ * Check that a task or subtask may change from one status to another
+ * @param {string|number} id - Task or subtask ID, for the error message
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @param {Object} workflow - Workflow from getWorkflow
+ * @throws {Error} If the status is unknown or the transition is not allowed
+ */
+function checkStatusChange(id, from, to, workflow) {
+  if (!getStatusDefinition(to, workflow)) {
+    throw new Error(
+      `Invalid status value: ${to}. Use one of: ${getStatusNames(workflow).join(", ")}`,
+    );
+  }
+  if (from === to) {
+    return;
+  }
+  const allowed = getAllowedTransitions(from, workflow);
+  if (!allowed.includes(to)) {
+    throw new Error(
+      `Task ${id} cannot move from "${from}" to "${to}". ` +
+        (allowed.length > 0
+          ? `Allowed next statuses: ${allowed.join(", ")}`
+          : `"${from}" has no allowed next statuses in the workflow`),
+    );
+  }
+}
+
+export {
+  getTasksWorkflow,
+  getStatusNames,
+  getInitialStatus,
+  getStatusDefinition,
+  isCompleteStatus,
+  isClosedStatus,
+  getAllowedTransitions,
+  checkStatusChange,
+};
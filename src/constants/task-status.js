@@ -3,7 +3,8 @@
  */
 
 /**
- * Task status options list
+ * Task status options list: the built-in statuses, used when the project
+ * config does not define a workflow (see getWorkflow in config-manager.js)
  * @type {TaskStatus[]}
  * @description Defines possible task statuses:
  * - pending: Task waiting to start
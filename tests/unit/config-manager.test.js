@@ -0,0 +1,161 @@
+/**
+ * Config manager tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getConfig,
+  getDefaultPriority,
+  getLogLevel,
+  getProjectName,
+  getTasksFile,
+  getConfigValue,
+  setConfigValue,
+  getConfigSources,
+  isConfigFilePresent,
+  ConfigurationError,
+  DEFAULTS,
+} from "../../scripts/modules/config-manager.js";
+
+describe("config-manager", () => {
+  let tempDir;
+  let projectRoot;
+  let globalConfigPath;
+  const savedEnv = { ...process.env };
+
+  const writeJsonFile = (filePath, data) =>
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-config-"));
+    projectRoot = path.join(tempDir, "project");
+    fs.mkdirSync(projectRoot);
+    globalConfigPath = path.join(tempDir, "global-config.json");
+
+    process.env.LMTASKER_GLOBAL_CONFIG = globalConfigPath;
+    delete process.env.LMTASKER_LOG_LEVEL;
+    delete process.env.LMTASKER_DEFAULT_PRIORITY;
+    delete process.env.LMTASKER_TASKS_FILE;
+    delete process.env.DEBUG;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("returns defaults when no config files exist", () => {
+    const config = getConfig(projectRoot, true);
+    expect(config.global).toEqual(DEFAULTS.global);
+    expect(isConfigFilePresent(projectRoot)).toBe(false);
+  });
+
+  test("project config overrides global config", () => {
+    writeJsonFile(globalConfigPath, {
+      global: { defaultPriority: "low", projectName: "Global Name" },
+    });
+    writeJsonFile(path.join(projectRoot, ".lmtaskerconfig"), {
+      global: { defaultPriority: "high" },
+    });
+
+    getConfig(projectRoot, true);
+    expect(getDefaultPriority(projectRoot)).toBe("high");
+    expect(getProjectName(projectRoot)).toBe("Global Name");
+  });
+
+  test("environment variables override config files", () => {
+    writeJsonFile(path.join(projectRoot, ".lmtaskerconfig"), {
+      global: { logLevel: "warn", defaultPriority: "high" },
+    });
+    process.env.LMTASKER_LOG_LEVEL = "debug";
+
+    getConfig(projectRoot, true);
+    expect(getLogLevel(projectRoot)).toBe("debug");
+    expect(getDefaultPriority(projectRoot)).toBe("high");
+
+    const sources = getConfigSources(projectRoot);
+    expect(sources.find((e) => e.key === "logLevel")).toEqual({
+      key: "logLevel",
+      value: "debug",
+      source: "env",
+    });
+    expect(sources.find((e) => e.key === "defaultPriority").source).toBe(
+      "project",
+    );
+    expect(sources.find((e) => e.key === "debug").source).toBe("default");
+  });
+
+  test("resolves the tasks file relative to the project root", () => {
+    writeJsonFile(path.join(projectRoot, ".lmtaskerconfig"), {
+      global: { tasksFile: "planning/tasks.json" },
+    });
+
+    getConfig(projectRoot, true);
+    expect(getTasksFile(projectRoot)).toBe(
+      path.join(projectRoot, "planning", "tasks.json"),
+    );
+  });
+
+  test("rejects invalid config files with a ConfigurationError", () => {
+    writeJsonFile(path.join(projectRoot, ".lmtaskerconfig"), {
+      global: { defaultPriority: "urgent" },
+    });
+
+    expect(() => getConfig(projectRoot, true)).toThrow(ConfigurationError);
+    expect(() => getConfig(projectRoot, true)).toThrow(
+      /global\.defaultPriority/,
+    );
+  });
+
+  test("rejects unknown keys and malformed JSON", () => {
+    const configPath = path.join(projectRoot, ".lmtaskerconfig");
+    writeJsonFile(configPath, { global: { defaultPriorty: "high" } });
+    expect(() => getConfig(projectRoot, true)).toThrow(ConfigurationError);
+
+    fs.writeFileSync(configPath, "{ not json");
+    expect(() => getConfig(projectRoot, true)).toThrow(/Could not parse/);
+  });
+
+  test("log level falls back to the default when config is invalid", () => {
+    writeJsonFile(path.join(projectRoot, ".lmtaskerconfig"), {
+      global: { logLevel: "verbose" },
+    });
+
+    expect(() => getConfig(projectRoot, true)).toThrow(ConfigurationError);
+    expect(getLogLevel(projectRoot)).toBe(DEFAULTS.global.logLevel);
+  });
+
+  test("setConfigValue writes coerced values to the project config", () => {
+    const result = setConfigValue("defaultSubtasks", "8", {
+      explicitRoot: projectRoot,
+    });
+
+    expect(result.value).toBe(8);
+    expect(result.path).toBe(path.join(projectRoot, ".lmtaskerconfig"));
+    expect(isConfigFilePresent(projectRoot)).toBe(true);
+    expect(getConfigValue("defaultSubtasks", projectRoot)).toBe(8);
+    expect(getConfigValue("global.defaultSubtasks", projectRoot)).toBe(8);
+  });
+
+  test("setConfigValue writes to the global config when requested", () => {
+    setConfigValue("projectName", "Everywhere", { global: true });
+
+    const written = JSON.parse(fs.readFileSync(globalConfigPath, "utf8"));
+    expect(written).toEqual({ global: { projectName: "Everywhere" } });
+    expect(getProjectName(projectRoot)).toBe("Everywhere");
+  });
+
+  test("setConfigValue rejects unknown keys and invalid values", () => {
+    expect(() =>
+      setConfigValue("colour", "blue", { explicitRoot: projectRoot }),
+    ).toThrow(/Unknown configuration key/);
+    expect(() =>
+      setConfigValue("defaultPriority", "urgent", {
+        explicitRoot: projectRoot,
+      }),
+    ).toThrow(ConfigurationError);
+    expect(isConfigFilePresent(projectRoot)).toBe(false);
+  });
+});
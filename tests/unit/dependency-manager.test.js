@@ -3,6 +3,9 @@
  */
 
 import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import nodePath from "path";
 import {
   validateTaskDependencies,
   isCircularDependency,
@@ -53,8 +56,15 @@ jest.mock("../../scripts/modules/task-manager.js", () => ({
   generateTaskFiles: jest.fn(),
 }));
 
-// Create a path for test files
-const TEST_TASKS_PATH = "tests/fixtures/test-tasks.json";
+// Create a path for test files (outside the repo, since writes may reach disk)
+const TEST_TASKS_DIR = fs.mkdtempSync(
+  nodePath.join(os.tmpdir(), "lm-tasker-deps-"),
+);
+const TEST_TASKS_PATH = nodePath.join(TEST_TASKS_DIR, "test-tasks.json");
+
+afterAll(() => {
+  fs.rmSync(TEST_TASKS_DIR, { recursive: true, force: true });
+});
 
 describe("Dependency Manager Module", () => {
   beforeEach(() => {
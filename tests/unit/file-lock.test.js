@@ -0,0 +1,127 @@
+/**
+ * File locking and atomic tasks.json write tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  acquireLock,
+  releaseLock,
+  withFileLock,
+  writeFileAtomic,
+  getLockPath,
+  FileLockError,
+} from "../../scripts/modules/file-lock.js";
+import {
+  writeJSON,
+  TasksFileConflictError,
+} from "../../scripts/modules/utils.js";
+
+describe("file-lock", () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-lock-"));
+    filePath = path.join(tempDir, "tasks.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("acquires and releases a re-entrant lock", () => {
+    const lockPath = acquireLock(filePath);
+    expect(lockPath).toBe(getLockPath(filePath));
+    expect(fs.existsSync(lockPath)).toBe(true);
+
+    withFileLock(filePath, () => {
+      expect(fs.existsSync(lockPath)).toBe(true);
+    });
+    expect(fs.existsSync(lockPath)).toBe(true);
+
+    releaseLock(filePath);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test("breaks a lock left behind by a dead process", () => {
+    fs.writeFileSync(
+      getLockPath(filePath),
+      JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname() }),
+    );
+
+    expect(withFileLock(filePath, () => "done", { timeoutMs: 200 })).toBe(
+      "done",
+    );
+    expect(fs.existsSync(getLockPath(filePath))).toBe(false);
+  });
+
+  test("times out while a live process holds the lock", () => {
+    fs.writeFileSync(
+      getLockPath(filePath),
+      JSON.stringify({ pid: process.pid, hostname: os.hostname() }),
+    );
+
+    expect(() =>
+      withFileLock(filePath, () => {}, { timeoutMs: 100, retryMs: 10 }),
+    ).toThrow(FileLockError);
+  });
+
+  test("writeFileAtomic leaves no temporary files behind", () => {
+    writeFileAtomic(filePath, "first");
+    writeFileAtomic(filePath, "second");
+
+    expect(fs.readFileSync(filePath, "utf8")).toBe("second");
+    expect(fs.readdirSync(tempDir)).toEqual(["tasks.json"]);
+  });
+});
+
+describe("writeJSON revisions", () => {
+  let tempDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-revision-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("increments the revision on each write", () => {
+    const data = { meta: { projectName: "Test" }, tasks: [] };
+
+    writeJSON(tasksPath, data);
+    expect(data.meta.revision).toBe(1);
+
+    data.tasks.push({ id: 1, title: "Task" });
+    writeJSON(tasksPath, data);
+
+    const written = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    expect(written.meta).toEqual({
+      projectName: "Test",
+      revision: 2,
+      schemaVersion: 1,
+    });
+    expect(written.tasks).toHaveLength(1);
+  });
+
+  test("refuses a write based on a stale read", () => {
+    writeJSON(tasksPath, { meta: {}, tasks: [] });
+
+    const first = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    const second = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+
+    first.tasks.push({ id: 1, title: "First" });
+    writeJSON(tasksPath, first);
+
+    second.tasks.push({ id: 1, title: "Second" });
+    expect(() => writeJSON(tasksPath, second)).toThrow(TasksFileConflictError);
+
+    const written = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    expect(written.tasks[0].title).toBe("First");
+    expect(written.meta.revision).toBe(2);
+  });
+});
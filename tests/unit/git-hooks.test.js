@@ -0,0 +1,213 @@
+/**
+ * Git hook tests: checking commit messages and applying commit keywords
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  runGit,
+  parseTaskKeywords,
+} from "../../scripts/modules/git-integration.js";
+import {
+  buildHookScript,
+  readCommitMessage,
+} from "../../scripts/modules/git-hooks.js";
+import { readJSON } from "../../scripts/modules/utils.js";
+import checkCommitMessage from "../../scripts/modules/task-manager/check-commit-message.js";
+import applyCommitKeywords from "../../scripts/modules/task-manager/apply-commit-keywords.js";
+
+describe("git hooks", () => {
+  let tempDir;
+  let tasksPath;
+  const savedEnv = { ...process.env };
+
+  const git = (...args) => runGit(args, tempDir).trim();
+
+  const commit = (message) =>
+    git(
+      "-c",
+      "user.name=Ada",
+      "-c",
+      "user.email=ada@example.com",
+      "commit",
+      "--allow-empty",
+      "--quiet",
+      "-m",
+      message,
+    );
+
+  const writeTasks = (tasks) => {
+    fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+  };
+
+  const task = (id, status, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    description: "",
+    status,
+    dependencies: [],
+    ...extra,
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-hooks-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    git("init", "--quiet", "--initial-branch=main");
+    writeTasks([
+      task(1, "pending", {
+        subtasks: [
+          { id: 1, title: "Sub 1", status: "pending" },
+          { id: 2, title: "Sub 2", status: "pending" },
+        ],
+      }),
+      task(2, "in-progress"),
+      task(3, "done"),
+    ]);
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("finds keywords before task references", () => {
+    expect(
+      parseTaskKeywords(
+        "Parser fixes\n\nCloses #2, #3 and task 4.1. Refs #2; refs #1.2\nFixes 3 bugs",
+      ),
+    ).toEqual([
+      { id: "2", action: "close" },
+      { id: "3", action: "close" },
+      { id: "4.1", action: "close" },
+      { id: "1.2", action: "ref" },
+    ]);
+  });
+
+  test("checks the task references of commit messages", () => {
+    expect(checkCommitMessage(tasksPath, "Work on #1.2 and task 3")).toEqual({
+      valid: true,
+      references: ["1.2", "3"],
+      unknown: [],
+      errors: [],
+    });
+
+    const unknown = checkCommitMessage(tasksPath, "Fix #1.5 and #9");
+    expect(unknown.valid).toBe(false);
+    expect(unknown.unknown).toEqual(["1.5", "9"]);
+
+    expect(checkCommitMessage(tasksPath, "Tidy up").valid).toBe(true);
+    expect(
+      checkCommitMessage(tasksPath, "Tidy up", { requireReference: true })
+        .errors,
+    ).toEqual([
+      'The commit message must reference a task, e.g. "#12" or "task 4.2"',
+    ]);
+    expect(
+      checkCommitMessage(tasksPath, "Merge pull request #45 from fork/main", {
+        requireReference: true,
+      }).valid,
+    ).toBe(true);
+  });
+
+  test("reads commit messages the way git stores them", () => {
+    const messageFile = path.join(tempDir, "COMMIT_EDITMSG");
+    fs.writeFileSync(
+      messageFile,
+      [
+        "Fix the parser",
+        "# Please enter the commit message for your changes (#7).",
+        "",
+        "Closes #2",
+        "# ------------------------ >8 ------------------------",
+        "diff --git a/x b/x",
+        "+ refs #9",
+      ].join("\n"),
+    );
+
+    expect(readCommitMessage(messageFile)).toBe("Fix the parser\n\nCloses #2");
+    expect(
+      buildHookScript("commit-msg", {
+        tasksFile: "my tasks/tasks.json",
+        requireReference: true,
+      }),
+    ).toMatch(
+      /hooks commit-msg "\$1" --file 'my tasks\/tasks\.json' --require-reference\n$/,
+    );
+  });
+
+  test("applies commit keywords with a note and links the commit", async () => {
+    commit("Start the parser, refs #1.1\n\nCloses #2, refs #3, see #1");
+
+    const result = await applyCommitKeywords(tasksPath);
+
+    expect(result.changes).toEqual([
+      {
+        id: "1.1",
+        action: "ref",
+        note: true,
+        status: { from: "pending", to: "in-progress" },
+      },
+      {
+        id: "2",
+        action: "close",
+        note: true,
+        status: { from: "in-progress", to: "done" },
+      },
+    ]);
+    expect(result.linked).toEqual(["1.1", "2", "3", "1"]);
+
+    const [parent, closed, done] = readJSON(tasksPath).tasks;
+    expect(closed.details).toMatch(
+      new RegExp(
+        `--- Updated .* ---\\nCommit ${result.commit.hash.slice(0, 7)} \\(closes\\): Start the parser`,
+      ),
+    );
+    expect(parent.subtasks[0].details).toMatch(/\(refs\): Start the parser/);
+    // The parent follows its subtask through the workflow's roll-up rules
+    expect(parent.status).toBe("in-progress");
+    expect(done.details).toBeUndefined();
+    expect(done.commits).toHaveLength(1);
+
+    // An amended commit is not applied again
+    git(
+      "-c",
+      "user.name=Ada",
+      "-c",
+      "user.email=ada@example.com",
+      "commit",
+      "--amend",
+      "--allow-empty",
+      "--quiet",
+      "--no-edit",
+    );
+    const amended = await applyCommitKeywords(tasksPath);
+    expect(amended.changes).toEqual([]);
+    expect(readJSON(tasksPath).tasks[1].commits).toEqual([
+      expect.objectContaining({ hash: git("rev-parse", "HEAD") }),
+    ]);
+  });
+
+  test("reports keyword changes the workflow refuses", async () => {
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({ workflow: { rollup: { onParentComplete: "fail" } } }),
+    );
+    commit("Closes #1");
+
+    const result = await applyCommitKeywords(tasksPath);
+
+    expect(result.changes).toEqual([
+      {
+        id: "1",
+        action: "close",
+        note: true,
+        status: null,
+        warning: "Task 1 has open subtasks: 1.1, 1.2. Complete them first.",
+      },
+    ]);
+    expect(readJSON(tasksPath).tasks[0].status).toBe("pending");
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Git integration tests: linking commits to tasks and task branches
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  runGit,
+  parseTaskReferences,
+  slugify,
+  getTaskBranchName,
+} from "../../scripts/modules/git-integration.js";
+import { readJSON } from "../../scripts/modules/utils.js";
+import linkGitCommits from "../../scripts/modules/task-manager/link-git-commits.js";
+import createTaskBranch from "../../scripts/modules/task-manager/create-task-branch.js";
+
+describe("git integration", () => {
+  let tempDir;
+  let tasksPath;
+  const savedEnv = { ...process.env };
+
+  const git = (...args) => runGit(args, tempDir).trim();
+
+  const commit = (message) =>
+    git(
+      "-c",
+      "user.name=Ada",
+      "-c",
+      "user.email=ada@example.com",
+      "commit",
+      "--allow-empty",
+      "--quiet",
+      "-m",
+      message,
+    );
+
+  const writeTasks = (tasks) => {
+    fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+  };
+
+  const task = (id, title, extra = {}) => ({
+    id,
+    title,
+    description: "",
+    status: "pending",
+    dependencies: [],
+    ...extra,
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-git-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    git("init", "--quiet", "--initial-branch=main");
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("finds task references in commit messages", () => {
+    expect(
+      parseTaskReferences(
+        "Fix the parser (#12)\n\nTask 4.2: add tests; refs #12 and task #7.",
+      ),
+    ).toEqual(["12", "4.2", "7"]);
+    expect(
+      parseTaskReferences("See abc#3, #12abc, color #fff, subtask 5"),
+    ).toEqual([]);
+  });
+
+  test("links referencing commits once and reports unknown tasks", () => {
+    writeTasks([
+      task(1, "Parser", {
+        subtasks: [{ id: 1, title: "Tests", status: "pending" }],
+      }),
+      task(2, "Docs"),
+    ]);
+    commit("Start the parser (#1)");
+    commit("Unrelated change");
+    commit("Task 1.1: parser tests, see also #9");
+
+    const result = linkGitCommits(tasksPath);
+
+    expect(result.scanned).toBe(3);
+    expect(result.linked.map((link) => [link.id, link.subject])).toEqual([
+      ["1", "Start the parser (#1)"],
+      ["1.1", "Task 1.1: parser tests, see also #9"],
+    ]);
+    expect(result.unknown.map((reference) => reference.id)).toEqual(["9"]);
+
+    const [parser] = readJSON(tasksPath).tasks;
+    expect(parser.commits).toHaveLength(1);
+    expect(parser.commits[0]).toMatchObject({
+      hash: git("rev-parse", "HEAD~2"),
+      subject: "Start the parser (#1)",
+      author: "Ada",
+    });
+    expect(parser.subtasks[0].commits[0].hash).toBe(git("rev-parse", "HEAD"));
+
+    commit("Finish #2");
+    const again = linkGitCommits(tasksPath);
+    expect(again.linked.map((link) => link.id)).toEqual(["2"]);
+    expect(linkGitCommits(tasksPath, { range: "HEAD~1..HEAD" }).linked).toEqual(
+      [],
+    );
+  });
+
+  test("creates a task branch and marks the task in-progress", async () => {
+    writeTasks([task(1, "Add the Login page!"), task(2, "Café menu")]);
+    commit("Initial commit");
+
+    const result = await createTaskBranch(tasksPath, "1");
+
+    expect(result).toMatchObject({
+      id: "1",
+      branch: "task-1-add-the-login-page",
+      created: true,
+      status: { from: "pending", to: "in-progress" },
+    });
+    expect(git("branch", "--show-current")).toBe("task-1-add-the-login-page");
+    const [loginTask] = readJSON(tasksPath).tasks;
+    expect(loginTask.status).toBe("in-progress");
+    expect(loginTask.branch).toBe("task-1-add-the-login-page");
+
+    git("checkout", "--quiet", "main");
+    await expect(createTaskBranch(tasksPath, "1")).resolves.toMatchObject({
+      created: false,
+      status: null,
+    });
+    expect(git("branch", "--show-current")).toBe("task-1-add-the-login-page");
+    expect(getTaskBranchName("2", "Café menu")).toBe("task-2-cafe-menu");
+    await expect(
+      createTaskBranch(tasksPath, "2", { name: "bad..name" }),
+    ).rejects.toThrow('"bad..name" is not a valid branch name');
+    expect(readJSON(tasksPath).tasks[1].status).toBe("pending");
+  });
+
+  test("leaves git untouched when the task cannot start", async () => {
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({
+        workflow: { transitions: { pending: ["deferred"], done: [] } },
+      }),
+    );
+    writeTasks([task(1, "Parser")]);
+    commit("Initial commit");
+
+    await expect(createTaskBranch(tasksPath, "1")).rejects.toThrow(
+      /cannot move from "pending" to "in-progress"/,
+    );
+    expect(git("branch", "--list")).toBe("* main");
+    await expect(createTaskBranch(tasksPath, "3")).rejects.toThrow(
+      "Task 3 not found",
+    );
+  });
+
+  test("slugifies titles into branch names", () => {
+    expect(slugify("  Fix: the `show` command -- again ")).toBe(
+      "fix-the-show-command-again",
+    );
+    expect(slugify("a".repeat(45) + " bcdefgh", 50)).toBe(
+      "a".repeat(45) + "-bcde",
+    );
+    expect(getTaskBranchName("3.1", "???")).toBe("task-3.1");
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Operation journal (undo/redo/history) tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getJournalPath,
+  getJournalHistory,
+  runJournalOperation,
+} from "../../scripts/modules/journal.js";
+import { readJSON, writeJSON } from "../../scripts/modules/utils.js";
+import applyJournalOperation from "../../scripts/modules/task-manager/apply-journal-operation.js";
+
+describe("operation journal", () => {
+  let tempDir;
+  let tasksPath;
+
+  const task = (id, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    description: `Description ${id}`,
+    status: "pending",
+    dependencies: [],
+    priority: "medium",
+    subtasks: [],
+    ...extra,
+  });
+
+  // Apply a change to tasks.json as one journal operation
+  const change = (label, mutate) =>
+    runJournalOperation({ label, source: "cli" }, () => {
+      const data = readJSON(tasksPath);
+      mutate(data);
+      writeJSON(tasksPath, data);
+    });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-journal-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    runJournalOperation({ label: "add-task", source: "cli" }, () =>
+      writeJSON(tasksPath, {
+        meta: { projectName: "Test" },
+        tasks: [task(1), task(2, { subtasks: [{ id: 1, title: "Sub" }] })],
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("stores the journal next to the tasks file", () => {
+    expect(getJournalPath(tasksPath)).toBe(
+      path.join(tempDir, "tasks", "tasks.journal.jsonl"),
+    );
+    expect(fs.existsSync(getJournalPath(tasksPath))).toBe(true);
+  });
+
+  test("groups writes made by one operation", () => {
+    change("move", (data) => {
+      data.tasks[0].id = 3;
+    });
+    runJournalOperation({ label: "clear-subtasks", source: "mcp" }, () => {
+      const data = readJSON(tasksPath);
+      data.tasks[1].subtasks = [];
+      writeJSON(tasksPath, data);
+      data.tasks[1].status = "done";
+      writeJSON(tasksPath, data);
+    });
+
+    const history = getJournalHistory(tasksPath);
+    expect(history.map((op) => op.label)).toEqual([
+      "clear-subtasks",
+      "move",
+      "add-task",
+    ]);
+    expect(history[0]).toMatchObject({
+      source: "mcp",
+      status: "applied",
+      modified: [2],
+    });
+    expect(history[1]).toMatchObject({ added: [3], removed: [1] });
+  });
+
+  test("undo reverts a whole operation and redo reapplies it", () => {
+    runJournalOperation({ label: "clear-subtasks", source: "mcp" }, () => {
+      const data = readJSON(tasksPath);
+      data.tasks[1].subtasks = [];
+      writeJSON(tasksPath, data);
+      data.tasks.push(task(3));
+      writeJSON(tasksPath, data);
+    });
+
+    const undone = applyJournalOperation(tasksPath, "undo");
+    expect(undone.label).toBe("clear-subtasks");
+
+    let data = readJSON(tasksPath);
+    expect(data.tasks.map((t) => t.id)).toEqual([1, 2]);
+    expect(data.tasks[1].subtasks).toHaveLength(1);
+    expect(getJournalHistory(tasksPath)[1].status).toBe("undone");
+
+    applyJournalOperation(tasksPath, "redo");
+    data = readJSON(tasksPath);
+    expect(data.tasks.map((t) => t.id)).toEqual([1, 2, 3]);
+    expect(data.tasks[1].subtasks).toEqual([]);
+  });
+
+  test("a new change discards the redo stack", () => {
+    change("set-status", (data) => {
+      data.tasks[0].status = "done";
+    });
+    applyJournalOperation(tasksPath, "undo");
+    change("update-task", (data) => {
+      data.tasks[1].title = "Renamed";
+    });
+
+    expect(() => applyJournalOperation(tasksPath, "redo")).toThrow(
+      /Nothing to redo/,
+    );
+  });
+
+  test("refuses to undo when affected tasks changed since, unless forced", () => {
+    change("set-status", (data) => {
+      data.tasks[0].status = "done";
+    });
+
+    // Edit outside LM-Tasker, which the journal does not see
+    const raw = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    raw.tasks[0].title = "Edited by hand";
+    fs.writeFileSync(tasksPath, JSON.stringify(raw, null, 2));
+
+    expect(() => applyJournalOperation(tasksPath, "undo")).toThrow(
+      /task\(s\) 1 changed since/,
+    );
+
+    applyJournalOperation(tasksPath, "undo", { force: true });
+    const { history, ...restored } = readJSON(tasksPath).tasks[0];
+    expect(restored).toEqual(task(1));
+    // The history is kept, with the undo appended to it
+    expect(history.map((entry) => entry.type)).toEqual([
+      "created",
+      "status",
+      "undo",
+    ]);
+  });
+});
@@ -10,6 +10,15 @@ jest.unstable_mockModule("fs", () => ({
     readFileSync: jest.fn(),
     writeFileSync: jest.fn(),
     statSync: jest.fn(),
+    // Used by writeJSON's lock, atomic rename and operation journal
+    existsSync: jest.fn(() => false),
+    mkdirSync: jest.fn(),
+    openSync: jest.fn(),
+    writeSync: jest.fn(),
+    closeSync: jest.fn(),
+    renameSync: jest.fn(),
+    unlinkSync: jest.fn(),
+    appendFileSync: jest.fn(),
   },
   readFileSync: jest.fn(),
   writeFileSync: jest.fn(),
@@ -22,6 +31,8 @@ jest.unstable_mockModule("child_process", () => ({
     // Mock successful execution
     callback(null, "Mock output", "");
   }),
+  // Used by the git integration, which the UI modules load
+  execFileSync: jest.fn(),
 }));
 
 // Mock util.promisify
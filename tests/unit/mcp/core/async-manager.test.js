@@ -0,0 +1,240 @@
+/**
+ * Async operation manager tests: running background operations in order,
+ * reporting their status and progress, cancelling them and the tools using
+ * them
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AsyncOperationManager } from "../../../../mcp-server/src/core/utils/async-manager.js";
+import { registerImportTasksTool } from "../../../../mcp-server/src/tools/import-tasks.js";
+import { registerCancelOperationTool } from "../../../../mcp-server/src/tools/cancel-operation.js";
+import { readJSON } from "../../../../scripts/modules/utils.js";
+
+const log = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("AsyncOperationManager", () => {
+  let manager;
+
+  // An operation that finishes when its test says so
+  const deferred = () => {
+    let finish;
+    const promise = new Promise((resolve) => {
+      finish = resolve;
+    });
+    return { promise, finish };
+  };
+
+  const settled = (operationId) =>
+    new Promise((resolve) => {
+      const poll = () => {
+        const status = manager.getStatus(operationId);
+        if (["completed", "failed", "cancelled"].includes(status.status)) {
+          resolve(status);
+        } else {
+          setTimeout(poll, 5);
+        }
+      };
+      poll();
+    });
+
+  beforeEach(() => {
+    manager = new AsyncOperationManager();
+  });
+
+  test("runs operations one at a time in the order they were added", async () => {
+    const first = deferred();
+    const started = [];
+    const firstId = manager.addOperation(
+      async (args, operationLog, { reportProgress }) => {
+        started.push(args.name);
+        reportProgress({ progress: 1, total: 2, message: "Halfway" });
+        return first.promise;
+      },
+      { name: "first" },
+      { name: "generate", log },
+    );
+    const secondId = manager.addOperation(
+      async (args) => {
+        started.push(args.name);
+        return { success: false, error: { code: "BROKEN", message: "No" } };
+      },
+      { name: "second" },
+      { name: "fix_dependencies", log },
+    );
+
+    // Nothing runs before the tool call that added it has returned
+    expect(manager.getStatus(firstId)).toMatchObject({
+      name: "generate",
+      status: "pending",
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(manager.getStatus(firstId)).toMatchObject({
+      status: "running",
+      progress: { progress: 1, total: 2, message: "Halfway" },
+    });
+    expect(manager.getStatus(secondId).status).toBe("pending");
+
+    first.finish({ success: true, data: { written: 3 } });
+    expect(await settled(firstId)).toMatchObject({
+      status: "completed",
+      result: { written: 3 },
+      error: null,
+    });
+    expect(await settled(secondId)).toMatchObject({
+      status: "failed",
+      error: { code: "BROKEN", message: "No" },
+    });
+    expect(started).toEqual(["first", "second"]);
+  });
+
+  test("runs operations in the async context they were added in", async () => {
+    const storage = new AsyncLocalStorage();
+    const context = { name: "generate", log };
+    const operationId = storage.run("tool call", () =>
+      manager.addOperation(async () => storage.getStore(), {}, context),
+    );
+
+    expect((await settled(operationId)).result).toBe("tool call");
+  });
+
+  test("cancels pending and running operations", async () => {
+    const running = manager.addOperation(
+      (args, operationLog, { signal }) =>
+        new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(new Error("Stopped"))),
+        ),
+      {},
+      { name: "import_tasks", log },
+    );
+    let ran = false;
+    const pending = manager.addOperation(
+      async () => {
+        ran = true;
+      },
+      {},
+      { name: "generate", log },
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(manager.cancel(pending).status).toBe("cancelled");
+    expect(manager.cancel(running)).toMatchObject({
+      status: "running",
+      cancelRequested: true,
+    });
+    expect(await settled(running)).toMatchObject({
+      status: "cancelled",
+      error: { message: "Stopped" },
+    });
+    expect(ran).toBe(false);
+  });
+
+  test("forgets finished operations after a while", async () => {
+    manager = new AsyncOperationManager({ maxFinished: 1 });
+    const first = manager.addOperation(async () => 1, {}, { name: "a", log });
+    await settled(first);
+    const second = manager.addOperation(async () => 2, {}, { name: "b", log });
+    await settled(second);
+
+    expect(manager.getStatus(first)).toMatchObject({
+      status: "not_found",
+      error: { code: "OPERATION_NOT_FOUND" },
+    });
+    expect(manager.getStatus(second).result).toBe(2);
+  });
+
+  describe("tools", () => {
+    let tempDir;
+    const savedEnv = { ...process.env };
+
+    // Registers the tools with a stand-in for FastMCP
+    const registerTools = () => {
+      const tools = {};
+      const server = { addTool: (tool) => (tools[tool.name] = tool) };
+      registerImportTasksTool(server, manager);
+      registerCancelOperationTool(server, manager);
+      return tools;
+    };
+
+    const readResponse = (response) => JSON.parse(response.content[0].text);
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-async-"));
+      process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+      fs.writeFileSync(
+        path.join(tempDir, "plan.md"),
+        "## Parser\n\nRead files\n\n## Docs\n\nDepends on: Parser\n",
+      );
+    });
+
+    afterEach(() => {
+      process.env = { ...savedEnv };
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("import_tasks runs in the background", async () => {
+      const tools = registerTools();
+
+      const started = readResponse(
+        await tools.import_tasks.execute(
+          { source: "plan.md", background: true, projectRoot: tempDir },
+          { log },
+        ),
+      );
+      expect(started.status).toBe("pending");
+
+      const status = await settled(started.operationId);
+      expect(status).toMatchObject({
+        name: "import_tasks",
+        status: "completed",
+        result: { message: `Imported 2 tasks from ${tempDir}/plan.md` },
+      });
+      const { tasks } = readJSON(path.join(tempDir, "tasks", "tasks.json"));
+      expect(tasks.map((task) => [task.title, task.dependencies])).toEqual([
+        ["Parser", []],
+        ["Docs", [1]],
+      ]);
+
+      const cancelled = await tools.cancel_operation.execute(
+        { operationId: started.operationId },
+        { log },
+      );
+      expect(cancelled.isError).toBe(true);
+      expect(cancelled.content[0].text).toMatch("already completed");
+    });
+
+    test("a cancelled import_tasks reports progress and stops before writing", async () => {
+      const tools = registerTools();
+
+      const { operationId } = readResponse(
+        await tools.import_tasks.execute(
+          { source: "plan.md", background: true, projectRoot: tempDir },
+          { log },
+        ),
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(manager.getStatus(operationId)).toMatchObject({
+        status: "running",
+        progress: { progress: 0, total: 2 },
+      });
+
+      const cancelled = await tools.cancel_operation.execute(
+        { operationId },
+        { log },
+      );
+      expect(readResponse(cancelled)).toMatchObject({
+        status: "running",
+        cancelRequested: true,
+      });
+      expect(await settled(operationId)).toMatchObject({
+        status: "cancelled",
+        error: { message: "Operation cancelled before writing" },
+      });
+      expect(fs.existsSync(path.join(tempDir, "tasks", "tasks.json"))).toBe(
+        false,
+      );
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * MCP prompt tests: workflow prompts filled in from the tasks
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { registerLMTaskerPrompts } from "../../../../mcp-server/src/core/prompts/index.js";
+
+describe("MCP prompts", () => {
+  let tempDir;
+  let tasksPath;
+  let prompts;
+  const savedEnv = { ...process.env };
+
+  const writeTasks = (tasks) =>
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+
+  const task = (id, title, extra = {}) => ({
+    id,
+    title,
+    description: "",
+    status: "pending",
+    priority: "medium",
+    dependencies: [],
+    ...extra,
+  });
+
+  const loadPrompt = (name, args) =>
+    prompts.find((prompt) => prompt.name === name).load(args);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-prompts-"));
+    fs.mkdirSync(path.join(tempDir, "tasks"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    delete process.env.TASK_MASTER_PROJECT_ROOT;
+    writeTasks([
+      task(1, "Parser", { status: "done" }),
+      task(2, "Docs", {
+        dependencies: [1],
+        subtasks: [
+          { id: 1, title: "Outline", status: "pending", dependencies: [] },
+          { id: 2, title: "Examples", status: "pending", dependencies: [1] },
+        ],
+      }),
+      task(3, "Release", { dependencies: [2, 9] }),
+      task(4, "Later", { status: "deferred" }),
+      task(5, "After later", { status: "blocked", dependencies: [4] }),
+    ]);
+
+    prompts = [];
+    registerLMTaskerPrompts({
+      addPrompt: (prompt) => prompts.push(prompt),
+      sessions: [{ roots: [{ uri: `file://${tempDir}` }] }],
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("plans features next to the existing tasks", async () => {
+    expect(prompts.map((prompt) => prompt.name)).toEqual([
+      "plan_feature",
+      "start_next_task",
+      "close_task",
+      "review_blocked_work",
+    ]);
+
+    const text = await loadPrompt("plan_feature", { feature: "CSV export" });
+    expect(text).toMatch(/^Plan the following feature .*\n\nCSV export\n/);
+    expect(text).toMatch("- 1: Parser (done)\n- 2: Docs (pending)");
+
+    // Planning the first tasks of a project
+    fs.rmSync(tasksPath);
+    expect(await loadPrompt("plan_feature", { feature: "CSV" })).toMatch(
+      "Existing tasks:\nNone yet.",
+    );
+  });
+
+  test("starts the next task or a given one", async () => {
+    const next = await loadPrompt("start_next_task", {});
+    expect(next).toMatch(
+      /^Start working on task 2: Docs, the next task ready to work on\.\n/,
+    );
+    expect(next).toMatch("- [1: Parser](lm-tasker://task/1) (done)");
+    expect(next).toMatch('Set its status to "in-progress"');
+    expect(next).toMatch("Work through its subtasks");
+
+    const subtask = await loadPrompt("start_next_task", { id: "2.2" });
+    expect(subtask).toMatch(
+      "Note that it still depends on work that is not complete: 2.1 (pending).",
+    );
+    expect(subtask).toMatch("with update_subtask");
+
+    await expect(loadPrompt("start_next_task", { id: "1" })).rejects.toThrow(
+      "Task 1 is already done",
+    );
+    const complete = prompts[1].arguments[0].complete;
+    expect((await complete("2")).values).toEqual(["2", "2.1", "2.2"]);
+  });
+
+  test("closes tasks with what they unblock", async () => {
+    const text = await loadPrompt("close_task", {
+      id: "2",
+      summary: "Wrote the docs",
+    });
+
+    expect(text).toMatch("Summary of the work:\n\nWrote the docs\n");
+    expect(text).toMatch(
+      "open subtasks first: 2.1: Outline (pending), 2.2: Examples (pending).",
+    );
+    expect(text).toMatch('Record the summary with update_task (id "2")');
+    expect(text).toMatch("Completing it unblocks 3: Release.");
+    await expect(loadPrompt("close_task", { id: "7" })).rejects.toThrow(
+      "Task or subtask with ID 7 not found",
+    );
+  });
+
+  test("reviews blocked work", async () => {
+    const text = await loadPrompt("review_blocked_work", {});
+
+    expect(text).toMatch(
+      [
+        "Waiting on dependencies:",
+        "- 2.2: Examples (pending) waits on 2.1 (pending)",
+        "- 3: Release (pending) waits on 2 (pending), 9 (not found)",
+        "- 5: After later (blocked) waits on 4 (deferred)",
+        "",
+        "Marked blocked:",
+        "- 5: After later (blocked)",
+        "",
+        "Stuck behind missing, cancelled or deferred work:",
+        "- 3: Release ← 9 missing",
+        "- 5: After later ← 4 deferred",
+      ].join("\n"),
+    );
+    expect(text).toMatch("- 2: Docs (pending) unblocks 1 task(s)");
+  });
+});
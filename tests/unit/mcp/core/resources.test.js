@@ -0,0 +1,233 @@
+/**
+ * MCP resource tests: reading the task resources and notifying subscribers
+ * when the tasks file changes
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FastMCPSession } from "fastmcp";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { registerLMTaskerResources } from "../../../../mcp-server/src/core/resources/index.js";
+
+describe("MCP resources", () => {
+  let tempDir;
+  let tasksPath;
+  let server;
+  let subscriptions;
+  const savedEnv = { ...process.env };
+
+  const writeTasks = (tasks) =>
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+
+  const task = (id, title, extra = {}) => ({
+    id,
+    title,
+    description: "",
+    status: "pending",
+    priority: "medium",
+    dependencies: [],
+    ...extra,
+  });
+
+  // Stands in for FastMCP, keeping what is registered
+  const createServer = () => {
+    const fastMcp = new EventEmitter();
+    fastMcp.resources = [];
+    fastMcp.resourceTemplates = [];
+    fastMcp.addResource = (resource) => fastMcp.resources.push(resource);
+    fastMcp.addResourceTemplate = (template) =>
+      fastMcp.resourceTemplates.push(template);
+    fastMcp.sessions = [{ roots: [{ uri: `file://${tempDir}` }] }];
+    return fastMcp;
+  };
+
+  // Connects a client through a session serving what was registered
+  const connect = async () => {
+    const quiet = { debug() {}, info() {}, warn() {}, error() {}, log() {} };
+    const session = new FastMCPSession({
+      name: "test",
+      version: "1.0.0",
+      logger: quiet,
+      ping: { enabled: false },
+      roots: { enabled: false },
+      prompts: [],
+      resources: server.resources,
+      resourcesTemplates: server.resourceTemplates,
+      tools: [],
+      transportType: "stdio",
+    });
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    await Promise.all([
+      session.connect(serverTransport),
+      client.connect(clientTransport),
+    ]);
+    return { session, client };
+  };
+
+  const readResource = (uri) =>
+    server.resources.find((resource) => resource.uri === uri).load();
+
+  const readTask = (id) => server.resourceTemplates[0].load({ id });
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-resources-"));
+    fs.mkdirSync(path.join(tempDir, "tasks"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    delete process.env.TASK_MASTER_PROJECT_ROOT;
+    writeTasks([
+      task(1, "Parser", { status: "done" }),
+      task(2, "Docs", {
+        dependencies: [1],
+        subtasks: [{ id: 1, title: "Outline", status: "pending" }],
+      }),
+    ]);
+    server = createServer();
+    subscriptions = registerLMTaskerResources(server);
+  });
+
+  afterEach(() => {
+    subscriptions.close();
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("reads the tasks, the next task and the graph", async () => {
+    expect(server.resources.map((resource) => resource.uri)).toEqual([
+      "lm-tasker://tasks",
+      "lm-tasker://next",
+      "lm-tasker://graph",
+    ]);
+
+    const tasks = JSON.parse((await readResource("lm-tasker://tasks")).text);
+    expect(tasks.tasks.map((item) => item.title)).toEqual(["Parser", "Docs"]);
+    expect(tasks.stats).toMatchObject({ total: 2, completed: 1 });
+
+    const next = JSON.parse((await readResource("lm-tasker://next")).text);
+    expect(next.nextTask).toMatchObject({ id: 2, title: "Docs" });
+
+    const graph = await readResource("lm-tasker://graph");
+    expect(graph.text).toMatch(/^```mermaid\nflowchart/);
+    expect(graph.text).toMatch(/\n```\n$/);
+  });
+
+  test("reads tasks as JSON and Markdown, and subtasks as JSON", async () => {
+    expect(server.resourceTemplates[0].uriTemplate).toBe(
+      "lm-tasker://task/{id}",
+    );
+
+    const [json, markdown] = await readTask("2");
+    expect(JSON.parse(json.text)).toMatchObject({ id: 2, title: "Docs" });
+    expect(markdown.mimeType).toBe("text/markdown");
+    expect(markdown.text).toMatch("# Task 2: Docs");
+    expect(markdown.text).toMatch("- [1: Parser](lm-tasker://task/1) (done)");
+
+    const subtask = await readTask("2.1");
+    expect(JSON.parse(subtask.text)).toMatchObject({
+      id: 1,
+      parentTask: { id: 2 },
+    });
+
+    await expect(readTask("9")).rejects.toThrow(
+      "Task or subtask with ID 9 not found",
+    );
+  });
+
+  test("notifies subscribers when tasks.json changes", async () => {
+    const { session, client } = await connect();
+    const updates = [];
+    client.setNotificationHandler(
+      ResourceUpdatedNotificationSchema,
+      (notification) => updates.push(notification.params.uri),
+    );
+
+    expect(client.getServerCapabilities().resources).toEqual({
+      subscribe: true,
+    });
+    await client.subscribeResource({ uri: "lm-tasker://next" });
+    await client.subscribeResource({ uri: "lm-tasker://task/2" });
+    writeTasks([task(1, "Parser")]);
+    writeTasks([task(1, "Parser v2")]);
+    await sleep(600);
+
+    // A burst of changes is one notification per subscribed resource
+    expect(updates).toEqual(["lm-tasker://next", "lm-tasker://task/2"]);
+
+    await client.unsubscribeResource({ uri: "lm-tasker://next" });
+    writeTasks([task(1, "Parser v3")]);
+    await sleep(600);
+    expect(updates.slice(2)).toEqual(["lm-tasker://task/2"]);
+
+    // Nothing is sent to sessions that are gone
+    server.emit("disconnect", { session });
+    writeTasks([task(1, "Parser v4")]);
+    await sleep(600);
+    expect(updates).toHaveLength(3);
+    await client.close();
+  });
+});
+
+describe("MCP resource subscriptions over stdio", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-stdio-"));
+    fs.mkdirSync(path.join(tempDir, "tasks"));
+    fs.writeFileSync(
+      path.join(tempDir, "tasks", "tasks.json"),
+      JSON.stringify({ tasks: [] }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("accepts a subscription sent right after connecting", async () => {
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    await client.connect(
+      new StdioClientTransport({
+        command: process.execPath,
+        args: [path.resolve("mcp-server/server.js")],
+        cwd: tempDir,
+        env: {
+          ...process.env,
+          TASK_MASTER_PROJECT_ROOT: tempDir,
+          LMTASKER_GLOBAL_CONFIG: path.join(tempDir, "global-config"),
+          LMTASKER_SKIP_MCP_AUTOSTART: "",
+        },
+        stderr: "ignore",
+      }),
+    );
+
+    try {
+      expect(client.getServerCapabilities().resources).toMatchObject({
+        subscribe: true,
+      });
+      const updated = new Promise((resolve) =>
+        client.setNotificationHandler(
+          ResourceUpdatedNotificationSchema,
+          (notification) => resolve(notification.params.uri),
+        ),
+      );
+      await client.subscribeResource({ uri: "lm-tasker://tasks" });
+
+      fs.writeFileSync(
+        path.join(tempDir, "tasks", "tasks.json"),
+        JSON.stringify({ tasks: [{ id: 1, title: "Parser" }] }),
+      );
+      expect(await updated).toBe("lm-tasker://tasks");
+    } finally {
+      await client.close();
+    }
+  }, 20000);
+});
@@ -0,0 +1,166 @@
+/**
+ * MCP HTTP server tests: the health endpoint, bearer-token auth and the
+ * project each client and request selects
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import LMTaskerMCPServer from "../../../mcp-server/src/index.js";
+
+describe("MCP HTTP server", () => {
+  let tempDir;
+  let server;
+  let parseServerOptions;
+  const clients = [];
+  const savedEnv = { ...process.env };
+  const port = 17000 + Math.floor(Math.random() * 1000);
+  const url = `http://127.0.0.1:${port}`;
+
+  // A project with one task of the given title
+  const createProject = (name, title) => {
+    const projectRoot = path.join(tempDir, name);
+    fs.mkdirSync(path.join(projectRoot, "tasks"), { recursive: true });
+    fs.writeFileSync(
+      path.join(projectRoot, "tasks", "tasks.json"),
+      JSON.stringify({
+        tasks: [
+          {
+            id: 1,
+            title,
+            description: "",
+            status: "pending",
+            dependencies: [],
+          },
+        ],
+      }),
+    );
+    return projectRoot;
+  };
+
+  const connect = async (headers) => {
+    const client = new Client({ name: "test-client", version: "1.0.0" });
+    await client.connect(
+      new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+        requestInit: { headers },
+      }),
+    );
+    clients.push(client);
+    return client;
+  };
+
+  const readTitles = async (client) => {
+    const { contents } = await client.readResource({
+      uri: "lm-tasker://tasks",
+    });
+    return JSON.parse(contents[0].text).tasks.map((task) => task.title);
+  };
+
+  beforeAll(async () => {
+    process.env.LMTASKER_SKIP_MCP_AUTOSTART = "1";
+    ({ parseServerOptions } = await import("../../../mcp-server/server.js"));
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-http-"));
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    server = new LMTaskerMCPServer();
+    await server.start({ http: true, port, token: "s3cret" });
+  });
+
+  afterAll(async () => {
+    for (const client of clients) {
+      await client.close();
+    }
+    await server.stop();
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("parses the command line", () => {
+    process.env.LMTASKER_MCP_TOKEN = "from-env";
+    expect(parseServerOptions(["node", "server.js"])).toEqual({
+      http: false,
+      port: 7777,
+      host: "127.0.0.1",
+      token: "from-env",
+    });
+    expect(
+      parseServerOptions([
+        "node",
+        "server.js",
+        "--http",
+        "--port",
+        "8080",
+        "--token",
+        "abc",
+      ]),
+    ).toMatchObject({ http: true, port: 8080, token: "abc" });
+  });
+
+  test("serves /health without a token", async () => {
+    const response = await fetch(`${url}/health`);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe("ok");
+  });
+
+  test("refuses clients without the bearer token", async () => {
+    await expect(connect({})).rejects.toThrow(/HTTP 401/);
+    await expect(connect({ Authorization: "Bearer wrong" })).rejects.toThrow(
+      "Unauthorized: missing or invalid bearer token",
+    );
+  });
+
+  test("serves each client the project it selected", async () => {
+    const parser = await connect({
+      Authorization: "Bearer s3cret",
+      "X-Project-Root": createProject("parser", "Parser"),
+    });
+    const docsRoot = createProject("docs", "Docs");
+    const docs = await connect({
+      Authorization: "Bearer s3cret",
+      "X-Project-Root": docsRoot,
+    });
+
+    expect(await readTitles(parser)).toEqual(["Parser"]);
+    expect(await readTitles(docs)).toEqual(["Docs"]);
+
+    // Tool calls use the session's project unless given a projectRoot
+    const callGetTasks = async (args) => {
+      const result = await parser.callTool({
+        name: "get_tasks",
+        arguments: args,
+      });
+      return JSON.parse(result.content[0].text).data.tasks[0].title;
+    };
+    expect(await callGetTasks({})).toBe("Parser");
+    expect(await callGetTasks({ projectRoot: docsRoot })).toBe("Docs");
+  });
+
+  test("reads the project of each request", async () => {
+    const apiRoot = createProject("api", "API");
+    const webRoot = createProject("web", "Web");
+    // The transport sends these headers with every request
+    const headers = {
+      Authorization: "Bearer s3cret",
+      "X-Project-Root": apiRoot,
+    };
+    const client = await connect(headers);
+    const callGetTasks = async () => {
+      const result = await client.callTool({
+        name: "get_tasks",
+        arguments: {},
+      });
+      return JSON.parse(result.content[0].text).data.tasks[0].title;
+    };
+    expect(await readTitles(client)).toEqual(["API"]);
+
+    headers["X-Project-Root"] = webRoot;
+    expect(await readTitles(client)).toEqual(["Web"]);
+    expect(await callGetTasks()).toBe("Web");
+
+    // Requests without the header read the project the session opened with
+    delete headers["X-Project-Root"];
+    expect(await readTitles(client)).toEqual(["API"]);
+    expect(await callGetTasks()).toBe("API");
+  });
+});
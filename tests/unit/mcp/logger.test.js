@@ -2,7 +2,6 @@
  * @jest-environment node
  */
 import { jest } from "@jest/globals";
-import logger, { log as rawLog } from "../../../mcp-server/src/logger.js";
 import {
   enableSilentMode,
   disableSilentMode,
@@ -11,6 +10,21 @@ import {
 describe("MCP logger stdout safety", () => {
   let originalLog;
   let originalError;
+  let logger;
+  let rawLog;
+
+  beforeAll(async () => {
+    // tests/setup.js sets LMTASKER_LOG_LEVEL=error; the logger reads its
+    // level at import time, so load it with info enabled for these checks
+    process.env.LMTASKER_LOG_LEVEL = "info";
+    const loggerModule = await import("../../../mcp-server/src/logger.js");
+    logger = loggerModule.default;
+    rawLog = loggerModule.log;
+  });
+
+  afterAll(() => {
+    process.env.LMTASKER_LOG_LEVEL = "error";
+  });
 
   beforeEach(() => {
     originalLog = console.log;
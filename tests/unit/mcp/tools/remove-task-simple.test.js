@@ -54,8 +54,8 @@ describe('MCP Tool: remove-task (Integration)', () => {
       // id should be required string
       expect(params.id._def.typeName).toBe('ZodString');
       
-      // projectRoot should be required string  
-      expect(params.projectRoot._def.typeName).toBe('ZodString');
+      // projectRoot should be optional, defaulting to the session's project
+      expect(params.projectRoot._def.typeName).toBe('ZodOptional');
       
       // file should be optional
       expect(params.file._def.typeName).toBe('ZodOptional');
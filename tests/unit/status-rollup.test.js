@@ -0,0 +1,144 @@
+/**
+ * Status roll-up tests: parents following their subtasks and completing
+ * parents with open subtasks
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getWorkflow,
+  ConfigurationError,
+} from "../../scripts/modules/config-manager.js";
+import updateSingleTaskStatus from "../../scripts/modules/task-manager/update-single-task-status.js";
+
+describe("status roll-up", () => {
+  let tempDir;
+  let tasksPath;
+  const savedEnv = { ...process.env };
+
+  const writeConfig = (workflow) =>
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({ workflow }, null, 2),
+    );
+
+  // Task 1 with subtasks in the given statuses
+  const tasksData = (status, ...subtaskStatuses) => ({
+    tasks: [
+      {
+        id: 1,
+        title: "Parent",
+        description: "",
+        status,
+        dependencies: [],
+        subtasks: subtaskStatuses.map((subtaskStatus, index) => ({
+          id: index + 1,
+          title: `Sub ${index + 1}`,
+          status: subtaskStatus,
+        })),
+      },
+    ],
+  });
+
+  const statuses = (data) => [
+    data.tasks[0].status,
+    ...data.tasks[0].subtasks.map((subtask) => subtask.status),
+  ];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-rollup-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("starts and completes a parent along with its subtasks", async () => {
+    const data = tasksData("pending", "pending", "pending");
+
+    await expect(
+      updateSingleTaskStatus(tasksPath, "1.1", "in-progress", data, false),
+    ).resolves.toEqual([{ id: "1", from: "pending", to: "in-progress" }]);
+
+    await updateSingleTaskStatus(tasksPath, "1.1", "done", data, false);
+    expect(statuses(data)).toEqual(["in-progress", "done", "pending"]);
+
+    await expect(
+      updateSingleTaskStatus(tasksPath, "1.2", "done", data, false),
+    ).resolves.toEqual([{ id: "1", from: "in-progress", to: "done" }]);
+    expect(statuses(data)).toEqual(["done", "done", "done"]);
+  });
+
+  test("cascades to open subtasks when a parent is completed", async () => {
+    const data = tasksData("in-progress", "done", "pending", "in-progress");
+
+    const rollup = await updateSingleTaskStatus(
+      tasksPath,
+      "1",
+      "done",
+      data,
+      false,
+    );
+
+    expect(rollup).toEqual([
+      { id: "1.2", from: "pending", to: "done" },
+      { id: "1.3", from: "in-progress", to: "done" },
+    ]);
+    expect(statuses(data)).toEqual(["done", "done", "done", "done"]);
+  });
+
+  test("follows the configured roll-up rules and transitions", async () => {
+    writeConfig({
+      transitions: {
+        pending: ["in-progress"],
+        "in-progress": ["review", "pending"],
+        review: ["done", "in-progress"],
+        done: [],
+      },
+      rollup: { onSubtasksComplete: "review", onParentComplete: "fail" },
+    });
+
+    const data = tasksData("in-progress", "in-progress", "done");
+    await updateSingleTaskStatus(tasksPath, "1.1", "review", data, false);
+    expect(statuses(data)).toEqual(["in-progress", "review", "done"]);
+    await updateSingleTaskStatus(tasksPath, "1.1", "done", data, false);
+    expect(statuses(data)).toEqual(["review", "done", "done"]);
+
+    // The parent cannot move from "pending" to "review", so it stays
+    const pendingParent = tasksData("pending", "review");
+    await expect(
+      updateSingleTaskStatus(tasksPath, "1.1", "done", pendingParent, false),
+    ).resolves.toEqual([]);
+
+    const openSubtasks = tasksData("review", "done", "in-progress");
+    await expect(
+      updateSingleTaskStatus(tasksPath, "1", "done", openSubtasks, false),
+    ).rejects.toThrow("Task 1 has open subtasks: 1.2. Complete them first.");
+    expect(statuses(openSubtasks)).toEqual(["review", "done", "in-progress"]);
+  });
+
+  test("refuses instead of prompting when it cannot ask", async () => {
+    writeConfig({
+      rollup: { onParentComplete: "prompt", onSubtaskStarted: null },
+    });
+
+    const data = tasksData("pending", "pending");
+    await updateSingleTaskStatus(tasksPath, "1.1", "in-progress", data, false);
+    expect(statuses(data)).toEqual(["pending", "in-progress"]);
+
+    await expect(
+      updateSingleTaskStatus(tasksPath, "1", "done", data, false),
+    ).rejects.toThrow(/open subtasks: 1.1/);
+  });
+
+  test("rejects roll-up rules naming unknown statuses", () => {
+    writeConfig({ rollup: { onSubtasksComplete: "shipped" } });
+
+    expect(() => getWorkflow(tempDir)).toThrow(ConfigurationError);
+    expect(() => getWorkflow(tempDir)).toThrow(/Unknown status "shipped"/);
+  });
+});
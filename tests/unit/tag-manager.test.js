@@ -0,0 +1,204 @@
+/**
+ * Tag (multiple task lists) tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  TagNotFoundError,
+  getCurrentTag,
+  getTaskFileName,
+  runWithTag,
+  writeTagState,
+} from "../../scripts/modules/tag-manager.js";
+import { runJournalOperation } from "../../scripts/modules/journal.js";
+import { readJSON, writeJSON } from "../../scripts/modules/utils.js";
+import addTag from "../../scripts/modules/task-manager/add-tag.js";
+import copyTag from "../../scripts/modules/task-manager/copy-tag.js";
+import deleteTag from "../../scripts/modules/task-manager/delete-tag.js";
+import listTags from "../../scripts/modules/task-manager/list-tags.js";
+import useTag from "../../scripts/modules/task-manager/use-tag.js";
+import applyJournalOperation from "../../scripts/modules/task-manager/apply-journal-operation.js";
+
+describe("tags", () => {
+  let tempDir;
+  let tasksPath;
+
+  const task = (id, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    status: "pending",
+    dependencies: [],
+    subtasks: [],
+    ...extra,
+  });
+
+  const readFile = () => JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-tags-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    writeJSON(tasksPath, {
+      meta: { projectName: "Test" },
+      tasks: [task(1), task(2, { status: "done" })],
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("reads and writes single-list files as the main tag", () => {
+    expect(getCurrentTag(tasksPath)).toBe("main");
+
+    const data = readJSON(tasksPath);
+    data.tasks.push(task(3));
+    writeJSON(tasksPath, data);
+
+    const file = readFile();
+    expect(file.tags).toBeUndefined();
+    expect(file.tasks.map((t) => t.id)).toEqual([1, 2, 3]);
+  });
+
+  test("migrates to the tagged layout when a second tag is added", () => {
+    addTag(tasksPath, "feature", { description: "Feature work" });
+
+    const file = readFile();
+    expect(file.tasks).toBeUndefined();
+    expect(file.meta.projectName).toBe("Test");
+    expect(file.tags.main.tasks.map((t) => t.id)).toEqual([1, 2]);
+    expect(file.tags.feature).toMatchObject({
+      tasks: [],
+      metadata: { description: "Feature work" },
+    });
+    expect(listTags(tasksPath)).toEqual([
+      expect.objectContaining({
+        name: "main",
+        current: true,
+        taskCount: 2,
+        completedCount: 1,
+      }),
+      expect.objectContaining({
+        name: "feature",
+        current: false,
+        taskCount: 0,
+        description: "Feature work",
+      }),
+    ]);
+  });
+
+  test("counts the tasks in any complete status of the workflow", () => {
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({
+        workflow: {
+          statuses: [
+            { name: "pending" },
+            { name: "done", complete: true },
+            { name: "dropped", complete: true },
+          ],
+        },
+      }),
+    );
+    const data = readJSON(tasksPath);
+    data.tasks.push(task(3, { status: "dropped" }));
+    writeJSON(tasksPath, data);
+
+    try {
+      expect(listTags(tasksPath)).toEqual([
+        expect.objectContaining({ name: "main", completedCount: 2 }),
+      ]);
+    } finally {
+      delete process.env.LMTASKER_GLOBAL_CONFIG;
+    }
+  });
+
+  test("keeps the lists of different tags separate", () => {
+    addTag(tasksPath, "feature");
+
+    runWithTag("feature", () => {
+      const data = readJSON(tasksPath);
+      expect(data.tasks).toEqual([]);
+      data.tasks.push(task(1, { title: "Feature task" }));
+      writeJSON(tasksPath, data);
+    });
+
+    useTag(tasksPath, "feature");
+    expect(getCurrentTag(tasksPath)).toBe("feature");
+    expect(readJSON(tasksPath).tasks.map((t) => t.title)).toEqual([
+      "Feature task",
+    ]);
+    expect(
+      runWithTag("main", () => readJSON(tasksPath)).tasks.map((t) => t.id),
+    ).toEqual([1, 2]);
+  });
+
+  test("rejects tags that do not exist", () => {
+    expect(() => runWithTag("missing", () => readJSON(tasksPath))).toThrow(
+      TagNotFoundError,
+    );
+    expect(() => useTag(tasksPath, "missing")).toThrow(/does not exist/);
+    expect(() => addTag(tasksPath, "bad name")).toThrow(/Invalid tag name/);
+  });
+
+  test("falls back to main when the saved tag was deleted", () => {
+    writeTagState(tasksPath, "gone");
+    expect(getCurrentTag(tasksPath)).toBe("main");
+    expect(readJSON(tasksPath).tasks).toHaveLength(2);
+  });
+
+  test("copies and deletes tags", () => {
+    copyTag(tasksPath, "main", "backup");
+    useTag(tasksPath, "backup");
+    expect(readJSON(tasksPath).tasks.map((t) => t.id)).toEqual([1, 2]);
+
+    fs.writeFileSync(
+      path.join(path.dirname(tasksPath), getTaskFileName(1, "backup")),
+      "",
+    );
+    deleteTag(tasksPath, "backup");
+
+    // Only "main" is left, so the file is a single list again
+    expect(readFile().tasks.map((t) => t.id)).toEqual([1, 2]);
+    expect(getCurrentTag(tasksPath)).toBe("main");
+    expect(
+      fs.existsSync(
+        path.join(path.dirname(tasksPath), getTaskFileName(1, "backup")),
+      ),
+    ).toBe(false);
+    expect(() => deleteTag(tasksPath, "main")).toThrow(/cannot be deleted/);
+  });
+
+  test("undoes tag creation and changes made in a tag", () => {
+    runJournalOperation({ label: "tags", source: "cli" }, () =>
+      addTag(tasksPath, "feature"),
+    );
+    runJournalOperation({ label: "add-task", source: "cli" }, () =>
+      runWithTag("feature", () => {
+        const data = readJSON(tasksPath);
+        data.tasks.push(task(1));
+        writeJSON(tasksPath, data);
+      }),
+    );
+
+    expect(applyJournalOperation(tasksPath, "undo")).toMatchObject({
+      label: "add-task",
+      tags: ["feature"],
+      added: [1],
+    });
+    expect(readFile().tags.feature.tasks).toEqual([]);
+
+    expect(applyJournalOperation(tasksPath, "undo")).toMatchObject({
+      label: "tags",
+      tagsCreated: ["feature"],
+    });
+    const file = readFile();
+    expect(file.tags).toBeUndefined();
+    expect(file.tasks.map((t) => t.id)).toEqual([1, 2]);
+
+    applyJournalOperation(tasksPath, "redo");
+    expect(Object.keys(readFile().tags)).toEqual(["main", "feature"]);
+  });
+});
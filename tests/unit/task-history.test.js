@@ -0,0 +1,216 @@
+/**
+ * Task history tests: recorded changes, actors, migration and the log command
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  diffItem,
+  recordTaskHistory,
+  describeHistoryEntry,
+} from "../../scripts/modules/task-history.js";
+import { runJournalOperation } from "../../scripts/modules/journal.js";
+import { readJSON, writeJSON } from "../../scripts/modules/utils.js";
+import getTaskHistory from "../../scripts/modules/task-manager/get-task-history.js";
+import applyJournalOperation from "../../scripts/modules/task-manager/apply-journal-operation.js";
+
+describe("task history", () => {
+  const now = new Date("2026-10-14T09:00:00Z");
+  const task = (id, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    description: "",
+    status: "pending",
+    dependencies: [],
+    ...extra,
+  });
+
+  test("describes status, field, dependency and subtask changes", () => {
+    const before = task(1, {
+      priority: "low",
+      details: "Old",
+      dependencies: [2, 3],
+      subtasks: [{ id: 1, title: "Sub" }],
+    });
+    const after = task(1, {
+      status: "done",
+      title: "Renamed",
+      priority: "low",
+      details: "New",
+      dependencies: [3, 4],
+      subtasks: [{ id: 2, title: "Other" }],
+    });
+
+    const changes = diffItem(before, after);
+    expect(changes).toEqual([
+      { type: "status", from: "pending", to: "done" },
+      { type: "field", field: "title", from: "Task 1", to: "Renamed" },
+      { type: "field", field: "details" },
+      { type: "dependencies", added: ["4"], removed: ["2"] },
+      { type: "subtasks", added: [2], removed: [1] },
+    ]);
+    expect(changes.map(describeHistoryEntry)).toEqual([
+      "status: pending → done",
+      "title: Task 1 → Renamed",
+      "details edited",
+      "dependencies: +4 -2",
+      "subtasks: +2 -1",
+    ]);
+    expect(diffItem(before, before)).toEqual([]);
+    expect(diffItem(null, task(2))).toEqual([{ type: "created" }]);
+    expect(diffItem(null, task(2, { history: [{ type: "created" }] }))).toEqual(
+      [{ type: "moved" }],
+    );
+  });
+
+  test("stamps changed tasks and subtasks with who made the change", () => {
+    const before = {
+      tasks: [
+        task(1, {
+          history: [{ at: now.toISOString(), type: "created" }],
+          subtasks: [{ id: 1, title: "Sub", status: "pending" }],
+        }),
+        task(2),
+      ],
+    };
+    // A writer that rebuilt task 1 without its history
+    const after = {
+      tasks: [
+        task(1, { subtasks: [{ id: 1, title: "Sub", status: "done" }] }),
+        task(2),
+        task(3, { subtasks: [{ id: 1, title: "New sub" }] }),
+      ],
+    };
+
+    recordTaskHistory(
+      before,
+      after,
+      { label: "set-status", source: "mcp", actor: "cursor" },
+      now,
+    );
+
+    const stamp = {
+      at: now.toISOString(),
+      actor: "cursor",
+      source: "mcp",
+      command: "set-status",
+    };
+    expect(after.tasks[0].subtasks[0].history).toEqual([
+      { ...stamp, type: "status", from: "pending", to: "done" },
+    ]);
+    // Unchanged tasks and the subtasks of new tasks get no entries
+    expect(after.tasks[0].history).toBeUndefined();
+    expect(after.tasks[1].history).toBeUndefined();
+    expect(after.tasks[2].history).toEqual([{ ...stamp, type: "created" }]);
+    expect(after.tasks[2].subtasks[0].history).toBeUndefined();
+
+    after.tasks[0].title = "Renamed";
+    recordTaskHistory(before, after, {}, now);
+    expect(after.tasks[0].history.map((entry) => entry.type)).toEqual([
+      "created",
+      "field",
+    ]);
+    expect(after.tasks[0].history[1]).toMatchObject({
+      actor: "unknown",
+      command: "write",
+    });
+  });
+
+  describe("task files", () => {
+    let tempDir;
+    let tasksPath;
+
+    // Apply a change to tasks.json as one journal operation
+    const change = (operation, mutate) =>
+      runJournalOperation(operation, () => {
+        const data = readJSON(tasksPath);
+        mutate(data);
+        writeJSON(tasksPath, data);
+      });
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-history-"));
+      tasksPath = path.join(tempDir, "tasks", "tasks.json");
+      runJournalOperation(
+        { label: "add-task", source: "cli", actor: "alice" },
+        () =>
+          writeJSON(tasksPath, {
+            tasks: [
+              task(1, {
+                subtasks: [{ id: 1, title: "Sub", status: "pending" }],
+              }),
+            ],
+          }),
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("records every write with its actor and lists it newest first", () => {
+      change(
+        { label: "set_task_status", source: "mcp", actor: "cursor" },
+        (data) => {
+          data.tasks[0].subtasks[0].status = "done";
+        },
+      );
+      change({ label: "add-dependency", source: "tui" }, (data) => {
+        data.tasks[0].dependencies = [2];
+      });
+
+      const history = getTaskHistory(tasksPath, 1);
+      expect(history).toMatchObject({ id: "1", title: "Task 1", total: 3 });
+      expect(
+        history.entries.map((entry) => [
+          entry.id,
+          entry.type,
+          entry.source,
+          entry.command,
+        ]),
+      ).toEqual([
+        ["1", "dependencies", "tui", "add-dependency"],
+        ["1.1", "status", "mcp", "set_task_status"],
+        ["1", "created", "cli", "add-task"],
+      ]);
+      expect(history.entries[1].actor).toBe("cursor");
+      expect(history.entries[2].actor).toBe("alice");
+
+      expect(getTaskHistory(tasksPath, "1.1").entries).toHaveLength(1);
+      expect(getTaskHistory(tasksPath, 1, { limit: 1 }).entries).toHaveLength(
+        1,
+      );
+      expect(() => getTaskHistory(tasksPath, 9)).toThrow(/Task 9 not found/);
+    });
+
+    test("undo and redo keep the history and append to it", () => {
+      change({ label: "set-status", source: "cli" }, (data) => {
+        data.tasks[0].status = "done";
+        data.tasks[0].subtasks[0].status = "done";
+      });
+      const { id } = applyJournalOperation(tasksPath, "undo");
+
+      expect(readJSON(tasksPath).tasks[0]).toMatchObject({ status: "pending" });
+      const history = getTaskHistory(tasksPath, 1);
+      expect(history.total).toBe(5);
+      expect(
+        history.entries
+          .filter((entry) => entry.type === "undo")
+          .map((entry) => [entry.id, describeHistoryEntry(entry)])
+          .sort(),
+      ).toEqual([
+        ["1", `undo of set-status (${id}): status: done → pending`],
+        ["1.1", `undo of set-status (${id}): status: done → pending`],
+      ]);
+
+      applyJournalOperation(tasksPath, "redo");
+      expect(readJSON(tasksPath).tasks[0]).toMatchObject({ status: "done" });
+      expect(getTaskHistory(tasksPath, 1).entries[0]).toMatchObject({
+        type: "redo",
+        operation: id,
+        changes: [{ type: "status", from: "pending", to: "done" }],
+      });
+    });
+  });
+});
@@ -12,6 +12,10 @@ import fs from "fs";
 import path from "path";
 import addTask from "../../../scripts/modules/task-manager/add-task.js";
 import { createMinimalTasksJson } from "../../../scripts/modules/utils.js";
+import {
+  getConfig,
+  findProjectRoot,
+} from "../../../scripts/modules/config-manager.js";
 
 // Mock fs module
 jest.mock("fs");
@@ -60,6 +64,11 @@ describe("add-task auto-initialization behavior", () => {
   let testTasksPath;
   let testTasksDir;
 
+  beforeAll(() => {
+    // Generating task files reads the project config; load it before fs is mocked
+    getConfig(findProjectRoot("/test/project/tasks"));
+  });
+
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
@@ -90,6 +99,12 @@ describe("add-task auto-initialization behavior", () => {
     jest.spyOn(mockFs, 'mkdirSync').mockImplementation(() => {});
     jest.spyOn(mockFs, 'readFileSync').mockReturnValue(JSON.stringify({ meta: {}, tasks: [] }));
     jest.spyOn(mockFs, 'writeFileSync').mockImplementation(() => {});
+    // writeJSON takes a lock file and renames a temp file into place
+    jest.spyOn(mockFs, 'openSync').mockReturnValue(99);
+    jest.spyOn(mockFs, 'writeSync').mockImplementation(() => {});
+    jest.spyOn(mockFs, 'closeSync').mockImplementation(() => {});
+    jest.spyOn(mockFs, 'renameSync').mockImplementation(() => {});
+    jest.spyOn(mockFs, 'unlinkSync').mockImplementation(() => {});
 
     // Mock path methods
     jest.spyOn(mockPath, 'dirname').mockImplementation((path) => {
@@ -140,7 +155,7 @@ describe("add-task auto-initialization behavior", () => {
       
       // Verify the written content includes the new task
       const writeFileCall = mockFs.writeFileSync.mock.calls[0];
-      expect(writeFileCall[0]).toBe(testTasksPath);
+      expect(mockFs.renameSync).toHaveBeenCalledWith(writeFileCall[0], testTasksPath);
       
       const writtenData = JSON.parse(writeFileCall[1]);
       expect(writtenData).toHaveProperty("meta");
@@ -357,7 +372,12 @@ describe("add-task auto-initialization behavior", () => {
       const writeFileCall = mockFs.writeFileSync.mock.calls[0];
       const writtenData = JSON.parse(writeFileCall[1]);
       
-      expect(writtenData.meta).toEqual(existingTasks.meta);
+      // Only the optimistic-concurrency revision and schema version are added by writeJSON
+      expect(writtenData.meta).toEqual({
+        ...existingTasks.meta,
+        revision: 1,
+        schemaVersion: 1,
+      });
       expect(writtenData.meta.customField).toBe("custom-value");
     });
   });
@@ -0,0 +1,143 @@
+/**
+ * Dependency analysis tests
+ */
+
+import {
+  analyzeTaskGraph,
+  getTaskLevelDependencies,
+} from "../../../scripts/modules/task-manager/analyze-tasks.js";
+
+describe("analyzeTaskGraph", () => {
+  const tasks = [
+    { id: 1, title: "Set up db", status: "done", dependencies: [] },
+    {
+      id: 2,
+      title: "API",
+      status: "in-progress",
+      dependencies: [1],
+      subtasks: [
+        { id: 1, title: "List", status: "done", dependencies: [] },
+        { id: 2, title: "Create", status: "pending", dependencies: [1] },
+      ],
+    },
+    { id: 3, title: "Docs", status: "pending", dependencies: [2] },
+    {
+      id: 4,
+      title: "Deploy",
+      status: "pending",
+      dependencies: [3],
+      subtasks: [
+        {
+          id: 1,
+          title: "Design review",
+          status: "pending",
+          dependencies: ["6.1"],
+        },
+      ],
+    },
+    { id: 5, title: "Unrelated", status: "pending", dependencies: [] },
+    { id: 6, title: "Design", status: "cancelled", dependencies: [] },
+    { id: 7, title: "Loop A", status: "pending", dependencies: [8] },
+    { id: 8, title: "Loop B", status: "pending", dependencies: [7] },
+    { id: 9, title: "Ghost", status: "pending", dependencies: [42] },
+    { id: 10, title: "After deploy", status: "pending", dependencies: [4] },
+    { id: 11, title: "Changelog", status: "pending", dependencies: [2] },
+  ];
+
+  const ids = (items) => items.map((item) => item.id);
+
+  test("lifts subtask dependencies to their parent task", () => {
+    expect(getTaskLevelDependencies(tasks[1])).toEqual(["1"]);
+    expect(getTaskLevelDependencies(tasks[3])).toEqual(["3", "6"]);
+  });
+
+  test("finds the critical path and the longest chains of open tasks", () => {
+    const analysis = analyzeTaskGraph(tasks);
+
+    expect(analysis.summary).toEqual({
+      tasks: 11,
+      open: 9,
+      ready: 2,
+      blocked: 7,
+    });
+    expect(analysis.criticalPath.length).toBe(4);
+    expect(ids(analysis.criticalPath.tasks)).toEqual([2, 3, 4, 10]);
+    expect(analysis.longestChains.map((chain) => ids(chain.tasks))).toEqual([
+      [2, 3, 4, 10],
+      [2, 11],
+    ]);
+  });
+
+  test("ranks the tasks that unblock the most work", () => {
+    const { unblockers } = analyzeTaskGraph(tasks, { limit: 2 });
+
+    expect(unblockers).toEqual([
+      expect.objectContaining({
+        id: 2,
+        ready: true,
+        directlyBlocks: 2,
+        unblocks: 4,
+      }),
+      expect.objectContaining({ id: 3, ready: false, unblocks: 2 }),
+    ]);
+  });
+
+  test("reports orphaned tasks, dead ends and cycles", () => {
+    const analysis = analyzeTaskGraph(tasks);
+
+    expect(ids(analysis.orphaned)).toEqual([5]);
+    expect(analysis.deadEnds).toEqual([
+      expect.objectContaining({
+        id: 4,
+        blockedBy: [{ id: "6", reason: "cancelled" }],
+      }),
+      expect.objectContaining({
+        id: 9,
+        blockedBy: [{ id: "42", reason: "missing" }],
+      }),
+      expect.objectContaining({
+        id: 10,
+        blockedBy: [{ id: "4", reason: "blocked" }],
+      }),
+    ]);
+    expect(ids(analysis.cycles)).toEqual([7, 8]);
+    expect(ids(analysis.unblockers)).not.toContain(7);
+  });
+
+  test("treats every complete status of the workflow as finished", () => {
+    const workflow = {
+      statuses: [
+        { name: "todo" },
+        { name: "done", complete: true },
+        { name: "dropped", complete: true },
+      ],
+    };
+    const analysis = analyzeTaskGraph(
+      [
+        { id: 1, title: "Spike", status: "dropped", dependencies: [] },
+        { id: 2, title: "Build", status: "todo", dependencies: [1] },
+        { id: 3, title: "Ship", status: "todo", dependencies: [2] },
+      ],
+      { workflow },
+    );
+
+    expect(analysis.summary).toEqual({
+      tasks: 3,
+      open: 2,
+      ready: 1,
+      blocked: 1,
+    });
+    expect(ids(analysis.criticalPath.tasks)).toEqual([2, 3]);
+    expect(analysis.unblockers).toEqual([
+      expect.objectContaining({ id: 2, ready: true, unblocks: 1 }),
+    ]);
+  });
+
+  test("handles an empty list", () => {
+    expect(analyzeTaskGraph([])).toMatchObject({
+      criticalPath: { length: 0, tasks: [] },
+      unblockers: [],
+      cycles: [],
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Task batch tests: applying ordered operations with symbolic refs in one
+ * write, all or nothing
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readJSON } from "../../../scripts/modules/utils.js";
+import applyTaskBatch, {
+  readTaskBatchFile,
+} from "../../../scripts/modules/task-manager/apply-task-batch.js";
+import { registerApplyTaskBatchTool } from "../../../mcp-server/src/tools/apply-task-batch.js";
+
+const log = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("applyTaskBatch", () => {
+  let tempDir;
+  let tasksPath;
+  const savedEnv = { ...process.env };
+
+  const existing = [
+    {
+      id: 1,
+      title: "Setup",
+      description: "",
+      status: "done",
+      dependencies: [],
+      priority: "medium",
+      subtasks: [
+        {
+          id: 1,
+          title: "Repo",
+          description: "",
+          status: "done",
+          dependencies: [],
+        },
+      ],
+    },
+  ];
+
+  const plan = [
+    { type: "add_task", ref: "api", title: "API", dependencies: [1] },
+    { type: "add_subtask", ref: "routes", parent: "$api", title: "Routes" },
+    {
+      type: "add_subtask",
+      parent: "$api",
+      title: "Auth",
+      dependencies: ["$routes", "1.1"],
+    },
+    {
+      type: "add_task",
+      ref: "ui",
+      title: "UI",
+      priority: "low",
+      dependencies: ["$routes"],
+    },
+    { type: "add_dependency", id: "$ui", dependsOn: "$api" },
+  ];
+
+  const tasks = () => readJSON(tasksPath).tasks;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-batch-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    fs.mkdirSync(path.dirname(tasksPath));
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks: existing }, null, 2));
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("applies operations in order, resolving refs", () => {
+    const result = applyTaskBatch(tasksPath, plan, { projectRoot: tempDir });
+
+    expect(result).toMatchObject({
+      dryRun: false,
+      operations: 5,
+      refs: { api: 2, routes: "2.1", ui: 3 },
+      created: [
+        { ref: "api", id: 2, title: "API" },
+        { ref: "routes", id: "2.1", title: "Routes" },
+        { id: "2.2", title: "Auth" },
+        { ref: "ui", id: 3, title: "UI" },
+      ],
+      dependencies: [{ id: 3, dependsOn: 2 }],
+    });
+    const [, api, ui] = tasks();
+    expect(api).toMatchObject({
+      title: "API",
+      status: "pending",
+      priority: "medium",
+      dependencies: [1],
+    });
+    // Subtasks refer to their siblings by subtask ID
+    expect(api.subtasks.map((subtask) => subtask.dependencies)).toEqual([
+      [],
+      [1, "1.1"],
+    ]);
+    expect(ui).toMatchObject({ priority: "low", dependencies: ["2.1", 2] });
+    expect(fs.existsSync(path.join(tempDir, "tasks", "task_003.txt"))).toBe(
+      true,
+    );
+  });
+
+  test("starts new tasks and subtasks in the first status of the workflow", () => {
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({
+        workflow: {
+          statuses: [{ name: "todo" }, { name: "done", complete: true }],
+        },
+      }),
+    );
+
+    applyTaskBatch(tasksPath, plan, { projectRoot: tempDir });
+
+    const [, api, ui] = tasks();
+    expect(api.status).toBe("todo");
+    expect(api.subtasks.map((subtask) => subtask.status)).toEqual([
+      "todo",
+      "todo",
+    ]);
+    expect(ui.status).toBe("todo");
+  });
+
+  test("changes nothing when an operation is invalid", () => {
+    const before = fs.readFileSync(tasksPath, "utf8");
+
+    expect(() =>
+      applyTaskBatch(tasksPath, [
+        ...plan,
+        { type: "add_dependency", id: "$api", dependsOn: "$ui" },
+      ]),
+    ).toThrow(
+      "Operation 6 (add_dependency): 2 depending on 3 would create a circular dependency",
+    );
+    expect(() =>
+      applyTaskBatch(tasksPath, [
+        { type: "add_task", title: "Docs", dependencies: ["$later"] },
+        { type: "add_task", ref: "later", title: "Later" },
+      ]),
+    ).toThrow(
+      'Operation 1 (add_task): Unknown ref "$later"; refs must be defined by an earlier operation',
+    );
+    expect(() =>
+      applyTaskBatch(tasksPath, [
+        { type: "add_task", title: "Docs" },
+        { type: "add_subtask", parent: 7, title: "Guide" },
+      ]),
+    ).toThrow("Operation 2 (add_subtask): Task 7 not found");
+    expect(() => applyTaskBatch(tasksPath, [{ type: "remove" }])).toThrow(
+      'Operation 1: Unknown operation type "remove"',
+    );
+
+    expect(fs.readFileSync(tasksPath, "utf8")).toBe(before);
+  });
+
+  test("reports a dry run without writing", () => {
+    const before = fs.readFileSync(tasksPath, "utf8");
+
+    const result = applyTaskBatch(tasksPath, plan, { dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.refs).toEqual({ api: 2, routes: "2.1", ui: 3 });
+    expect(fs.readFileSync(tasksPath, "utf8")).toBe(before);
+  });
+
+  test("reads batch files", () => {
+    const batchPath = path.join(tempDir, "plan.json");
+    fs.writeFileSync(batchPath, JSON.stringify({ operations: plan }));
+    expect(readTaskBatchFile(batchPath)).toEqual(plan);
+
+    fs.writeFileSync(batchPath, JSON.stringify({ tasks: [] }));
+    expect(() => readTaskBatchFile(batchPath)).toThrow(
+      'must hold an array of operations or an object with an "operations" array',
+    );
+  });
+
+  test("apply_task_batch applies the batch in the project", async () => {
+    let tool;
+    registerApplyTaskBatchTool({ addTool: (added) => (tool = added) });
+
+    const response = await tool.execute(
+      { operations: plan, projectRoot: tempDir },
+      { log },
+    );
+
+    const { data } = JSON.parse(response.content[0].text);
+    expect(data.message).toBe(
+      "Applied 5 operations: 4 tasks and subtasks created, 1 dependencies added",
+    );
+    expect(tasks().map((task) => task.title)).toEqual(["Setup", "API", "UI"]);
+
+    const failed = await tool.execute(
+      {
+        operations: [{ type: "add_subtask", parent: 9, title: "Orphan" }],
+        projectRoot: tempDir,
+      },
+      { log },
+    );
+    expect(failed.isError).toBe(true);
+    expect(failed.content[0].text).toMatch("Task 9 not found");
+  });
+});
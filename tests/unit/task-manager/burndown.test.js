@@ -0,0 +1,221 @@
+/**
+ * Estimate and burndown tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseEstimate,
+  getEstimateTotals,
+  getFinishedAt,
+} from "../../../scripts/modules/estimates.js";
+import { buildBurndown } from "../../../scripts/modules/task-manager/get-burndown.js";
+import setTaskEstimate from "../../../scripts/modules/task-manager/set-task-estimate.js";
+
+const at = (day) => new Date(`${day}T12:00:00`);
+
+describe("estimates", () => {
+  test("parses estimates and rejects anything else", () => {
+    expect(parseEstimate("3")).toBe(3);
+    expect(parseEstimate(2.5)).toBe(2.5);
+    expect(parseEstimate("5pt")).toBe(5);
+    expect(parseEstimate("none")).toBeNull();
+    expect(() => parseEstimate("-1")).toThrow(/Invalid estimate/);
+    expect(() => parseEstimate("")).toThrow(/Invalid estimate/);
+  });
+
+  test("totals the estimates of a task and its subtasks", () => {
+    expect(
+      getEstimateTotals({
+        estimate: 5,
+        subtasks: [{ estimate: 2 }, {}, { estimate: 1.5 }],
+      }),
+    ).toEqual({ own: 5, subtasks: 3.5 });
+    expect(getEstimateTotals({ subtasks: [] })).toEqual({
+      own: null,
+      subtasks: null,
+    });
+  });
+
+  test("finds when work was finished from its status history", () => {
+    const status = (from, to, day) => ({
+      at: at(day).toISOString(),
+      type: "status",
+      from,
+      to,
+    });
+    const task = {
+      status: "done",
+      history: [
+        status("pending", "done", "2026-10-01"),
+        { at: at("2026-10-02").toISOString(), type: "field", field: "title" },
+        status("done", "in-progress", "2026-10-03"),
+        status("in-progress", "done", "2026-10-05"),
+      ],
+    };
+    expect(getFinishedAt(task)).toBe(at("2026-10-05").toISOString());
+    expect(getFinishedAt({ ...task, status: "in-progress" })).toBeNull();
+    expect(getFinishedAt({ status: "done" })).toBeNull();
+  });
+});
+
+describe("buildBurndown", () => {
+  const finished = (status, day) => ({
+    status,
+    history: [
+      {
+        at: at(day).toISOString(),
+        type: "status",
+        from: "pending",
+        to: status,
+      },
+    ],
+  });
+  const tasks = [
+    { id: 1, title: "API", estimate: 5, ...finished("done", "2026-10-13") },
+    {
+      id: 2,
+      title: "Docs",
+      status: "in-progress",
+      estimate: 100, // ignored: the subtasks are estimated
+      subtasks: [
+        {
+          id: 1,
+          title: "Outline",
+          estimate: 2,
+          ...finished("done", "2026-10-14"),
+        },
+        { id: 2, title: "Write", estimate: 3, status: "pending" },
+      ],
+    },
+    { id: 3, title: "Old", estimate: 8, status: "done" },
+    {
+      id: 4,
+      title: "Dropped",
+      estimate: 1,
+      ...finished("cancelled", "2026-10-14"),
+    },
+    { id: 5, title: "Earlier", estimate: 4, ...finished("done", "2026-10-01") },
+    { id: 6, title: "Unestimated", status: "pending" },
+  ];
+
+  test("tracks remaining work, the ideal line and velocity per day", () => {
+    const burndown = buildBurndown(tasks, {
+      since: "2026-10-12",
+      until: "2026-10-15",
+    });
+
+    expect(burndown).toMatchObject({
+      since: "2026-10-12",
+      until: "2026-10-15",
+      scope: 11,
+      completed: 7,
+      remaining: 3,
+      unestimated: 1,
+    });
+    expect(burndown.points).toEqual([
+      { date: "2026-10-12", remaining: 11, completed: 0, ideal: 8.25 },
+      { date: "2026-10-13", remaining: 6, completed: 5, ideal: 5.5 },
+      { date: "2026-10-14", remaining: 3, completed: 2, ideal: 2.75 },
+      { date: "2026-10-15", remaining: 3, completed: 0, ideal: 0 },
+    ]);
+    expect(burndown.velocity.average).toBe(1.75);
+  });
+
+  test("groups velocity by week and defaults to the last two weeks", () => {
+    const burndown = buildBurndown(tasks, {
+      by: "week",
+      now: at("2026-10-18"),
+    });
+
+    expect(burndown.since).toBe("2026-10-05");
+    expect(burndown.points).toHaveLength(14);
+    expect(burndown.velocity.periods).toEqual([
+      { period: "2026-10-05", completed: 0 },
+      { period: "2026-10-12", completed: 7 },
+    ]);
+  });
+
+  test("counts every complete status of the workflow as finished work", () => {
+    const workflow = {
+      statuses: [
+        { name: "todo" },
+        { name: "done", complete: true },
+        { name: "merged", complete: true },
+      ],
+    };
+    const burndown = buildBurndown(
+      [
+        { id: 1, estimate: 5, ...finished("merged", "2026-10-13") },
+        { id: 2, estimate: 3, status: "todo" },
+        { id: 3, estimate: 8, status: "merged" },
+      ],
+      { since: "2026-10-12", until: "2026-10-13", workflow },
+    );
+
+    expect(burndown).toMatchObject({ scope: 8, completed: 5, remaining: 3 });
+  });
+
+  test("rejects invalid options", () => {
+    expect(() => buildBurndown(tasks, { by: "month" })).toThrow(
+      /Unknown velocity period/,
+    );
+    expect(() => buildBurndown(tasks, { since: "2026-13-01" })).toThrow(
+      /Invalid --since date/,
+    );
+    expect(() =>
+      buildBurndown(tasks, { since: "2026-10-15", until: "2026-10-14" }),
+    ).toThrow(/must not be after/);
+  });
+});
+
+describe("setTaskEstimate", () => {
+  let tempDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-estimate-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    fs.mkdirSync(path.dirname(tasksPath));
+    fs.writeFileSync(
+      tasksPath,
+      JSON.stringify({
+        tasks: [
+          {
+            id: 1,
+            title: "API",
+            description: "",
+            status: "pending",
+            dependencies: [],
+            subtasks: [{ id: 1, title: "Routes", status: "pending" }],
+          },
+        ],
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("sets and clears estimates on tasks and subtasks", () => {
+    expect(setTaskEstimate(tasksPath, "1.1", "3")).toMatchObject({
+      id: "1.1",
+      estimate: 3,
+      previous: null,
+    });
+    expect(setTaskEstimate(tasksPath, 1, 5).estimate).toBe(5);
+    expect(setTaskEstimate(tasksPath, 1, "none")).toMatchObject({
+      estimate: null,
+      previous: 5,
+    });
+
+    const saved = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    const [task] = saved.tasks || Object.values(saved.tags)[0].tasks;
+    expect(task.estimate).toBeUndefined();
+    expect(task.subtasks[0].estimate).toBe(3);
+
+    expect(() => setTaskEstimate(tasksPath, 9, 1)).toThrow(/Task 9 not found/);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Project report export tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import exportTasks from "../../../scripts/modules/task-manager/export-tasks.js";
+
+describe("exportTasks", () => {
+  let tempDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-export-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    fs.mkdirSync(path.dirname(tasksPath));
+    fs.writeFileSync(
+      tasksPath,
+      JSON.stringify({
+        meta: { projectName: "Demo" },
+        tasks: [
+          {
+            id: 1,
+            title: "Set up <db>",
+            description: "Schema, migrations",
+            status: "done",
+            priority: "high",
+            dependencies: [],
+            details: 'Use "pg"',
+            testStrategy: "Run migrations twice",
+          },
+          {
+            id: 2,
+            title: "API | endpoints",
+            description: "",
+            status: "pending",
+            dependencies: [1],
+            subtasks: [
+              { id: 1, title: "List", status: "done", dependencies: [] },
+              { id: 2, title: "Create", status: "pending", dependencies: [1] },
+            ],
+          },
+        ],
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("renders a Markdown report with progress, dependencies and subtasks", () => {
+    const { content, taskCount, outputPath } = exportTasks(tasksPath, "md");
+
+    expect(taskCount).toBe(2);
+    expect(outputPath).toBeNull();
+    expect(content).toContain("# Demo – Task Report");
+    expect(content).toContain("Tag: `main`");
+    expect(content).toMatch(/\| Tasks \| `█{10}░{10}` 50% \| 1\/2 \|/);
+    expect(content).toContain(
+      "| 2 | API \\| endpoints | pending | medium | 1 (done) |",
+    );
+    expect(content).toContain("· Ready to start");
+    expect(content).toContain("#### Test Strategy\n\nRun migrations twice");
+    expect(content).toContain("- [x] **2.1** List (done)");
+    expect(content).toContain(
+      "- [ ] **2.2** Create (pending) – depends on 2.1 (done)",
+    );
+  });
+
+  test("renders CSV rows for tasks and subtasks", () => {
+    const lines = exportTasks(tasksPath, "csv").content.split("\r\n");
+
+    expect(lines[0]).toBe(
+      "id,parentId,title,status,priority,dependencies,dependenciesDone,description,details,testStrategy",
+    );
+    expect(lines[1]).toBe(
+      '1,,Set up <db>,done,high,,0/0,"Schema, migrations","Use ""pg""",Run migrations twice',
+    );
+    expect(lines[2]).toBe("2,,API | endpoints,pending,medium,1,1/1,,,");
+    expect(lines[4]).toBe("2.2,2,Create,pending,,2.1,1/1,,,");
+  });
+
+  test("escapes HTML and writes the report to a file", () => {
+    const output = path.join(tempDir, "reports", "status.html");
+    const result = exportTasks(tasksPath, "html", { output });
+
+    expect(result.outputPath).toBe(output);
+    const html = fs.readFileSync(output, "utf8");
+    expect(html).toContain("<h3>1. Set up &lt;db&gt;</h3>");
+    expect(html).toContain("Use &quot;pg&quot;");
+    expect(html).not.toContain("<db>");
+  });
+
+  test("exports filtered tasks as JSON", () => {
+    const report = JSON.parse(
+      exportTasks(tasksPath, "json", { filter: "status:pending" }).content,
+    );
+
+    expect(report.filter).toBe("status:pending");
+    expect(report.tasks.map((task) => task.id)).toEqual([2]);
+    expect(report.stats.subtasks).toMatchObject({
+      total: 2,
+      done: 1,
+      percent: 50,
+    });
+    expect(report.tasks[0].dependencies).toEqual([
+      { id: "1", status: "done", done: true },
+    ]);
+  });
+
+  test("counts every complete status of the workflow as done", () => {
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({
+        workflow: {
+          statuses: [
+            { name: "todo" },
+            { name: "done", complete: true },
+            { name: "dropped", complete: true },
+          ],
+        },
+      }),
+    );
+    const data = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    data.tasks[0].status = "dropped";
+    data.tasks[1].status = "todo";
+    data.tasks[1].subtasks[0].status = "dropped";
+    fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+    try {
+      const report = JSON.parse(exportTasks(tasksPath, "json").content);
+
+      expect(report.stats.tasks).toMatchObject({ total: 2, done: 1 });
+      expect(report.stats.subtasks).toMatchObject({ total: 2, done: 1 });
+      expect(report.tasks[1].dependencies).toEqual([
+        { id: "1", status: "dropped", done: true },
+      ]);
+      expect(report.tasks[1].ready).toBe(true);
+      expect(report.tasks[1].subtasks[1].dependencies[0].done).toBe(true);
+      expect(exportTasks(tasksPath, "md").content).toContain(
+        "- [x] **2.1** List (dropped)",
+      );
+    } finally {
+      delete process.env.LMTASKER_GLOBAL_CONFIG;
+    }
+  });
+
+  test("builds the status breakdown from the workflow's statuses", () => {
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({
+        workflow: {
+          statuses: [
+            { name: "todo", color: "#123456" },
+            { name: "review" },
+            { name: "done", complete: true },
+          ],
+        },
+      }),
+    );
+    const data = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    data.tasks[1].status = "todo";
+    data.tasks[1].subtasks[1].status = "review";
+    fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+    try {
+      const report = JSON.parse(exportTasks(tasksPath, "json").content);
+      expect(report.statuses).toEqual([
+        { name: "todo", color: "#123456", complete: false },
+        { name: "review", color: null, complete: false },
+        { name: "done", color: null, complete: true },
+      ]);
+      expect(report.stats.tasks).toEqual({
+        total: 2,
+        done: 1,
+        todo: 1,
+        review: 0,
+        percent: 50,
+      });
+
+      const markdown = exportTasks(tasksPath, "md").content;
+      expect(markdown).toContain("| 1/2 | 1 done, 1 todo |");
+      expect(markdown).toContain("| 1/2 | 1 done, 1 review |");
+      expect(markdown).not.toContain("blocked");
+      expect(markdown).not.toContain("pending");
+
+      const html = exportTasks(tasksPath, "html").content;
+      expect(html).toContain(
+        '<span class="status" style="background:#123456">todo</span>',
+      );
+    } finally {
+      delete process.env.LMTASKER_GLOBAL_CONFIG;
+    }
+  });
+
+  test("rejects unknown formats", () => {
+    expect(() => exportTasks(tasksPath, "pdf")).toThrow(
+      /Unknown export format "pdf"/,
+    );
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Task file generation tests: writing only changed files, removing orphans,
+ * Markdown task files and watching the tasks file
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readJSON, writeJSON } from "../../../scripts/modules/utils.js";
+import {
+  readJournal,
+  runJournalOperation,
+} from "../../../scripts/modules/journal.js";
+import generateTaskFiles from "../../../scripts/modules/task-manager/generate-task-files.js";
+import applyJournalOperation from "../../../scripts/modules/task-manager/apply-journal-operation.js";
+import watchTaskFiles from "../../../scripts/modules/task-manager/watch-task-files.js";
+
+const mcpLog = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+describe("generateTaskFiles", () => {
+  let tempDir;
+  let tasksPath;
+  let outputDir;
+  let watcher;
+  const savedEnv = { ...process.env };
+
+  const task = (id, title) => ({
+    id,
+    title,
+    description: "",
+    status: "pending",
+    dependencies: [],
+  });
+
+  const writeTasks = (tasks) =>
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+
+  const taskFile = (id) =>
+    path.join(outputDir, `task_${String(id).padStart(3, "0")}.txt`);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-generate-"));
+    tasksPath = path.join(tempDir, "tasks.json");
+    outputDir = path.join(tempDir, "files");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    writeTasks([task(1, "Parser"), task(2, "Docs"), task(3, "Release")]);
+  });
+
+  afterEach(() => {
+    watcher?.close();
+    watcher = null;
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("only rewrites changed files and removes orphans", () => {
+    expect(generateTaskFiles(tasksPath, outputDir, { mcpLog })).toMatchObject({
+      count: 3,
+      written: 3,
+      removed: 0,
+    });
+    const before = fs.statSync(taskFile(1)).mtimeMs;
+
+    writeTasks([task(1, "Parser"), task(2, "Docs and examples")]);
+    fs.utimesSync(taskFile(1), 0, 0);
+
+    expect(generateTaskFiles(tasksPath, outputDir, { mcpLog })).toMatchObject({
+      count: 2,
+      written: 1,
+      removed: 1,
+    });
+    // The unchanged file was left alone
+    expect(fs.statSync(taskFile(1)).mtimeMs).toBe(0);
+    expect(before).toBeGreaterThan(0);
+    expect(fs.readFileSync(taskFile(2), "utf8")).toMatch(
+      "# Title: Docs and examples",
+    );
+    expect(fs.existsSync(taskFile(3))).toBe(false);
+  });
+
+  test("keeps file hashes out of the journal and regenerates after undo", () => {
+    // Undo regenerates the files next to the tasks file
+    outputDir = tempDir;
+    writeJSON(tasksPath, readJSON(tasksPath));
+    const journalLength = readJournal(tasksPath).length;
+    generateTaskFiles(tasksPath, outputDir, { mcpLog });
+    expect(readJSON(tasksPath).meta.taskFiles).toBeDefined();
+    expect(readJournal(tasksPath)).toHaveLength(journalLength);
+
+    runJournalOperation({ label: "set-status" }, () => {
+      const data = readJSON(tasksPath);
+      data.tasks[1].status = "in-progress";
+      writeJSON(tasksPath, data);
+      generateTaskFiles(tasksPath, outputDir, { mcpLog });
+    });
+    expect(fs.readFileSync(taskFile(2), "utf8")).toMatch(
+      "# Status: in-progress",
+    );
+
+    applyJournalOperation(tasksPath, "undo");
+    expect(fs.readFileSync(taskFile(2), "utf8")).toMatch("# Status: pending");
+    expect(generateTaskFiles(tasksPath, outputDir, { mcpLog })).toMatchObject({
+      written: 0,
+      skipped: 0,
+    });
+  });
+
+  test("writes Markdown task files linked to their dependencies", () => {
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({ global: { taskFileFormat: "markdown" } }),
+    );
+    writeTasks([
+      { ...task(1, "Parser"), status: "done" },
+      {
+        ...task(2, "Docs: the [format]"),
+        description: "Describe it",
+        priority: "high",
+        dependencies: [1, "3.1"],
+        subtasks: [
+          { id: 1, title: "Outline", status: "done", dependencies: [] },
+          {
+            id: 2,
+            title: "Examples",
+            status: "pending",
+            dependencies: [1],
+            details: "One per format",
+          },
+        ],
+      },
+      {
+        ...task(3, "Release"),
+        subtasks: [{ id: 1, title: "Tag", status: "pending" }],
+      },
+    ]);
+
+    expect(generateTaskFiles(tasksPath, outputDir, { mcpLog })).toMatchObject({
+      written: 3,
+    });
+
+    expect(
+      fs.readFileSync(
+        path.join(outputDir, "task-002-docs-the-format.md"),
+        "utf8",
+      ),
+    ).toBe(
+      [
+        "---",
+        "id: 2",
+        'title: "Docs: the [format]"',
+        "status: pending",
+        "priority: high",
+        'dependencies: [1, "3.1"]',
+        "---",
+        "",
+        "# Task 2: Docs: the [format]",
+        "",
+        "Describe it",
+        "",
+        "## Dependencies",
+        "",
+        "- [1: Parser](task-001-parser.md) (done)",
+        "- [3.1: Tag](task-003-release.md) (pending)",
+        "",
+        "## Subtasks",
+        "",
+        "- [x] **2.1: Outline** (done)",
+        "- [ ] **2.2: Examples** (pending)",
+        "",
+        "  Depends on: 2.1: Outline (done)",
+        "",
+        "  One per format",
+        "",
+      ].join("\n"),
+    );
+
+    // A new title renames the file
+    writeTasks([task(1, "Parser v2")]);
+    expect(generateTaskFiles(tasksPath, outputDir, { mcpLog })).toMatchObject({
+      written: 1,
+      removed: 3,
+    });
+    expect(fs.readdirSync(outputDir)).toEqual(["task-001-parser-v2.md"]);
+  });
+
+  test("removes the files of the other format when switching", () => {
+    generateTaskFiles(tasksPath, outputDir, { mcpLog });
+    fs.appendFileSync(taskFile(2), "Edited by hand\n");
+
+    expect(
+      generateTaskFiles(tasksPath, outputDir, { mcpLog, format: "markdown" }),
+    ).toMatchObject({ written: 3, removed: 2, skipped: 1 });
+    expect(fs.readdirSync(outputDir).sort()).toEqual([
+      "task-001-parser.md",
+      "task-002-docs.md",
+      "task-003-release.md",
+      "task_002.txt",
+    ]);
+    // The edited file keeps its hash, so it is reported until it is deleted
+    expect(Object.keys(readJSON(tasksPath).meta.taskFiles).sort()).toEqual([
+      "files/task-001-parser.md",
+      "files/task-002-docs.md",
+      "files/task-003-release.md",
+      "files/task_002.txt",
+    ]);
+  });
+
+  test("regenerates once after a burst of changes", async () => {
+    generateTaskFiles(tasksPath, outputDir, { mcpLog });
+    const results = [];
+    const generated = new Promise((resolve, reject) => {
+      watcher = watchTaskFiles(tasksPath, outputDir, {
+        debounceMs: 100,
+        onGenerate: (result) => {
+          results.push(result);
+          resolve();
+        },
+        onError: reject,
+      });
+    });
+
+    writeTasks([task(1, "Parser v2"), task(2, "Docs")]);
+    writeTasks([task(1, "Parser v3"), task(2, "Docs")]);
+    await generated;
+    // Give a second regeneration the chance to happen
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ written: 1, removed: 1 });
+    expect(fs.readFileSync(taskFile(1), "utf8")).toMatch("# Title: Parser v3");
+  });
+
+  test("reports errors and keeps watching", async () => {
+    const errors = [];
+    const generated = new Promise((resolve) => {
+      watcher = watchTaskFiles(tasksPath, outputDir, {
+        debounceMs: 50,
+        onGenerate: resolve,
+        onError: (error) => {
+          errors.push(error.message);
+          writeTasks([task(7, "Fixed")]);
+        },
+      });
+    });
+
+    fs.writeFileSync(tasksPath, "{ not json");
+    await generated;
+
+    expect(errors).toHaveLength(1);
+    expect(fs.existsSync(taskFile(7))).toBe(true);
+  });
+});
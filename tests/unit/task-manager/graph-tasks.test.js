@@ -0,0 +1,128 @@
+/**
+ * Dependency graph rendering tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import graphTasks, {
+  buildTaskGraph,
+} from "../../../scripts/modules/task-manager/graph-tasks.js";
+
+describe("dependency graph", () => {
+  const tasks = [
+    { id: 1, title: 'Set up "db"', status: "done", dependencies: [] },
+    {
+      id: 2,
+      title: "API",
+      status: "in-progress",
+      dependencies: [1],
+      subtasks: [
+        { id: 1, title: "List", status: "done", dependencies: [] },
+        { id: 2, title: "Create", status: "pending", dependencies: [1] },
+      ],
+    },
+    { id: 3, title: "Docs", status: "pending", dependencies: [2, 9] },
+    { id: 4, title: "Deploy", status: "pending", dependencies: [3, "2.2"] },
+    { id: 5, title: "Unrelated", status: "pending", dependencies: [] },
+  ];
+
+  const ids = (graph) => graph.nodes.map((node) => node.id);
+
+  test("builds nodes for tasks, subtasks and missing dependencies", () => {
+    const graph = buildTaskGraph(tasks);
+
+    expect(ids(graph)).toEqual(["1", "2", "2.1", "2.2", "3", "4", "5", "9"]);
+    expect(graph.nodes.find((node) => node.id === "9").status).toBe("missing");
+    expect(graph.edges).toContainEqual({ from: "2.1", to: "2.2" });
+    expect(graph.edges).toContainEqual({ from: "2.2", to: "4" });
+    expect(graph.edges).toHaveLength(6);
+  });
+
+  test("keeps only the upstream and downstream closure of a root", () => {
+    expect(ids(buildTaskGraph(tasks, { root: 3 }))).toEqual([
+      "1",
+      "2",
+      "3",
+      "4",
+      "9",
+    ]);
+    // A subtask keeps its parent task for grouping
+    expect(ids(buildTaskGraph(tasks, { root: "2.1" }))).toEqual([
+      "2",
+      "2.1",
+      "2.2",
+      "4",
+    ]);
+    expect(() => buildTaskGraph(tasks, { root: "9" })).toThrow(
+      /Task 9 not found/,
+    );
+  });
+
+  describe("graphTasks", () => {
+    let tempDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-graph-"));
+      tasksPath = path.join(tempDir, "tasks", "tasks.json");
+      fs.mkdirSync(path.dirname(tasksPath));
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("renders Mermaid with subtask groups and status classes", () => {
+      const { content, nodeCount, edgeCount } = graphTasks(
+        tasksPath,
+        "mermaid",
+      );
+
+      expect(nodeCount).toBe(8);
+      expect(edgeCount).toBe(6);
+      expect(content).toMatch(/^flowchart TD\n/);
+      expect(content).toContain('T1["1. Set up #34;db#34; (done)"]');
+      expect(content).toContain(
+        '  subgraph T2_group["Task 2"]\n    T2["2. API (in-progress)"]\n    T2_1["2.1 List (done)"]',
+      );
+      expect(content).toContain("  T2_2 --> T4");
+      expect(content).toContain("  class T1,T2_1 done");
+      expect(content).toContain("  class T2 in_progress");
+    });
+
+    test("renders DOT with clusters and escaped labels", () => {
+      const { content } = graphTasks(tasksPath, "dot");
+
+      expect(content).toMatch(/^digraph tasks \{/);
+      expect(content).toContain('subgraph "cluster_2" {');
+      expect(content).toContain('[label="1. Set up \\"db\\" (done)"');
+      expect(content).toContain('"2.2" -> "4";');
+    });
+
+    test("renders an ASCII tree of dependents", () => {
+      const output = path.join(tempDir, "graph.txt");
+      const result = graphTasks(tasksPath, "ascii", { root: 3, output });
+
+      expect(result.outputPath).toBe(output);
+      expect(fs.readFileSync(output, "utf8")).toBe(
+        [
+          '1. Set up "db" (done)',
+          "└─▶ 2. API (in-progress)",
+          "    └─▶ 3. Docs (pending) ◀ root",
+          "        └─▶ 4. Deploy (pending)",
+          "9 (missing)",
+          "└─▶ 3. Docs (pending) ◀ root (see above)",
+          "",
+        ].join("\n"),
+      );
+    });
+
+    test("rejects unknown formats", () => {
+      expect(() => graphTasks(tasksPath, "svg")).toThrow(
+        /Unknown graph format "svg"/,
+      );
+    });
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Task import tests: CSV, Markdown and GitHub issue sources
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import importTasks, {
+  planImport,
+} from "../../../scripts/modules/task-manager/import-tasks.js";
+import {
+  detectImportFormat,
+  parseCsv,
+  parseMarkdown,
+  parseGithubIssues,
+} from "../../../scripts/modules/task-importers.js";
+
+describe("task importers", () => {
+  test("detects the format from the file extension", () => {
+    expect(detectImportFormat("plan.CSV")).toBe("csv");
+    expect(detectImportFormat("docs/plan.markdown")).toBe("md");
+    expect(detectImportFormat("issues.json")).toBe("github");
+    expect(detectImportFormat("plan.txt")).toBeNull();
+  });
+
+  test("parses CSV with quoted fields and subtask rows", () => {
+    const { drafts, warnings } = parseCsv(
+      [
+        "﻿ID,Title,Status,Dependencies,Description,parentId",
+        '7,"Set up db","done",,"Schema, ""v2""",',
+        "8,API,pending,7,,",
+        "8.1,List,pending,,,8",
+        ",,pending,,,",
+      ].join("\r\n"),
+    );
+
+    expect(drafts.map((draft) => draft.title)).toEqual(["Set up db", "API"]);
+    expect(drafts[0]).toMatchObject({
+      sourceId: "7",
+      status: "done",
+      description: 'Schema, "v2"',
+    });
+    expect(drafts[1].dependencies).toEqual(["7"]);
+    expect(drafts[1].subtasks.map((draft) => draft.title)).toEqual(["List"]);
+    expect(warnings).toEqual(["Row 5: skipped, no title"]);
+    expect(() => parseCsv("owner,size\nx,y")).toThrow(/no title column/);
+  });
+
+  test("parses a Markdown outline into tasks and subtasks", () => {
+    const { drafts } = parseMarkdown(
+      [
+        "# Plan",
+        "",
+        "## 1. Set up database",
+        "Priority: high",
+        "",
+        "Create the schema.",
+        "",
+        "More details here.",
+        "",
+        "### Test Strategy",
+        "Run migrations twice.",
+        "",
+        "- [x] Write migrations",
+        "- [ ] Seed data (depends on: Write migrations)",
+        "  - [ ] nested note",
+        "",
+        "## API endpoints",
+        "Depends on: Set up database",
+      ].join("\n"),
+    );
+
+    expect(drafts).toHaveLength(2);
+    expect(drafts[0]).toMatchObject({
+      sourceId: "1",
+      title: "Set up database",
+      priority: "high",
+      description: "Create the schema.",
+      details: "More details here.",
+      testStrategy: "Run migrations twice.",
+    });
+    expect(drafts[0].subtasks).toMatchObject([
+      { title: "Write migrations", status: "done" },
+      {
+        title: "Seed data",
+        dependencies: ["Write migrations"],
+        details: "- [ ] nested note",
+      },
+    ]);
+    expect(drafts[1].dependencies).toEqual(["Set up database"]);
+  });
+
+  test("reads a plain checklist as tasks with nested subtasks", () => {
+    const { drafts } = parseMarkdown(
+      "- [ ] Write docs\n  - [x] Outline\n- [x] Ship it\n",
+    );
+
+    expect(drafts).toMatchObject([
+      { title: "Write docs", subtasks: [{ title: "Outline", status: "done" }] },
+      { title: "Ship it", status: "done", subtasks: [] },
+    ]);
+  });
+
+  test("parses GitHub issues, skipping pull requests", () => {
+    const { drafts } = parseGithubIssues(
+      JSON.stringify([
+        {
+          number: 10,
+          title: "Login",
+          state: "OPEN",
+          labels: [{ name: "P1" }],
+          body: "Add a login form.",
+        },
+        {
+          number: 11,
+          title: "Logout",
+          state: "closed",
+          state_reason: "not_planned",
+          labels: ["in progress"],
+          body: "Blocked by #10\n\n- [ ] Clear session",
+        },
+        { number: 12, title: "Bump deps", pull_request: {} },
+      ]),
+    );
+
+    expect(drafts).toHaveLength(2);
+    expect(drafts[0]).toMatchObject({
+      sourceId: "10",
+      priority: "high",
+      description: "Add a login form.",
+    });
+    expect(drafts[1]).toMatchObject({ status: "cancelled" });
+    expect(drafts[1].dependencies).toContain("#10");
+    expect(drafts[1].subtasks.map((draft) => draft.title)).toEqual([
+      "Clear session",
+    ]);
+    expect(() => parseGithubIssues('{"total": 0}')).toThrow(/JSON array/);
+  });
+});
+
+describe("planImport", () => {
+  const existing = [
+    { id: 1, title: "Set up database", status: "done", dependencies: [] },
+    { id: 2, title: "CI", status: "pending", dependencies: [] },
+  ];
+  const draft = (fields) => ({
+    sourceId: null,
+    title: "",
+    description: "",
+    details: "",
+    testStrategy: "",
+    status: "",
+    priority: "",
+    dependencies: [],
+    subtasks: [],
+    ...fields,
+  });
+
+  test("remaps IDs and resolves references by ID and title", () => {
+    const plan = planImport(
+      [
+        draft({
+          sourceId: "#10",
+          title: "API",
+          dependencies: ["set up DATABASE"],
+        }),
+        draft({
+          sourceId: "11",
+          title: "Docs",
+          status: "Todo",
+          priority: "urgent",
+          dependencies: ["10", "2", "missing", "Docs"],
+          subtasks: [
+            draft({ title: "Outline" }),
+            draft({ title: "Write", dependencies: ["Outline", "11"] }),
+          ],
+        }),
+      ],
+      existing,
+      { defaultPriority: "low" },
+    );
+
+    expect(plan.idMap).toEqual({ "#10": 3, 11: 4 });
+    expect(plan.tasks[0]).toMatchObject({
+      id: 3,
+      dependencies: [1],
+      priority: "low",
+      status: "pending",
+    });
+    expect(plan.tasks[1].dependencies).toEqual([3, 2]);
+    expect(plan.tasks[1].subtasks[1]).toMatchObject({
+      id: 2,
+      parentTaskId: 4,
+      dependencies: [1, 4],
+    });
+    expect(plan.warnings).toEqual([
+      'Task 4 "Docs": dependency "missing" not found, ignored',
+      'Task 4 "Docs": unknown priority "urgent", using "low"',
+    ]);
+  });
+
+  test("skips titles that already exist unless duplicates are allowed", () => {
+    const drafts = [
+      draft({ sourceId: "1", title: "ci" }),
+      draft({ sourceId: "2", title: "Deploy", dependencies: ["1"] }),
+    ];
+
+    const plan = planImport(drafts, existing);
+    expect(plan.duplicates).toEqual([
+      { sourceId: "1", title: "ci", existingId: 2 },
+    ]);
+    expect(plan.tasks).toMatchObject([{ id: 3, dependencies: [2] }]);
+
+    const withDuplicates = planImport(drafts, existing, {
+      allowDuplicates: true,
+    });
+    expect(withDuplicates.tasks.map((task) => task.id)).toEqual([3, 4]);
+    expect(withDuplicates.tasks[1].dependencies).toEqual([3]);
+  });
+
+  test("checks statuses against the workflow and starts others in its first status", () => {
+    const workflow = {
+      statuses: [
+        { name: "todo" },
+        { name: "in-progress" },
+        { name: "done", complete: true },
+        { name: "dropped", complete: true },
+      ],
+    };
+    const plan = planImport(
+      [
+        draft({ title: "A", status: "Dropped" }),
+        draft({ title: "B", status: "in progress" }),
+        draft({ title: "C", status: "deferred" }),
+        draft({ title: "D", subtasks: [draft({ title: "D1" })] }),
+      ],
+      [],
+      { workflow },
+    );
+
+    expect(plan.tasks.map((task) => task.status)).toEqual([
+      "dropped",
+      "in-progress",
+      "todo",
+      "todo",
+    ]);
+    expect(plan.tasks[3].subtasks[0].status).toBe("todo");
+    expect(plan.warnings).toEqual([
+      'Task 3 "C": unknown status "deferred", using "todo"',
+    ]);
+  });
+});
+
+describe("importTasks", () => {
+  let tempDir;
+  let tasksPath;
+  let sourcePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-import-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    sourcePath = path.join(tempDir, "plan.md");
+    fs.writeFileSync(
+      sourcePath,
+      "## Set up database\n\n## API\nDepends on: Set up database\n",
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("previews a dry run without writing", () => {
+    const result = importTasks(tasksPath, sourcePath, {
+      dryRun: true,
+      projectRoot: tempDir,
+    });
+
+    expect(result).toMatchObject({ format: "md", dryRun: true });
+    expect(result.tasks.map((task) => task.id)).toEqual([1, 2]);
+    expect(fs.existsSync(tasksPath)).toBe(false);
+  });
+
+  test("creates the tasks file and skips duplicates on a second import", () => {
+    importTasks(tasksPath, sourcePath, { projectRoot: tempDir });
+    const saved = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+    const tasks = saved.tasks || saved.master?.tasks || saved.main?.tasks;
+    expect(tasks.map((task) => task.title)).toEqual(["Set up database", "API"]);
+    expect(tasks[1].dependencies).toEqual([1]);
+
+    const again = importTasks(tasksPath, sourcePath, { projectRoot: tempDir });
+    expect(again.tasks).toEqual([]);
+    expect(again.duplicates.map((duplicate) => duplicate.existingId)).toEqual([
+      1, 2,
+    ]);
+  });
+
+  test("rejects missing files and unknown extensions", () => {
+    expect(() =>
+      importTasks(tasksPath, path.join(tempDir, "none.csv")),
+    ).toThrow(/Import file not found/);
+    const textPath = path.join(tempDir, "plan.txt");
+    fs.writeFileSync(textPath, "");
+    expect(() => importTasks(tasksPath, textPath)).toThrow(/--format/);
+  });
+});
@@ -99,6 +99,25 @@ describe('list-tasks (JSON output)', () => {
     expect(r2.tasks).toHaveLength(3);
   });
 
+  it('applies filter expression, sort and field projection', () => {
+    const result = listTasks(tasksPath, undefined, false, 'json', {
+      filter: '-status:done',
+      sort: 'priority',
+      fields: 'id,status'
+    });
+    expect(result.tasks).toEqual([
+      { id: 1, status: 'pending' },
+      { id: 3, status: 'in-progress' }
+    ]);
+    expect(result.query).toBe('-status:done');
+  });
+
+  it('reports invalid filter expressions with INVALID_QUERY', () => {
+    expect(() =>
+      listTasks(tasksPath, undefined, false, 'json', { filter: 'owner:me' })
+    ).toThrow(expect.objectContaining({ code: 'INVALID_QUERY' }));
+  });
+
   it('throws structured error when file is missing (json mode)', () => {
     if (fs.existsSync(tasksPath)) {
       fs.rmSync(tasksPath);
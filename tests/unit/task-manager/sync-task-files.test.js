@@ -0,0 +1,242 @@
+/**
+ * Task file sync tests: reading task files back and merging edits made to
+ * them into tasks.json
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readJSON } from "../../../scripts/modules/utils.js";
+import { getConfig } from "../../../scripts/modules/config-manager.js";
+import {
+  formatTaskFile,
+  parseTaskFile,
+} from "../../../scripts/modules/task-files.js";
+import generateTaskFiles from "../../../scripts/modules/task-manager/generate-task-files.js";
+import syncTaskFiles from "../../../scripts/modules/task-manager/sync-task-files.js";
+
+const mcpLog = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+describe("syncTaskFiles", () => {
+  let tempDir;
+  let tasksPath;
+  const savedEnv = { ...process.env };
+
+  const parser = {
+    id: 1,
+    title: "Parser",
+    description: "Read task files",
+    status: "pending",
+    priority: "high",
+    dependencies: [],
+    details: "Line one\n\nLine three",
+    testStrategy: "Round trips",
+    subtasks: [
+      {
+        id: 1,
+        title: "Headers",
+        description: "",
+        status: "pending",
+        dependencies: [],
+      },
+      {
+        id: 2,
+        title: "Subtasks",
+        description: "Nested [sections]",
+        status: "pending",
+        dependencies: [1, "2.1"],
+        details: "## Not a heading",
+      },
+    ],
+  };
+  const docs = {
+    id: 2,
+    title: "Docs",
+    description: "",
+    status: "pending",
+    dependencies: [1],
+    subtasks: [{ id: 1, title: "Format", status: "done", dependencies: [] }],
+  };
+
+  const taskFile = (id) =>
+    path.join(tempDir, `task_${String(id).padStart(3, "0")}.txt`);
+
+  const editFile = (id, edit) =>
+    fs.writeFileSync(taskFile(id), edit(fs.readFileSync(taskFile(id), "utf8")));
+
+  const tasks = () => readJSON(tasksPath).tasks;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-sync-"));
+    tasksPath = path.join(tempDir, "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+    fs.writeFileSync(
+      tasksPath,
+      JSON.stringify({ tasks: [parser, docs] }, null, 2),
+    );
+    generateTaskFiles(tasksPath, tempDir, { mcpLog });
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("reads back what it writes", () => {
+    expect(parseTaskFile(formatTaskFile(parser, [parser, docs]))).toEqual({
+      ...parser,
+      subtasks: [{ ...parser.subtasks[0], details: "" }, parser.subtasks[1]],
+    });
+    expect(parseTaskFile(formatTaskFile(docs, [parser, docs]))).toMatchObject({
+      dependencies: [1],
+      priority: "medium",
+      details: "",
+      testStrategy: "",
+    });
+    expect(() => parseTaskFile("# Title: No ID\n")).toThrow(
+      'Missing or invalid "# Task ID:" line',
+    );
+  });
+
+  test("merges edited files into tasks.json", async () => {
+    editFile(1, (content) =>
+      content
+        .replace("# Title: Parser", "# Title: Task file parser")
+        .replace("Line three", "Line three\nLine four")
+        .replace("## 1. Headers [pending]", "## 1. Headers [in-progress]")
+        .concat(
+          "## 3. Errors [pending]\n### Dependencies: 1.1\n### Description: Report them\n### Details:\n\n",
+        ),
+    );
+
+    const result = await syncTaskFiles(tasksPath, tempDir);
+
+    expect(result.merged).toEqual([
+      {
+        id: 1,
+        file: "task_001.txt",
+        changes: ["title", "details", "1.3 added", "1.1 status"],
+      },
+    ]);
+    expect(result.conflicts).toEqual([]);
+    const [merged] = tasks();
+    expect(merged).toMatchObject({
+      title: "Task file parser",
+      details: "Line one\n\nLine three\nLine four",
+      // The parent follows its subtasks through the workflow's roll-up rules
+      status: "in-progress",
+    });
+    expect(merged.subtasks[0].status).toBe("in-progress");
+    expect(merged.subtasks[2]).toMatchObject({
+      id: 3,
+      title: "Errors",
+      description: "Report them",
+      details: "",
+      status: "pending",
+      dependencies: [1],
+    });
+    // The file is rewritten from the merged task and in sync again
+    expect(fs.readFileSync(taskFile(1), "utf8")).toBe(
+      formatTaskFile(merged, tasks()),
+    );
+    expect(await syncTaskFiles(tasksPath, tempDir)).toMatchObject({
+      merged: [],
+      written: [],
+    });
+  });
+
+  test("regenerates files when only tasks.json changed", async () => {
+    editFile(2, (content) =>
+      content.replace("# Title: Docs", "# Title: Guide"),
+    );
+    // tasks.json changes behind the files' back, keeping the stored hashes
+    const data = readJSON(tasksPath);
+    fs.writeFileSync(
+      tasksPath,
+      JSON.stringify(
+        { ...data, tasks: [{ ...parser, title: "Reader" }, docs] },
+        null,
+        2,
+      ),
+    );
+
+    const result = await syncTaskFiles(tasksPath, tempDir);
+
+    expect(result.written).toEqual([{ id: 1, file: "task_001.txt" }]);
+    expect(result.merged.map((merge) => merge.id)).toEqual([2]);
+    expect(fs.readFileSync(taskFile(1), "utf8")).toMatch("# Title: Reader");
+    expect(tasks().map((task) => task.title)).toEqual(["Reader", "Guide"]);
+  });
+
+  test("reports conflicts and leaves both sides alone", async () => {
+    editFile(1, (content) => content.replace("Round trips", "By hand"));
+    const data = readJSON(tasksPath);
+    fs.writeFileSync(
+      tasksPath,
+      JSON.stringify(
+        { ...data, tasks: [{ ...parser, priority: "low" }, docs] },
+        null,
+        2,
+      ),
+    );
+    const edited = fs.readFileSync(taskFile(1), "utf8");
+
+    const result = await syncTaskFiles(tasksPath, tempDir);
+
+    expect(result.conflicts).toEqual([
+      {
+        id: 1,
+        file: "task_001.txt",
+        reason: "Both the file and tasks.json changed since the last sync",
+      },
+    ]);
+    expect(fs.readFileSync(taskFile(1), "utf8")).toBe(edited);
+    expect(tasks()[0]).toMatchObject({
+      priority: "low",
+      testStrategy: "Round trips",
+    });
+    // generate keeps the edited file too
+    expect(generateTaskFiles(tasksPath, tempDir, { mcpLog }).skipped).toBe(1);
+
+    await syncTaskFiles(tasksPath, tempDir, { prefer: "file" });
+    expect(tasks()[0]).toMatchObject({
+      priority: "high",
+      testStrategy: "By hand",
+    });
+  });
+
+  test("refuses edits that are not valid for tasks.json", async () => {
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({
+        workflow: { transitions: { pending: ["in-progress"] } },
+      }),
+    );
+    // The config was loaded and cached when the files were generated
+    getConfig(tempDir, true);
+    editFile(2, (content) =>
+      content
+        .replace("# Title: Docs", "# Title: Guide")
+        .replace("# Status: pending", "# Status: done"),
+    );
+    editFile(1, (content) =>
+      content.replace("# Dependencies: None", "# Dependencies: 7"),
+    );
+
+    const result = await syncTaskFiles(tasksPath, tempDir, { dryRun: true });
+
+    expect(result.errors).toEqual([
+      {
+        id: 1,
+        file: "task_001.txt",
+        message: "Invalid dependencies: 7",
+      },
+      {
+        id: 2,
+        file: "task_002.txt",
+        message: expect.stringMatching(/cannot move from "pending" to "done"/),
+      },
+    ]);
+    expect(tasks()[1]).toMatchObject({ title: "Docs", status: "pending" });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Task filter expression, sort and projection tests
+ */
+
+import {
+  TaskQueryError,
+  parseTaskQuery,
+  getQueryTextTerms,
+  filterTasks,
+  sortTasks,
+  projectTaskFields,
+} from "../../scripts/modules/task-query.js";
+
+describe("task query", () => {
+  const tasks = [
+    {
+      id: 1,
+      title: "Set up OAuth",
+      description: "Login with GitHub",
+      status: "done",
+      priority: "high",
+      dependencies: [],
+      subtasks: [{ id: 1, title: "Register app", status: "done" }],
+    },
+    {
+      id: 2,
+      title: "Session storage",
+      description: "",
+      details: "Store the oauth token",
+      status: "pending",
+      priority: "low",
+      dependencies: [1],
+    },
+    {
+      id: 3,
+      title: "Profile page",
+      description: "",
+      status: "in-progress",
+      dependencies: [2],
+    },
+    {
+      id: 4,
+      title: "Logout",
+      description: "",
+      status: "pending",
+      priority: "high",
+      dependencies: [3, "1.1"],
+    },
+  ];
+
+  const ids = (result) => result.map((task) => task.id);
+
+  test("parses fields, alternatives, negation and quoted text", () => {
+    expect(
+      parseTaskQuery(
+        'status:pending,in-progress -has:deps text:"oauth flow" id:3-1',
+      ),
+    ).toEqual([
+      { field: "status", values: ["pending", "in-progress"], negate: false },
+      { field: "has", values: ["dependencies"], negate: true },
+      { field: "text", values: ["oauth flow"], negate: false },
+      { field: "id", values: [[1, 3]], negate: false },
+    ]);
+    expect(parseTaskQuery("  ")).toEqual([]);
+  });
+
+  test("rejects unknown fields and invalid values", () => {
+    expect(() => parseTaskQuery("colour:red")).toThrow(TaskQueryError);
+    expect(() => parseTaskQuery("has:owner")).toThrow(/Unknown has: value/);
+    expect(() => parseTaskQuery("id:abc")).toThrow(/Invalid id/);
+    expect(() => parseTaskQuery("status:")).toThrow(/Missing value/);
+    expect(() => parseTaskQuery('text:"open')).toThrow(/Unterminated/);
+    expect(() => parseTaskQuery("priority:urgent")).toThrow(
+      'Unknown priority "urgent". Use one of: high, medium, low',
+    );
+    expect(() => parseTaskQuery("status:donee")).toThrow(
+      'Unknown status "donee". Use one of: pending, done, in-progress',
+    );
+  });
+
+  test("uses the statuses of the project workflow", () => {
+    const workflow = {
+      statuses: [
+        { name: "todo" },
+        { name: "doing" },
+        { name: "shipped", complete: true },
+      ],
+    };
+    const board = [
+      { id: 1, title: "API", status: "shipped", dependencies: [] },
+      { id: 2, title: "UI", status: "todo", dependencies: [1] },
+      { id: 3, title: "Docs", status: "todo", dependencies: [2] },
+    ];
+
+    expect(parseTaskQuery("status:Shipped", workflow)[0].values).toEqual([
+      "shipped",
+    ]);
+    expect(() => parseTaskQuery("status:done", workflow)).toThrow(
+      'Unknown status "done". Use one of: todo, doing, shipped',
+    );
+    expect(ids(filterTasks(board, "ready:true", board, workflow))).toEqual([2]);
+    expect(ids(filterTasks(board, "ready:false", board, workflow))).toEqual([
+      1, 3,
+    ]);
+  });
+
+  test("filters tasks with every term", () => {
+    expect(ids(filterTasks(tasks, "status:pending,in-progress"))).toEqual([
+      2, 3, 4,
+    ]);
+    expect(ids(filterTasks(tasks, "priority:high -status:done"))).toEqual([4]);
+    expect(ids(filterTasks(tasks, "priority:medium"))).toEqual([3]);
+    expect(ids(filterTasks(tasks, "dep:1.1"))).toEqual([4]);
+    expect(ids(filterTasks(tasks, "has:subtasks"))).toEqual([1]);
+    expect(ids(filterTasks(tasks, "-has:deps"))).toEqual([1]);
+    expect(ids(filterTasks(tasks, "OAUTH"))).toEqual([1, 2]);
+    expect(ids(filterTasks(tasks, 'title:"oauth"'))).toEqual([1]);
+    expect(ids(filterTasks(tasks, "id:2-3"))).toEqual([2, 3]);
+    expect(ids(filterTasks(tasks, "ready:true"))).toEqual([2]);
+  });
+
+  test("resolves readiness against the whole list", () => {
+    const pending = tasks.filter((task) => task.status !== "done");
+    expect(ids(filterTasks(pending, "ready:true", tasks))).toEqual([2]);
+    expect(ids(filterTasks(pending, "ready:true"))).toEqual([]);
+  });
+
+  test("sorts by priority, ID and dependency depth", () => {
+    expect(ids(sortTasks(tasks, "priority"))).toEqual([1, 4, 3, 2]);
+    expect(ids(sortTasks(tasks, "priority,-id"))).toEqual([4, 1, 3, 2]);
+    expect(ids(sortTasks(tasks, "-depth"))).toEqual([4, 3, 2, 1]);
+    expect(sortTasks(tasks, "")).toBe(tasks);
+    expect(() => sortTasks(tasks, "size")).toThrow(/Unknown sort key/);
+
+    const cyclic = [
+      { id: 1, dependencies: [2] },
+      { id: 2, dependencies: [1] },
+    ];
+    expect(ids(sortTasks(cyclic, "depth"))).toHaveLength(2);
+  });
+
+  test("projects fields of tasks and subtasks", () => {
+    expect(projectTaskFields(tasks.slice(0, 2), "id, title,subtasks")).toEqual([
+      {
+        id: 1,
+        title: "Set up OAuth",
+        subtasks: [{ id: 1, title: "Register app" }],
+      },
+      { id: 2, title: "Session storage" },
+    ]);
+    expect(projectTaskFields(tasks, undefined)).toBe(tasks);
+  });
+
+  test("extracts the text to highlight", () => {
+    expect(
+      getQueryTextTerms('oauth status:done -token title:"log in"'),
+    ).toEqual(["oauth", "log in"]);
+    expect(getQueryTextTerms("status:")).toEqual([]);
+  });
+});
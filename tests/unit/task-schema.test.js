@@ -0,0 +1,160 @@
+/**
+ * Tasks file schema, migration and doctor tests
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  CURRENT_SCHEMA_VERSION,
+  migrateTasksData,
+  validateTasksData,
+  repairTasksData,
+} from "../../scripts/modules/task-schema.js";
+import { readJSON } from "../../scripts/modules/utils.js";
+import checkTasksFile, {
+  getJsonLineMap,
+} from "../../scripts/modules/task-manager/check-tasks-file.js";
+
+describe("task schema", () => {
+  const task = (id, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    description: "",
+    status: "pending",
+    dependencies: [],
+    ...extra,
+  });
+
+  test("migrates version 0 files without touching the input", () => {
+    const legacy = {
+      tasks: [
+        {
+          id: "1",
+          title: "Old",
+          description: "",
+          status: "completed",
+          subtasks: [{ id: 1, title: "Sub" }],
+        },
+        task(2, { dependencies: ["1"] }),
+      ],
+    };
+
+    const migrated = migrateTasksData(legacy);
+
+    expect(migrated.meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(migrated.tasks[0]).toMatchObject({
+      id: 1,
+      status: "done",
+      dependencies: [],
+    });
+    expect(migrated.tasks[0].subtasks[0].status).toBe("pending");
+    expect(migrated.tasks[1].dependencies).toEqual([1]);
+    expect(legacy.tasks[0].id).toBe("1");
+    expect(validateTasksData(migrated)).toEqual([]);
+
+    // Current data is returned as is
+    expect(migrateTasksData(migrated)).toBe(migrated);
+  });
+
+  test("refuses files from a newer schema version", () => {
+    expect(() =>
+      migrateTasksData({ meta: { schemaVersion: 99 }, tasks: [] }),
+    ).toThrow(/schema version 99/);
+  });
+
+  test("reports violations in every tag, including duplicate IDs", () => {
+    const issues = validateTasksData({
+      tags: {
+        main: { tasks: [task(1), task(1, { status: "started" })] },
+        feature: { tasks: [task(1, { priority: "urgent" })] },
+      },
+    });
+
+    expect(issues.map((issue) => issue.path.join("."))).toEqual([
+      "tags.main.tasks.1.status",
+      "tags.feature.tasks.0.priority",
+      "tags.main.tasks.1.id",
+    ]);
+  });
+
+  test("repairs what has an unambiguous fix", () => {
+    const data = {
+      tasks: [
+        task(1, {
+          status: "In Progress",
+          priority: "HIGH",
+          dependencies: ["2", "x", "1.1"],
+          title: "",
+        }),
+      ],
+    };
+
+    const repairs = repairTasksData(data);
+
+    expect(repairs).toHaveLength(4);
+    expect(data.tasks[0]).toMatchObject({
+      status: "in-progress",
+      priority: "high",
+      dependencies: [2, "1.1"],
+      title: "Untitled task 1",
+    });
+    expect(validateTasksData(data)).toEqual([]);
+  });
+
+  test("maps JSON paths to line numbers", () => {
+    const lines = getJsonLineMap(
+      JSON.stringify({ tasks: [{ id: 1, title: "a\nb" }] }, null, 2),
+    );
+    expect(lines.get("tasks")).toBe(2);
+    expect(lines.get("tasks.0")).toBe(3);
+    expect(lines.get("tasks.0.title")).toBe(5);
+  });
+
+  describe("doctor", () => {
+    let tempDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-doctor-"));
+      tasksPath = path.join(tempDir, "tasks.json");
+      fs.writeFileSync(
+        tasksPath,
+        JSON.stringify(
+          { tasks: [task(1, { status: "todo" }), task(1, { id: "2" })] },
+          null,
+          2,
+        ),
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("reports problems with their lines without changing the file", () => {
+      const before = fs.readFileSync(tasksPath, "utf8");
+      const report = checkTasksFile(tasksPath);
+
+      expect(report.schemaVersion).toBe(0);
+      expect(report.migrations).toHaveLength(CURRENT_SCHEMA_VERSION);
+      expect(report.issues).toEqual([
+        expect.objectContaining({ path: "tasks.0.status", line: 7 }),
+      ]);
+      expect(fs.readFileSync(tasksPath, "utf8")).toBe(before);
+    });
+
+    test("migrates and repairs the file with fix", () => {
+      const report = checkTasksFile(tasksPath, { fix: true });
+
+      expect(report.fixed).toBe(true);
+      expect(report.remainingIssues).toEqual([]);
+      const data = readJSON(tasksPath);
+      expect(data.meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(data.tasks.map((t) => [t.id, t.status])).toEqual([
+        [1, "pending"],
+        [2, "pending"],
+      ]);
+    });
+  });
+});
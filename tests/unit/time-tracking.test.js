@@ -0,0 +1,196 @@
+/**
+ * Time tracking tests: durations, timers, totals and reports
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseDuration,
+  formatDuration,
+  startTimer,
+  stopTimer,
+  logTime,
+  getTimeTotals,
+  buildTimeReport,
+} from "../../scripts/modules/time-tracking.js";
+import updateSingleTaskStatus from "../../scripts/modules/task-manager/update-single-task-status.js";
+import logTaskTime from "../../scripts/modules/task-manager/log-task-time.js";
+import startTaskTimer from "../../scripts/modules/task-manager/start-task-timer.js";
+import stopTaskTimer from "../../scripts/modules/task-manager/stop-task-timer.js";
+
+describe("time tracking", () => {
+  const at = (time) => new Date(`2026-10-14T${time}:00`);
+
+  test("parses and formats durations", () => {
+    expect(parseDuration("1h30m")).toBe(5400);
+    expect(parseDuration("1h 30m")).toBe(5400);
+    expect(parseDuration("1.5h")).toBe(5400);
+    expect(parseDuration("1:30")).toBe(5400);
+    expect(parseDuration("45")).toBe(2700);
+    expect(parseDuration("1d")).toBe(8 * 3600);
+    expect(() => parseDuration("abc")).toThrow(/Invalid duration/);
+    expect(() => parseDuration("0m")).toThrow(/Invalid duration/);
+
+    expect(formatDuration(5400)).toBe("1h 30m");
+    expect(formatDuration(7200)).toBe("2h");
+    expect(formatDuration(2700)).toBe("45m");
+    expect(formatDuration(20)).toBe("<1m");
+    expect(formatDuration(0)).toBe("0m");
+  });
+
+  test("starts and stops one timer at a time", () => {
+    const task = { id: 1, title: "API" };
+
+    expect(startTimer(task, at("09:00"))).toMatchObject({ end: null });
+    expect(startTimer(task, at("09:10"))).toBeNull();
+    expect(stopTimer(task, at("09:40"))).toMatchObject({ seconds: 2400 });
+    expect(stopTimer(task, at("09:50"))).toBeNull();
+    expect(task.timeEntries).toHaveLength(1);
+  });
+
+  test("rolls subtask time up to the parent and counts running timers", () => {
+    const task = { id: 1, subtasks: [{ id: 1 }, { id: 2 }] };
+    logTime(task, 1800, { now: at("09:00") });
+    logTime(task.subtasks[0], 3600, { now: at("10:00") });
+    startTimer(task.subtasks[1], at("10:00"));
+
+    expect(getTimeTotals(task, at("10:15"))).toEqual({
+      own: 1800,
+      subtasks: 4500,
+      total: 6300,
+      running: true,
+    });
+  });
+
+  test("groups entries by day and week", () => {
+    const tasks = [
+      {
+        id: 1,
+        title: "API",
+        timeEntries: [
+          logTime({}, 3600, { date: new Date(2026, 9, 12) }),
+          logTime({}, 1800, { date: new Date(2026, 9, 14) }),
+        ],
+        subtasks: [
+          {
+            id: 1,
+            title: "Routes",
+            timeEntries: [logTime({}, 600, { date: new Date(2026, 9, 14) })],
+          },
+        ],
+      },
+      {
+        id: 2,
+        title: "Docs",
+        timeEntries: [logTime({}, 900, { date: new Date(2026, 9, 20) })],
+      },
+    ];
+
+    const byDay = buildTimeReport(tasks, { since: "2026-10-13" });
+    expect(byDay.totalSeconds).toBe(3300);
+    expect(byDay.periods.map((period) => period.period)).toEqual([
+      "2026-10-14",
+      "2026-10-20",
+    ]);
+    expect(byDay.periods[0].tasks).toEqual([
+      { id: "1", title: "API", seconds: 1800, running: false },
+      { id: "1.1", title: "Routes", seconds: 600, running: false },
+    ]);
+
+    const byWeek = buildTimeReport(tasks, { by: "week" });
+    expect(
+      byWeek.periods.map((period) => [period.period, period.totalSeconds]),
+    ).toEqual([
+      ["2026-10-12", 6000],
+      ["2026-10-19", 900],
+    ]);
+
+    expect(() => buildTimeReport(tasks, { by: "month" })).toThrow(
+      /Unknown report period/,
+    );
+    expect(() => buildTimeReport(tasks, { since: "14/10/2026" })).toThrow(
+      /Invalid --since date/,
+    );
+  });
+
+  test("starts a timer on in-progress and stops it on done", async () => {
+    const data = {
+      tasks: [
+        {
+          id: 1,
+          title: "API",
+          status: "pending",
+          subtasks: [{ id: 1, title: "Routes", status: "pending" }],
+        },
+      ],
+    };
+
+    await updateSingleTaskStatus("tasks.json", "1", "in-progress", data, false);
+    await updateSingleTaskStatus(
+      "tasks.json",
+      "1.1",
+      "in-progress",
+      data,
+      false,
+    );
+    expect(data.tasks[0].timeEntries[0].end).toBeNull();
+    expect(data.tasks[0].subtasks[0].timeEntries[0].end).toBeNull();
+
+    await updateSingleTaskStatus("tasks.json", "1", "done", data, false);
+    expect(data.tasks[0].timeEntries[0].end).not.toBeNull();
+    expect(data.tasks[0].subtasks[0].timeEntries[0].end).not.toBeNull();
+  });
+
+  describe("task commands", () => {
+    let tempDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-time-"));
+      tasksPath = path.join(tempDir, "tasks", "tasks.json");
+      fs.mkdirSync(path.dirname(tasksPath));
+      fs.writeFileSync(
+        tasksPath,
+        JSON.stringify({
+          tasks: [
+            {
+              id: 1,
+              title: "API",
+              description: "",
+              status: "pending",
+              dependencies: [],
+              subtasks: [{ id: 1, title: "Routes", status: "pending" }],
+            },
+          ],
+        }),
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("store timers and logged time on tasks and subtasks", () => {
+      startTaskTimer(tasksPath, "1.1", { now: at("09:00") });
+      expect(() => startTaskTimer(tasksPath, "1.1")).toThrow(
+        /already running on task 1.1/,
+      );
+      const stopped = stopTaskTimer(tasksPath, "1.1", { now: at("09:20") });
+      expect(stopped.entry.seconds).toBe(1200);
+
+      const logged = logTaskTime(tasksPath, 1, "1h", {
+        date: "2026-10-13",
+        note: "Review",
+      });
+      expect(logged.entry).toMatchObject({ seconds: 3600, note: "Review" });
+      expect(logged.totalSeconds).toBe(4800);
+
+      expect(() => stopTaskTimer(tasksPath, "1")).toThrow(/No timer/);
+      expect(() => logTaskTime(tasksPath, 9, "1h")).toThrow(/Task 9 not found/);
+      expect(() =>
+        logTaskTime(tasksPath, 1, "1h", { date: "2026-02-30" }),
+      ).toThrow(/Invalid date/);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Workflow tests: configured statuses, transition rules and complete statuses
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getWorkflow,
+  ConfigurationError,
+  DEFAULT_WORKFLOW,
+} from "../../scripts/modules/config-manager.js";
+import {
+  getAllowedTransitions,
+  checkStatusChange,
+  isCompleteStatus,
+} from "../../scripts/modules/workflow.js";
+import { repairTasksData } from "../../scripts/modules/task-schema.js";
+import { readJSON } from "../../scripts/modules/utils.js";
+import updateSingleTaskStatus from "../../scripts/modules/task-manager/update-single-task-status.js";
+import setTaskStatus from "../../scripts/modules/task-manager/set-task-status.js";
+import findNextTask from "../../scripts/modules/task-manager/find-next-task.js";
+import addTask from "../../scripts/modules/task-manager/add-task.js";
+import addSubtask from "../../scripts/modules/task-manager/add-subtask.js";
+
+describe("workflow", () => {
+  let tempDir;
+  let tasksPath;
+  const savedEnv = { ...process.env };
+
+  // Statuses of a review-based workflow: in-progress → review → shipped only
+  const reviewWorkflow = {
+    statuses: [
+      { name: "todo", color: "yellow" },
+      { name: "in-progress", color: "blue" },
+      { name: "review", color: "#aa00ff", icon: "👀" },
+      { name: "shipped", color: "green", complete: true },
+    ],
+    transitions: {
+      todo: ["in-progress"],
+      "in-progress": ["review", "todo"],
+      review: ["shipped", "in-progress"],
+      shipped: [],
+    },
+  };
+
+  const writeConfig = (workflow) =>
+    fs.writeFileSync(
+      path.join(tempDir, ".lmtaskerconfig"),
+      JSON.stringify({ workflow }, null, 2),
+    );
+
+  const writeTasks = (tasks) => {
+    fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+  };
+
+  const task = (id, status, extra = {}) => ({
+    id,
+    title: `Task ${id}`,
+    description: "",
+    status,
+    dependencies: [],
+    ...extra,
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "lm-tasker-workflow-"));
+    tasksPath = path.join(tempDir, "tasks", "tasks.json");
+    process.env.LMTASKER_GLOBAL_CONFIG = path.join(tempDir, "global-config");
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("uses the built-in statuses and allows any change without config", () => {
+    const workflow = getWorkflow(tempDir);
+
+    expect(workflow.statuses.map((status) => status.name)).toEqual(
+      DEFAULT_WORKFLOW.statuses.map((status) => status.name),
+    );
+    expect(workflow.transitions).toBeNull();
+    expect(isCompleteStatus("done", workflow)).toBe(true);
+    expect(isCompleteStatus("cancelled", workflow)).toBe(false);
+    expect(getAllowedTransitions("done", workflow)).toContain("pending");
+    expect(() => checkStatusChange(1, "done", "blocked", workflow)).toThrow(
+      /Invalid status value: blocked/,
+    );
+  });
+
+  test("rejects workflows with unknown statuses or no complete status", () => {
+    writeConfig({
+      statuses: [{ name: "todo" }, { name: "doing", color: "orange" }],
+      transitions: { todo: ["done"] },
+    });
+
+    let error;
+    try {
+      getWorkflow(tempDir);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ConfigurationError);
+    expect(error.message).toMatch(/Colors are one of/);
+    expect(error.message).toMatch(/At least one status must be marked/);
+    expect(error.message).toMatch(/Unknown status "done"/);
+  });
+
+  test("lists the allowed transitions of a configured workflow", () => {
+    writeConfig(reviewWorkflow);
+    const workflow = getWorkflow(tempDir);
+
+    expect(workflow.statuses[2]).toEqual({
+      name: "review",
+      color: "#aa00ff",
+      icon: "👀",
+      complete: false,
+    });
+    expect(getAllowedTransitions("in-progress", workflow)).toEqual([
+      "todo",
+      "review",
+    ]);
+    expect(getAllowedTransitions("shipped", workflow)).toEqual([]);
+    // Statuses the workflow no longer defines can move anywhere
+    expect(getAllowedTransitions("pending", workflow)).toHaveLength(4);
+    expect(() =>
+      checkStatusChange(3, "in-progress", "shipped", workflow),
+    ).toThrow(
+      'Task 3 cannot move from "in-progress" to "shipped". Allowed next statuses: todo, review',
+    );
+    expect(() =>
+      checkStatusChange(3, "shipped", "shipped", workflow),
+    ).not.toThrow();
+  });
+
+  test("enforces transitions when setting a status", async () => {
+    writeConfig(reviewWorkflow);
+    writeTasks([task(1, "in-progress"), task(2, "review")]);
+    const mcpLog = { info() {}, error() {}, warn() {}, debug() {} };
+
+    await expect(
+      setTaskStatus(tasksPath, "1", "shipped", { mcpLog }),
+    ).rejects.toThrow(/cannot move from "in-progress" to "shipped"/);
+    await expect(
+      setTaskStatus(tasksPath, "1", "done", { mcpLog }),
+    ).rejects.toThrow(/Invalid status value: done/);
+
+    const result = await setTaskStatus(tasksPath, "1,2", "review", { mcpLog });
+    expect(result.success).toBe(true);
+    expect(readJSON(tasksPath).tasks.map((item) => item.status)).toEqual([
+      "review",
+      "review",
+    ]);
+  });
+
+  test("treats configured complete statuses as done", async () => {
+    writeConfig(reviewWorkflow);
+    const data = {
+      tasks: [
+        task(1, "review", {
+          subtasks: [
+            { id: 1, title: "Sub 1", status: "todo" },
+            { id: 2, title: "Sub 2", status: "shipped" },
+          ],
+        }),
+        task(2, "todo", { dependencies: [1] }),
+      ],
+    };
+
+    await updateSingleTaskStatus(tasksPath, "1", "shipped", data, false);
+    expect(data.tasks[0].subtasks.map((subtask) => subtask.status)).toEqual([
+      "shipped",
+      "shipped",
+    ]);
+
+    const workflow = getWorkflow(tempDir);
+    expect(findNextTask(data.tasks, workflow).id).toBe(2);
+    expect(findNextTask(data.tasks)).toBeNull();
+  });
+
+  test("starts new tasks and subtasks in the first status", async () => {
+    writeConfig(reviewWorkflow);
+    const mcpLog = {
+      info() {},
+      warn() {},
+      error() {},
+      debug() {},
+      success() {},
+    };
+
+    await addTask(tasksPath, null, [], null, { mcpLog }, "json", {
+      title: "Parser",
+      description: "Read files",
+    });
+    await addSubtask(tasksPath, 1, null, { title: "Lexer" }, false);
+    await addSubtask(
+      tasksPath,
+      1,
+      null,
+      { title: "Review", status: "review" },
+      false,
+    );
+
+    const [created] = readJSON(tasksPath).tasks;
+    expect(created.status).toBe("todo");
+    expect(created.subtasks.map((subtask) => subtask.status)).toEqual([
+      "todo",
+      "review",
+    ]);
+  });
+
+  test("repairs unknown statuses onto the configured ones", () => {
+    const data = {
+      tasks: [task(1, "In Progress"), task(2, "pending"), task(3, "todo")],
+    };
+
+    const repairs = repairTasksData(data, {
+      statuses: ["todo", "in-progress", "shipped"],
+    });
+
+    expect(data.tasks.map((item) => item.status)).toEqual([
+      "in-progress",
+      "todo",
+      "todo",
+    ]);
+    expect(repairs).toHaveLength(2);
+  });
+});